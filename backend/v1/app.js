@@ -2,16 +2,37 @@ import express from "express";
 import { logger, appLogger, errorLogger } from "./config/_logger.js";
 import routes from "./routes/index.js";
 import { errorMiddleware } from "./middlewares/_errorMiddleware.js";
+import storage, { LocalStorageAdapter } from "./config/_storage.js";
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY makes req.ip the client's address
+// rather than the proxy's: a hop count ("1"), "true", or proxy addresses/subnets ("loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" ? true : trustProxy === "false" ? false : trustProxy
+  );
+}
+
 // Global Middlewares
-app.use(express.json());
+// Keep the raw body around for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request Logging Middleware
 app.use(appLogger);
 
+// Uploaded files kept on local disk are served by the app itself
+if (storage instanceof LocalStorageAdapter) {
+  app.use(storage.publicPath, express.static(storage.root, { maxAge: "7d" }));
+}
+
 // API Routes
 app.use("/api", routes);
 
@@ -0,0 +1,126 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./_logger.js";
+
+const STORAGE_CONSTANTS = {
+  DRIVER_LOCAL: "local",
+  DEFAULT_UPLOAD_DIR: "uploads",
+  PUBLIC_PATH: "/uploads",
+};
+
+/**
+ * Interface for where uploaded files are kept.
+ * Adapters store files under a key such as "products/<id>/<file>" and turn keys into public URLs,
+ * so callers never depend on a particular backend (local disk today, S3 or similar later).
+ */
+class StorageAdapter {
+  /**
+   * Stores a file under a key, replacing any existing file.
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer, contentType) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Reads a stored file.
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key) {
+    throw new Error(`${this.constructor.name} does not implement read`);
+  }
+
+  /**
+   * Deletes a stored file. Deleting a missing file is not an error.
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Builds the public URL of a stored file.
+   * @param {string} key - Storage key
+   * @returns {string} Absolute URL
+   */
+  url(key) {
+    throw new Error(`${this.constructor.name} does not implement url`);
+  }
+}
+
+/**
+ * Stores files on the local filesystem, served by the app under /uploads.
+ * Configured by UPLOAD_DIR (default "uploads") and UPLOAD_PUBLIC_URL (default http://localhost:PORT/uploads).
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor({ root, publicUrl }) {
+    super();
+    this.root = path.resolve(root);
+    this.publicPath = STORAGE_CONSTANTS.PUBLIC_PATH;
+    this.publicUrl = publicUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * Resolves a key to a path inside the upload directory, rejecting keys that would escape it.
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+  }
+}
+
+/**
+ * Creates the storage adapter selected by STORAGE_DRIVER (default "local").
+ * @returns {StorageAdapter} Storage adapter
+ * @throws {Error} If the driver is unknown
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || STORAGE_CONSTANTS.DRIVER_LOCAL;
+  if (driver === STORAGE_CONSTANTS.DRIVER_LOCAL) {
+    return new LocalStorageAdapter({
+      root: process.env.UPLOAD_DIR || STORAGE_CONSTANTS.DEFAULT_UPLOAD_DIR,
+      publicUrl:
+        process.env.UPLOAD_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 3000}${STORAGE_CONSTANTS.PUBLIC_PATH}`,
+    });
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+const storage = createStorage();
+logger.info(`File storage: ${storage.constructor.name}`);
+
+export default storage;
+export { StorageAdapter, LocalStorageAdapter };
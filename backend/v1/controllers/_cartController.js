@@ -10,6 +10,8 @@ const SUCCESS_MESSAGES = {
   ITEM_REMOVED: "Item removed from cart",
   CART_CLEARED: "Cart cleared successfully",
   CART_RETRIEVED: "Cart retrieved successfully",
+  COUPON_APPLIED: "Coupon applied to cart",
+  COUPON_REMOVED: "Coupon removed from cart",
 };
 
 const ERROR_MESSAGES = {
@@ -20,11 +22,24 @@ const ERROR_MESSAGES = {
   INVALID_QUANTITY: "Valid quantity (positive number) is required",
   PRODUCT_NOT_FOUND_IN_CART: "Product not found in cart",
   VALID_PRODUCT_ID_REQUIRED: "Valid productId (ObjectId) is required",
+  VALID_VARIANT_ID_REQUIRED: "variantId must be a valid ObjectId",
   IDENTIFIER_REQUIRED: "User ID or Guest ID required",
   INSUFFICIENT_STOCK: "Insufficient stock for product",
   PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_REQUIRED: "Choose a variant for product",
+  VARIANT_NOT_FOUND: "Variant not found",
   CONCURRENCY_CONFLICT: "Cart or product was modified by another request. Please retry.",
   CART_EXPIRED: "Cart has expired and been cleared",
+  CART_EMPTY: "Your cart is empty.",
+  COUPON_CODE_REQUIRED: "A coupon code is required.",
+  COUPON_NOT_FOUND: "Coupon not found.",
+  COUPON_INACTIVE: "This coupon is not active.",
+  COUPON_NOT_STARTED: "This coupon is not valid yet.",
+  COUPON_EXPIRED: "This coupon has expired.",
+  COUPON_USAGE_LIMIT_REACHED: "This coupon has reached its usage limit.",
+  COUPON_USER_LIMIT_REACHED: "You have already used this coupon the maximum number of times.",
+  COUPON_MIN_ORDER_NOT_MET: "Order subtotal is below the coupon minimum",
+  COUPON_NOT_APPLICABLE: "This coupon does not apply to any items in your cart.",
 };
 
 export class CartController {
@@ -115,9 +130,12 @@ export class CartController {
         err.message === ERROR_MESSAGES.INVALID_PRODUCTS_ARRAY ||
         err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED ||
         err.message.includes(ERROR_MESSAGES.INVALID_PRODUCT_FORMAT) ||
-        err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY)
+        err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY) ||
+        err.message.startsWith(ERROR_MESSAGES.VARIANT_REQUIRED)
           ? HttpStatus.BAD_REQUEST
-          : err.message === ERROR_MESSAGES.CART_ALREADY_EXISTS
+          : err.message.startsWith(ERROR_MESSAGES.VARIANT_NOT_FOUND)
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CART_ALREADY_EXISTS || err.message.startsWith(ERROR_MESSAGES.INSUFFICIENT_STOCK)
           ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
@@ -140,13 +158,14 @@ export class CartController {
       responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.CART_UPDATED, { cart });
     } catch (err) {
       const status =
-        err.message === ERROR_MESSAGES.CART_NOT_FOUND
+        err.message === ERROR_MESSAGES.CART_NOT_FOUND || err.message.startsWith(ERROR_MESSAGES.VARIANT_NOT_FOUND)
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT || err.message.startsWith(ERROR_MESSAGES.INSUFFICIENT_STOCK)
           ? HttpStatus.CONFLICT
           : err.message === ERROR_MESSAGES.INVALID_PRODUCTS_ARRAY ||
             err.message.includes(ERROR_MESSAGES.INVALID_PRODUCT_FORMAT) ||
-            err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY)
+            err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY) ||
+            err.message.startsWith(ERROR_MESSAGES.VARIANT_REQUIRED)
           ? HttpStatus.BAD_REQUEST
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
@@ -154,18 +173,19 @@ export class CartController {
   }
 
   /**
-   * Adds a product to a cart or creates a new cart.
+   * Adds a product, or one variant of it, to a cart or creates a new cart.
    * @param {Object} req - Express request object.
    * @param {Object} res - Express response object.
    * @returns {Promise<void>}
    */
   static async addToCart(req, res) {
     try {
-      const { productId, quantity, guestId } = req.body;
+      const { productId, variantId, quantity, guestId } = req.body;
       const cart = await CartService.addToCart({
         userId: req.user?.id,
         guestId: req.user?.guestId || guestId,
         productId,
+        variantId,
         quantity,
       });
       responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ITEM_ADDED, { cart });
@@ -173,9 +193,13 @@ export class CartController {
       const status =
         err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED ||
         err.message === ERROR_MESSAGES.VALID_PRODUCT_ID_REQUIRED ||
-        err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY)
+        err.message === ERROR_MESSAGES.VALID_VARIANT_ID_REQUIRED ||
+        err.message.includes(ERROR_MESSAGES.INVALID_QUANTITY) ||
+        err.message.startsWith(ERROR_MESSAGES.VARIANT_REQUIRED)
           ? HttpStatus.BAD_REQUEST
-          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND || err.message.startsWith(ERROR_MESSAGES.VARIANT_NOT_FOUND)
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT || err.message.startsWith(ERROR_MESSAGES.INSUFFICIENT_STOCK)
           ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
@@ -183,25 +207,28 @@ export class CartController {
   }
 
   /**
-   * Removes a product from a cart.
+   * Removes a product, or one variant of it, from a cart.
    * @param {Object} req - Express request object.
    * @param {Object} res - Express response object.
    * @returns {Promise<void>}
    */
   static async removeFromCart(req, res) {
     try {
-      const { productId, guestId } = req.body;
+      const { productId, variantId, guestId } = req.body;
       const cart = await CartService.removeFromCart({
         userId: req.user?.id,
         guestId: req.user?.guestId || guestId,
         productId,
+        variantId,
       });
       responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ITEM_REMOVED, { cart });
     } catch (err) {
       const status =
         err.message === ERROR_MESSAGES.CART_NOT_FOUND || err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND_IN_CART
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.VALID_PRODUCT_ID_REQUIRED || err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED
+          : err.message === ERROR_MESSAGES.VALID_PRODUCT_ID_REQUIRED ||
+            err.message === ERROR_MESSAGES.VALID_VARIANT_ID_REQUIRED ||
+            err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED
           ? HttpStatus.BAD_REQUEST
           : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
           ? HttpStatus.CONFLICT
@@ -236,6 +263,70 @@ export class CartController {
       responseHandler(res, status, "error", err.message, { error: err.message });
     }
   }
+
+  /**
+   * Applies a coupon code to the authenticated user's or guest's cart.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async applyCoupon(req, res) {
+    try {
+      const { code, guestId } = req.body;
+      const result = await CartService.applyCoupon({
+        userId: req.user?.id,
+        guestId: req.user?.guestId || guestId,
+        code,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPON_APPLIED, result);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED ||
+        err.message === ERROR_MESSAGES.CART_EMPTY ||
+        err.message === ERROR_MESSAGES.COUPON_CODE_REQUIRED ||
+        err.message === ERROR_MESSAGES.COUPON_INACTIVE ||
+        err.message === ERROR_MESSAGES.COUPON_NOT_STARTED ||
+        err.message === ERROR_MESSAGES.COUPON_EXPIRED ||
+        err.message === ERROR_MESSAGES.COUPON_USAGE_LIMIT_REACHED ||
+        err.message === ERROR_MESSAGES.COUPON_USER_LIMIT_REACHED ||
+        err.message === ERROR_MESSAGES.COUPON_NOT_APPLICABLE ||
+        err.message.startsWith(ERROR_MESSAGES.COUPON_MIN_ORDER_NOT_MET)
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.COUPON_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Removes the coupon from the authenticated user's or guest's cart.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async removeCoupon(req, res) {
+    try {
+      const guestId = req.body?.guestId || req.query.guestId;
+      const cart = await CartService.removeCoupon({
+        userId: req.user?.id,
+        guestId: req.user?.guestId || guestId,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPON_REMOVED, { cart });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.CART_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.IDENTIFIER_REQUIRED
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
 }
 
 export default CartController;
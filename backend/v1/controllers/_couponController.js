@@ -0,0 +1,134 @@
+import HttpStatus from "http-status-codes";
+import { CouponService } from "../services/_couponService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  COUPON_CREATED: "Coupon created successfully",
+  COUPONS_RETRIEVED: "Coupons retrieved successfully",
+  COUPON_RETRIEVED: "Coupon retrieved successfully",
+  COUPON_UPDATED: "Coupon updated successfully",
+  COUPON_DELETED: "Coupon deleted successfully",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_COUPON_ID: "Invalid coupon ID",
+  COUPON_NOT_FOUND: "Coupon not found.",
+  CODE_IN_USE: "A coupon with this code already exists.",
+  CONCURRENCY_CONFLICT: "Coupon was modified by another request. Please retry.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class CouponController {
+  /**
+   * Creates a coupon (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async createCoupon(req, res) {
+    try {
+      const coupon = await CouponService.createCoupon(req.body);
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.COUPON_CREATED, { coupon });
+    } catch (err) {
+      const status = err.message === ERROR_MESSAGES.CODE_IN_USE ? HttpStatus.CONFLICT : HttpStatus.BAD_REQUEST;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves all coupons with pagination (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getCoupons(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { coupons, pagination } = await CouponService.getCoupons({
+        page,
+        limit,
+        active: req.query.active,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPONS_RETRIEVED, {
+        coupons,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single coupon with its redemptions (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getCoupon(req, res) {
+    try {
+      const coupon = await CouponService.getCoupon(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPON_RETRIEVED, { coupon });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_COUPON_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.COUPON_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a coupon (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateCoupon(req, res) {
+    try {
+      const coupon = await CouponService.updateCoupon(req.params.id, req.body);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPON_UPDATED, { coupon });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.COUPON_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT || err.message === ERROR_MESSAGES.CODE_IN_USE
+          ? HttpStatus.CONFLICT
+          : HttpStatus.BAD_REQUEST;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a coupon (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteCoupon(req, res) {
+    try {
+      await CouponService.deleteCoupon(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.COUPON_DELETED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_COUPON_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.COUPON_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default CouponController;
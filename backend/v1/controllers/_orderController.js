@@ -6,25 +6,81 @@ const SUCCESS_MESSAGES = {
   ORDER_CREATED: "Order placed successfully",
   ORDERS_RETRIEVED: "Orders retrieved successfully",
   STATUS_UPDATED: "Order status updated successfully",
-  ORDER_CANCELLED: "Order cancelled and store credit issued.",
+  ORDER_CANCELLED: "Order cancelled and refunded.",
   INCOME_CALCULATED: "Total income calculated successfully",
   STORE_CREDIT_RETRIEVED: "Store credit retrieved successfully",
   NO_STORE_CREDIT: "No active store credit available.",
+  ORDER_REFUNDED: "Refund issued successfully",
+  REFUND_RETRIED: "Refund sent to the payment provider",
+  HISTORY_RETRIEVED: "Order history retrieved successfully",
+  ORDER_RETRIEVED: "Order retrieved successfully",
 };
 
 const ERROR_MESSAGES = {
   ADDRESS_REQUIRED: "Address is required.",
+  INVALID_ADDRESS_ID: "Invalid address ID",
+  ADDRESS_NOT_FOUND: "Address not found",
+  INVALID_ADDRESS: "Invalid address",
   CART_EMPTY: "Your cart is empty.",
   CART_EXPIRED: "Cart has expired and been cleared.",
   PRODUCT_NOT_FOUND: "Product not found",
+  INSUFFICIENT_STOCK: "Insufficient stock for product",
+  VARIANT_REQUIRED: "Choose a variant for product",
+  VARIANT_NOT_FOUND: "Variant not found",
   ORDER_NOT_FOUND: "Order not found.",
   INVALID_STATUS: "Invalid status provided.",
+  USE_CANCEL_ENDPOINT: "Orders can only be cancelled through the cancel endpoint.",
   ALREADY_CANCELLED: "Order is already cancelled.",
+  INVALID_TRANSITION: "Invalid status transition",
+  INVALID_ORDER_ID: "Invalid order ID",
+  FORBIDDEN: "You are not allowed to view this order.",
+  CANCEL_FORBIDDEN: "You can only cancel your own orders.",
+  CANCELLATION_WINDOW_EXPIRED: "The cancellation window for this order has passed.",
+  INVALID_CANCELLATION_REASON: "Invalid cancellation reason code.",
   CONCURRENCY_CONFLICT: "Order or cart was modified by another request. Please retry.",
+  COUPON_CONCURRENCY_CONFLICT: "Coupon was modified by another request. Please retry.",
+  COUPON_NOT_FOUND: "Coupon not found.",
+  COUPON_INACTIVE: "This coupon is not active.",
+  COUPON_NOT_STARTED: "This coupon is not valid yet.",
+  COUPON_EXPIRED: "This coupon has expired.",
+  COUPON_USAGE_LIMIT_REACHED: "This coupon has reached its usage limit.",
+  COUPON_USER_LIMIT_REACHED: "You have already used this coupon the maximum number of times.",
+  COUPON_MIN_ORDER_NOT_MET: "Order subtotal is below the coupon minimum",
+  COUPON_NOT_APPLICABLE: "This coupon does not apply to any items in your cart.",
+  ORDER_NOT_REFUNDABLE: "Only paid orders can be refunded.",
+  INVALID_REFUND_METHOD: "Refund method must be either card or store_credit.",
+  INVALID_REFUND_ITEMS: "Refund items must be a non-empty array of productId and quantity.",
+  REFUND_ITEM_NOT_IN_ORDER: "Refund item is not part of this order",
+  REFUND_QUANTITY_EXCEEDED: "Refund quantity exceeds the quantity left to refund",
+  NOTHING_TO_REFUND: "Nothing left to refund on this order.",
+  NO_SUCCESSFUL_PAYMENT: "No successful payment found for this order.",
+  INVALID_REFUND_ID: "Invalid refund ID",
+  REFUND_NOT_FOUND: "Refund not found.",
+  REFUND_NOT_RETRYABLE: "Only pending or failed card refunds can be retried.",
+  REFUND_FAILED: "Refund request failed",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
 export class OrderController {
+  /**
+   * Checks whether checkout failed because the cart's coupon can no longer be redeemed.
+   * @param {Error} err - Error thrown by the order service.
+   * @returns {boolean} True for coupon errors.
+   */
+  static isCouponRejection(err) {
+    return (
+      err.message === ERROR_MESSAGES.COUPON_CONCURRENCY_CONFLICT ||
+      err.message === ERROR_MESSAGES.COUPON_NOT_FOUND ||
+      err.message === ERROR_MESSAGES.COUPON_INACTIVE ||
+      err.message === ERROR_MESSAGES.COUPON_NOT_STARTED ||
+      err.message === ERROR_MESSAGES.COUPON_EXPIRED ||
+      err.message === ERROR_MESSAGES.COUPON_USAGE_LIMIT_REACHED ||
+      err.message === ERROR_MESSAGES.COUPON_USER_LIMIT_REACHED ||
+      err.message === ERROR_MESSAGES.COUPON_NOT_APPLICABLE ||
+      err.message.startsWith(ERROR_MESSAGES.COUPON_MIN_ORDER_NOT_MET)
+    );
+  }
+
   /**
    * Creates a new order from the user's cart.
    * @param {Object} req - Express request object.
@@ -36,6 +92,7 @@ export class OrderController {
       const { order, creditApplied } = await OrderService.createOrder({
         userId: req.user.id,
         address: req.body.address,
+        addressId: req.body.addressId,
       });
       responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.ORDER_CREATED, {
         order,
@@ -43,11 +100,18 @@ export class OrderController {
       });
     } catch (err) {
       const status =
-        err.message === ERROR_MESSAGES.ADDRESS_REQUIRED || err.message === ERROR_MESSAGES.CART_EMPTY
+        err.message === ERROR_MESSAGES.ADDRESS_REQUIRED ||
+        err.message === ERROR_MESSAGES.CART_EMPTY ||
+        err.message === ERROR_MESSAGES.INVALID_ADDRESS_ID ||
+        err.message.startsWith(`${ERROR_MESSAGES.INVALID_ADDRESS}:`)
           ? HttpStatus.BAD_REQUEST
-          : err.message === ERROR_MESSAGES.CART_EXPIRED
+          : err.message === ERROR_MESSAGES.CART_EXPIRED || err.message === ERROR_MESSAGES.ADDRESS_NOT_FOUND
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT ||
+            err.message.startsWith(ERROR_MESSAGES.INSUFFICIENT_STOCK) ||
+            err.message.startsWith(ERROR_MESSAGES.VARIANT_REQUIRED) ||
+            err.message.startsWith(ERROR_MESSAGES.VARIANT_NOT_FOUND) ||
+            OrderController.isCouponRejection(err)
           ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
@@ -114,6 +178,33 @@ export class OrderController {
     }
   }
 
+  /**
+   * Retrieves a single order for its owner or an admin.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getOrderById(req, res) {
+    try {
+      const details = await OrderService.getOrderById({
+        orderId: req.params.orderId,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ORDER_RETRIEVED, details);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_ORDER_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.FORBIDDEN
+          ? HttpStatus.FORBIDDEN
+          : err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
   /**
    * Updates the status of an order.
    * @param {Object} req - Express request object.
@@ -125,15 +216,17 @@ export class OrderController {
       const updatedOrder = await OrderService.updateOrderStatus({
         orderId: req.params.orderId,
         status: req.body.status,
+        changedBy: req.user.id,
+        note: req.body.note,
       });
       responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.STATUS_UPDATED, { order: updatedOrder });
     } catch (err) {
       const status =
-        err.message === ERROR_MESSAGES.INVALID_STATUS
+        err.message === ERROR_MESSAGES.INVALID_STATUS || err.message === ERROR_MESSAGES.USE_CANCEL_ENDPOINT
           ? HttpStatus.BAD_REQUEST
           : err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT || err.message.startsWith(ERROR_MESSAGES.INVALID_TRANSITION)
           ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
@@ -141,25 +234,128 @@ export class OrderController {
   }
 
   /**
-   * Cancels an order and issues store credit.
+   * Cancels an order and issues store credit, for its owner or an admin.
    * @param {Object} req - Express request object.
    * @param {Object} res - Express response object.
    * @returns {Promise<void>}
    */
   static async cancelOrderAndIssueStoreCredit(req, res) {
     try {
-      const { orderId, storeCredit } = await OrderService.cancelOrderAndIssueStoreCredit({
+      const { orderId, storeCredit, refund } = await OrderService.cancelOrderAndIssueStoreCredit({
         orderId: req.params.orderId,
+        changedBy: req.user.id,
+        isAdmin: req.user.isAdmin,
+        reasonCode: req.body?.reasonCode,
+        note: req.body?.note,
+        method: req.body?.method,
       });
-      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ORDER_CANCELLED, { orderId, storeCredit });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ORDER_CANCELLED, { orderId, storeCredit, refund });
     } catch (err) {
       const status =
         err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.ALREADY_CANCELLED
+          : err.message === ERROR_MESSAGES.CANCEL_FORBIDDEN
+          ? HttpStatus.FORBIDDEN
+          : err.message === ERROR_MESSAGES.ALREADY_CANCELLED ||
+            err.message === ERROR_MESSAGES.INVALID_CANCELLATION_REASON ||
+            err.message === ERROR_MESSAGES.INVALID_REFUND_METHOD
           ? HttpStatus.BAD_REQUEST
-          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT ||
+            err.message === ERROR_MESSAGES.NO_SUCCESSFUL_PAYMENT ||
+            err.message === ERROR_MESSAGES.CANCELLATION_WINDOW_EXPIRED ||
+            err.message.startsWith(ERROR_MESSAGES.INVALID_TRANSITION)
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the status history of an order for its owner or an admin.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getOrderHistory(req, res) {
+    try {
+      const history = await OrderService.getOrderHistory({
+        orderId: req.params.orderId,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.HISTORY_RETRIEVED, history);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_ORDER_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Refunds some or all line items of a paid order.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async refundOrder(req, res) {
+    try {
+      const { items, method, reason } = req.body;
+      const { order, refund } = await OrderService.refundOrder({
+        orderId: req.params.orderId,
+        items,
+        method,
+        reason,
+        adminId: req.user.id,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ORDER_REFUNDED, { order, refund });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.INVALID_REFUND_METHOD ||
+            err.message === ERROR_MESSAGES.INVALID_REFUND_ITEMS ||
+            err.message.includes(ERROR_MESSAGES.REFUND_ITEM_NOT_IN_ORDER) ||
+            err.message.includes(ERROR_MESSAGES.REFUND_QUANTITY_EXCEEDED)
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_NOT_REFUNDABLE ||
+            err.message === ERROR_MESSAGES.NOTHING_TO_REFUND ||
+            err.message === ERROR_MESSAGES.NO_SUCCESSFUL_PAYMENT ||
+            err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : err.message.includes(ERROR_MESSAGES.REFUND_FAILED)
+          ? HttpStatus.BAD_GATEWAY
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Sends a pending or failed card refund to the payment provider again.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async retryRefund(req, res) {
+    try {
+      const { order, refund } = await OrderService.retryRefund({
+        orderId: req.params.orderId,
+        refundId: req.params.refundId,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.REFUND_RETRIED, { order, refund });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_ORDER_ID || err.message === ERROR_MESSAGES.INVALID_REFUND_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_NOT_FOUND || err.message === ERROR_MESSAGES.REFUND_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.REFUND_NOT_RETRYABLE || err.message === ERROR_MESSAGES.NO_SUCCESSFUL_PAYMENT
           ? HttpStatus.CONFLICT
+          : err.message.includes(ERROR_MESSAGES.REFUND_FAILED)
+          ? HttpStatus.BAD_GATEWAY
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
     }
@@ -4,46 +4,188 @@ import { responseHandler } from "../utils/index.js";
 
 const SUCCESS_MESSAGES = {
   PAYMENT_PROCESSED: "Payment initialized successfully, proceed to authorization",
+  WEBHOOK_PROCESSED: "Webhook processed",
+  PAYMENT_VERIFIED: "Payment verified successfully",
+  PAYMENT_NOT_COMPLETED: "Payment has not been completed",
+  PAYMENT_REFUNDED: "Order can no longer be paid; the payment has been refunded",
+  PAYMENT_REFUND_PENDING: "Order can no longer be paid; the payment will be refunded",
+  PAYMENTS_RETRIEVED: "Payments retrieved successfully",
 };
 
 const ERROR_MESSAGES = {
   NO_ORDERS: "No pending orders found for this user.",
+  INVALID_ORDER_ID: "Invalid order ID",
+  ORDER_NOT_FOUND: "Order not found.",
+  ORDER_CANCELLED: "Cancelled orders cannot be paid.",
+  ORDER_ALREADY_PAID: "Order has already been paid.",
   PAYMENT_FAILED: "Payment initialization failed",
+  CURRENCY_NOT_SUPPORTED: "Payments must be made in the store currency.",
   PROCESSING_FAILED: "Payment processing failed",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+  REFERENCE_REQUIRED: "Payment reference is required.",
+  PAYMENT_NOT_FOUND: "No order found for this payment reference.",
+  VERIFICATION_FAILED: "Payment verification failed",
+  PAYMENT_MISMATCH: "Payment amount or currency does not match the order.",
+  CONCURRENCY_CONFLICT: "Order was modified by another request. Please retry.",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
 export class PaymentController {
   /**
-   * Initializes a payment for a user's pending order.
+   * Initializes a payment for one of the user's pending orders.
    * @param {Object} req - Express request object.
    * @param {Object} res - Express response object.
    * @returns {Promise<void>}
    */
   static async createPayment(req, res) {
     try {
-      const { email, currency } = req.body;
-      const { order, paystack, shipment } = await PaymentService.createPayment({
+      const { orderId, email, currency } = req.body;
+      const { order, payment, checkout } = await PaymentService.createPayment({
         userId: req.user.id,
+        orderId,
         email,
         currency,
       });
 
       responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PAYMENT_PROCESSED, {
         order,
-        paystack,
-        shipment,
+        payment,
+        checkout,
       });
     } catch (err) {
       const status =
-        err.message === ERROR_MESSAGES.NO_ORDERS
+        err.message === ERROR_MESSAGES.NO_ORDERS || err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
           ? HttpStatus.NOT_FOUND
-          : err.message === ERROR_MESSAGES.PAYMENT_FAILED
+          : err.message === ERROR_MESSAGES.PAYMENT_FAILED ||
+            err.message === ERROR_MESSAGES.CURRENCY_NOT_SUPPORTED ||
+            err.message === ERROR_MESSAGES.INVALID_ORDER_ID ||
+            err.message === ERROR_MESSAGES.ORDER_CANCELLED
           ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_ALREADY_PAID
+          ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, "error", err.message, { error: err.message });
     }
   }
+
+  /**
+   * Receives payment provider webhook events.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async handleWebhook(req, res) {
+    try {
+      const result = await PaymentService.handleWebhook({
+        headers: req.headers,
+        rawBody: req.rawBody,
+        body: req.body,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.WEBHOOK_PROCESSED, result);
+    } catch (err) {
+      const status = err.message === ERROR_MESSAGES.INVALID_SIGNATURE ? HttpStatus.UNAUTHORIZED : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Verifies a transaction with the payment provider and reconciles the order.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async verifyPayment(req, res) {
+    try {
+      const { order, transactionStatus, outcome } = await PaymentService.verifyPayment({
+        reference: req.params.reference,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+      });
+      const message =
+        outcome === "refunded"
+          ? SUCCESS_MESSAGES.PAYMENT_REFUNDED
+          : outcome === "refund_failed"
+          ? SUCCESS_MESSAGES.PAYMENT_REFUND_PENDING
+          : order.status === "pending"
+          ? SUCCESS_MESSAGES.PAYMENT_NOT_COMPLETED
+          : SUCCESS_MESSAGES.PAYMENT_VERIFIED;
+      responseHandler(res, HttpStatus.OK, "success", message, { order, transactionStatus, outcome });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.REFERENCE_REQUIRED
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PAYMENT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.PAYMENT_MISMATCH
+          ? HttpStatus.UNPROCESSABLE_ENTITY
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : err.message === ERROR_MESSAGES.VERIFICATION_FAILED
+          ? HttpStatus.BAD_GATEWAY
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves all payments with pagination.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getAllPayments(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { payments, pagination } = await PaymentService.getAllPayments({ page, limit });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PAYMENTS_RETRIEVED, {
+        payments,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves payments for the authenticated user.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getUserPayments(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { payments, pagination } = await PaymentService.getUserPayments({
+        userId: req.user.id,
+        page,
+        limit,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PAYMENTS_RETRIEVED, {
+        payments,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
 }
 
 export default PaymentController;
@@ -1,5 +1,6 @@
 import HttpStatus from "http-status-codes";
 import { ProductService } from "../services/_productService.js";
+import { ProductImageService } from "../services/_productImageService.js";
 import { responseHandler } from "../utils/index.js";
 
 const SUCCESS_MESSAGE = "success";
@@ -12,6 +13,24 @@ const MESSAGES = {
   INVALID_PRODUCT_ID: "Invalid product ID format",
   PRODUCT_NOT_FOUND: "Product doesn't exist",
   CONCURRENCY_CONFLICT: "Product was modified by another request. Please retry.",
+  VARIANT_CREATED: "Variant created successfully",
+  VARIANT_UPDATED: "Variant updated successfully",
+  VARIANT_DELETED: "Variant deleted successfully",
+  INVALID_VARIANT_ID: "Invalid variant ID format",
+  VARIANT_NOT_FOUND: "Variant doesn't exist",
+  SKU_IN_USE: "A variant with this SKU already exists.",
+  VARIANT_RESERVED: "Variant has units reserved in carts and cannot be deleted.",
+  PRODUCT_RESERVED: "Product has units reserved in carts; add variants once they are released.",
+  STOCK_BELOW_RESERVED: "Stock cannot be set below the units reserved in carts.",
+  IMAGES_UPLOADED: "Images uploaded successfully",
+  IMAGES_UPDATED: "Images updated successfully",
+  IMAGE_DELETED: "Image deleted successfully",
+  INVALID_IMAGE_ID: "Invalid image ID format",
+  IMAGE_NOT_FOUND: "Image doesn't exist",
+  NO_FILES: "At least one image file is required.",
+  INVALID_IMAGE: "File is not a valid JPEG, PNG, GIF or WebP image",
+  TOO_MANY_IMAGES: "A product can have at most 20 images.",
+  INVALID_IMAGE_LIST: "Images must list every image of the product exactly once, with at most one primary.",
 };
 
 export class ProductController {
@@ -76,12 +95,17 @@ export class ProductController {
    */
   static async createProduct(req, res) {
     try {
-      const savedProduct = await ProductService.createProduct(req.body);
+      const savedProduct = await ProductService.createProduct(req.body, req.user.id);
       responseHandler(res, HttpStatus.CREATED, SUCCESS_MESSAGE, MESSAGES.PRODUCT_CREATED, { savedProduct });
     } catch (err) {
-      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, ERROR_MESSAGE_TYPE, MESSAGES.SERVER_ERROR, {
-        error: err.message,
-      });
+      const skuInUse = err.message === MESSAGES.SKU_IN_USE;
+      responseHandler(
+        res,
+        skuInUse ? HttpStatus.CONFLICT : HttpStatus.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGE_TYPE,
+        skuInUse ? err.message : MESSAGES.SERVER_ERROR,
+        { error: err.message }
+      );
     }
   }
 
@@ -93,7 +117,7 @@ export class ProductController {
    */
   static async updateProduct(req, res) {
     try {
-      const updatedProduct = await ProductService.updateProduct(req.params.id, req.body);
+      const updatedProduct = await ProductService.updateProduct(req.params.id, req.body, req.user.id);
       responseHandler(res, HttpStatus.OK, SUCCESS_MESSAGE, MESSAGES.PRODUCT_UPDATED, { updatedProduct });
     } catch (err) {
       const status =
@@ -101,7 +125,7 @@ export class ProductController {
           ? HttpStatus.BAD_REQUEST
           : err.message === MESSAGES.PRODUCT_NOT_FOUND
           ? HttpStatus.NOT_FOUND
-          : err.message === MESSAGES.CONCURRENCY_CONFLICT
+          : err.message === MESSAGES.CONCURRENCY_CONFLICT || err.message === MESSAGES.STOCK_BELOW_RESERVED
           ? HttpStatus.CONFLICT
           : HttpStatus.INTERNAL_SERVER_ERROR;
       responseHandler(res, status, ERROR_MESSAGE_TYPE, err.message, { error: err.message });
@@ -130,6 +154,132 @@ export class ProductController {
       responseHandler(res, status, ERROR_MESSAGE_TYPE, err.message, { error: err.message });
     }
   }
+  /**
+   * Maps a variant error to its HTTP status; anything unrecognised is a validation failure.
+   * @param {Error} err - Error thrown by ProductService.
+   * @returns {number} HTTP status code.
+   */
+  static variantErrorStatus(err) {
+    return err.message === MESSAGES.INVALID_PRODUCT_ID || err.message === MESSAGES.INVALID_VARIANT_ID
+      ? HttpStatus.BAD_REQUEST
+      : err.message === MESSAGES.PRODUCT_NOT_FOUND || err.message === MESSAGES.VARIANT_NOT_FOUND
+      ? HttpStatus.NOT_FOUND
+      : [
+          MESSAGES.CONCURRENCY_CONFLICT,
+          MESSAGES.SKU_IN_USE,
+          MESSAGES.VARIANT_RESERVED,
+          MESSAGES.PRODUCT_RESERVED,
+          MESSAGES.STOCK_BELOW_RESERVED,
+        ].includes(err.message)
+      ? HttpStatus.CONFLICT
+      : HttpStatus.BAD_REQUEST;
+  }
+
+  /**
+   * Adds a variant to a product.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async addVariant(req, res) {
+    try {
+      const product = await ProductService.addVariant(req.params.id, req.body, req.user.id);
+      responseHandler(res, HttpStatus.CREATED, SUCCESS_MESSAGE, MESSAGES.VARIANT_CREATED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.variantErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a product variant.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateVariant(req, res) {
+    try {
+      const product = await ProductService.updateVariant(req.params.id, req.params.variantId, req.body, req.user.id);
+      responseHandler(res, HttpStatus.OK, SUCCESS_MESSAGE, MESSAGES.VARIANT_UPDATED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.variantErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a product variant.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteVariant(req, res) {
+    try {
+      const product = await ProductService.deleteVariant(req.params.id, req.params.variantId, req.user.id);
+      responseHandler(res, HttpStatus.OK, SUCCESS_MESSAGE, MESSAGES.VARIANT_DELETED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.variantErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
+  /**
+   * Maps an image error to its HTTP status.
+   * @param {Error} err - Error thrown by ProductImageService.
+   * @returns {number} HTTP status code.
+   */
+  static imageErrorStatus(err) {
+    return err.message === MESSAGES.PRODUCT_NOT_FOUND || err.message === MESSAGES.IMAGE_NOT_FOUND
+      ? HttpStatus.NOT_FOUND
+      : err.message === MESSAGES.CONCURRENCY_CONFLICT
+      ? HttpStatus.CONFLICT
+      : [MESSAGES.INVALID_PRODUCT_ID, MESSAGES.INVALID_IMAGE_ID, MESSAGES.NO_FILES, MESSAGES.TOO_MANY_IMAGES, MESSAGES.INVALID_IMAGE_LIST].includes(
+          err.message
+        ) || err.message.startsWith(MESSAGES.INVALID_IMAGE)
+      ? HttpStatus.BAD_REQUEST
+      : HttpStatus.INTERNAL_SERVER_ERROR;
+  }
+
+  /**
+   * Uploads images to a product.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async uploadImages(req, res) {
+    try {
+      const product = await ProductImageService.uploadImages(req.params.id, req.files, { alt: req.body.alt });
+      responseHandler(res, HttpStatus.CREATED, SUCCESS_MESSAGE, MESSAGES.IMAGES_UPLOADED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.imageErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Reorders a product's images and updates their alt text and primary flag.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateImages(req, res) {
+    try {
+      const product = await ProductImageService.updateImages(req.params.id, req.body.images);
+      responseHandler(res, HttpStatus.OK, SUCCESS_MESSAGE, MESSAGES.IMAGES_UPDATED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.imageErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a product image.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteImage(req, res) {
+    try {
+      const product = await ProductImageService.deleteImage(req.params.id, req.params.imageId);
+      responseHandler(res, HttpStatus.OK, SUCCESS_MESSAGE, MESSAGES.IMAGE_DELETED, { product });
+    } catch (err) {
+      responseHandler(res, ProductController.imageErrorStatus(err), ERROR_MESSAGE_TYPE, err.message, { error: err.message });
+    }
+  }
 }
 
 export default ProductController;
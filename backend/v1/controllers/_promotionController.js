@@ -0,0 +1,150 @@
+import HttpStatus from "http-status-codes";
+import { PromotionService } from "../services/_promotionService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  PROMOTION_CREATED: "Promotion created successfully",
+  PROMOTIONS_RETRIEVED: "Promotions retrieved successfully",
+  PROMOTION_RETRIEVED: "Promotion retrieved successfully",
+  PROMOTION_UPDATED: "Promotion updated successfully",
+  PROMOTION_DELETED: "Promotion deleted successfully",
+  ACTIVE_PROMOTIONS_RETRIEVED: "Active promotions retrieved successfully",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PROMOTION_ID: "Invalid promotion ID",
+  PROMOTION_NOT_FOUND: "Promotion not found.",
+  CONCURRENCY_CONFLICT: "Promotion was modified by another request. Please retry.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class PromotionController {
+  /**
+   * Creates a promotion (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async createPromotion(req, res) {
+    try {
+      const promotion = await PromotionService.createPromotion(req.body);
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.PROMOTION_CREATED, { promotion });
+    } catch (err) {
+      responseHandler(res, HttpStatus.BAD_REQUEST, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves all promotions with pagination (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getPromotions(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { promotions, pagination } = await PromotionService.getPromotions({
+        page,
+        limit,
+        active: req.query.active,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PROMOTIONS_RETRIEVED, {
+        promotions,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves the promotions running now, for display in the storefront.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getActivePromotions(req, res) {
+    try {
+      const promotions = await PromotionService.getActivePromotions();
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.ACTIVE_PROMOTIONS_RETRIEVED, { promotions });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single promotion (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getPromotion(req, res) {
+    try {
+      const promotion = await PromotionService.getPromotion(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PROMOTION_RETRIEVED, { promotion });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PROMOTION_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PROMOTION_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a promotion (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updatePromotion(req, res) {
+    try {
+      const promotion = await PromotionService.updatePromotion(req.params.id, req.body);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PROMOTION_UPDATED, { promotion });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.PROMOTION_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.BAD_REQUEST;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a promotion (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deletePromotion(req, res) {
+    try {
+      await PromotionService.deletePromotion(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.PROMOTION_DELETED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PROMOTION_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PROMOTION_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default PromotionController;
@@ -0,0 +1,243 @@
+import HttpStatus from "http-status-codes";
+import { ReturnService } from "../services/_returnService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  RETURN_REQUESTED: "Return request submitted successfully",
+  RETURNS_RETRIEVED: "Returns retrieved successfully",
+  RETURN_RETRIEVED: "Return retrieved successfully",
+  RETURN_APPROVED: "Return approved",
+  RETURN_REJECTED: "Return rejected",
+  RETURN_RECEIVED: "Return received and refund issued",
+  RETURN_RECEIVED_REFUND_FAILED: "Return received; the card refund failed and can be retried",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_ORDER_ID: "Invalid order ID",
+  INVALID_RETURN_ID: "Invalid return ID",
+  ORDER_NOT_FOUND: "Order not found.",
+  RETURN_NOT_FOUND: "Return not found.",
+  ORDER_NOT_DELIVERED: "Only delivered orders can be returned.",
+  RETURN_WINDOW_EXPIRED: "The return window for this order has passed.",
+  REASON_REQUIRED: "A reason for the return is required.",
+  INVALID_REFUND_METHOD: "Refund method must be either card or store_credit.",
+  INVALID_RETURN_ITEMS: "Return items must be a non-empty array of productId and quantity.",
+  RETURN_ITEM_NOT_IN_ORDER: "Return item is not part of this order",
+  RETURN_QUANTITY_EXCEEDED: "Return quantity exceeds the quantity left to return",
+  RETURN_NOT_PENDING: "Only requested returns can be approved or rejected.",
+  RETURN_NOT_APPROVED: "Only approved returns can be marked as received.",
+  CONCURRENCY_CONFLICT: "Return was modified by another request. Please retry.",
+  NOTHING_TO_REFUND: "Nothing left to refund on this order.",
+  NO_SUCCESSFUL_PAYMENT: "No successful payment found for this order.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class ReturnController {
+  /**
+   * Creates a return request for a delivered order.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async createReturn(req, res) {
+    try {
+      const { orderId, items, reason, refundMethod } = req.body;
+      const returnRequest = await ReturnService.createReturn({
+        userId: req.user.id,
+        orderId,
+        items,
+        reason,
+        refundMethod,
+      });
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.RETURN_REQUESTED, { return: returnRequest });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.INVALID_ORDER_ID ||
+            err.message === ERROR_MESSAGES.REASON_REQUIRED ||
+            err.message === ERROR_MESSAGES.INVALID_REFUND_METHOD ||
+            err.message === ERROR_MESSAGES.INVALID_RETURN_ITEMS ||
+            err.message.includes(ERROR_MESSAGES.RETURN_ITEM_NOT_IN_ORDER) ||
+            err.message.includes(ERROR_MESSAGES.RETURN_QUANTITY_EXCEEDED)
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_NOT_DELIVERED || err.message === ERROR_MESSAGES.RETURN_WINDOW_EXPIRED
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves returns for the authenticated user.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getUserReturns(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { returns, pagination } = await ReturnService.getUserReturns({
+        userId: req.user.id,
+        page,
+        limit,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RETURNS_RETRIEVED, {
+        returns,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves all returns, optionally filtered by status (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getAllReturns(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { returns, pagination } = await ReturnService.getAllReturns({
+        page,
+        limit,
+        status: req.query.status,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RETURNS_RETRIEVED, {
+        returns,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single return for its owner or an admin.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getReturnById(req, res) {
+    try {
+      const returnRequest = await ReturnService.getReturnById({
+        returnId: req.params.returnId,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RETURN_RETRIEVED, { return: returnRequest });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RETURN_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RETURN_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Approves a requested return (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async approveReturn(req, res) {
+    await ReturnController.reviewReturn(req, res, true);
+  }
+
+  /**
+   * Rejects a requested return (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async rejectReturn(req, res) {
+    await ReturnController.reviewReturn(req, res, false);
+  }
+
+  /**
+   * Shared handler for approving or rejecting a return.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {boolean} approve - True to approve, false to reject.
+   * @returns {Promise<void>}
+   */
+  static async reviewReturn(req, res, approve) {
+    try {
+      const returnRequest = await ReturnService.reviewReturn({
+        returnId: req.params.returnId,
+        adminId: req.user.id,
+        approve,
+        note: req.body?.note,
+      });
+      const message = approve ? SUCCESS_MESSAGES.RETURN_APPROVED : SUCCESS_MESSAGES.RETURN_REJECTED;
+      responseHandler(res, HttpStatus.OK, "success", message, { return: returnRequest });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RETURN_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RETURN_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.RETURN_NOT_PENDING || err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Marks an approved return as received, restocking items and issuing the refund (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async receiveReturn(req, res) {
+    try {
+      const result = await ReturnService.receiveReturn({
+        returnId: req.params.returnId,
+        adminId: req.user.id,
+        note: req.body?.note,
+      });
+      const message =
+        result.refund.status === "failed" ? SUCCESS_MESSAGES.RETURN_RECEIVED_REFUND_FAILED : SUCCESS_MESSAGES.RETURN_RECEIVED;
+      responseHandler(res, HttpStatus.OK, "success", message, result);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RETURN_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RETURN_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.RETURN_NOT_APPROVED ||
+            err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT ||
+            err.message === ERROR_MESSAGES.NOTHING_TO_REFUND ||
+            err.message === ERROR_MESSAGES.NO_SUCCESSFUL_PAYMENT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default ReturnController;
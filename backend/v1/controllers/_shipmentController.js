@@ -0,0 +1,266 @@
+import HttpStatus from "http-status-codes";
+import { ShipmentService } from "../services/_shipmentService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  SHIPMENTS_RETRIEVED: "Shipments retrieved successfully",
+  SHIPMENT_RETRIEVED: "Shipment retrieved successfully",
+  SHIPMENT_UPDATED: "Shipment updated successfully",
+  STATUS_UPDATED: "Shipment status updated successfully",
+  EVENT_ADDED: "Tracking event added successfully",
+  WEBHOOK_PROCESSED: "Webhook processed",
+  TRACKING_RETRIEVED: "Tracking information retrieved successfully",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_SHIPMENT_ID: "Invalid shipment ID",
+  INVALID_ORDER_ID: "Invalid order ID",
+  SHIPMENT_NOT_FOUND: "Shipment not found.",
+  ORDER_NOT_FOUND: "Order not found.",
+  INVALID_STATUS: "Invalid shipment status provided.",
+  INVALID_TRANSITION: "Invalid shipment status transition",
+  ORDER_NOT_SHIPPABLE: "Order cannot move to the shipment's status",
+  NO_UPDATES: "Provide a carrier, tracking number or estimated delivery date to update.",
+  INVALID_DATE: "Invalid date provided.",
+  TRACKING_NUMBER_IN_USE: "Tracking number is already in use.",
+  CONCURRENCY_CONFLICT: "Shipment or order was modified by another request. Please retry.",
+  DESCRIPTION_REQUIRED: "An event description is required.",
+  TRACKING_NUMBER_REQUIRED: "Tracking number is required.",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class ShipmentController {
+  /**
+   * Retrieves all shipments, optionally filtered by status (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getAllShipments(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { shipments, pagination } = await ShipmentService.getAllShipments({
+        page,
+        limit,
+        status: req.query.status,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.SHIPMENTS_RETRIEVED, {
+        shipments,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single shipment (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getShipmentById(req, res) {
+    try {
+      const shipment = await ShipmentService.getShipmentById(req.params.shipmentId);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.SHIPMENT_RETRIEVED, { shipment });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_SHIPMENT_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the shipment for an order, for its owner or an admin.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getShipmentForOrder(req, res) {
+    try {
+      const shipment = await ShipmentService.getShipmentForOrder({
+        orderId: req.params.orderId,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.SHIPMENT_RETRIEVED, { shipment });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_ORDER_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.ORDER_NOT_FOUND || err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a shipment's carrier, tracking number or estimated delivery date (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateShipment(req, res) {
+    try {
+      const { carrier, trackingNumber, estimatedDeliveryDate } = req.body;
+      const shipment = await ShipmentService.updateShipment({
+        shipmentId: req.params.shipmentId,
+        carrier,
+        trackingNumber,
+        estimatedDeliveryDate,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.SHIPMENT_UPDATED, { shipment });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_SHIPMENT_ID ||
+        err.message === ERROR_MESSAGES.NO_UPDATES ||
+        err.message === ERROR_MESSAGES.INVALID_DATE
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.TRACKING_NUMBER_IN_USE
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Moves a shipment to a new status and updates the matching order (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateShipmentStatus(req, res) {
+    try {
+      const { status, actualDeliveryDate, note } = req.body;
+      const result = await ShipmentService.updateShipmentStatus({
+        shipmentId: req.params.shipmentId,
+        status,
+        actualDeliveryDate,
+        adminId: req.user.id,
+        note,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.STATUS_UPDATED, result);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_SHIPMENT_ID ||
+        err.message === ERROR_MESSAGES.INVALID_STATUS ||
+        err.message === ERROR_MESSAGES.INVALID_DATE
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND || err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message.startsWith(ERROR_MESSAGES.INVALID_TRANSITION) ||
+            err.message.startsWith(ERROR_MESSAGES.ORDER_NOT_SHIPPABLE) ||
+            err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Maps tracking event errors to HTTP status codes.
+   * @param {Error} err - Error thrown by the shipment service.
+   * @returns {number} HTTP status code.
+   */
+  static trackingEventErrorStatus(err) {
+    return err.message === ERROR_MESSAGES.INVALID_SHIPMENT_ID ||
+      err.message === ERROR_MESSAGES.INVALID_STATUS ||
+      err.message === ERROR_MESSAGES.INVALID_DATE ||
+      err.message === ERROR_MESSAGES.DESCRIPTION_REQUIRED ||
+      err.message === ERROR_MESSAGES.TRACKING_NUMBER_REQUIRED
+      ? HttpStatus.BAD_REQUEST
+      : err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND || err.message === ERROR_MESSAGES.ORDER_NOT_FOUND
+      ? HttpStatus.NOT_FOUND
+      : err.message.startsWith(ERROR_MESSAGES.INVALID_TRANSITION) ||
+        err.message.startsWith(ERROR_MESSAGES.ORDER_NOT_SHIPPABLE) ||
+        err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+      ? HttpStatus.CONFLICT
+      : HttpStatus.INTERNAL_SERVER_ERROR;
+  }
+
+  /**
+   * Adds a tracking event to a shipment (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async addTrackingEvent(req, res) {
+    try {
+      const { status, description, location, occurredAt } = req.body;
+      const shipment = await ShipmentService.addTrackingEvent({
+        shipmentId: req.params.shipmentId,
+        status,
+        description,
+        location,
+        occurredAt,
+        actorId: req.user.id,
+      });
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.EVENT_ADDED, { shipment });
+    } catch (err) {
+      responseHandler(res, ShipmentController.trackingEventErrorStatus(err), "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Records a tracking event pushed by a carrier webhook.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async handleCarrierWebhook(req, res) {
+    try {
+      await ShipmentService.handleCarrierWebhook({
+        headers: req.headers,
+        rawBody: req.rawBody,
+        body: req.body,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.WEBHOOK_PROCESSED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_SIGNATURE
+          ? HttpStatus.UNAUTHORIZED
+          : ShipmentController.trackingEventErrorStatus(err);
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Looks up a shipment by tracking number (public).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async trackShipment(req, res) {
+    try {
+      const tracking = await ShipmentService.trackShipment(req.params.trackingNumber);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.TRACKING_RETRIEVED, tracking);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.TRACKING_NUMBER_REQUIRED
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.SHIPMENT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default ShipmentController;
@@ -0,0 +1,160 @@
+import HttpStatus from "http-status-codes";
+import { ShippingService } from "../services/_shippingService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  QUOTE_CALCULATED: "Shipping quote calculated successfully",
+  RATE_CREATED: "Shipping rate created successfully",
+  RATES_RETRIEVED: "Shipping rates retrieved successfully",
+  RATE_RETRIEVED: "Shipping rate retrieved successfully",
+  RATE_UPDATED: "Shipping rate updated successfully",
+  RATE_DELETED: "Shipping rate deleted successfully",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_RATE_ID: "Invalid shipping rate ID",
+  RATE_NOT_FOUND: "Shipping rate not found.",
+  INVALID_ITEMS: "Items must be a non-empty array of productId and quantity.",
+  PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_NOT_FOUND: "Variant not found",
+  CART_EMPTY: "Your cart is empty.",
+  CONCURRENCY_CONFLICT: "Shipping rate was modified by another request. Please retry.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class ShippingController {
+  /**
+   * Quotes shipping for a destination and the given items or the caller's cart.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getQuote(req, res) {
+    try {
+      const { address, items, guestId } = req.body;
+      const quote = await ShippingService.quote({
+        address,
+        items,
+        userId: req.user?.id,
+        guestId: req.user?.guestId || guestId,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.QUOTE_CALCULATED, { quote });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_ITEMS || err.message === ERROR_MESSAGES.CART_EMPTY
+          ? HttpStatus.BAD_REQUEST
+          : err.message.includes(ERROR_MESSAGES.PRODUCT_NOT_FOUND) || err.message.includes(ERROR_MESSAGES.VARIANT_NOT_FOUND)
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Creates a shipping rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async createRate(req, res) {
+    try {
+      const rate = await ShippingService.createRate(req.body);
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.RATE_CREATED, { rate });
+    } catch (err) {
+      responseHandler(res, HttpStatus.BAD_REQUEST, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves all shipping rates with pagination (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getRates(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { rates, pagination } = await ShippingService.getRates({ page, limit });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATES_RETRIEVED, {
+        rates,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single shipping rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getRate(req, res) {
+    try {
+      const rate = await ShippingService.getRate(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_RETRIEVED, { rate });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RATE_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a shipping rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateRate(req, res) {
+    try {
+      const rate = await ShippingService.updateRate(req.params.id, req.body);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_UPDATED, { rate });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.BAD_REQUEST;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a shipping rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteRate(req, res) {
+    try {
+      await ShippingService.deleteRate(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_DELETED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RATE_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default ShippingController;
@@ -0,0 +1,200 @@
+import HttpStatus from "http-status-codes";
+import { StockService } from "../services/_stockService.js";
+import { StockAlertService } from "../services/_stockAlertService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  RESERVATIONS_RETRIEVED: "Stock reservations retrieved successfully",
+  STOCK_HISTORY_RETRIEVED: "Stock history retrieved successfully",
+  STOCK_ADJUSTED: "Stock adjusted successfully",
+  SUBSCRIBED: "You will be emailed when this product is back in stock",
+  UNSUBSCRIBED: "Back-in-stock notification cancelled",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PRODUCT_ID: "Invalid product ID",
+  INVALID_VARIANT_ID: "Invalid variant ID",
+  PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_NOT_FOUND: "Variant not found",
+  VARIANT_REQUIRED: "Choose a variant for product",
+  INVALID_STATUS: "Status must be one of: active, committed, released, expired",
+  INVALID_REASON: "Reason must be one of: cart_add, cart_remove, order, cancel, return, manual_adjust, expiry",
+  INVALID_DELTA: "Delta must be a non-zero whole number.",
+  NOTE_REQUIRED: "A reason is required for manual stock adjustments.",
+  STOCK_BELOW_RESERVED: "Adjustment would take stock below zero or below the units reserved in carts.",
+  USER_NOT_FOUND: "User not found",
+  PRODUCT_IN_STOCK: "This product is in stock; add it to your cart instead.",
+  SUBSCRIPTION_NOT_FOUND: "You are not subscribed to this product.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class StockController {
+  /**
+   * Retrieves stock reservations with pagination, active ones by default (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getReservations(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { reservations, pagination } = await StockService.getReservations({
+        page,
+        limit,
+        status: req.query.status,
+        productId: req.query.productId,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RESERVATIONS_RETRIEVED, {
+        reservations,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      const isBadRequest =
+        err.message === ERROR_MESSAGES.INVALID_STATUS || err.message === ERROR_MESSAGES.INVALID_PRODUCT_ID;
+      responseHandler(
+        res,
+        isBadRequest ? HttpStatus.BAD_REQUEST : HttpStatus.INTERNAL_SERVER_ERROR,
+        "error",
+        isBadRequest ? err.message : ERROR_MESSAGES.SERVER_ERROR,
+        { error: err.message }
+      );
+    }
+  }
+
+  /**
+   * Retrieves a product's stock movements with its current counts (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getStockHistory(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { stock, movements, pagination } = await StockService.getStockHistory({
+        productId: req.params.id,
+        variantId: req.query.variantId,
+        page,
+        limit,
+        reason: req.query.reason,
+      });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.STOCK_HISTORY_RETRIEVED, {
+        stock,
+        movements,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PRODUCT_ID ||
+        err.message === ERROR_MESSAGES.INVALID_VARIANT_ID ||
+        err.message === ERROR_MESSAGES.INVALID_REASON
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Adjusts a product's or variant's on-hand stock by hand with a reason (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async adjustStock(req, res) {
+    try {
+      const { product, movement } = await StockService.adjustStock({
+        productId: req.params.id,
+        variantId: req.body.variantId,
+        delta: req.body.delta,
+        note: req.body.reason,
+        actor: req.user.id,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.STOCK_ADJUSTED, { product, movement });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PRODUCT_ID ||
+        err.message === ERROR_MESSAGES.INVALID_VARIANT_ID ||
+        err.message === ERROR_MESSAGES.VARIANT_REQUIRED ||
+        err.message === ERROR_MESSAGES.INVALID_DELTA ||
+        err.message === ERROR_MESSAGES.NOTE_REQUIRED
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND || err.message === ERROR_MESSAGES.VARIANT_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.STOCK_BELOW_RESERVED
+          ? HttpStatus.CONFLICT
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Subscribes the current customer to a back-in-stock email for a sold-out product.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async subscribeBackInStock(req, res) {
+    try {
+      const subscription = await StockAlertService.subscribe({
+        productId: req.params.id,
+        variantId: req.body?.variantId,
+        userId: req.user.id,
+      });
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.SUBSCRIBED, { subscription });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PRODUCT_ID ||
+        err.message === ERROR_MESSAGES.INVALID_VARIANT_ID ||
+        err.message === ERROR_MESSAGES.PRODUCT_IN_STOCK
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND ||
+            err.message === ERROR_MESSAGES.VARIANT_NOT_FOUND ||
+            err.message === ERROR_MESSAGES.USER_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Cancels the current customer's back-in-stock subscription for a product.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async unsubscribeBackInStock(req, res) {
+    try {
+      await StockAlertService.unsubscribe({
+        productId: req.params.id,
+        variantId: req.query.variantId,
+        userId: req.user.id,
+      });
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.UNSUBSCRIBED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_PRODUCT_ID || err.message === ERROR_MESSAGES.INVALID_VARIANT_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.SUBSCRIPTION_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default StockController;
@@ -0,0 +1,128 @@
+import HttpStatus from "http-status-codes";
+import { TaxService } from "../services/_taxService.js";
+import { responseHandler } from "../utils/index.js";
+
+const SUCCESS_MESSAGES = {
+  RATE_CREATED: "Tax rate created successfully",
+  RATES_RETRIEVED: "Tax rates retrieved successfully",
+  RATE_RETRIEVED: "Tax rate retrieved successfully",
+  RATE_UPDATED: "Tax rate updated successfully",
+  RATE_DELETED: "Tax rate deleted successfully",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_RATE_ID: "Invalid tax rate ID",
+  RATE_NOT_FOUND: "Tax rate not found.",
+  CONCURRENCY_CONFLICT: "Tax rate was modified by another request. Please retry.",
+  SERVER_ERROR: "Something went wrong, please try again",
+};
+
+export class TaxController {
+  /**
+   * Creates a tax rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async createRate(req, res) {
+    try {
+      const rate = await TaxService.createRate(req.body);
+      responseHandler(res, HttpStatus.CREATED, "success", SUCCESS_MESSAGES.RATE_CREATED, { rate });
+    } catch (err) {
+      responseHandler(res, HttpStatus.BAD_REQUEST, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves all tax rates with pagination (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getRates(req, res) {
+    try {
+      const { page, limit, hasMorePages, links } = res.locals.pagination;
+      const { rates, pagination } = await TaxService.getRates({ page, limit });
+
+      res.locals.setPagination(pagination.totalItems);
+
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATES_RETRIEVED, {
+        rates,
+        pagination: {
+          ...pagination,
+          hasMorePages,
+          links,
+        },
+      });
+    } catch (err) {
+      responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", ERROR_MESSAGES.SERVER_ERROR, {
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Retrieves a single tax rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getRate(req, res) {
+    try {
+      const rate = await TaxService.getRate(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_RETRIEVED, { rate });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RATE_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Updates a tax rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateRate(req, res) {
+    try {
+      const rate = await TaxService.updateRate(req.params.id, req.body);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_UPDATED, { rate });
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : err.message === ERROR_MESSAGES.CONCURRENCY_CONFLICT
+          ? HttpStatus.CONFLICT
+          : HttpStatus.BAD_REQUEST;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a tax rate (admin only).
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteRate(req, res) {
+    try {
+      await TaxService.deleteRate(req.params.id);
+      responseHandler(res, HttpStatus.OK, "success", SUCCESS_MESSAGES.RATE_DELETED);
+    } catch (err) {
+      const status =
+        err.message === ERROR_MESSAGES.INVALID_RATE_ID
+          ? HttpStatus.BAD_REQUEST
+          : err.message === ERROR_MESSAGES.RATE_NOT_FOUND
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, "error", err.message, { error: err.message });
+    }
+  }
+}
+
+export default TaxController;
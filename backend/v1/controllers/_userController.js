@@ -8,6 +8,13 @@ const MESSAGES = {
   USER_NOT_FOUND: "User not found",
   UPDATE_SUCCESS: "User updated successfully",
   DELETE_SUCCESS: "User has been deleted successfully",
+  ADDRESS_ADDED: "Address saved successfully",
+  ADDRESS_UPDATED: "Address updated successfully",
+  ADDRESS_DELETED: "Address deleted successfully",
+  INVALID_ADDRESS_ID: "Invalid address ID",
+  ADDRESS_NOT_FOUND: "Address not found",
+  ADDRESS_LIMIT_REACHED: "You can save at most",
+  INVALID_ADDRESS: "Invalid address",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
@@ -123,6 +130,81 @@ export class UserController {
       );
     }
   }
+
+  /**
+   * Maps address book errors to HTTP status codes.
+   * @param {Error} err - Error thrown by the user service.
+   * @returns {number} HTTP status code.
+   */
+  static addressErrorStatus(err) {
+    return err.message === MESSAGES.INVALID_ADDRESS_ID || err.message.startsWith(MESSAGES.INVALID_ADDRESS)
+      ? HttpStatus.BAD_REQUEST
+      : err.message === MESSAGES.USER_NOT_FOUND || err.message === MESSAGES.ADDRESS_NOT_FOUND
+      ? HttpStatus.NOT_FOUND
+      : err.message.startsWith(MESSAGES.ADDRESS_LIMIT_REACHED)
+      ? HttpStatus.CONFLICT
+      : HttpStatus.INTERNAL_SERVER_ERROR;
+  }
+
+  /**
+   * Retrieves a user's saved addresses.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async getAddresses(req, res) {
+    try {
+      const addresses = await UserService.getAddresses(req.params.userId);
+      responseHandler(res, HttpStatus.OK, MESSAGES.SUCCESS, "", { addresses });
+    } catch (err) {
+      responseHandler(res, UserController.addressErrorStatus(err), MESSAGES.ERROR, err.message, { err });
+    }
+  }
+
+  /**
+   * Saves a new address to a user's address book.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async addAddress(req, res) {
+    try {
+      const address = await UserService.addAddress(req.params.userId, req.body);
+      responseHandler(res, HttpStatus.CREATED, MESSAGES.SUCCESS, MESSAGES.ADDRESS_ADDED, { address });
+    } catch (err) {
+      responseHandler(res, UserController.addressErrorStatus(err), MESSAGES.ERROR, err.message, { err });
+    }
+  }
+
+  /**
+   * Updates a saved address.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async updateAddress(req, res) {
+    try {
+      const address = await UserService.updateAddress(req.params.userId, req.params.addressId, req.body);
+      responseHandler(res, HttpStatus.OK, MESSAGES.SUCCESS, MESSAGES.ADDRESS_UPDATED, { address });
+    } catch (err) {
+      responseHandler(res, UserController.addressErrorStatus(err), MESSAGES.ERROR, err.message, { err });
+    }
+  }
+
+  /**
+   * Deletes a saved address.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Promise<void>}
+   */
+  static async deleteAddress(req, res) {
+    try {
+      await UserService.deleteAddress(req.params.userId, req.params.addressId);
+      responseHandler(res, HttpStatus.OK, MESSAGES.SUCCESS, MESSAGES.ADDRESS_DELETED);
+    } catch (err) {
+      responseHandler(res, UserController.addressErrorStatus(err), MESSAGES.ERROR, err.message, { err });
+    }
+  }
 }
 
 export default UserController;
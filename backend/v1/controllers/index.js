@@ -4,6 +4,13 @@ import ProductController from './_productController.js';
 import CartController from './_cartController.js';
 import OrderController from './_orderController.js';
 import PaymentController from './_paymentController.js';
+import ReturnController from './_returnController.js';
+import ShipmentController from './_shipmentController.js';
+import ShippingController from './_shippingController.js';
+import CouponController from './_couponController.js';
+import PromotionController from './_promotionController.js';
+import TaxController from './_taxController.js';
+import StockController from './_stockController.js';
 
 
 export {
@@ -13,4 +20,11 @@ export {
     CartController,
     OrderController,
     PaymentController,
+    ReturnController,
+    ShipmentController,
+    ShippingController,
+    CouponController,
+    PromotionController,
+    TaxController,
+    StockController,
 };
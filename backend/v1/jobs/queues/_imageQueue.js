@@ -0,0 +1,30 @@
+import Queue from "bull";
+import { logger } from "../../config/_logger.js";
+
+/**
+ * Bull queue instance for image processing jobs, such as generating product thumbnails.
+ * Connects to Redis using environment variables for configuration.
+ * @type {Queue}
+ */
+const imageQueue = new Queue("imageQueue", {
+  redis: {
+    host: process.env.REDIS_HOST || "localhost",
+    port: process.env.REDIS_PORT || 6379,
+  },
+  defaultJobOptions: {
+    attempts: 3, // Retry transient storage or database failures
+    backoff: { type: "exponential", delay: 5000 },
+    removeOnComplete: true,
+  },
+});
+
+// Log queue connection events
+imageQueue.on("ready", () => {
+  logger.info("Image queue connected to Redis");
+});
+
+imageQueue.on("error", (error) => {
+  logger.error(`Image queue error: ${error.message}`);
+});
+
+export { imageQueue };
\ No newline at end of file
@@ -0,0 +1,24 @@
+import cron from "node-cron";
+import { StockAlertService } from "../../services/_stockAlertService.js";
+import { logger } from "../../config/_logger.js";
+
+/**
+ * Schedules a cron job that emails back-in-stock subscribers.
+ * Runs every 5 minutes and picks up any subscribed product that can be bought again.
+ * @returns {void}
+ */
+const notifyBackInStock = () => {
+  cron.schedule("*/5 * * * *", async () => {
+    // Cron pattern: every 5th minute
+    try {
+      const notified = await StockAlertService.notifyBackInStock();
+      if (notified > 0) {
+        logger.info(`Sent ${notified} back-in-stock notifications`);
+      }
+    } catch (err) {
+      logger.error(`Back-in-stock notification error: ${err.message}`);
+    }
+  });
+};
+
+export default notifyBackInStock;
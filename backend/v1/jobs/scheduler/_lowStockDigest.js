@@ -0,0 +1,22 @@
+import cron from "node-cron";
+import { StockAlertService } from "../../services/_stockAlertService.js";
+import { logger } from "../../config/_logger.js";
+
+/**
+ * Schedules a cron job that emails admins a digest of low-stock products.
+ * Runs daily at 08:00, or on the LOW_STOCK_DIGEST_CRON schedule when set.
+ * @returns {void}
+ */
+const sendLowStockDigest = () => {
+  cron.schedule(process.env.LOW_STOCK_DIGEST_CRON || "0 8 * * *", async () => {
+    // Cron pattern: every day at 08:00 by default
+    try {
+      const count = await StockAlertService.sendLowStockDigest();
+      logger.info(`Low-stock digest sent for ${count} products`);
+    } catch (err) {
+      logger.error(`Low-stock digest error: ${err.message}`);
+    }
+  });
+};
+
+export default sendLowStockDigest;
@@ -0,0 +1,24 @@
+import cron from "node-cron";
+import { StockService } from "../../services/_stockService.js";
+import { logger } from "../../config/_logger.js";
+
+/**
+ * Schedules a cron job to release expired stock reservations.
+ * Runs every minute so held units return to available stock soon after they lapse.
+ * @returns {void}
+ */
+const releaseExpiredReservations = () => {
+  cron.schedule("* * * * *", async () => {
+    // Cron pattern: every minute
+    try {
+      const released = await StockService.releaseExpired();
+      if (released > 0) {
+        logger.info(`Released ${released} expired stock reservations`);
+      }
+    } catch (err) {
+      logger.error(`Stock reservation cleanup error: ${err.message}`);
+    }
+  });
+};
+
+export default releaseExpiredReservations;
@@ -0,0 +1,29 @@
+import { logger } from "../../config/_logger.js";
+import { ProductImageService } from "../../services/_productImageService.js";
+
+/**
+ * Processes a thumbnail job, generating a WebP thumbnail for an uploaded product image.
+ * Designed for use with a job queue (e.g., Bull).
+ * @param {Object} job - The job object containing image data
+ * @param {Object} job.data - Image details (productId, imageId)
+ * @param {Function} done - Callback to signal job completion or failure
+ * @returns {Promise<Object>} Success object with the thumbnail URL
+ * @throws {Error} If the thumbnail cannot be generated
+ */
+export default async function (job, done) {
+  try {
+    const { productId, imageId } = job.data; // Extract image data from job
+    const thumbnailUrl = await ProductImageService.generateThumbnail({ productId, imageId });
+    if (thumbnailUrl) {
+      logger.info(`Thumbnail generated for image ${imageId} of product ${productId}`);
+    } else {
+      logger.info(`Image ${imageId} of product ${productId} no longer exists, skipping thumbnail`);
+    }
+    done(); // Signal successful completion
+    return { success: true, thumbnailUrl }; // Return success indicator
+  } catch (error) {
+    logger.error(`Failed to generate thumbnail for image ${job.data.imageId}: ${error.message}`);
+    done(error); // Signal failure with error
+    throw new Error(error.message); // Re-throw for upstream handling
+  }
+}
\ No newline at end of file
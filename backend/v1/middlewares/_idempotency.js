@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import redisClient from "../config/_redis.js";
+import { responseHandler } from "../utils/index.js";
+import HttpStatus from "http-status-codes";
+import { logger } from "../config/_logger.js";
+
+/**
+ * Constants for idempotency key handling.
+ */
+const IDEMPOTENCY_CONSTANTS = {
+  HEADER: "Idempotency-Key",
+  REPLAY_HEADER: "Idempotent-Replayed",
+  KEY_PREFIX: "idempotency",
+  TTL: 24 * 60 * 60, // Keep responses for 24 hours (in seconds)
+  LOCK_TTL: 60, // Release the in-progress claim of a request that never finished after 60 seconds
+  MAX_KEY_LENGTH: 255,
+  STATUS_IN_PROGRESS: "in_progress",
+  STATUS_COMPLETED: "completed",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_KEY: `${IDEMPOTENCY_CONSTANTS.HEADER} must be a non-empty string of at most ${IDEMPOTENCY_CONSTANTS.MAX_KEY_LENGTH} characters.`,
+  KEY_REUSED: `${IDEMPOTENCY_CONSTANTS.HEADER} has already been used with a different request body.`,
+  IN_PROGRESS: `A request with this ${IDEMPOTENCY_CONSTANTS.HEADER} is still being processed.`,
+};
+
+/**
+ * Hashes the request body so retries can be matched against the original request.
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest of the body
+ */
+function fingerprintRequest(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body || {})).digest("hex");
+}
+
+/**
+ * Middleware that makes POST requests safe to retry using the Idempotency-Key header.
+ * The first response for a key and user is stored in Redis for 24 hours and replayed
+ * for later requests with the same key. Reusing a key with a different body returns 422.
+ * A request still in progress holds the key for at most a minute, so a crashed request
+ * does not block retries for the whole day.
+ * Must run after authentication so the key can be scoped to the user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+export const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get(IDEMPOTENCY_CONSTANTS.HEADER);
+  if (idempotencyKey === undefined) {
+    return next(); // Header is optional
+  }
+
+  if (!idempotencyKey.trim() || idempotencyKey.length > IDEMPOTENCY_CONSTANTS.MAX_KEY_LENGTH) {
+    return responseHandler(res, HttpStatus.BAD_REQUEST, "error", ERROR_MESSAGES.INVALID_KEY);
+  }
+
+  const owner = req.user?.id || req.user?.guestId || "anonymous";
+  const key = `${IDEMPOTENCY_CONSTANTS.KEY_PREFIX}:${owner}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+  const fingerprint = fingerprintRequest(req.body);
+
+  try {
+    const stored = await redisClient.get(key);
+    if (stored) {
+      const record = JSON.parse(stored);
+
+      if (record.fingerprint !== fingerprint) {
+        return responseHandler(res, HttpStatus.UNPROCESSABLE_ENTITY, "error", ERROR_MESSAGES.KEY_REUSED);
+      }
+      if (record.status === IDEMPOTENCY_CONSTANTS.STATUS_IN_PROGRESS) {
+        return responseHandler(res, HttpStatus.CONFLICT, "error", ERROR_MESSAGES.IN_PROGRESS);
+      }
+
+      logger.info(`Replaying idempotent response for key: ${key}`);
+      res.set(IDEMPOTENCY_CONSTANTS.REPLAY_HEADER, "true");
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    // Claim the key so concurrent retries wait for the first request to finish
+    const claimed = await redisClient.set(
+      key,
+      JSON.stringify({ status: IDEMPOTENCY_CONSTANTS.STATUS_IN_PROGRESS, fingerprint }),
+      { EX: IDEMPOTENCY_CONSTANTS.LOCK_TTL, NX: true }
+    );
+    if (!claimed) {
+      return responseHandler(res, HttpStatus.CONFLICT, "error", ERROR_MESSAGES.IN_PROGRESS);
+    }
+
+    // Override res.json to store the first response; server errors release the key for retries
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const record = {
+        status: IDEMPOTENCY_CONSTANTS.STATUS_COMPLETED,
+        fingerprint,
+        statusCode: res.statusCode,
+        body,
+      };
+      const store = res.statusCode >= HttpStatus.INTERNAL_SERVER_ERROR
+        ? redisClient.del(key)
+        : redisClient.set(key, JSON.stringify(record), { EX: IDEMPOTENCY_CONSTANTS.TTL });
+      store.catch((error) => logger.error(`Idempotency store error: ${error.message}`));
+      return originalJson(body); // Ensure response is sent
+    };
+
+    next();
+  } catch (error) {
+    logger.error(`Idempotency Error: ${error.message}`);
+    return responseHandler(res, HttpStatus.INTERNAL_SERVER_ERROR, "error", "Idempotency check failed");
+  }
+};
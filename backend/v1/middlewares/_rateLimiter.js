@@ -0,0 +1,60 @@
+import redisClient from "../config/_redis.js";
+import { responseHandler } from "../utils/index.js";
+import HttpStatus from "http-status-codes";
+import { logger } from "../config/_logger.js";
+
+/**
+ * Constants for request rate limiting.
+ */
+const RATE_LIMIT_CONSTANTS = {
+  KEY_PREFIX: "ratelimit",
+  DEFAULT_WINDOW_SECONDS: 15 * 60, // 15-minute window
+  DEFAULT_MAX_REQUESTS: 100,
+  RETRY_AFTER_HEADER: "Retry-After",
+};
+
+const ERROR_MESSAGES = {
+  TOO_MANY_REQUESTS: "Too many requests, please try again later.",
+};
+
+/**
+ * Creates a fixed-window rate limiting middleware backed by Redis.
+ * Requests are counted per client IP and route name; once the limit is reached the
+ * client receives 429 with a Retry-After header until the window resets.
+ * The client IP is only read from X-Forwarded-For when the app trusts the proxy (TRUST_PROXY).
+ * If Redis is unavailable the request is let through rather than blocked.
+ * @param {Object} [options] - Limiter options
+ * @param {string} options.name - Name used to keep counters for different routes apart
+ * @param {number} [options.windowSeconds=900] - Length of the window in seconds
+ * @param {number} [options.max=100] - Requests allowed per client in each window
+ * @returns {Function} Express middleware
+ */
+export const rateLimiter = ({
+  name,
+  windowSeconds = RATE_LIMIT_CONSTANTS.DEFAULT_WINDOW_SECONDS,
+  max = RATE_LIMIT_CONSTANTS.DEFAULT_MAX_REQUESTS,
+} = {}) => {
+  return async (req, res, next) => {
+    const key = `${RATE_LIMIT_CONSTANTS.KEY_PREFIX}:${name || req.baseUrl}:${req.ip}`;
+
+    try {
+      // Start the window and count the request in one transaction, so a counter never lives without an expiry
+      const [, count, ttl] = await redisClient
+        .multi()
+        .set(key, "0", { EX: windowSeconds, NX: true })
+        .incr(key)
+        .ttl(key)
+        .exec();
+
+      if (count > max) {
+        res.set(RATE_LIMIT_CONSTANTS.RETRY_AFTER_HEADER, String(ttl > 0 ? ttl : windowSeconds));
+        return responseHandler(res, HttpStatus.TOO_MANY_REQUESTS, "error", ERROR_MESSAGES.TOO_MANY_REQUESTS);
+      }
+
+      next();
+    } catch (error) {
+      logger.error(`Rate Limiter Error: ${error.message}`);
+      next(); // Fail open so a Redis outage does not take the route down
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import multer from "multer";
+import { responseHandler } from "../utils/index.js";
+import HttpStatus from "http-status-codes";
+
+/**
+ * Constants for image uploads.
+ */
+const UPLOAD_CONSTANTS = {
+  FIELD_NAME: "images",
+  MAX_FILES: 10,
+  DEFAULT_MAX_FILE_SIZE_MB: 5,
+  ALLOWED_TYPES: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+};
+
+const ERROR_MESSAGES = {
+  INVALID_FILE_TYPE: "Only JPEG, PNG, GIF and WebP images can be uploaded.",
+  FILE_TOO_LARGE: "Image is too large.",
+  TOO_MANY_FILES: `At most ${UPLOAD_CONSTANTS.MAX_FILES} images can be uploaded at once.`,
+  UNEXPECTED_FIELD: `Images must be sent in the "${UPLOAD_CONSTANTS.FIELD_NAME}" field.`,
+  UPLOAD_FAILED: "Image upload failed.",
+};
+
+const maxFileSizeMb = Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || UPLOAD_CONSTANTS.DEFAULT_MAX_FILE_SIZE_MB;
+
+// Files are kept in memory and handed to the storage adapter once checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: UPLOAD_CONSTANTS.MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (UPLOAD_CONSTANTS.ALLOWED_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(ERROR_MESSAGES.INVALID_FILE_TYPE));
+    }
+  },
+}).array(UPLOAD_CONSTANTS.FIELD_NAME, UPLOAD_CONSTANTS.MAX_FILES);
+
+/**
+ * Middleware that parses a multipart request with up to 10 images in the "images" field.
+ * Accepted files are left on req.files as in-memory buffers; bad uploads get a 400 response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const imageUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? `${ERROR_MESSAGES.FILE_TOO_LARGE} The limit is ${maxFileSizeMb} MB.`
+        : err.code === "LIMIT_FILE_COUNT"
+        ? ERROR_MESSAGES.TOO_MANY_FILES
+        : err.code === "LIMIT_UNEXPECTED_FILE"
+        ? ERROR_MESSAGES.UNEXPECTED_FIELD
+        : err.message === ERROR_MESSAGES.INVALID_FILE_TYPE
+        ? ERROR_MESSAGES.INVALID_FILE_TYPE
+        : ERROR_MESSAGES.UPLOAD_FAILED;
+    responseHandler(res, HttpStatus.BAD_REQUEST, "error", message, { error: err.message });
+  });
+};
@@ -1,6 +1,9 @@
 import { authenticationVerifier, isTokenBlacklisted, updateBlacklist, permissionVerifier, optionalVerifier, accessLevelVerifier, isAdminVerifier } from "./_verifyToken.js";
 import { clearCache, cacheMiddleware } from "./_caching.js";
 import { pagination } from "./_pagination.js";
+import { idempotency } from "./_idempotency.js";
+import { rateLimiter } from "./_rateLimiter.js";
+import { imageUpload } from "./_upload.js";
 // Export them from this index file
 export {
   authenticationVerifier,
@@ -12,5 +15,8 @@ export {
   clearCache,
   cacheMiddleware,
   optionalVerifier,
-  pagination
+  pagination,
+  idempotency,
+  rateLimiter,
+  imageUpload
 };
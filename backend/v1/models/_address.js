@@ -0,0 +1,247 @@
+import mongoose from "mongoose";
+
+// Mobile and landline numbers shared by the US and Canada (NANP)
+const NANP_PHONE = /^(?:\+?1)?[2-9]\d{2}[2-9]\d{6}$/;
+
+/**
+ * Address validation rules by country. Each entry lists the accepted names and ISO codes,
+ * the postal code and phone formats, the fields that must be filled in, and defaults
+ * applied to empty fields. Countries not listed fall back to DEFAULT_RULES.
+ */
+const ADDRESS_RULES = [
+    {
+        country: "Nigeria",
+        aliases: ["ng", "nga"],
+        postalCode: /^\d{6}$/,                          // e.g. 900001
+        phone: /^(?:\+234|0)[789][01]\d{8}$/,           // e.g. +2348012345678 or 08012345678
+        required: ["street", "phone", "landmark"],
+        defaults: { city: "FCT Abuja", state: "Abuja", zip: "900001" }
+    },
+    {
+        country: "Ghana",
+        aliases: ["gh", "gha"],
+        postalCode: /^[A-Z]{2}-?\d{3,4}-?\d{3,4}$/i,    // GhanaPost digital address, e.g. GA-183-8164
+        phone: /^(?:\+233|0)[235]\d{8}$/,               // e.g. +233241234567 or 0241234567
+        required: ["street", "city", "phone"],
+        defaults: {}
+    },
+    {
+        country: "Kenya",
+        aliases: ["ke", "ken"],
+        postalCode: /^\d{5}$/,                          // e.g. 00100
+        phone: /^(?:\+254|0)[17]\d{8}$/,                // e.g. +254712345678 or 0712345678
+        required: ["street", "city", "phone"],
+        defaults: {}
+    },
+    {
+        country: "South Africa",
+        aliases: ["za", "zaf"],
+        postalCode: /^\d{4}$/,                          // e.g. 2001
+        phone: /^(?:\+27|0)[1-8]\d{8}$/,                // e.g. +27821234567 or 0821234567
+        required: ["street", "city", "zip", "phone"],
+        defaults: {}
+    },
+    {
+        country: "United Kingdom",
+        aliases: ["uk", "gb", "gbr", "great britain"],
+        postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i, // e.g. SW1A 1AA
+        phone: /^(?:\+44|0)\d{9,10}$/,                  // e.g. +447911123456 or 07911123456
+        required: ["street", "city", "zip", "phone"],
+        defaults: {}
+    },
+    {
+        country: "United States",
+        aliases: ["us", "usa", "united states of america"],
+        postalCode: /^\d{5}(?:-\d{4})?$/,               // e.g. 94105 or 94105-1234
+        phone: NANP_PHONE,                              // e.g. +14155552671
+        required: ["street", "city", "state", "zip", "phone"],
+        defaults: {}
+    },
+    {
+        country: "Canada",
+        aliases: ["ca", "can"],
+        postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,       // e.g. K1A 0B1
+        phone: NANP_PHONE,                              // e.g. +16135550123
+        required: ["street", "city", "state", "zip", "phone"],
+        defaults: {}
+    }
+];
+
+/**
+ * Rules for countries without an entry: any alphanumeric postal code and an
+ * international (E.164) phone number.
+ */
+const DEFAULT_RULES = {
+    country: null,
+    aliases: [],
+    postalCode: /^[A-Z0-9][A-Z0-9 -]{1,9}$/i,
+    phone: /^\+[1-9]\d{6,14}$/,                         // e.g. +33612345678
+    required: ["street", "city", "phone"],
+    defaults: {}
+};
+
+// Used when an address has no country
+const DEFAULT_COUNTRY = "Nigeria";
+
+/**
+ * Finds the validation rules for a country name or ISO code.
+ * @param {string} [country] - Country name or code; defaults to Nigeria.
+ * @returns {Object} Address rules.
+ */
+const getAddressRules = (country) => {
+    const name = (country || DEFAULT_COUNTRY).trim().toLowerCase();
+    return (
+        ADDRESS_RULES.find((rules) => rules.country.toLowerCase() === name || rules.aliases.includes(name)) ||
+        DEFAULT_RULES
+    );
+};
+
+/**
+ * Turns a country name or ISO code into the lower-case key rates are stored and looked up under.
+ * Known countries use their canonical name, so "NG", "ng" and "Nigeria" all give "nigeria".
+ * @param {string} [country] - Country name or code; defaults to Nigeria.
+ * @returns {string} Lower-case country key.
+ */
+const normalizeCountry = (country) => {
+    const rules = getAddressRules(country);
+    return (rules.country || country || DEFAULT_COUNTRY).trim().toLowerCase();
+};
+
+/**
+ * Normalizes an address in place: fills in the country, uses the canonical
+ * country name, applies the country's defaults and strips phone formatting.
+ * @param {Object} address - Address object or subdocument.
+ * @returns {Object} The same address.
+ */
+const normalizeAddress = (address) => {
+    if (!address.country) address.country = DEFAULT_COUNTRY;
+    const rules = getAddressRules(address.country);
+    if (rules.country) address.country = rules.country;
+
+    for (const [field, value] of Object.entries(rules.defaults)) {
+        if (!address[field]) address[field] = value;
+    }
+    if (typeof address.phone === "string") {
+        address.phone = address.phone.replace(/[\s().-]/g, "");
+    }
+    return address;
+};
+
+/**
+ * Checks an address against its country's rules.
+ * @param {Object} address - Normalized address.
+ * @returns {Object} Error messages keyed by field; empty when the address is valid.
+ */
+const validateAddress = (address) => {
+    const rules = getAddressRules(address.country);
+    const countryName = rules.country || address.country;
+    const errors = {};
+
+    for (const field of rules.required) {
+        if (!address[field] || !String(address[field]).trim()) {
+            errors[field] = `${field} is required for addresses in ${countryName}`;
+        }
+    }
+    if (address.zip && !rules.postalCode.test(address.zip)) {
+        errors.zip = `Invalid postal code for ${countryName}`;
+    }
+    if (address.phone && !rules.phone.test(address.phone)) {
+        errors.phone = `Invalid phone number for ${countryName}`;
+    }
+    return errors;
+};
+
+/**
+ * Address fields shared by order shipping addresses and saved user addresses,
+ * so both are validated the same way. Formats and required fields depend on
+ * the country and are checked by the validate hook below.
+ */
+const ADDRESS_FIELDS = {
+    street: {
+        type: String,
+        trim: true,           // Remove leading/trailing whitespace
+        minlength: 3,         // Minimum length for street
+        maxlength: 200        // Maximum length for street
+    },
+    city: {
+        type: String,
+        trim: true,           // Remove whitespace
+        maxlength: 100        // Maximum length for city
+    },
+    state: {
+        type: String,
+        trim: true,           // Remove whitespace
+        maxlength: 100        // Maximum length for state or province
+    },
+    zip: {
+        type: String,
+        trim: true,           // Remove whitespace
+        maxlength: 10         // Longest supported postal code
+    },
+    country: {
+        type: String,
+        trim: true,           // Remove whitespace
+        maxlength: 100,       // Maximum length for country
+        default: DEFAULT_COUNTRY
+    },
+    phone: {
+        type: String,
+        trim: true,           // Remove whitespace
+        maxlength: 16         // Longest E.164 number with leading +
+    },
+    landmark: {
+        type: String,
+        trim: true,           // Remove whitespace
+        minlength: 3,         // Minimum length if provided
+        maxlength: 200        // Maximum length for landmark
+    }
+};
+
+/**
+ * Validate hook applying the country rules to an address subdocument.
+ */
+function applyAddressRules(next) {
+    normalizeAddress(this);
+    for (const [field, message] of Object.entries(validateAddress(this))) {
+        this.invalidate(field, message, this[field]);
+    }
+    next();
+}
+
+/**
+ * Mongoose schema for an address embedded in another document.
+ */
+const AddressSchema = new mongoose.Schema(ADDRESS_FIELDS, { _id: false });
+AddressSchema.pre("validate", applyAddressRules);
+
+/**
+ * Mongoose schema for an address saved in a user's address book.
+ */
+const SavedAddressSchema = new mongoose.Schema(
+    {
+        label: {
+            type: String,
+            trim: true,           // Remove whitespace
+            maxlength: 50,        // Short name such as "Home" or "Office"
+            default: "Home"
+        },
+        ...ADDRESS_FIELDS,
+        isDefault: {
+            type: Boolean,
+            default: false        // Address used when none is chosen
+        }
+    },
+    { timestamps: true }          // Adds createdAt and updatedAt fields
+);
+SavedAddressSchema.pre("validate", applyAddressRules);
+
+export {
+    ADDRESS_FIELDS,
+    ADDRESS_RULES,
+    AddressSchema,
+    SavedAddressSchema,
+    getAddressRules,
+    normalizeAddress,
+    normalizeCountry,
+    validateAddress
+};
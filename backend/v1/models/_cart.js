@@ -22,6 +22,10 @@ const CartSchema = new mongoose.Schema(
                     ref: "Product", // References the Product model
                     required: true, // Ensures every cart item references a product
                 },
+                variantId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    default: null, // Product variant (size, colour...) for products that have them
+                },
                 quantity: {
                     type: Number,
                     default: 1, // Default quantity for a product
@@ -29,6 +33,11 @@ const CartSchema = new mongoose.Schema(
                 },
             },
         ],
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Coupon",  // Coupon applied to the cart, redeemed at checkout
+            default: null,
+        },
         lastUpdated: {
             type: Date,
             default: Date.now, // Automatically set to current date/time
@@ -69,4 +78,4 @@ CartSchema.set("toObject", { virtuals: true });
  * Mongoose model for the Cart collection.
  * @type {mongoose.Model}
  */
-export default mongoose.model("Cart", CartSchema);
+export default mongoose.model("Cart", CartSchema);
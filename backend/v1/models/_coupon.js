@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for a coupon (discount code).
+ * A coupon takes either a percentage or a fixed amount off the eligible items of an order,
+ * optionally restricted to some products or categories, within a date range and usage limits.
+ */
+const CouponSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: true,           // Code customers enter at checkout
+            unique: true,
+            trim: true,
+            uppercase: true,          // Codes are case-insensitive
+            minlength: 3,
+            maxlength: 30,
+            match: /^[A-Z0-9_-]+$/i
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 200
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ["percentage", "fixed"] // Percentage off, or a fixed amount off
+        },
+        value: {
+            type: Number,
+            required: true,
+            min: 0,
+            validate: {
+                validator: function (value) {
+                    return this.type !== "percentage" || value <= 100;
+                },
+                message: "Percentage discounts cannot exceed 100"
+            }
+        },
+        maxDiscount: {
+            type: Number,
+            min: 0,
+            default: null             // Cap on a percentage discount (null means no cap)
+        },
+        minOrderValue: {
+            type: Number,
+            min: 0,
+            default: 0                // Order subtotal required before the coupon applies
+        },
+        applicableProducts: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Product"        // Products the coupon is limited to
+            }
+        ],
+        applicableCategories: {
+            type: [String],           // Categories the coupon is limited to
+            default: [],
+            set: (categories) => (Array.isArray(categories) ? categories : [categories]).map((category) => String(category).trim().toLowerCase())
+        },
+        usageLimit: {
+            type: Number,
+            min: 1,
+            default: null             // Total redemptions allowed (null means unlimited)
+        },
+        perUserLimit: {
+            type: Number,
+            min: 1,
+            default: 1                // Redemptions allowed per customer (null means unlimited)
+        },
+        usedCount: {
+            type: Number,
+            min: 0,
+            default: 0                // Redemptions so far
+        },
+        redemptions: [
+            {
+                userId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                    required: true
+                },
+                orderId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Order",
+                    required: true
+                },
+                discount: {
+                    type: Number,
+                    min: 0
+                },
+                redeemedAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+        startsAt: {
+            type: Date,
+            default: null             // Coupon is valid from this date (null means immediately)
+        },
+        expiresAt: {
+            type: Date,
+            default: null             // Coupon is valid until this date (null means no expiry)
+        },
+        isActive: {
+            type: Boolean,
+            default: true,            // Inactive coupons cannot be applied
+            index: true
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+CouponSchema.index({ "redemptions.userId": 1 });
+
+/**
+ * Mongoose model for the Coupon collection.
+ * @type {mongoose.Model}
+ */
+const Coupon = mongoose.model("Coupon", CouponSchema);
+
+export default Coupon;
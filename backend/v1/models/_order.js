@@ -1,4 +1,39 @@
 import mongoose from "mongoose";
+import { AddressSchema } from "./_address.js";
+
+/**
+ * Allowed order status transitions.
+ * Orders only become paid through payment confirmation, which moves them from pending itself.
+ * Cancellation is only possible before an order ships; delivered and cancelled are final.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ["processing", "cancelled"],
+    paid: ["processing", "cancelled"],
+    processing: ["shipped", "cancelled"],
+    shipped: ["delivered"],
+    delivered: [],
+    cancelled: []
+};
+
+/**
+ * Discount an automatic promotion gave, on a line or across the order.
+ */
+const PromotionDiscountSchema = new mongoose.Schema(
+    {
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Promotion"
+        },
+        name: {
+            type: String              // Promotion name, kept if the promotion is later deleted
+        },
+        discount: {
+            type: Number,
+            min: 0
+        }
+    },
+    { _id: false }
+);
 
 /**
  * Mongoose schema for an order.
@@ -18,79 +53,238 @@ const OrderSchema = new mongoose.Schema(
                     ref: "Product",       // References the Product model
                     required: true        // Ensures each item references a product
                 },
+                variantId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    default: null         // Variant ordered, for products with variants
+                },
+                sku: {
+                    type: String          // Variant SKU at the time of purchase
+                },
+                options: {
+                    type: Map,
+                    of: String            // Variant options at the time of purchase (e.g., size, colour)
+                },
                 quantity: {
                     type: Number,
                     default: 1,           // Defaults to 1 item if not specified
                     min: 1                // Prevents negative or zero quantities
+                },
+                name: {
+                    type: String          // Product name at the time of purchase
+                },
+                price: {
+                    type: Number,
+                    min: 0                // Unit price at the time of purchase
+                },
+                image: {
+                    type: String          // Product image at the time of purchase
+                },
+                category: {
+                    type: String          // Product category at the time of purchase
+                },
+                discount: {
+                    type: Number,
+                    default: 0,           // Promotion and coupon discount taken off this line (whole line, not per unit)
+                    min: 0
+                },
+                promotions: [PromotionDiscountSchema], // Automatic promotions behind this line's discount
+                taxRate: {
+                    type: Number,
+                    default: 0,           // Tax percentage applied to this line
+                    min: 0
+                },
+                tax: {
+                    type: Number,
+                    default: 0,           // Tax on this line after discounts
+                    min: 0
                 }
             }
         ],
         amount: {
             type: Number,
-            required: true,           // Total order amount must be provided
+            required: true,           // Amount payable: total less store credit
             min: 0                    // Ensures amount is non-negative
         },
-        address: {
+        subtotal: {
+            type: Number,
+            default: 0,               // Line totals before discounts
+            min: 0
+        },
+        tax: {
+            type: Number,
+            default: 0,               // Tax on the discounted lines
+            min: 0
+        },
+        taxMode: {
+            type: String,
+            enum: ["inclusive", "exclusive"],
+            default: "exclusive"      // Whether tax was included in prices or added on top
+        },
+        total: {
+            type: Number,
+            default: 0,               // Subtotal less discount, plus shipping and (exclusive mode) tax
+            min: 0
+        },
+        shippingFee: {
+            type: Number,
+            default: 0,               // Shipping charged for the order
+            min: 0
+        },
+        discount: {
+            type: Number,
+            default: 0,               // Promotion and coupon discounts taken off the order total
+            min: 0
+        },
+        promotions: [PromotionDiscountSchema], // Automatic promotions applied to the order, with their totals
+        coupon: {
             type: {
-                street: {
-                    type: String,
-                    required: true,       // Street is mandatory
-                    trim: true,           // Remove leading/trailing whitespace
-                    minlength: 3,         // Minimum length for street
-                    maxlength: 200        // Maximum length for street
+                couponId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Coupon"
+                },
+                code: {
+                    type: String          // Code as redeemed, kept if the coupon is later deleted
                 },
-                city: {
+                discount: {
+                    type: Number,
+                    min: 0
+                }
+            },
+            _id: false,
+            default: null             // Coupon redeemed on the order, if any
+        },
+        creditApplied: {
+            type: Number,
+            default: 0,               // Store credit deducted from the order total
+            min: 0
+        },
+        address: {
+            type: AddressSchema,          // Shipping address, validated by the shared address schema
+            required: true                // Ensure address object is provided
+        },
+        status: {
+            type: String,
+            enum: ["pending", "paid", "processing", "shipped", "delivered", "cancelled"],
+                                      // Restricts status to valid states
+            default: "pending"        // Initial status for new orders
+        },
+        statusHistory: [
+            {
+                from: {
                     type: String,
-                    required: false,      // City is optional
-                    trim: true,           // Remove whitespace
-                    maxlength: 100,       // Maximum length for city
-                    default: "FCT Abuja"  // Default to FCT Abuja
+                    default: null         // Previous status (null for the initial entry)
                 },
-                state: {
+                status: {
                     type: String,
-                    required: false,      // State is optional
-                    trim: true,           // Remove whitespace
-                    maxlength: 100,       // Maximum length for state
-                    default: "Abuja"      // Default to Abuja
+                    required: true        // Status the order moved to
                 },
-                zip: {
+                changedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",          // User who made the change (null for system updates)
+                    default: null
+                },
+                note: {
                     type: String,
-                    required: false,      // Zip code is optional
-                    trim: true,           // Remove whitespace
-                    match: /^\d{6}$/,     // Nigerian 6-digit postal code (e.g., 900001)
-                    default: "900001"     // Default to Abuja postal code
+                    trim: true,
+                    maxlength: 500        // Optional explanation for the change
                 },
-                country: {
+                changedAt: {
+                    type: Date,
+                    default: Date.now     // When the transition happened
+                }
+            }
+        ],
+        cancellation: {
+            reasonCode: {
+                type: String,
+                enum: ["changed_mind", "ordered_by_mistake", "found_better_price", "delivery_too_slow", "other"]
+                                          // Why the order was cancelled
+            },
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: 500            // Optional free-text explanation
+            },
+            cancelledBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User"               // Customer or admin who cancelled the order
+            },
+            cancelledAt: {
+                type: Date                // When the order was cancelled
+            }
+        },
+        refunds: [
+            {
+                items: [
+                    {
+                        productId: {
+                            type: mongoose.Schema.Types.ObjectId,
+                            ref: "Product", // References the refunded product
+                            required: true
+                        },
+                        variantId: {
+                            type: mongoose.Schema.Types.ObjectId,
+                            default: null // Refunded variant, for products with variants
+                        },
+                        quantity: {
+                            type: Number,
+                            required: true,
+                            min: 1        // At least one unit per refunded line
+                        },
+                        amount: {
+                            type: Number,
+                            required: true,
+                            min: 0        // Amount refunded for this line
+                        }
+                    }
+                ],
+                amount: {
+                    type: Number,
+                    required: true,       // Total refunded in this operation
+                    min: 0
+                },
+                method: {
                     type: String,
-                    required: false,      // Country is optional
-                    trim: true,           // Remove whitespace
-                    maxlength: 100,       // Maximum length for country
-                    default: "Nigeria"    // Default to Nigeria
+                    enum: ["card", "store_credit"],
+                    required: true        // How the customer is paid back
                 },
-                phone: {
+                status: {
                     type: String,
-                    required: true,      // Phone number is optional
-                    trim: true,           // Remove whitespace
-                    match: /^(?:\+234|0)[789]\d{8}$/, // Nigerian phone number (e.g., +2349012345678 or 09012345678)
-                    maxlength: 13,        // Maximum length for phone number
-                    default: null         // Default to null
+                    enum: ["pending", "processed", "failed"],
+                    default: "pending"    // Card refunds settle asynchronously
+                },
+                providerReference: {
+                    type: String          // Refund ID from the payment provider (card only)
                 },
-                landmark: {
+                reason: {
                     type: String,
-                    required: true,      // Landmark is optional
-                    trim: true,           // Remove whitespace
-                    minlength: 3,         // Minimum length if provided
-                    maxlength: 200,       // Maximum length for landmark
-                    default: null         // Default to null
+                    trim: true,
+                    maxlength: 500        // Optional note from the admin
+                },
+                refundedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User"           // Admin who issued the refund
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now     // When the refund was issued
                 }
-            },
-            required: true                // Ensure address object is provided
+            }
+        ],
+        refundedAmount: {
+            type: Number,
+            default: 0,               // Running total of all refunds
+            min: 0
         },
-        status: {
+        paymentReference: {
             type: String,
-            enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
-                                      // Restricts status to valid states
-            default: "pending"        // Initial status for new orders
+            index: true,              // Reference of the latest payment attempt; callbacks resolve orders through Payment
+            sparse: true              // Only set once a payment is initialized
+        },
+        currency: {
+            type: String,
+            trim: true,               // Remove whitespace
+            lowercase: true           // Store currency the order was priced in at checkout (e.g., ngn)
         },
         version: {
             type: Number,
@@ -112,6 +306,16 @@ OrderSchema.virtual('totalItems').get(function () {
     return this.products.reduce((total, item) => total + item.quantity, 0);
 });
 
+/**
+ * Checks whether an order may move from one status to another.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+OrderSchema.statics.canTransition = function (from, to) {
+    return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 // Enable virtuals in JSON and object output
 OrderSchema.set('toJSON', { virtuals: true });    // Includes virtuals in JSON responses
 OrderSchema.set('toObject', { virtuals: true });  // Includes virtuals in object conversions
@@ -120,4 +324,4 @@ OrderSchema.set('toObject', { virtuals: true });  // Includes virtuals in object
  * Mongoose model for the Order collection.
  * @type {mongoose.Model}
  */
-export default mongoose.model("Order", OrderSchema);
+export default mongoose.model("Order", OrderSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for a payment transaction.
+ * Records each provider transaction against an order for later lookup and reconciliation.
+ */
+const PaymentSchema = new mongoose.Schema(
+    {
+        orderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",             // References the Order model
+            required: true,           // Every payment belongs to an order
+            index: true               // Optimizes lookups by order
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",              // References the User model
+            required: true,           // Every payment belongs to a user
+            index: true               // Optimizes customer payment history queries
+        },
+        provider: {
+            type: String,
+            required: true,           // Payment provider (e.g., paystack)
+            trim: true,               // Remove whitespace
+            lowercase: true           // Normalize provider names
+        },
+        reference: {
+            type: String,
+            required: true,           // Provider transaction reference
+            unique: true,             // One record per provider transaction
+            trim: true                // Remove whitespace
+        },
+        accessCode: {
+            type: String              // Provider checkout access code (optional)
+        },
+        amount: {
+            type: Number,
+            required: true,           // Amount charged in major units
+            min: 0                    // Ensures amount is non-negative
+        },
+        currency: {
+            type: String,
+            required: true,           // Currency of the transaction
+            trim: true,               // Remove whitespace
+            lowercase: true           // Normalize currency codes (e.g., ngn)
+        },
+        status: {
+            type: String,
+            enum: ["pending", "success", "failed", "abandoned"],
+                                      // Restricts status to valid states
+            default: "pending"        // Initial status for new transactions
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0,               // Total refunded back through the provider
+            min: 0
+        },
+        refundKeys: {
+            type: [String],
+            default: []               // Idempotency keys of the refunds counted in refundedAmount
+        },
+        paidAt: {
+            type: Date                // Set once the provider confirms the charge
+        },
+        flagReason: {
+            type: String,
+            default: null             // Why an admin needs to act on the payment (e.g., a refund that failed)
+        },
+        providerResponse: {
+            type: mongoose.Schema.Types.Mixed // Raw payload from the latest provider response
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+/**
+ * Mongoose model for the Payment collection.
+ * @type {mongoose.Model}
+ */
+const Payment = mongoose.model("Payment", PaymentSchema);
+
+export default Payment;
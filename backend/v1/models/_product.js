@@ -1,5 +1,105 @@
 import mongoose from "mongoose";
 
+// Image URLs, external or from the upload storage
+const IMAGE_URL_PATTERN = /^https?:\/\/.+\.(png|jpg|jpeg|gif|webp)$/i;
+
+/**
+ * Mongoose schema for a product image.
+ * Images are kept in display order; exactly one is the primary image once any exist.
+ */
+const ImageSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,           // Public URL of the original upload
+        match: IMAGE_URL_PATTERN
+    },
+    key: {
+        type: String,
+        required: true            // Storage key of the original, used to read and delete it
+    },
+    thumbnailUrl: {
+        type: String,
+        default: null             // Set by the thumbnail job once generated
+    },
+    thumbnailKey: {
+        type: String,
+        default: null
+    },
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: 250,           // Alternative text for screen readers
+        default: ""
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false            // Shown in listings, carts and orders
+    },
+    contentType: {
+        type: String,
+        enum: ["image/jpeg", "image/png", "image/gif", "image/webp"]
+    },
+    width: { type: Number },
+    height: { type: Number }
+});
+
+/**
+ * Mongoose schema for a product variant.
+ * Each variant is its own SKU (e.g., a size and colour of a clothing item) with its own stock,
+ * and may override the product's price and image.
+ */
+const VariantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: true,           // Stock keeping unit, unique across the catalogue
+        trim: true,
+        uppercase: true,
+        maxlength: 64
+    },
+    options: {
+        type: Map,
+        of: String,               // Option attributes, e.g. { size: "M", colour: "Red" }
+        default: {}
+    },
+    price: {
+        type: Number,
+        min: 0,
+        max: 1000000,
+        default: null             // Overrides the product price when set
+    },
+    stock: {
+        type: Number,
+        min: 0,                   // On-hand units of this variant
+        max: 100000,
+        default: 0
+    },
+    reserved: {
+        type: Number,
+        min: 0,                   // Units held by active cart reservations
+        default: 0                // Maintained by StockService, never set directly
+    },
+    image: {
+        type: String,
+        match: IMAGE_URL_PATTERN, // Falls back to the product image when unset
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true             // Inactive variants cannot be added to carts
+    }
+});
+
+/**
+ * Virtual property for the units of a variant that can still be added to carts.
+ * @returns {number} Available units
+ */
+VariantSchema.virtual("available").get(function () {
+    return Math.max((this.stock || 0) - (this.reserved || 0), 0);
+});
+
+VariantSchema.set("toJSON", { virtuals: true });
+VariantSchema.set("toObject", { virtuals: true });
+
 /**
  * Mongoose schema for a product.
  * Defines product details with strict validation.
@@ -37,8 +137,21 @@ const ProductSchema = new mongoose.Schema({
     },
     image: { 
         type: String, 
-        required: true,           // Image URL is mandatory
-        match: /^https?:\/\/.+\.(png|jpg|jpeg|gif)$/i // Validate image URL format
+        match: IMAGE_URL_PATTERN, // Validate image URL format
+        default: null             // Primary image URL; kept in step with images once any are uploaded
+    },
+    externalImage: {
+        type: String,
+        match: IMAGE_URL_PATTERN, // Image URL the product had before its first upload
+        default: null             // Restored as the product image once every upload is deleted
+    },
+    images: {
+        type: [ImageSchema],      // Uploaded images in display order
+        default: [],
+        validate: {
+            validator: (images) => images.length === 0 || images.filter((image) => image.isPrimary).length === 1,
+            message: "Exactly one image must be primary"
+        }
     },
     stock: { 
         type: Number, 
@@ -47,12 +160,67 @@ const ProductSchema = new mongoose.Schema({
         max: 100000,              // Reasonable upper limit for stock
         default: 0                // Defaults to 0 if not specified
     },
+    reserved: {
+        type: Number,
+        min: 0,                   // Units held by active cart reservations
+        default: 0                // Maintained by StockService, never set directly
+    },
+    variants: {
+        type: [VariantSchema],    // Sizes, colours etc.; when present, stock and reserved are their totals
+        default: [],
+        validate: {
+            validator: (variants) => new Set(variants.map((variant) => variant.sku)).size === variants.length,
+            message: "Variant SKUs must be unique"
+        }
+    },
+    lowStockThreshold: {
+        type: Number,
+        min: 0,                   // Admins are alerted once on-hand stock falls to this level
+        max: 100000,
+        default: 5
+    },
+    weight: {
+        type: Number,
+        min: 0,                   // Shipping weight in kilograms
+        max: 1000,                // Reasonable upper limit for a single item
+        default: 0                // Weightless until set by an admin
+    },
     version: { 
         type: Number, 
         default: 0                // Supports optimistic locking in MongoDB
     }
 }, { timestamps: true });         // Adds createdAt and updatedAt fields
 
+/**
+ * Virtual property for the units that can still be added to carts.
+ * On-hand stock less what active reservations hold.
+ * @returns {number} Available units
+ */
+ProductSchema.virtual("available").get(function () {
+    return Math.max((this.stock || 0) - (this.reserved || 0), 0);
+});
+
+// Configure schema to include virtuals in JSON and object conversions
+ProductSchema.set("toJSON", { virtuals: true });
+ProductSchema.set("toObject", { virtuals: true });
+
+// Looks up products by variant SKU; SKUs must not repeat across products
+ProductSchema.index(
+    { "variants.sku": 1 },
+    { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+/**
+ * Finds a variant on a product document or lean product.
+ * @param {Object} product - Product with variants
+ * @param {string} variantId - Variant ID
+ * @returns {Object|null} Variant, or null if the product has no such variant
+ */
+ProductSchema.statics.findVariant = function (product, variantId) {
+    if (!variantId) return null;
+    return (product.variants || []).find((variant) => variant._id.toString() === variantId.toString()) || null;
+};
+
 /**
  * Mongoose model for the Product collection.
  * @type {mongoose.Model}
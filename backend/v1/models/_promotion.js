@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for an automatic promotion.
+ * Promotions apply to carts and orders without a code:
+ * - percentage_off: a percentage off every eligible item (e.g. 20% off clothing)
+ * - buy_x_get_y: for every buyQuantity eligible items, the next getQuantity cheapest are free
+ * - spend_tier: a discount on the eligible subtotal, from the highest tier reached
+ */
+const PromotionSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,           // Shown to customers next to the discount
+            trim: true,
+            minlength: 3,
+            maxlength: 100
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 300
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ["percentage_off", "buy_x_get_y", "spend_tier"]
+        },
+        value: {
+            type: Number,
+            min: 0,
+            max: 100,                 // Percentage off, for percentage_off promotions
+            required: function () {
+                return this.type === "percentage_off";
+            }
+        },
+        buyQuantity: {
+            type: Number,
+            min: 1,                   // Items bought, for buy_x_get_y promotions
+            required: function () {
+                return this.type === "buy_x_get_y";
+            }
+        },
+        getQuantity: {
+            type: Number,
+            min: 1,                   // Items given free, for buy_x_get_y promotions
+            required: function () {
+                return this.type === "buy_x_get_y";
+            }
+        },
+        tierType: {
+            type: String,
+            enum: ["percentage", "fixed"],
+            default: "fixed"          // Whether tier values are a percentage or an amount off
+        },
+        tiers: {
+            type: [
+                {
+                    minSpend: {
+                        type: Number,
+                        required: true,   // Eligible subtotal needed to reach the tier
+                        min: 0
+                    },
+                    value: {
+                        type: Number,
+                        required: true,   // Percentage or amount off at this tier
+                        min: 0
+                    }
+                }
+            ],
+            default: [],
+            validate: {
+                validator: function (tiers) {
+                    return this.type !== "spend_tier" || tiers.length > 0;
+                },
+                message: "Spend tier promotions need at least one tier"
+            }
+        },
+        applicableProducts: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Product"        // Products the promotion is limited to
+            }
+        ],
+        applicableCategories: {
+            type: [String],           // Categories the promotion is limited to
+            default: [],
+            set: (categories) => (Array.isArray(categories) ? categories : [categories]).map((category) => String(category).trim().toLowerCase())
+        },
+        priority: {
+            type: Number,
+            default: 0                // Higher priority promotions are applied first
+        },
+        startsAt: {
+            type: Date,
+            default: null             // Promotion runs from this date (null means immediately)
+        },
+        endsAt: {
+            type: Date,
+            default: null             // Promotion runs until this date (null means no end)
+        },
+        isActive: {
+            type: Boolean,
+            default: true,            // Inactive promotions are never applied
+            index: true
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+// Keep tiers ordered from lowest to highest spend
+PromotionSchema.pre("save", function (next) {
+    this.tiers.sort((a, b) => a.minSpend - b.minSpend);
+    next();
+});
+
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+/**
+ * Mongoose model for the Promotion collection.
+ * @type {mongoose.Model}
+ */
+const Promotion = mongoose.model("Promotion", PromotionSchema);
+
+export default Promotion;
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for a return merchandise authorization (RMA).
+ * Tracks a customer's request to send back items from a delivered order.
+ */
+const ReturnSchema = new mongoose.Schema(
+    {
+        orderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",             // References the Order model
+            required: true,           // Every return belongs to an order
+            index: true               // Optimizes lookups by order
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",              // References the User model
+            required: true,           // Customer who requested the return
+            index: true               // Optimizes customer return history queries
+        },
+        items: [
+            {
+                productId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Product",   // Returned product
+                    required: true
+                },
+                variantId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    default: null     // Returned variant, for products with variants
+                },
+                name: {
+                    type: String      // Product name copied from the order line
+                },
+                quantity: {
+                    type: Number,
+                    required: true,
+                    min: 1            // At least one unit per returned line
+                }
+            }
+        ],
+        reason: {
+            type: String,
+            required: true,           // Why the customer is returning the items
+            trim: true,
+            maxlength: 500
+        },
+        refundMethod: {
+            type: String,
+            enum: ["card", "store_credit"],
+            default: "store_credit"   // How the customer wants to be refunded
+        },
+        status: {
+            type: String,
+            enum: ["requested", "approved", "rejected", "received"],
+            default: "requested"      // Initial status for new returns
+        },
+        adminNote: {
+            type: String,
+            trim: true,
+            maxlength: 500            // Optional note from the reviewing admin
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"               // Admin who approved or rejected the return
+        },
+        reviewedAt: {
+            type: Date                // When the return was approved or rejected
+        },
+        receivedAt: {
+            type: Date                // When the returned items arrived
+        },
+        refundAmount: {
+            type: Number,
+            min: 0                    // Amount refunded once the items were received
+        },
+        refundReference: {
+            type: String              // Provider refund reference for card refunds
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+/**
+ * Mongoose model for the Return collection.
+ * @type {mongoose.Model}
+ */
+const Return = mongoose.model("Return", ReturnSchema);
+
+export default Return;
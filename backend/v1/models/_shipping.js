@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+/**
+ * Allowed shipment status transitions.
+ * A shipment can only be cancelled before it leaves the warehouse; delivered and cancelled are final.
+ */
+const SHIPPING_STATUS_TRANSITIONS = {
+    pending: ['shipped', 'cancelled'],
+    shipped: ['in-transit', 'delivered'],
+    'in-transit': ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
 /**
  * Mongoose schema for shipping details.
  * Tracks shipping information related to an order.
@@ -8,7 +20,8 @@ const ShippingSchema = new mongoose.Schema({
     orderId: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,           // Must link to an order
-        ref: 'Order'              // References the Order model
+        ref: 'Order',             // References the Order model
+        index: true               // Optimizes lookups by order
     },
     trackingNumber: {
         type: String,
@@ -30,13 +43,55 @@ const ShippingSchema = new mongoose.Schema({
     },
     actualDeliveryDate: {
         type: Date                // Date of actual delivery (optional)
+    },
+    trackingEvents: [
+        {
+            status: {
+                type: String,
+                enum: ['pending', 'shipped', 'in-transit', 'delivered', 'cancelled']
+                                  // Shipment status at the time of the event (optional)
+            },
+            description: {
+                type: String,
+                required: true,   // What happened (e.g., "Arrived at Lagos hub")
+                trim: true,
+                maxlength: 500
+            },
+            location: {
+                type: String,
+                trim: true        // Where it happened (optional)
+            },
+            occurredAt: {
+                type: Date,
+                default: Date.now // When the event happened
+            },
+            source: {
+                type: String,
+                enum: ['system', 'admin', 'carrier'],
+                default: 'admin'  // Who reported the event
+            }
+        }
+    ],
+    version: {
+        type: Number,
+        default: 0                // Supports optimistic concurrency control
     }
 }, { timestamps: true });         // Adds createdAt and updatedAt fields
 
+/**
+ * Checks whether a shipment may move from one status to another.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+ShippingSchema.statics.canTransition = function (from, to) {
+    return (SHIPPING_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 /**
  * Mongoose model for the Shipping collection.
  * @type {mongoose.Model}
  */
 const Shipping = mongoose.model('Shipping', ShippingSchema);
 
-export default Shipping;
+export default Shipping;
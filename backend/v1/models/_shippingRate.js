@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { normalizeCountry } from "./_address.js";
+
+/**
+ * Mongoose schema for a shipping rate.
+ * Defines the fees for one delivery zone, keyed on country and optionally a list of states,
+ * with a fee per weight bracket and an optional free-shipping threshold.
+ */
+const ShippingRateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,           // Zone name shown to admins (e.g., "Lagos metro")
+            trim: true,
+            minlength: 2,
+            maxlength: 100
+        },
+        country: {
+            type: String,
+            required: true,           // Country the zone covers
+            maxlength: 100,
+            set: normalizeCountry     // Canonical lower-case name, so codes and names match addresses
+        },
+        states: {
+            type: [String],           // States covered; empty means the whole country
+            default: [],
+            set: (states) => (Array.isArray(states) ? states : [states]).map((state) => String(state).trim().toLowerCase())
+        },
+        brackets: {
+            type: [
+                {
+                    maxWeight: {
+                        type: Number,
+                        required: true,   // Upper weight limit (kg) for this bracket
+                        min: 0
+                    },
+                    fee: {
+                        type: Number,
+                        required: true,   // Fee charged up to maxWeight
+                        min: 0
+                    }
+                }
+            ],
+            validate: {
+                validator: (brackets) => brackets.length > 0,
+                message: "At least one weight bracket is required"
+            }
+        },
+        additionalFeePerKg: {
+            type: Number,
+            min: 0,
+            default: 0                // Charged per kg above the heaviest bracket
+        },
+        freeShippingThreshold: {
+            type: Number,
+            min: 0,
+            default: null             // Order subtotal at which shipping is free (null disables it)
+        },
+        isActive: {
+            type: Boolean,
+            default: true,            // Inactive zones are ignored when quoting
+            index: true
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+// Keep brackets ordered from lightest to heaviest
+ShippingRateSchema.pre("save", function (next) {
+    this.brackets.sort((a, b) => a.maxWeight - b.maxWeight);
+    next();
+});
+
+ShippingRateSchema.index({ country: 1, states: 1 });
+
+/**
+ * Mongoose model for the ShippingRate collection.
+ * @type {mongoose.Model}
+ */
+const ShippingRate = mongoose.model("ShippingRate", ShippingRateSchema);
+
+export default ShippingRate;
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+/**
+ * Reasons a product's stock can move.
+ * @type {string[]}
+ */
+export const STOCK_MOVEMENT_REASONS = ["cart_add", "cart_remove", "order", "cancel", "return", "manual_adjust", "expiry"];
+
+/**
+ * Mongoose schema for a stock movement.
+ * One append-only ledger entry per change to a product's on-hand or reserved count,
+ * with the reason, the document that caused it and who made it.
+ */
+const StockMovementSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",           // Product whose stock moved
+            required: true
+        },
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null             // Variant whose stock moved, for products with variants
+        },
+        delta: {
+            type: Number,
+            required: true            // Units added (positive) or removed (negative)
+        },
+        affects: {
+            type: String,
+            enum: ["on_hand", "reserved"],
+            default: "on_hand"        // Which count the delta applies to
+        },
+        reason: {
+            type: String,
+            enum: STOCK_MOVEMENT_REASONS,
+            required: true
+        },
+        referenceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null             // Cart, order or product the movement came from
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",              // Who caused the movement (null for guests and scheduled jobs)
+            default: null
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 500            // Free-text reason, required for manual adjustments
+        },
+        stockAfter: {
+            type: Number              // On-hand count after the movement (of the variant, if any)
+        },
+        reservedAfter: {
+            type: Number              // Reserved count after the movement (of the variant, if any)
+        }
+    },
+    { timestamps: { createdAt: true, updatedAt: false } } // Entries are never updated
+);
+
+StockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+// The ledger is append-only: block every query that would change or remove entries
+StockMovementSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"],
+    function (next) {
+        next(new Error("Stock movements are append-only"));
+    }
+);
+
+/**
+ * Mongoose model for the StockMovement collection.
+ * @type {mongoose.Model}
+ */
+const StockMovement = mongoose.model("StockMovement", StockMovementSchema);
+
+export default StockMovement;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for a stock reservation.
+ * A reservation holds units of a product for one cart line until it expires, is released,
+ * or is committed to an order at checkout. Active reservations are counted in Product.reserved.
+ */
+const StockReservationSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",           // Product the units are held from
+            required: true,
+            index: true
+        },
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null             // Variant the units are held from, for products with variants
+        },
+        cartId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Cart",              // Cart line holding the units
+            required: true,
+            index: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",              // Cart owner, when signed in
+            default: null
+        },
+        guestId: {
+            type: String,             // Cart owner, for guests
+            default: null
+        },
+        quantity: {
+            type: Number,
+            required: true,           // Units held
+            min: 1
+        },
+        status: {
+            type: String,
+            enum: ["active", "committed", "released", "expired"],
+            default: "active",        // Only active reservations hold stock
+            index: true
+        },
+        orderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",             // Order the units were committed to
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            required: true            // When an active reservation stops holding stock
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+// One active reservation per cart line
+StockReservationSchema.index(
+    { cartId: 1, productId: 1, variantId: 1 },
+    { unique: true, partialFilterExpression: { status: "active" } }
+);
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Finished reservations are purged a day after they expire. Active ones are left to the
+// release job, which also gives their units back to Product.reserved.
+StockReservationSchema.index(
+    { updatedAt: 1 },
+    { expireAfterSeconds: 24 * 60 * 60, partialFilterExpression: { status: { $in: ["committed", "released", "expired"] } } }
+);
+
+/**
+ * Mongoose model for the StockReservation collection.
+ * @type {mongoose.Model}
+ */
+const StockReservation = mongoose.model("StockReservation", StockReservationSchema);
+
+export default StockReservation;
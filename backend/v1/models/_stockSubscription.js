@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * Mongoose schema for a back-in-stock subscription.
+ * A customer asks to be emailed when a sold-out product can be bought again;
+ * each subscription is notified once.
+ */
+const StockSubscriptionSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",           // Sold-out product the customer is waiting for
+            required: true
+        },
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null             // Variant waited for; null means any stock of the product
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",              // Subscribing customer
+            required: true
+        },
+        email: {
+            type: String,
+            required: true,           // Address the notification goes to
+            trim: true,
+            lowercase: true
+        },
+        status: {
+            type: String,
+            enum: ["pending", "notified"],
+            default: "pending",       // Pending subscriptions are checked by the notifier job
+            index: true
+        },
+        notifiedAt: {
+            type: Date,
+            default: null             // When the back-in-stock email was queued
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+// One pending subscription per customer, product and variant
+StockSubscriptionSchema.index(
+    { productId: 1, variantId: 1, userId: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+/**
+ * Mongoose model for the StockSubscription collection.
+ * @type {mongoose.Model}
+ */
+const StockSubscription = mongoose.model("StockSubscription", StockSubscriptionSchema);
+
+export default StockSubscription;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import { normalizeCountry } from "./_address.js";
+
+/**
+ * Mongoose schema for a tax rate.
+ * A rate covers a country, optionally narrowed to one state and/or one product category.
+ * The most specific active rate wins: state and category, then state, then category, then country.
+ */
+const TaxRateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,           // Label shown on tax breakdowns (e.g., "VAT")
+            trim: true,
+            minlength: 2,
+            maxlength: 100
+        },
+        country: {
+            type: String,
+            required: true,           // Country the rate applies in
+            maxlength: 100,
+            set: normalizeCountry     // Canonical lower-case name, so codes and names match addresses
+        },
+        state: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: 100,
+            default: null             // State the rate is limited to (null means the whole country)
+        },
+        category: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: 100,
+            default: null             // Product category the rate is limited to (null means every category)
+        },
+        rate: {
+            type: Number,
+            required: true,           // Percentage, e.g. 7.5; use 0 for exempt categories
+            min: 0,
+            max: 100
+        },
+        isActive: {
+            type: Boolean,
+            default: true,            // Inactive rates are ignored
+            index: true
+        },
+        version: {
+            type: Number,
+            default: 0                // Supports optimistic concurrency control
+        }
+    },
+    { timestamps: true }              // Adds createdAt and updatedAt fields
+);
+
+TaxRateSchema.index({ country: 1, state: 1, category: 1 });
+
+/**
+ * Mongoose model for the TaxRate collection.
+ * @type {mongoose.Model}
+ */
+const TaxRate = mongoose.model("TaxRate", TaxRateSchema);
+
+export default TaxRate;
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { SavedAddressSchema } from "./_address.js";
 
 const MAX_LOGIN_ATTEMPTS = 5;      // Max failed login attempts before lockout
 const LOCK_TIME = 30 * 60 * 1000;  // Lock duration in milliseconds (30 minutes)
@@ -56,6 +57,10 @@ const UserSchema = new mongoose.Schema(
         lockUntil: { 
             type: Number           // Timestamp for account lockout (in ms)
         },
+        addresses: {
+            type: [SavedAddressSchema], // Saved address book
+            default: []
+        },
     },
     { timestamps: true }           // Adds createdAt and updatedAt fields
 );
@@ -146,4 +151,4 @@ UserSchema.methods.canLogin = function () {
  */
 const User = mongoose.model("User", UserSchema);
 
-export default User;
+export default User;
@@ -4,6 +4,15 @@ import Cart from "./_cart.js";
 import Order from "./_order.js";
 import StoreCredit from "./_storeCredit.js";
 import Shipping from "./_shipping.js";
+import Payment from "./_payment.js";
+import Return from "./_return.js";
+import ShippingRate from "./_shippingRate.js";
+import Coupon from "./_coupon.js";
+import Promotion from "./_promotion.js";
+import TaxRate from "./_taxRate.js";
+import StockReservation from "./_stockReservation.js";
+import StockMovement from "./_stockMovement.js";
+import StockSubscription from "./_stockSubscription.js";
 
 
-export { Shipping, User, Product, Cart, Order, StoreCredit };
+export { Shipping, User, Product, Cart, Order, StoreCredit, Payment, Return, ShippingRate, Coupon, Promotion, TaxRate, StockReservation, StockMovement, StockSubscription };
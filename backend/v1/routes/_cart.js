@@ -61,7 +61,7 @@ router.get('/', isAdminVerifier, pagination, cacheMiddleware, CartController.get
  * /carts/my-cart:
  *   get:
  *     summary: Get current user's or guest's cart
- *     description: Retrieve the cart of the authenticated user or guest (via token or guestId)
+ *     description: Retrieve the cart of the authenticated user or guest (via token or guestId). The response includes a pricing breakdown with the automatic promotions, coupon discount and tax on each line, and totals (subtotal, discount, tax, shipping, total) estimated for the default saved address.
  *     tags: [Carts]
  *     requestBody:
  *       content:
@@ -139,6 +139,9 @@ router.get('/:id', authenticationVerifier, cacheMiddleware, CartController.getCa
  *                   properties:
  *                     productId:
  *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Variant to buy; required for products with variants
  *                     quantity:
  *                       type: number
  *                       default: 1
@@ -186,6 +189,9 @@ router.post('/', authenticationVerifier, clearCache, CartController.createCart);
  *                   properties:
  *                     productId:
  *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Variant to buy; required for products with variants
  *                     quantity:
  *                       type: number
  *     responses:
@@ -213,7 +219,7 @@ router.put('/:id', accessLevelVerifier, clearCache, CartController.updateCart);
  * /carts/add:
  *   post:
  *     summary: Add item to cart
- *     description: Add a product to the authenticated user's or guest's cart
+ *     description: Add a product to the authenticated user's or guest's cart. Products with variants (sizes, colours) are added one variant at a time, priced at the variant's price when it has one. The units are reserved for the cart until checkout, removal or expiry, and are not taken out of on-hand stock until the order is placed.
  *     tags: [Carts]
  *     requestBody:
  *       required: true
@@ -224,6 +230,9 @@ router.put('/:id', accessLevelVerifier, clearCache, CartController.updateCart);
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to add; required for products with variants
  *               quantity:
  *                 type: number
  *                 default: 1
@@ -234,11 +243,13 @@ router.put('/:id', accessLevelVerifier, clearCache, CartController.updateCart);
  *       200:
  *         description: Item added to cart successfully
  *       400:
- *         description: Bad request - Invalid productId, quantity, or no identifier
+ *         description: Bad request - Invalid productId, variantId or quantity, variant missing for a product with variants, or no identifier
  *       401:
  *         description: Unauthorized - Invalid token (if provided)
+ *       404:
+ *         description: Product or variant not found
  *       409:
- *         description: Conflict - Concurrency issue
+ *         description: Conflict - Concurrency issue or not enough available stock
  *       500:
  *         description: Internal server error
  *     security:
@@ -262,6 +273,9 @@ router.post('/add', optionalVerifier, clearCache, CartController.addToCart);
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to remove, for products with variants
  *               guestId:
  *                 type: string
  *                 description: Guest ID (optional if token provided)
@@ -269,7 +283,7 @@ router.post('/add', optionalVerifier, clearCache, CartController.addToCart);
  *       200:
  *         description: Item removed from cart successfully
  *       400:
- *         description: Bad request - Invalid productId or no identifier
+ *         description: Bad request - Invalid productId or variantId, or no identifier
  *       401:
  *         description: Unauthorized - Invalid token (if provided)
  *       404:
@@ -317,4 +331,74 @@ router.post('/remove', optionalVerifier, clearCache, CartController.removeFromCa
  */
 router.post('/clear', optionalVerifier, clearCache, CartController.clearCart);
 
+/**
+ * @swagger
+ * /carts/apply-coupon:
+ *   post:
+ *     summary: Apply a coupon to the cart
+ *     description: Checks a coupon code against the authenticated user's or guest's cart and attaches it. The discount is redeemed when the order is placed, and the coupon is checked again then.
+ *     tags: [Carts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: WELCOME10
+ *               guestId:
+ *                 type: string
+ *                 description: Guest ID (optional if token provided)
+ *     responses:
+ *       200:
+ *         description: Coupon applied; returns the cart with its pricing and the coupon's discount
+ *       400:
+ *         description: Bad request - Empty cart, or the coupon is inactive, expired, used up or does not apply
+ *       401:
+ *         description: Unauthorized - Invalid token (if provided)
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Conflict - Concurrency issue
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/apply-coupon', optionalVerifier, clearCache, CartController.applyCoupon);
+
+/**
+ * @swagger
+ * /carts/coupon:
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     description: Detach the coupon from the authenticated user's or guest's cart
+ *     tags: [Carts]
+ *     parameters:
+ *       - in: query
+ *         name: guestId
+ *         schema:
+ *           type: string
+ *         description: Guest ID (optional if token provided)
+ *     responses:
+ *       200:
+ *         description: Coupon removed from cart
+ *       400:
+ *         description: Bad request - No identifier provided
+ *       401:
+ *         description: Unauthorized - Invalid token (if provided)
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: Conflict - Concurrency issue
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/coupon', optionalVerifier, clearCache, CartController.removeCoupon);
+
 export default router;
@@ -0,0 +1,210 @@
+import express from "express";
+import { CouponController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Discount codes redeemed at checkout
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required: [code, type, value]
+ *       properties:
+ *         code: { type: string, example: "WELCOME10", description: "Case-insensitive; stored in upper case" }
+ *         description: { type: string, example: "10% off your first order" }
+ *         type: { type: string, enum: [percentage, fixed] }
+ *         value: { type: number, example: 10, description: "Percentage (0-100) or fixed amount off" }
+ *         maxDiscount: { type: number, nullable: true, example: 5000, description: "Cap on a percentage discount" }
+ *         minOrderValue: { type: number, example: 20000, description: "Subtotal required before the coupon applies" }
+ *         applicableProducts:
+ *           type: array
+ *           items: { type: string }
+ *           description: Product IDs the coupon is limited to
+ *         applicableCategories:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["books"]
+ *           description: Categories the coupon is limited to; with no products or categories it applies to the whole cart
+ *         usageLimit: { type: integer, nullable: true, example: 100, description: "Total redemptions allowed" }
+ *         perUserLimit: { type: integer, nullable: true, example: 1, description: "Redemptions allowed per customer" }
+ *         startsAt: { type: string, format: date-time, nullable: true }
+ *         expiresAt: { type: string, format: date-time, nullable: true }
+ *         isActive: { type: boolean, default: true }
+ */
+
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     summary: Create a coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Invalid coupon
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       409:
+ *         description: A coupon with this code already exists
+ */
+router.post(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  CouponController.createCoupon // Handle coupon creation
+);
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: Retrieve all coupons (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of coupons per page
+ *       - in: query
+ *         name: active
+ *         schema: { type: boolean }
+ *         description: Only active (true) or inactive (false) coupons
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  CouponController.getCoupons // Handle retrieving coupons
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Retrieve a coupon and its redemptions (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the coupon
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       400:
+ *         description: Invalid coupon ID
+ *       404:
+ *         description: Coupon not found
+ */
+router.get(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  CouponController.getCoupon // Handle single coupon retrieval
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the coupon
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Invalid coupon
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Code already in use, or the coupon was modified concurrently
+ */
+router.put(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  CouponController.updateCoupon // Handle coupon update
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (Admin only)
+ *     description: Orders already placed keep the code and discount they were placed with.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the coupon
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ *       400:
+ *         description: Invalid coupon ID
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  CouponController.deleteCoupon // Handle coupon deletion
+);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { OrderController } from "../controllers/index.js";
+import { OrderController, ShipmentController } from "../controllers/index.js";
 import { 
   authenticationVerifier, 
   accessLevelVerifier, 
@@ -7,19 +7,27 @@ import {
   optionalVerifier, 
   cacheMiddleware, 
   pagination, 
-  clearCache 
+  clearCache,
+  idempotency
 } from "../middlewares/index.js";
 
 const router = express.Router();
 
 /**
  * @swagger
- * /api/v1/orders:
+ * /orders:
  *   post:
  *     summary: Create a new order
+ *     description: Places an order for the items in the cart. A coupon applied to the cart is redeemed in the same transaction and recorded on the order. The order stores subtotal, discount, tax, shipping and total; tax uses the configured rates for the shipping address and is added on top of prices unless TAX_PRICE_MODE=inclusive.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *         description: Retries with the same key replay the first response for 24 hours
  *     requestBody:
  *       required: true
  *       content:
@@ -28,9 +36,19 @@ const router = express.Router();
  *             type: object
  *             properties:
  *               address:
+ *                 type: object
+ *                 description: Inline shipping address; omit it to use a saved address. Postal code and phone formats and required fields follow the address country (Nigeria by default)
+ *                 properties:
+ *                   street: { type: string, example: "12 Aminu Kano Crescent" }
+ *                   city: { type: string, example: "FCT Abuja" }
+ *                   state: { type: string, example: "Abuja" }
+ *                   zip: { type: string, example: "900001" }
+ *                   country: { type: string, example: "Nigeria" }
+ *                   phone: { type: string, example: "+2348012345678" }
+ *                   landmark: { type: string, example: "Opposite Wuse Market" }
+ *               addressId:
  *                 type: string
- *                 description: Shipping address for the order
- *                 example: "123 Main St, City, Country"
+ *                 description: ID of a saved address to ship to. When neither address nor addressId is given, the default saved address is used
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -43,20 +61,27 @@ const router = express.Router();
  *                 message: { type: string, example: "Order placed successfully" }
  *                 data: { type: object }
  *       400:
- *         description: Bad request (e.g., missing address or empty cart)
+ *         description: Bad request (e.g., missing or invalid address, or empty cart)
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Saved address not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress, or the cart's coupon can no longer be redeemed
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
  */
 router.post(
   "/",
   authenticationVerifier, 
+  idempotency,                           // Replay retried requests with the same Idempotency-Key
   clearCache, 
   OrderController.createOrder
 );
 
 /**
  * @swagger
- * /api/v1/orders:
+ * /orders:
  *   get:
  *     summary: Retrieve all orders (Admin only)
  *     tags: [Orders]
@@ -98,7 +123,7 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/orders/user:
+ * /orders/user:
  *   get:
  *     summary: Retrieve orders for the authenticated user
  *     tags: [Orders]
@@ -137,7 +162,7 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/orders/{orderId}/status:
+ * /orders/{orderId}/status:
  *   put:
  *     summary: Update an order's status (Admin only)
  *     tags: [Orders]
@@ -158,17 +183,24 @@ router.get(
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, processing, shipped, delivered, cancelled]
- *                 description: New status for the order
+ *                 enum: [processing, shipped, delivered]
+ *                 description: New status for the order. Allowed moves are pending/paid -> processing, processing -> shipped, shipped -> delivered. Orders become paid through payment confirmation and are cancelled through the cancel endpoint.
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the status history
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status, or cancelled (use the cancel endpoint)
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden (non-admin)
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Status transition not allowed
  */
 router.put(
   "/:orderId/status",
@@ -180,9 +212,10 @@ router.put(
 
 /**
  * @swagger
- * /api/v1/orders/{orderId}/cancel:
+ * /orders/{orderId}/cancel:
  *   put:
- *     summary: Cancel an order and issue store credit (Admin only)
+ *     summary: Cancel an order and refund it (owner or admin)
+ *     description: Customers can cancel their own orders before shipping, within ORDER_CANCELLATION_WINDOW_HOURS (default 24) of placing them. Admins can cancel any unshipped order. The amount paid is refunded as store credit or to the card, and store credit applied to the order is credited back. A card refund the provider rejects is recorded as failed and can be retried by an admin.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -192,27 +225,224 @@ router.put(
  *         required: true
  *         schema: { type: string }
  *         description: The ID of the order
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [changed_mind, ordered_by_mistake, found_better_price, delivery_too_slow, other]
+ *                 description: Optional reason for cancelling
+ *               note:
+ *                 type: string
+ *                 description: Optional free-text explanation
+ *               method:
+ *                 type: string
+ *                 enum: [store_credit, card]
+ *                 default: store_credit
+ *                 description: How the amount paid is refunded
  *     responses:
  *       200:
- *         description: Order cancelled and store credit issued
+ *         description: Order cancelled and refunded
+ *       400:
+ *         description: Order already cancelled, invalid reason code or invalid refund method
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden (non-admin)
+ *         description: Forbidden (not the order owner)
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Order already shipped, cancellation window has passed, or no card payment to refund
  */
 router.put(
   "/:orderId/cancel",
   authenticationVerifier,                // Verify user authentication
-  isAdminVerifier,                       // Restrict to admin users
   clearCache,                  // Clear cache after cancellation
   OrderController.cancelOrderAndIssueStoreCredit // Handle cancellation and credit issuance
 );
 
 /**
  * @swagger
- * /api/v1/orders/income:
+ * /orders/{orderId}/history:
+ *   get:
+ *     summary: Retrieve an order's status history (owner or admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the order
+ *     responses:
+ *       200:
+ *         description: Order history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type: { type: string, example: "success" }
+ *                 message: { type: string, example: "Order history retrieved successfully" }
+ *                 orderId: { type: string }
+ *                 status: { type: string }
+ *                 statusHistory: { type: array, items: { type: object, properties: { from: { type: string }, status: { type: string }, changedBy: { type: object }, note: { type: string }, changedAt: { type: string, format: date-time } } } }
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  "/:orderId/history",
+  authenticationVerifier,                // Verify user authentication
+  OrderController.getOrderHistory // Handle status history retrieval
+);
+
+/**
+ * @swagger
+ * /orders/{orderId}/shipment:
+ *   get:
+ *     summary: Retrieve the shipment for an order (owner or admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the order
+ *     responses:
+ *       200:
+ *         description: Shipment retrieved successfully
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order or shipment not found
+ */
+router.get(
+  "/:orderId/shipment",
+  authenticationVerifier,                // Verify user authentication
+  ShipmentController.getShipmentForOrder // Handle order shipment retrieval
+);
+
+/**
+ * @swagger
+ * /orders/{orderId}/refund:
+ *   post:
+ *     summary: Refund a paid order by card or store credit (Admin only)
+ *     description: Refunds the listed line items, or everything not yet refunded when items is omitted. Refunded quantities are restocked. Either method is capped at what the order's successful payment captured.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the order
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [method]
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [card, store_credit]
+ *                 description: Refund method chosen by the customer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string }
+ *                     variantId: { type: string, description: Required for lines of a product variant }
+ *                     quantity: { type: integer, minimum: 1 }
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund issued successfully
+ *       400:
+ *         description: Invalid refund method or items
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not refundable, was never paid, or has nothing left to refund
+ *       502:
+ *         description: Payment provider rejected the refund
+ */
+router.post(
+  "/:orderId/refund",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  clearCache,                  // Clear cache after refund
+  OrderController.refundOrder // Handle refund by card or store credit
+);
+
+/**
+ * @swagger
+ * /orders/{orderId}/refunds/{refundId}/retry:
+ *   post:
+ *     summary: Send a pending or failed card refund to the payment provider again (Admin only)
+ *     description: Card refunds are recorded before the provider is called. Retrying uses the same idempotency key, so the customer is paid back at most once.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the order
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the refund on the order
+ *     responses:
+ *       200:
+ *         description: Refund sent to the payment provider
+ *       400:
+ *         description: Invalid order or refund ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Order or refund not found
+ *       409:
+ *         description: Refund is not a pending or failed card refund
+ *       502:
+ *         description: Payment provider rejected the refund
+ */
+router.post(
+  "/:orderId/refunds/:refundId/retry",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  clearCache,                  // Clear cache after refund
+  OrderController.retryRefund // Handle refund retry
+);
+
+/**
+ * @swagger
+ * /orders/income:
  *   get:
  *     summary: Calculate total income from orders (Admin only)
  *     tags: [Orders]
@@ -244,7 +474,7 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/orders/store-credit:
+ * /orders/store-credit:
  *   get:
  *     summary: Retrieve user's store credit
  *     tags: [Orders]
@@ -271,4 +501,48 @@ router.get(
   OrderController.getStoreCredit // Handle store credit retrieval
 );
 
+/**
+ * @swagger
+ * /orders/{orderId}:
+ *   get:
+ *     summary: Retrieve a single order (owner or admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the order
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type: { type: string, example: "success" }
+ *                 message: { type: string, example: "Order retrieved successfully" }
+ *                 order: { type: object, description: "Order with populated products" }
+ *                 shipping: { type: object, nullable: true, description: "Linked shipping record" }
+ *                 creditApplied: { type: number, description: "Store credit deducted from the order" }
+ *                 paymentStatus: { type: string, example: "success", description: "Status of the latest payment, or unpaid" }
+ *                 payment: { type: object, nullable: true, description: "Latest payment record" }
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not the order owner)
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  "/:orderId",
+  authenticationVerifier,                // Verify user authentication
+  OrderController.getOrderById // Handle single order retrieval
+);
+
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticationVerifier } from '../middlewares/index.js';
+import { authenticationVerifier, isAdminVerifier, pagination, idempotency } from '../middlewares/index.js';
 import { PaymentController } from '../controllers/index.js';
 
 const router = express.Router();
@@ -13,11 +13,18 @@ const router = express.Router();
 
 /**
  * @swagger
- * /payment:
+ * /payments:
  *   post:
- *     summary: Process a payment
- *     description: Process a payment using Stripe
+ *     summary: Initialize a payment for an order
+ *     description: Starts a transaction with the configured payment provider (PAYMENT_PROVIDER, paystack by default) for the given pending order. Without orderId, the user's latest pending order is used.
  *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key replay the first response for 24 hours
  *     requestBody:
  *       required: true
  *       content:
@@ -25,25 +32,155 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               tokenId:
+ *               orderId:
  *                 type: string
- *                 description: The Stripe token ID
- *               amount:
- *                 type: number
- *                 description: The amount to charge in cents
- *             required:
- *               - tokenId
- *               - amount
+ *                 description: ID of the order to pay
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Customer email sent to the payment provider
+ *               currency:
+ *                 type: string
+ *                 description: Optional; must be the store currency (DEFAULT_CURRENCY), which the order is priced in
+ *                 example: ngn
  *     responses:
  *       200:
- *         description: Payment processed successfully
+ *         description: Payment initialized, proceed to authorization
+ *       400:
+ *         description: Invalid order ID, cancelled order, currency other than the store currency, or initialization failed
  *       401:
  *         description: Unauthorized - User access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has already been paid, or a request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', authenticationVerifier, idempotency, PaymentController.createPayment);
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Receive payment provider webhook events
+ *     description: Verifies the provider signature header (x-paystack-signature, or x-mock-signature for the mock provider) and confirms payment on charge.success. A charge for an order that was cancelled or already paid is recorded and refunded; if the refund fails the payment is flagged for an admin. Duplicate events are acknowledged without side effects.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: x-paystack-signature
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: HMAC SHA512 of the raw body signed with the Paystack secret key
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [charge.success, charge.failed]
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       401:
+ *         description: Invalid signature
  *       500:
  *         description: Internal server error
+ */
+router.post('/webhook', PaymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /payments/verify/{reference}:
+ *   get:
+ *     summary: Verify a payment after the checkout redirect
+ *     description: Confirms the transaction with the payment provider, checks the amount and currency against the order, and reconciles the order status. A charge for an order that was cancelled or already paid is refunded, and the outcome says so.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Provider transaction reference
+ *     responses:
+ *       200:
+ *         description: Verification result with the reconciled order
+ *       401:
+ *         description: Unauthorized - User access required
+ *       404:
+ *         description: No order found for this reference
+ *       409:
+ *         description: Order changed while the payment was being confirmed; retry
+ *       422:
+ *         description: Amount or currency does not match the order
+ *       502:
+ *         description: Provider verification failed
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/verify/:reference', authenticationVerifier, PaymentController.verifyPayment);
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: Retrieve all payment transactions (Admin only)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 12 }
+ *         description: Number of payments per page
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', isAdminVerifier, pagination, PaymentController.getAllPayments);
+
+/**
+ * @swagger
+ * /payments/me:
+ *   get:
+ *     summary: Retrieve the authenticated user's payment history
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 12 }
+ *         description: Number of payments per page
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       401:
+ *         description: Unauthorized
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', authenticationVerifier, PaymentController.createPayment);
+router.get('/me', authenticationVerifier, pagination, PaymentController.getUserPayments);
 
 export default router;
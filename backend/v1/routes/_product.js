@@ -1,6 +1,6 @@
 import express from 'express';
-import { ProductController } from '../controllers/index.js';
-import { isAdminVerifier, accessLevelVerifier, authenticationVerifier, pagination, clearCache, cacheMiddleware } from '../middlewares/index.js';
+import { ProductController, StockController } from '../controllers/index.js';
+import { isAdminVerifier, accessLevelVerifier, authenticationVerifier, pagination, clearCache, cacheMiddleware, imageUpload } from '../middlewares/index.js';
 
 const router = express.Router();
 
@@ -134,7 +134,7 @@ router.get('/:id', authenticationVerifier, cacheMiddleware, ProductController.ge
  * /products:
  *   post:
  *     summary: Create a new product
- *     description: Create a new product. Admin access required.
+ *     description: Create a new product, optionally with variants such as sizes and colours. Admin access required.
  *     tags: [Products]
  *     requestBody:
  *       required: true
@@ -153,9 +153,23 @@ router.get('/:id', authenticationVerifier, cacheMiddleware, ProductController.ge
  *                 type: string
  *               image:
  *                 type: string
+ *                 description: External image URL (png, jpg, jpeg, gif or webp); upload files through /products/{id}/images instead
  *               stock:
  *                 type: number
  *                 default: 0
+ *                 description: Ignored when variants are given; the product's stock is then the total of theirs
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductVariantInput'
+ *               weight:
+ *                 type: number
+ *                 default: 0
+ *                 description: Shipping weight in kilograms
+ *               lowStockThreshold:
+ *                 type: number
+ *                 default: 5
+ *                 description: Include the product in the admin low-stock digest once its stock, or any active variant's stock, falls to this level
  *             required:
  *               - name
  *               - description
@@ -190,7 +204,7 @@ router.post('/', authenticationVerifier, isAdminVerifier, clearCache, ProductCon
  * /products/{id}:
  *   put:
  *     summary: Update a product
- *     description: Update an existing product by its ID. Admin access required.
+ *     description: Update an existing product by its ID. Variants are managed through their own endpoints, and the stock of a product with variants is set on the variants. Admin access required.
  *     tags: [Products]
  *     parameters:
  *       - in: path
@@ -216,8 +230,15 @@ router.post('/', authenticationVerifier, isAdminVerifier, clearCache, ProductCon
  *                 type: string
  *               image:
  *                 type: string
+ *                 description: External image URL; ignored once the product has uploaded images, whose primary image it follows
  *               stock:
  *                 type: number
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in kilograms
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: Include the product in the admin low-stock digest once its stock, or any active variant's stock, falls to this level
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -240,7 +261,7 @@ router.post('/', authenticationVerifier, isAdminVerifier, clearCache, ProductCon
  *       404:
  *         description: Product not found
  *       409:
- *         description: Concurrency conflict - Product modified by another request
+ *         description: Stock below the units reserved in carts, or concurrency conflict
  *       500:
  *         description: Internal server error
  *     security:
@@ -280,6 +301,435 @@ router.put('/:id', authenticationVerifier, isAdminVerifier, clearCache, ProductC
  */
 router.delete('/:id', authenticationVerifier, isAdminVerifier, clearCache, ProductController.deleteProduct);
 
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Add a product variant
+ *     description: Add a variant (e.g. a size and colour) with its own SKU, stock and optional price and image. The product's stock becomes the total of its variants' stock, and its opening stock is recorded in the stock history. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariantInput'
+ *     responses:
+ *       201:
+ *         description: Variant created successfully
+ *       400:
+ *         description: Invalid product ID or variant data
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: SKU already in use, units reserved against a product without variants, or concurrency conflict
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.post('/:id/variants', authenticationVerifier, isAdminVerifier, clearCache, ProductController.addVariant);
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant
+ *     description: Update a variant's SKU, options, price, stock, image or active flag. A changed stock level is recorded in the stock history. Inactive variants cannot be added to carts. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The variant ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariantInput'
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *       400:
+ *         description: Invalid ID or variant data
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: SKU already in use, stock below the units reserved in carts, or concurrency conflict
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ *   delete:
+ *     summary: Delete a product variant
+ *     description: Delete a variant and write off its remaining stock. Refused while carts hold units of it. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The variant ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Units of the variant are reserved in carts, or concurrency conflict
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.put('/:id/variants/:variantId', authenticationVerifier, isAdminVerifier, clearCache, ProductController.updateVariant);
+router.delete('/:id/variants/:variantId', authenticationVerifier, isAdminVerifier, clearCache, ProductController.deleteVariant);
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Upload product images
+ *     description: Upload up to 10 JPEG, PNG, GIF or WebP images in one multipart request. They are added after the product's existing images, and the first image a product gets becomes its primary image. Thumbnails are generated in the background and appear on the images once ready. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alt text, one per image in upload order, or a single value for all
+ *     responses:
+ *       201:
+ *         description: Images uploaded successfully
+ *       400:
+ *         description: Invalid product ID, no files, unsupported or oversized file, or too many images
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Concurrency conflict - Product modified by another request
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ *   put:
+ *     summary: Reorder product images
+ *     description: Set the display order, alt text and primary image of a product's images. The list must contain every image of the product exactly once. When no image is marked primary, the current primary image is kept. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - _id
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     alt:
+ *                       type: string
+ *                     isPrimary:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Images updated successfully
+ *       400:
+ *         description: Invalid product ID or image list
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Concurrency conflict - Product modified by another request
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.post('/:id/images', authenticationVerifier, isAdminVerifier, imageUpload, clearCache, ProductController.uploadImages);
+router.put('/:id/images', authenticationVerifier, isAdminVerifier, clearCache, ProductController.updateImages);
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete a product image
+ *     description: Delete an image and its stored files. Deleting the primary image makes the next image primary; deleting the last image restores the external image URL the product had before its first upload. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *       - in: path
+ *         name: imageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The image ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Image deleted successfully
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product or image not found
+ *       409:
+ *         description: Concurrency conflict - Product modified by another request
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.delete('/:id/images/:imageId', authenticationVerifier, isAdminVerifier, clearCache, ProductController.deleteImage);
+
+/**
+ * @swagger
+ * /products/{id}/stock-history:
+ *   get:
+ *     summary: Get a product's stock history
+ *     description: List the product's stock movements, newest first, with its current on-hand, reserved and available counts and those of each variant. Movements on the reserved count come from carts; the rest change on-hand stock. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [cart_add, cart_remove, order, cancel, return, manual_adjust, expiry]
+ *         description: Only movements with this reason
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Only movements of this variant
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of movements per page
+ *     responses:
+ *       200:
+ *         description: Stock history retrieved successfully
+ *       400:
+ *         description: Invalid product ID, variant ID or reason
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.get('/:id/stock-history', authenticationVerifier, isAdminVerifier, pagination, StockController.getStockHistory);
+
+/**
+ * @swagger
+ * /products/{id}/stock-adjustments:
+ *   post:
+ *     summary: Adjust a product's stock
+ *     description: Add or write off on-hand units by hand, e.g. after a stock count or for damaged goods. The adjustment is recorded in the stock history with its reason. Admin access required.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delta
+ *               - reason
+ *             properties:
+ *               delta:
+ *                 type: integer
+ *                 example: -2
+ *                 description: Units to add (positive) or remove (negative)
+ *               reason:
+ *                 type: string
+ *                 example: "Damaged in warehouse"
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to adjust; required for products with variants
+ *     responses:
+ *       200:
+ *         description: Stock adjusted successfully
+ *       400:
+ *         description: Invalid product ID, variant ID, delta, missing reason, or missing variant for a product with variants
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Adjustment would take stock below zero or below the units reserved in carts
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.post('/:id/stock-adjustments', authenticationVerifier, isAdminVerifier, clearCache, StockController.adjustStock);
+
+/**
+ * @swagger
+ * /products/{id}/stock-subscriptions:
+ *   post:
+ *     summary: Get notified when a product is back in stock
+ *     description: Subscribe the authenticated customer to a one-off email for when a sold-out product, or one sold-out variant of it, can be bought again. Subscribing twice is harmless.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to wait for; omit to be told when any variant is back
+ *     responses:
+ *       201:
+ *         description: Subscribed to back-in-stock notifications
+ *       400:
+ *         description: Invalid product or variant ID, or it is in stock
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       404:
+ *         description: Product or variant not found
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ *   delete:
+ *     summary: Stop a back-in-stock notification
+ *     description: Cancel the authenticated customer's pending back-in-stock subscription for a product.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID (MongoDB ObjectId)
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: The variant the subscription is for, if any
+ *     responses:
+ *       200:
+ *         description: Unsubscribed from back-in-stock notifications
+ *       400:
+ *         description: Invalid product or variant ID
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       404:
+ *         description: No pending subscription for this product
+ *       500:
+ *         description: Internal server error
+ *     security:
+ *       - accessToken: []
+ */
+router.post('/:id/stock-subscriptions', authenticationVerifier, StockController.subscribeBackInStock);
+router.delete('/:id/stock-subscriptions', authenticationVerifier, StockController.unsubscribeBackInStock);
+
 /**
  * @swagger
  * components:
@@ -299,8 +749,36 @@ router.delete('/:id', authenticationVerifier, isAdminVerifier, clearCache, Produ
  *           type: string
  *         image:
  *           type: string
+ *           nullable: true
+ *           description: URL of the primary image, or the external image URL when there are no uploaded images
+ *         externalImage:
+ *           type: string
+ *           nullable: true
+ *           description: Image URL the product had before its first upload, restored once every upload is deleted
+ *         images:
+ *           type: array
+ *           description: Uploaded images in display order
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
  *         stock:
  *           type: number
+ *           description: On-hand units, including those held in carts; the total of the variants' stock when the product has variants
+ *         reserved:
+ *           type: number
+ *           description: Units held by active cart reservations (read-only)
+ *         available:
+ *           type: number
+ *           description: Units that can still be added to carts (stock less reserved)
+ *         weight:
+ *           type: number
+ *           description: Shipping weight in kilograms
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         lowStockThreshold:
+ *           type: number
+ *           description: Stock level at or below which the product, or any active variant of it, appears in the admin low-stock digest
  *         version:
  *           type: number
  *         createdAt:
@@ -309,6 +787,81 @@ router.delete('/:id', authenticationVerifier, isAdminVerifier, clearCache, Produ
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *           description: WebP thumbnail, set once the background job has generated it
+ *         alt:
+ *           type: string
+ *         isPrimary:
+ *           type: boolean
+ *         contentType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/gif, image/webp]
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { "size": "M", "colour": "Red" }
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: Overrides the product price when set
+ *         stock:
+ *           type: number
+ *         reserved:
+ *           type: number
+ *           description: Units held by active cart reservations (read-only)
+ *         available:
+ *           type: number
+ *         image:
+ *           type: string
+ *           nullable: true
+ *           description: Falls back to the product image when unset
+ *         isActive:
+ *           type: boolean
+ *     ProductVariantInput:
+ *       type: object
+ *       required:
+ *         - sku
+ *       properties:
+ *         sku:
+ *           type: string
+ *           example: "TSHIRT-RED-M"
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { "size": "M", "colour": "Red" }
+ *         price:
+ *           type: number
+ *           nullable: true
+ *         stock:
+ *           type: number
+ *           default: 0
+ *         image:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *           default: true
  */
 
 export default router;
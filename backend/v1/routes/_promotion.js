@@ -0,0 +1,234 @@
+import express from "express";
+import { PromotionController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Automatic, rule-based discounts applied to carts and orders
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required: [name, type]
+ *       properties:
+ *         name: { type: string, example: "Weekend clothing sale" }
+ *         description: { type: string, example: "20% off all clothing this weekend" }
+ *         type:
+ *           type: string
+ *           enum: [percentage_off, buy_x_get_y, spend_tier]
+ *           description: percentage_off takes value% off eligible items; buy_x_get_y makes the cheapest getQuantity of every buyQuantity + getQuantity eligible items free; spend_tier discounts the eligible subtotal by the highest tier reached
+ *         value: { type: number, example: 20, description: "Percentage off (percentage_off only)" }
+ *         buyQuantity: { type: integer, example: 2, description: "buy_x_get_y only" }
+ *         getQuantity: { type: integer, example: 1, description: "buy_x_get_y only" }
+ *         tierType: { type: string, enum: [percentage, fixed], default: fixed, description: "spend_tier only" }
+ *         tiers:
+ *           type: array
+ *           description: spend_tier only
+ *           items:
+ *             type: object
+ *             properties:
+ *               minSpend: { type: number, example: 50000 }
+ *               value: { type: number, example: 5000 }
+ *         applicableProducts:
+ *           type: array
+ *           items: { type: string }
+ *           description: Product IDs the promotion is limited to
+ *         applicableCategories:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["clothing"]
+ *           description: Categories the promotion is limited to; with no products or categories it applies to every item
+ *         priority: { type: integer, default: 0, description: "Higher priority promotions apply first; later ones work on what is left" }
+ *         startsAt: { type: string, format: date-time, nullable: true }
+ *         endsAt: { type: string, format: date-time, nullable: true }
+ *         isActive: { type: boolean, default: true }
+ */
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     summary: Create a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Invalid promotion
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.post(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  PromotionController.createPromotion // Handle promotion creation
+);
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: Retrieve all promotions (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of promotions per page
+ *       - in: query
+ *         name: active
+ *         schema: { type: boolean }
+ *         description: Only active (true) or inactive (false) promotions
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  PromotionController.getPromotions // Handle retrieving promotions
+);
+
+/**
+ * @swagger
+ * /promotions/active:
+ *   get:
+ *     summary: Retrieve the promotions running now
+ *     tags: [Promotions]
+ *     responses:
+ *       200:
+ *         description: Active promotions retrieved successfully
+ */
+router.get(
+  "/active",
+  PromotionController.getActivePromotions // Handle retrieving running promotions
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     summary: Retrieve a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the promotion
+ *     responses:
+ *       200:
+ *         description: Promotion retrieved successfully
+ *       400:
+ *         description: Invalid promotion ID
+ *       404:
+ *         description: Promotion not found
+ */
+router.get(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  PromotionController.getPromotion // Handle single promotion retrieval
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   put:
+ *     summary: Update a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the promotion
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         description: Invalid promotion
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: Promotion was modified concurrently
+ */
+router.put(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  PromotionController.updatePromotion // Handle promotion update
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion (Admin only)
+ *     description: Orders already placed keep the promotion discounts they were placed with.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the promotion
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       400:
+ *         description: Invalid promotion ID
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete(
+  "/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  PromotionController.deletePromotion // Handle promotion deletion
+);
+
+export default router;
@@ -0,0 +1,287 @@
+import express from "express";
+import { ReturnController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Return requests (RMA) for delivered orders
+ */
+
+/**
+ * @swagger
+ * /returns:
+ *   post:
+ *     summary: Request a return for items from a delivered order
+ *     description: Returns must be requested within RETURN_WINDOW_DAYS (default 14) of delivery.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, items, reason]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 description: ID of the delivered order
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string }
+ *                     variantId: { type: string, description: Required for lines of a product variant }
+ *                     quantity: { type: integer, minimum: 1 }
+ *               reason:
+ *                 type: string
+ *                 description: Why the items are being returned
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [card, store_credit]
+ *                 default: store_credit
+ *     responses:
+ *       201:
+ *         description: Return request submitted successfully
+ *       400:
+ *         description: Invalid items, reason or refund method
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order not delivered or return window has passed
+ */
+router.post(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  ReturnController.createReturn // Handle return request
+);
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     summary: Retrieve all returns (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [requested, approved, rejected, received] }
+ *         description: Filter by return status
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of returns per page
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  ReturnController.getAllReturns // Handle retrieving all returns
+);
+
+/**
+ * @swagger
+ * /returns/me:
+ *   get:
+ *     summary: Retrieve returns for the authenticated user
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of returns per page
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/me",
+  authenticationVerifier,                // Verify user authentication
+  pagination,                            // Apply pagination middleware
+  ReturnController.getUserReturns // Handle retrieving user returns
+);
+
+/**
+ * @swagger
+ * /returns/{returnId}:
+ *   get:
+ *     summary: Retrieve a single return (owner or admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the return
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *       400:
+ *         description: Invalid return ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Return not found
+ */
+router.get(
+  "/:returnId",
+  authenticationVerifier,                // Verify user authentication
+  ReturnController.getReturnById // Handle single return retrieval
+);
+
+/**
+ * @swagger
+ * /returns/{returnId}/approve:
+ *   put:
+ *     summary: Approve a requested return (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the return
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string, description: Note included in the customer email }
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is no longer awaiting review
+ */
+router.put(
+  "/:returnId/approve",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ReturnController.approveReturn // Handle return approval
+);
+
+/**
+ * @swagger
+ * /returns/{returnId}/reject:
+ *   put:
+ *     summary: Reject a requested return (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the return
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string, description: Reason included in the customer email }
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is no longer awaiting review
+ */
+router.put(
+  "/:returnId/reject",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ReturnController.rejectReturn // Handle return rejection
+);
+
+/**
+ * @swagger
+ * /returns/{returnId}/receive:
+ *   put:
+ *     summary: Mark an approved return as received, restock items and refund the customer (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the return
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string, description: Note included in the customer email }
+ *     responses:
+ *       200:
+ *         description: Return received; the refund status is failed if the provider rejected a card refund, which can then be retried
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return not approved, nothing left to refund, or no successful card payment
+ */
+router.put(
+  "/:returnId/receive",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ReturnController.receiveReturn // Handle receipt, restock and refund
+);
+
+export default router;
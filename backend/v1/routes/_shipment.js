@@ -0,0 +1,274 @@
+import express from "express";
+import { ShipmentController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipments
+ *   description: Shipment management (Admin only)
+ */
+
+/**
+ * @swagger
+ * /shipments:
+ *   get:
+ *     summary: Retrieve all shipments (Admin only)
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, shipped, in-transit, delivered, cancelled] }
+ *         description: Filter by shipment status
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of shipments per page
+ *     responses:
+ *       200:
+ *         description: Shipments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  ShipmentController.getAllShipments // Handle retrieving all shipments
+);
+
+/**
+ * @swagger
+ * /shipments/webhook:
+ *   post:
+ *     summary: Receive tracking events from a carrier
+ *     description: The raw request body must be signed with HMAC-SHA256 using CARRIER_WEBHOOK_SECRET and sent hex-encoded in the x-carrier-signature header. Events with a status also move the shipment and its order.
+ *     tags: [Shipments]
+ *     parameters:
+ *       - in: header
+ *         name: x-carrier-signature
+ *         required: true
+ *         schema: { type: string }
+ *         description: HMAC-SHA256 signature of the raw request body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [trackingNumber, description]
+ *             properties:
+ *               trackingNumber: { type: string }
+ *               status: { type: string, enum: [pending, shipped, in-transit, delivered, cancelled] }
+ *               description: { type: string, example: "Arrived at Lagos sorting hub" }
+ *               location: { type: string, example: "Lagos" }
+ *               occurredAt: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Webhook processed
+ *       400:
+ *         description: Missing tracking number, description, or invalid status
+ *       401:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Shipment not found
+ *       409:
+ *         description: Status transition not allowed
+ */
+router.post(
+  "/webhook",
+  ShipmentController.handleCarrierWebhook // Handle carrier tracking events
+);
+
+/**
+ * @swagger
+ * /shipments/{shipmentId}:
+ *   get:
+ *     summary: Retrieve a single shipment (Admin only)
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipment
+ *     responses:
+ *       200:
+ *         description: Shipment retrieved successfully
+ *       400:
+ *         description: Invalid shipment ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Shipment not found
+ */
+router.get(
+  "/:shipmentId",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShipmentController.getShipmentById // Handle single shipment retrieval
+);
+
+/**
+ * @swagger
+ * /shipments/{shipmentId}:
+ *   put:
+ *     summary: Update a shipment's carrier, tracking number or estimated delivery date (Admin only)
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier: { type: string, example: "GIG Logistics" }
+ *               trackingNumber: { type: string }
+ *               estimatedDeliveryDate: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Shipment updated successfully
+ *       400:
+ *         description: Invalid shipment ID, date or empty update
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Shipment not found
+ *       409:
+ *         description: Tracking number already in use
+ */
+router.put(
+  "/:shipmentId",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShipmentController.updateShipment // Handle carrier and tracking updates
+);
+
+/**
+ * @swagger
+ * /shipments/{shipmentId}/status:
+ *   put:
+ *     summary: Update a shipment's status and the matching order status (Admin only)
+ *     description: Allowed moves are pending -> shipped/cancelled, shipped -> in-transit/delivered, in-transit -> delivered. Shipped and in-transit move the order to shipped; delivered moves it to delivered.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, shipped, in-transit, delivered, cancelled]
+ *               actualDeliveryDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Delivery date when marking delivered (defaults to now)
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the order status history
+ *     responses:
+ *       200:
+ *         description: Shipment status updated successfully
+ *       400:
+ *         description: Invalid shipment ID, status or date
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Shipment or order not found
+ *       409:
+ *         description: Status transition not allowed for the shipment or its order
+ */
+router.put(
+  "/:shipmentId/status",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShipmentController.updateShipmentStatus // Handle shipment status changes
+);
+
+/**
+ * @swagger
+ * /shipments/{shipmentId}/events:
+ *   post:
+ *     summary: Add a tracking event to a shipment (Admin only)
+ *     description: Events with a status different from the shipment's also move the shipment and its order.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [description]
+ *             properties:
+ *               status: { type: string, enum: [pending, shipped, in-transit, delivered, cancelled] }
+ *               description: { type: string, example: "Handed over to courier" }
+ *               location: { type: string, example: "Abuja" }
+ *               occurredAt: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Tracking event added successfully
+ *       400:
+ *         description: Invalid shipment ID, status, date or missing description
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ *       404:
+ *         description: Shipment not found
+ *       409:
+ *         description: Status transition not allowed
+ */
+router.post(
+  "/:shipmentId/events",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShipmentController.addTrackingEvent // Handle adding tracking events
+);
+
+export default router;
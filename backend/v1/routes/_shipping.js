@@ -0,0 +1,260 @@
+import express from "express";
+import { ShippingController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, optionalVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping
+ *   description: Shipping zones, rates and quotes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingRate:
+ *       type: object
+ *       required: [name, country, brackets]
+ *       properties:
+ *         name: { type: string, example: "Lagos metro" }
+ *         country: { type: string, example: "Nigeria" }
+ *         states:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["Lagos"]
+ *           description: States covered; leave empty to cover the whole country
+ *         brackets:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               maxWeight: { type: number, example: 5, description: "Upper weight limit in kg" }
+ *               fee: { type: number, example: 1500 }
+ *         additionalFeePerKg: { type: number, example: 200, description: "Charged per kg above the heaviest bracket" }
+ *         freeShippingThreshold: { type: number, nullable: true, example: 50000, description: "Subtotal after promotions and coupons at which shipping is free" }
+ *         isActive: { type: boolean, default: true }
+ */
+
+/**
+ * @swagger
+ * /shipping/quote:
+ *   post:
+ *     summary: Quote shipping for a destination
+ *     description: Quotes the given items, or the caller's cart when items are omitted. A state-specific zone wins over a country-wide zone; destinations without a zone get the flat fallback fee.
+ *     tags: [Shipping]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address]
+ *             properties:
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   state: { type: string, example: "Lagos" }
+ *                   country: { type: string, example: "Nigeria" }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string }
+ *                     variantId: { type: string, description: Priced at the variant's price when it has one }
+ *                     quantity: { type: integer, minimum: 1 }
+ *               guestId:
+ *                 type: string
+ *                 description: Guest cart to quote when items are omitted
+ *     responses:
+ *       200:
+ *         description: Shipping quote calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type: { type: string, example: "success" }
+ *                 message: { type: string, example: "Shipping quote calculated successfully" }
+ *                 quote:
+ *                   type: object
+ *                   properties:
+ *                     zone: { type: object, nullable: true, properties: { id: { type: string }, name: { type: string } } }
+ *                     totalWeight: { type: number }
+ *                     subtotal: { type: number }
+ *                     shippingFee: { type: number }
+ *                     freeShipping: { type: boolean }
+ *       400:
+ *         description: Invalid items or empty cart
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post(
+  "/quote",
+  optionalVerifier,                      // Identify the cart owner if logged in
+  ShippingController.getQuote // Handle shipping quote
+);
+
+/**
+ * @swagger
+ * /shipping/rates:
+ *   post:
+ *     summary: Create a shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRate'
+ *     responses:
+ *       201:
+ *         description: Shipping rate created successfully
+ *       400:
+ *         description: Invalid shipping rate
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.post(
+  "/rates",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShippingController.createRate // Handle rate creation
+);
+
+/**
+ * @swagger
+ * /shipping/rates:
+ *   get:
+ *     summary: Retrieve all shipping rates (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of rates per page
+ *     responses:
+ *       200:
+ *         description: Shipping rates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/rates",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  ShippingController.getRates // Handle retrieving rates
+);
+
+/**
+ * @swagger
+ * /shipping/rates/{id}:
+ *   get:
+ *     summary: Retrieve a shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipping rate
+ *     responses:
+ *       200:
+ *         description: Shipping rate retrieved successfully
+ *       400:
+ *         description: Invalid shipping rate ID
+ *       404:
+ *         description: Shipping rate not found
+ */
+router.get(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShippingController.getRate // Handle single rate retrieval
+);
+
+/**
+ * @swagger
+ * /shipping/rates/{id}:
+ *   put:
+ *     summary: Update a shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipping rate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRate'
+ *     responses:
+ *       200:
+ *         description: Shipping rate updated successfully
+ *       400:
+ *         description: Invalid shipping rate
+ *       404:
+ *         description: Shipping rate not found
+ *       409:
+ *         description: Shipping rate was modified concurrently
+ */
+router.put(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShippingController.updateRate // Handle rate update
+);
+
+/**
+ * @swagger
+ * /shipping/rates/{id}:
+ *   delete:
+ *     summary: Delete a shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the shipping rate
+ *     responses:
+ *       200:
+ *         description: Shipping rate deleted successfully
+ *       400:
+ *         description: Invalid shipping rate ID
+ *       404:
+ *         description: Shipping rate not found
+ */
+router.delete(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  ShippingController.deleteRate // Handle rate deletion
+);
+
+export default router;
@@ -0,0 +1,57 @@
+import express from "express";
+import { StockController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock
+ *   description: Stock reservations. Adding to a cart reserves units for STOCK_RESERVATION_TTL_MINUTES (default 30); checkout commits them and expiry or removal releases them
+ */
+
+/**
+ * @swagger
+ * /stock/reservations:
+ *   get:
+ *     summary: Retrieve stock reservations (Admin only)
+ *     tags: [Stock]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, committed, released, expired], default: active }
+ *         description: Reservation status to list
+ *       - in: query
+ *         name: productId
+ *         schema: { type: string }
+ *         description: Only reservations for this product
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of reservations per page
+ *     responses:
+ *       200:
+ *         description: Stock reservations retrieved successfully, soonest to expire first
+ *       400:
+ *         description: Invalid status or product ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/reservations",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  StockController.getReservations // Handle retrieving reservations
+);
+
+export default router;
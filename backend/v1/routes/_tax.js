@@ -0,0 +1,189 @@
+import express from "express";
+import { TaxController } from "../controllers/index.js";
+import { authenticationVerifier, isAdminVerifier, pagination } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Taxes
+ *   description: Tax (VAT) rates by country, state and product category. Nigerian VAT (7.5%) applies until a rate overrides it; set TAX_PRICE_MODE=inclusive if catalogue prices already include tax
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRate:
+ *       type: object
+ *       required: [name, country, rate]
+ *       properties:
+ *         name: { type: string, example: "VAT" }
+ *         country: { type: string, example: "Nigeria" }
+ *         state: { type: string, nullable: true, example: null, description: "Limit the rate to one state; leave empty for the whole country" }
+ *         category: { type: string, nullable: true, example: "books", description: "Limit the rate to one product category; leave empty for every category" }
+ *         rate: { type: number, example: 7.5, description: "Percentage; 0 makes the category or state exempt" }
+ *         isActive: { type: boolean, default: true }
+ */
+
+/**
+ * @swagger
+ * /taxes/rates:
+ *   post:
+ *     summary: Create a tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRate'
+ *     responses:
+ *       201:
+ *         description: Tax rate created successfully
+ *       400:
+ *         description: Invalid tax rate
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.post(
+  "/rates",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  TaxController.createRate // Handle rate creation
+);
+
+/**
+ * @swagger
+ * /taxes/rates:
+ *   get:
+ *     summary: Retrieve all tax rates (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *         description: Number of rates per page
+ *     responses:
+ *       200:
+ *         description: Tax rates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (non-admin)
+ */
+router.get(
+  "/rates",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  pagination,                            // Apply pagination middleware
+  TaxController.getRates // Handle retrieving rates
+);
+
+/**
+ * @swagger
+ * /taxes/rates/{id}:
+ *   get:
+ *     summary: Retrieve a tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the tax rate
+ *     responses:
+ *       200:
+ *         description: Tax rate retrieved successfully
+ *       400:
+ *         description: Invalid tax rate ID
+ *       404:
+ *         description: Tax rate not found
+ */
+router.get(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  TaxController.getRate // Handle single rate retrieval
+);
+
+/**
+ * @swagger
+ * /taxes/rates/{id}:
+ *   put:
+ *     summary: Update a tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the tax rate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRate'
+ *     responses:
+ *       200:
+ *         description: Tax rate updated successfully
+ *       400:
+ *         description: Invalid tax rate
+ *       404:
+ *         description: Tax rate not found
+ *       409:
+ *         description: Tax rate was modified concurrently
+ */
+router.put(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  TaxController.updateRate // Handle rate update
+);
+
+/**
+ * @swagger
+ * /taxes/rates/{id}:
+ *   delete:
+ *     summary: Delete a tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The ID of the tax rate
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted successfully
+ *       400:
+ *         description: Invalid tax rate ID
+ *       404:
+ *         description: Tax rate not found
+ */
+router.delete(
+  "/rates/:id",
+  authenticationVerifier,                // Verify user authentication
+  isAdminVerifier,                       // Restrict to admin users
+  TaxController.deleteRate // Handle rate deletion
+);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from "express";
+import { ShipmentController } from "../controllers/index.js";
+import { rateLimiter } from "../middlewares/index.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tracking
+ *   description: Public shipment tracking
+ */
+
+/**
+ * @swagger
+ * /track/{trackingNumber}:
+ *   get:
+ *     summary: Look up a shipment by tracking number
+ *     description: No authentication required. Limited to 30 requests per client every 15 minutes.
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: trackingNumber
+ *         required: true
+ *         schema: { type: string }
+ *         description: Tracking number, e.g. DHL-<uuid>
+ *     responses:
+ *       200:
+ *         description: Tracking information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type: { type: string, example: "success" }
+ *                 message: { type: string, example: "Tracking information retrieved successfully" }
+ *                 trackingNumber: { type: string }
+ *                 carrier: { type: string }
+ *                 status: { type: string, example: "in-transit" }
+ *                 estimatedDeliveryDate: { type: string, format: date-time, nullable: true }
+ *                 actualDeliveryDate: { type: string, format: date-time, nullable: true }
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status: { type: string }
+ *                       description: { type: string }
+ *                       location: { type: string }
+ *                       occurredAt: { type: string, format: date-time }
+ *       404:
+ *         description: Shipment not found
+ *       429:
+ *         description: Too many requests
+ */
+router.get(
+  "/:trackingNumber",
+  rateLimiter({ name: "track", windowSeconds: 15 * 60, max: 30 }), // Limit lookups per client
+  ShipmentController.trackShipment // Handle public tracking lookup
+);
+
+export default router;
@@ -147,4 +147,168 @@ router.put('/:id', accessLevelVerifier, clearCache, UserController.updateUser);
  */
 router.delete('/:id', isAdminVerifier, clearCache, UserController.deleteUser);
 
+/**
+ * @swagger
+ * /users/{userId}/addresses:
+ *   get:
+ *     summary: List saved addresses
+ *     description: Retrieve a user's address book, default address first (admin or self)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user
+ *     responses:
+ *       200:
+ *         description: Addresses retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - You are not allowed to perform this task
+ *       404:
+ *         description: User not found
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:userId/addresses', accessLevelVerifier, UserController.getAddresses);
+
+/**
+ * @swagger
+ * /users/{userId}/addresses:
+ *   post:
+ *     summary: Save an address
+ *     description: Add an address to a user's address book (admin or self). The first address saved becomes the default; isDefault moves the default flag to this address. Postal code and phone formats and required fields follow the address country (Nigeria by default)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label: { type: string, example: "Home" }
+ *               street: { type: string, example: "12 Aminu Kano Crescent" }
+ *               city: { type: string, example: "FCT Abuja" }
+ *               state: { type: string, example: "Abuja" }
+ *               zip: { type: string, example: "900001" }
+ *               country: { type: string, example: "Nigeria" }
+ *               phone: { type: string, example: "+2348012345678" }
+ *               landmark: { type: string, example: "Opposite Wuse Market" }
+ *               isDefault: { type: boolean, example: true }
+ *     responses:
+ *       201:
+ *         description: Address saved successfully
+ *       400:
+ *         description: Invalid address
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - You are not allowed to perform this task
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Address book is full
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:userId/addresses', accessLevelVerifier, UserController.addAddress);
+
+/**
+ * @swagger
+ * /users/{userId}/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     description: Update an address in a user's address book (admin or self)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the saved address
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label: { type: string, example: "Home" }
+ *               street: { type: string, example: "12 Aminu Kano Crescent" }
+ *               city: { type: string, example: "FCT Abuja" }
+ *               state: { type: string, example: "Abuja" }
+ *               zip: { type: string, example: "900001" }
+ *               country: { type: string, example: "Nigeria" }
+ *               phone: { type: string, example: "+2348012345678" }
+ *               landmark: { type: string, example: "Opposite Wuse Market" }
+ *               isDefault: { type: boolean, example: true }
+ *     responses:
+ *       200:
+ *         description: Address updated successfully
+ *       400:
+ *         description: Invalid address or address ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - You are not allowed to perform this task
+ *       404:
+ *         description: User or address not found
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:userId/addresses/:addressId', accessLevelVerifier, UserController.updateAddress);
+
+/**
+ * @swagger
+ * /users/{userId}/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: Remove an address from a user's address book (admin or self). If it was the default, the oldest remaining address becomes the default
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the saved address
+ *     responses:
+ *       200:
+ *         description: Address deleted successfully
+ *       400:
+ *         description: Invalid address ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - You are not allowed to perform this task
+ *       404:
+ *         description: User or address not found
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:userId/addresses/:addressId', accessLevelVerifier, UserController.deleteAddress);
+
 export default router;
@@ -5,6 +5,14 @@ import userRoute from "./_user.js";
 import productRoute from "./_product.js";
 import orderRoute from "./_order.js";
 import paymentRoute from "./_payment.js";
+import returnRoute from "./_return.js";
+import shipmentRoute from "./_shipment.js";
+import trackRoute from "./_track.js";
+import shippingRoute from "./_shipping.js";
+import couponRoute from "./_coupon.js";
+import promotionRoute from "./_promotion.js";
+import taxRoute from "./_tax.js";
+import stockRoute from "./_stock.js";
 
 const router = Router();
 
@@ -14,5 +22,13 @@ router.use("/users", userRoute);
 router.use("/products", productRoute);
 router.use("/orders", orderRoute);
 router.use("/payments", paymentRoute);
+router.use("/returns", returnRoute);
+router.use("/shipments", shipmentRoute);
+router.use("/track", trackRoute);
+router.use("/shipping", shippingRoute);
+router.use("/coupons", couponRoute);
+router.use("/promotions", promotionRoute);
+router.use("/taxes", taxRoute);
+router.use("/stock", stockRoute);
 
 export default router;
\ No newline at end of file
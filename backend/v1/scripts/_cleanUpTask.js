@@ -1,6 +1,9 @@
 import "../config/_env.js";
 import { logger } from "../config/_logger.js";
 import cleanupExpiredCarts from "../jobs/scheduler/_cartCleanup.js";
+import releaseExpiredReservations from "../jobs/scheduler/_reservationCleanup.js";
+import sendLowStockDigest from "../jobs/scheduler/_lowStockDigest.js";
+import notifyBackInStock from "../jobs/scheduler/_backInStockNotifier.js";
 import { connectDB, disconnectDB } from "../config/_database.js";
 
 (async () => {
@@ -11,6 +14,9 @@ import { connectDB, disconnectDB } from "../config/_database.js";
 
     // Start cron jobs
     cleanupExpiredCarts();
+    releaseExpiredReservations();
+    sendLowStockDigest();
+    notifyBackInStock();
 
     // Graceful shutdown on exit
     process.on("SIGINT", async () => {
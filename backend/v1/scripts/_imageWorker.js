@@ -0,0 +1,27 @@
+import "../config/_env.js";
+import { imageQueue } from "../jobs/queues/_imageQueue.js";
+import thumbnailWorker from "../jobs/workers/_thumbnailProcessor.js";
+import { connectDB, disconnectDB } from "../config/_database.js";
+import { logger } from "../config/_logger.js";
+
+(async () => {
+  try {
+    // Thumbnails are recorded on the product, so the worker needs MongoDB
+    await connectDB();
+
+    // Start image queue worker
+    imageQueue.process("generateThumbnail", thumbnailWorker);
+    logger.info("Image worker is running and processing jobs...");
+
+    // Graceful shutdown on exit
+    process.on("SIGINT", async () => {
+      logger.info("Shutting down image worker...");
+      await imageQueue.close();
+      await disconnectDB();
+      process.exit(0);
+    });
+  } catch (err) {
+    logger.error(`MongoDB connection failed: ${err.message}`);
+    process.exit(1);
+  }
+})();
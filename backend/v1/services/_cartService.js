@@ -1,6 +1,12 @@
 import mongoose from "mongoose";
-import { Cart, Product } from "../models/index.js";
-import { validateCartProducts } from "../utils/index.js";
+import { Cart, Product, Coupon } from "../models/index.js";
+import { validateCartProducts, lineKey } from "../utils/index.js";
+import { CouponService } from "./_couponService.js";
+import { PromotionService } from "./_promotionService.js";
+import { ShippingService } from "./_shippingService.js";
+import { StockService } from "./_stockService.js";
+import { TaxService } from "./_taxService.js";
+import { UserService } from "./_userService.js";
 
 const CART_CONSTANTS = {
   DEFAULT_QUANTITY: 1,
@@ -13,6 +19,7 @@ const CART_CONSTANTS = {
     MAX_PRODUCTS_IN_CART: 50,
   },
   CART_TIMEOUT_MINUTES: 30,
+  PRODUCT_FIELDS: "name price stock image category weight variants",
 };
 
 const ERROR_MESSAGES = {
@@ -23,11 +30,15 @@ const ERROR_MESSAGES = {
   INVALID_QUANTITY: "Valid quantity (positive number) is required",
   PRODUCT_NOT_FOUND_IN_CART: "Product not found in cart",
   VALID_PRODUCT_ID_REQUIRED: "Valid productId (ObjectId) is required",
+  VALID_VARIANT_ID_REQUIRED: "variantId must be a valid ObjectId",
   IDENTIFIER_REQUIRED: "User ID or Guest ID required",
   INSUFFICIENT_STOCK: "Insufficient stock for product",
   PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_REQUIRED: "Choose a variant for product",
+  VARIANT_NOT_FOUND: "Variant not found",
   CONCURRENCY_CONFLICT: "Cart or product was modified by another request. Please retry.",
   CART_EXPIRED: "Cart has expired and been cleared",
+  CART_EMPTY: "Your cart is empty.",
 };
 
 export class CartService {
@@ -45,7 +56,7 @@ export class CartService {
       const [totalItems, carts] = await Promise.all([
         Cart.countDocuments(),
         Cart.find()
-          .populate("products.productId", "name price stock image")
+          .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
           .sort({ [sort]: sortOrder })
           .skip(skip)
           .limit(limit)
@@ -93,10 +104,10 @@ export class CartService {
       }
 
       cart = await Cart.findOne(query)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return cart;
+      return this.withPricing(cart);
     } catch (err) {
       throw new Error(err.message === ERROR_MESSAGES.CART_NOT_FOUND || err.message === ERROR_MESSAGES.CART_EXPIRED ? err.message : `Failed to retrieve cart: ${err.message}`);
     }
@@ -115,14 +126,14 @@ export class CartService {
 
     try {
       const cart = await Cart.findById(id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
       if (!cart) {
         throw new Error(ERROR_MESSAGES.CART_NOT_FOUND);
       }
 
-      return cart;
+      return this.withPricing(cart);
     } catch (err) {
       throw new Error(err.message === ERROR_MESSAGES.CART_NOT_FOUND ? err.message : `Failed to retrieve cart: ${err.message}`);
     }
@@ -130,7 +141,7 @@ export class CartService {
 
   /**
    * Creates a new cart for a user.
-   * @param {Object} options - Cart data (userId, guestId, products).
+   * @param {Object} options - Cart data (userId, guestId, products). Lines of products with variants need a variantId.
    * @returns {Object} Created cart.
    * @throws {Error} If validation fails, cart exists, or transaction fails.
    */
@@ -158,23 +169,10 @@ export class CartService {
 
       const cartProducts = products.map((product) => ({
         productId: new mongoose.Types.ObjectId(product.productId),
+        variantId: product.variantId ? new mongoose.Types.ObjectId(product.variantId) : null,
         quantity: product.quantity || CART_CONSTANTS.DEFAULT_QUANTITY,
       }));
 
-      for (const item of cartProducts) {
-        const product = await Product.findOneAndUpdate(
-          { _id: item.productId, version: { $gte: 0 } },
-          { $inc: { stock: -item.quantity, version: 1 } },
-          { new: true, session }
-        );
-        if (!product) {
-          throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${item.productId}`);
-        }
-        if (product.stock < 0) {
-          throw new Error(`${ERROR_MESSAGES.INSUFFICIENT_STOCK}: ${product.name}`);
-        }
-      }
-
       const newCart = new Cart({
         userId,
         guestId: userId ? undefined : guestId,
@@ -182,14 +180,15 @@ export class CartService {
         lastUpdated: new Date(),
         version: 0,
       });
+      await StockService.syncCart({ cartId: newCart._id, userId, guestId, products: cartProducts, session });
       const savedCart = await newCart.save({ session });
 
       await session.commitTransaction();
       const populatedCart = await Cart.findById(savedCart._id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return populatedCart;
+      return this.withPricing(populatedCart);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
@@ -225,35 +224,19 @@ export class CartService {
       }
 
       const currentVersion = cart.version;
-      for (const item of cart.products) {
-        const product = await Product.findOneAndUpdate(
-          { _id: item.productId, version: { $gte: 0 } },
-          { $inc: { stock: item.quantity, version: 1 } },
-          { new: true, session }
-        );
-        if (!product) {
-          throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${item.productId}`);
-        }
-      }
-
       const newProducts = products.map((product) => ({
         productId: new mongoose.Types.ObjectId(product.productId),
+        variantId: product.variantId ? new mongoose.Types.ObjectId(product.variantId) : null,
         quantity: product.quantity || CART_CONSTANTS.DEFAULT_QUANTITY,
       }));
 
-      for (const item of newProducts) {
-        const product = await Product.findOneAndUpdate(
-          { _id: item.productId, version: { $gte: 0 } },
-          { $inc: { stock: -item.quantity, version: 1 } },
-          { new: true, session }
-        );
-        if (!product) {
-          throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${item.productId}`);
-        }
-        if (product.stock < 0) {
-          throw new Error(`${ERROR_MESSAGES.INSUFFICIENT_STOCK}: ${product.name}`);
-        }
-      }
+      await StockService.syncCart({
+        cartId: cart._id,
+        userId: cart.userId,
+        guestId: cart.guestId,
+        products: newProducts,
+        session,
+      });
 
       const updatedCart = await Cart.findOneAndUpdate(
         { _id: cartId, version: currentVersion },
@@ -266,10 +249,10 @@ export class CartService {
 
       await session.commitTransaction();
       const populatedCart = await Cart.findById(updatedCart._id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return populatedCart;
+      return this.withPricing(populatedCart);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
@@ -279,23 +262,26 @@ export class CartService {
   }
 
   /**
-   * Adds a product to a cart or creates a new cart if none exists.
-   * @param {Object} options - Cart data (userId, guestId, productId, quantity).
+   * Adds a product, or one variant of it, to a cart or creates a new cart if none exists.
+   * @param {Object} options - Cart data (userId, guestId, productId, variantId, quantity).
    * @returns {Object} Updated or created cart.
-   * @throws {Error} If validation fails, product not found, or transaction fails.
+   * @throws {Error} If validation fails, product or variant not found, or transaction fails.
    */
-  static async addToCart({ userId, guestId, productId, quantity = CART_CONSTANTS.DEFAULT_QUANTITY }) {
+  static async addToCart({ userId, guestId, productId, variantId = null, quantity = CART_CONSTANTS.DEFAULT_QUANTITY }) {
     if (!userId && !guestId) {
       throw new Error(ERROR_MESSAGES.IDENTIFIER_REQUIRED);
     }
     if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
       throw new Error(ERROR_MESSAGES.VALID_PRODUCT_ID_REQUIRED);
     }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.VALID_VARIANT_ID_REQUIRED);
+    }
 
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-      const validationResult = validateCartProducts([{ productId, quantity }]);
+      const validationResult = validateCartProducts([{ productId, variantId, quantity }]);
       if (!validationResult.valid) {
         throw new Error(validationResult.message);
       }
@@ -304,35 +290,34 @@ export class CartService {
       const cart = await Cart.findOne(query).session(session);
       const currentVersion = cart ? cart.version : 0;
 
-      const product = await Product.findOneAndUpdate(
-        { _id: productId, version: { $gte: 0 } },
-        { $inc: { stock: -quantity, version: 1 } },
-        { new: true, session }
-      );
-      if (!product) {
+      if (!(await Product.exists({ _id: productId }).session(session))) {
         throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
       }
-      if (product.stock < 0) {
-        throw new Error(`${ERROR_MESSAGES.INSUFFICIENT_STOCK}: ${product.name}`);
-      }
 
+      const line = {
+        productId: new mongoose.Types.ObjectId(productId),
+        variantId: variantId ? new mongoose.Types.ObjectId(variantId) : null,
+        quantity,
+      };
       let updatedCart;
       if (!cart) {
         updatedCart = new Cart({
           userId,
           guestId: userId ? undefined : guestId,
-          products: [{ productId: new mongoose.Types.ObjectId(productId), quantity }],
+          products: [line],
           lastUpdated: new Date(),
           version: 0,
         });
+        await StockService.syncCart({ cartId: updatedCart._id, userId, guestId, products: updatedCart.products, session });
         await updatedCart.save({ session });
       } else {
-        const productIndex = cart.products.findIndex((p) => p.productId.toString() === productId);
+        const productIndex = cart.products.findIndex((p) => lineKey(p) === lineKey(line));
         if (productIndex > -1) {
           cart.products[productIndex].quantity += quantity;
         } else {
-          cart.products.push({ productId: new mongoose.Types.ObjectId(productId), quantity });
+          cart.products.push(line);
         }
+        await StockService.syncCart({ cartId: cart._id, userId, guestId, products: cart.products, session });
         cart.lastUpdated = new Date();
         cart.markModified("products");
         updatedCart = await Cart.findOneAndUpdate(
@@ -347,10 +332,10 @@ export class CartService {
 
       await session.commitTransaction();
       const populatedCart = await Cart.findById(updatedCart._id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return populatedCart;
+      return this.withPricing(populatedCart);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
@@ -360,18 +345,21 @@ export class CartService {
   }
 
   /**
-   * Removes a product from a cart.
-   * @param {Object} options - Cart data (userId, guestId, productId).
+   * Removes a product, or one variant of it, from a cart.
+   * @param {Object} options - Cart data (userId, guestId, productId, variantId).
    * @returns {Object} Updated cart.
    * @throws {Error} If validation fails, cart not found, or transaction fails.
    */
-  static async removeFromCart({ userId, guestId, productId }) {
+  static async removeFromCart({ userId, guestId, productId, variantId = null }) {
     if (!userId && !guestId) {
       throw new Error(ERROR_MESSAGES.IDENTIFIER_REQUIRED);
     }
     if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
       throw new Error(ERROR_MESSAGES.VALID_PRODUCT_ID_REQUIRED);
     }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.VALID_VARIANT_ID_REQUIRED);
+    }
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -383,22 +371,19 @@ export class CartService {
       }
 
       const currentVersion = cart.version;
-      const productIndex = cart.products.findIndex((p) => p.productId.toString() === productId);
+      const productIndex = cart.products.findIndex((p) => lineKey(p) === lineKey({ productId, variantId }));
       if (productIndex === -1) {
         throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND_IN_CART);
       }
 
-      const quantityToRestore = cart.products[productIndex].quantity;
-      const product = await Product.findOneAndUpdate(
-        { _id: productId, version: { $gte: 0 } },
-        { $inc: { stock: quantityToRestore, version: 1 } },
-        { new: true, session }
-      );
-      if (!product) {
-        throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${productId}`);
-      }
-
       cart.products.splice(productIndex, 1);
+      await StockService.syncCart({
+        cartId: cart._id,
+        userId: cart.userId,
+        guestId: cart.guestId,
+        products: cart.products,
+        session,
+      });
       const updatedCart = await Cart.findOneAndUpdate(
         { _id: cart._id, version: currentVersion },
         { products: cart.products, lastUpdated: new Date(), $inc: { version: 1 } },
@@ -410,10 +395,10 @@ export class CartService {
 
       await session.commitTransaction();
       const populatedCart = await Cart.findById(updatedCart._id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return populatedCart;
+      return this.withPricing(populatedCart);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
@@ -443,20 +428,11 @@ export class CartService {
       }
 
       const currentVersion = cart.version;
-      for (const item of cart.products) {
-        const product = await Product.findOneAndUpdate(
-          { _id: item.productId, version: { $gte: 0 } },
-          { $inc: { stock: item.quantity, version: 1 } },
-          { new: true, session }
-        );
-        if (!product) {
-          console.warn(`Product ${item.productId} not found during cart cleanup`);
-        }
-      }
+      await StockService.releaseCart({ cartId: cart._id, session });
 
       const updatedCart = await Cart.findOneAndUpdate(
         { _id: cart._id, version: currentVersion },
-        { products: [], lastUpdated: new Date(), $inc: { version: 1 } },
+        { products: [], couponId: null, lastUpdated: new Date(), $inc: { version: 1 } },
         { new: true, session }
       );
       if (!updatedCart) {
@@ -465,10 +441,10 @@ export class CartService {
 
       await session.commitTransaction();
       const populatedCart = await Cart.findById(updatedCart._id)
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
         .lean();
 
-      return populatedCart;
+      return this.withPricing(populatedCart);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
@@ -478,7 +454,160 @@ export class CartService {
   }
 
   /**
-   * Clears an expired cart and restores product stock.
+   * Checks a coupon against a cart and attaches it; the discount is redeemed at checkout.
+   * @param {Object} options - Cart data (userId, guestId, code).
+   * @returns {Object} Updated cart, the coupon and the discount it gives on the current items.
+   * @throws {Error} If the cart is empty, the coupon is invalid or does not apply, or the cart changed concurrently.
+   */
+  static async applyCoupon({ userId, guestId, code }) {
+    if (!userId && !guestId) {
+      throw new Error(ERROR_MESSAGES.IDENTIFIER_REQUIRED);
+    }
+
+    const query = userId ? { userId } : { guestId };
+    const cart = await Cart.findOne(query).populate("products.productId", "price category variants");
+    if (!cart || cart.products.length === 0) {
+      throw new Error(ERROR_MESSAGES.CART_EMPTY);
+    }
+
+    // Coupons apply to what is left after automatic promotions
+    const coupon = await CouponService.findByCode(code);
+    const items = this.lineItems(cart);
+    const pricing = await PromotionService.applyPromotions(items);
+    const { discount } = CouponService.calculateDiscount(coupon, {
+      items: PromotionService.discountedItems(items, pricing),
+      userId,
+    });
+
+    const updatedCart = await Cart.findOneAndUpdate(
+      { _id: cart._id, version: cart.version },
+      { couponId: coupon._id, lastUpdated: new Date(), $inc: { version: 1 } },
+      { new: true }
+    )
+      .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
+      .lean();
+    if (!updatedCart) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+
+    return {
+      cart: await this.withPricing(updatedCart),
+      coupon: { code: coupon.code, type: coupon.type, value: coupon.value, description: coupon.description, discount },
+    };
+  }
+
+  /**
+   * Removes the coupon from a cart.
+   * @param {Object} options - Cart data (userId, guestId).
+   * @returns {Object} Updated cart.
+   * @throws {Error} If the cart is not found or changed concurrently.
+   */
+  static async removeCoupon({ userId, guestId }) {
+    if (!userId && !guestId) {
+      throw new Error(ERROR_MESSAGES.IDENTIFIER_REQUIRED);
+    }
+
+    const query = userId ? { userId } : { guestId };
+    const cart = await Cart.findOne(query);
+    if (!cart) {
+      throw new Error(ERROR_MESSAGES.CART_NOT_FOUND);
+    }
+
+    const updatedCart = await Cart.findOneAndUpdate(
+      { _id: cart._id, version: cart.version },
+      { couponId: null, lastUpdated: new Date(), $inc: { version: 1 } },
+      { new: true }
+    )
+      .populate("products.productId", CART_CONSTANTS.PRODUCT_FIELDS)
+      .lean();
+    if (!updatedCart) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return this.withPricing(updatedCart);
+  }
+
+  /**
+   * Turns a cart with populated products into priced line items, skipping products and variants that no longer exist.
+   * A variant's own price, when set, replaces the product price.
+   * @param {Object} cart - Cart with products.productId populated.
+   * @returns {Array} Line items (productId, variantId, sku, category, price, weight, quantity).
+   */
+  static lineItems(cart) {
+    return cart.products
+      .filter((item) => item.productId && item.productId.price !== undefined)
+      .map((item) => ({ item, variant: Product.findVariant(item.productId, item.variantId) }))
+      .filter(({ item, variant }) => !item.variantId || variant)
+      .map(({ item, variant }) => ({
+        productId: item.productId._id,
+        variantId: variant ? variant._id : null,
+        sku: variant ? variant.sku : null,
+        category: item.productId.category,
+        price: variant?.price ?? item.productId.price,
+        weight: item.productId.weight,
+        quantity: item.quantity,
+      }));
+  }
+
+  /**
+   * Picks the address cart totals are estimated for: the owner's default saved address,
+   * or the store's default country for guests and users without one.
+   * @param {Object} cart - Cart.
+   * @returns {Promise<Object>} Destination address.
+   */
+  static async pricingAddress(cart) {
+    if (!cart.userId) {
+      return {};
+    }
+    try {
+      return (await UserService.resolveOrderAddress(cart.userId)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Adds a pricing breakdown to a cart: running promotions per line, then the applied coupon,
+   * then tax and shipping for the default destination, with the same totals an order would get.
+   * A coupon that no longer applies is reported with its error and no discount.
+   * @param {Object} cart - Lean cart with products.productId populated.
+   * @returns {Promise<Object>} Cart with pricing and totals fields.
+   */
+  static async withPricing(cart) {
+    if (!cart) {
+      return cart;
+    }
+
+    const items = this.lineItems(cart);
+    let pricing = await PromotionService.applyPromotions(items);
+    if (cart.couponId) {
+      const coupon = await Coupon.findById(cart.couponId).lean();
+      if (coupon) {
+        try {
+          const { discount, lines } = CouponService.calculateDiscount(coupon, {
+            items: PromotionService.discountedItems(items, pricing),
+            userId: cart.userId,
+          });
+          pricing = PromotionService.withCoupon(pricing, { code: coupon.code, discount }, lines);
+        } catch (err) {
+          pricing = PromotionService.withCoupon(pricing, { code: coupon.code, discount: 0, error: err.message });
+        }
+      }
+    }
+
+    const address = await this.pricingAddress(cart);
+    const tax = await TaxService.calculateTax({ address, items, pricing });
+    pricing = {
+      ...pricing,
+      lines: pricing.lines.map((line, index) => ({ ...line, taxRate: tax.lines[index].rate, tax: tax.lines[index].tax })),
+    };
+    const shippingFee =
+      items.length > 0 ? (await ShippingService.getQuote({ address, items, discount: pricing.discount })).shippingFee : 0;
+
+    return { ...cart, pricing, totals: TaxService.buildTotals({ pricing, tax, shippingFee }) };
+  }
+
+  /**
+   * Clears an expired cart and releases the stock it reserved.
    * @param {string} cartId - Cart ID.
    * @throws {Error} If transaction fails.
    */
@@ -490,16 +619,7 @@ export class CartService {
       if (!cart) return;
 
       const currentVersion = cart.version;
-      for (const item of cart.products) {
-        const product = await Product.findOneAndUpdate(
-          { _id: item.productId, version: { $gte: 0 } },
-          { $inc: { stock: item.quantity, version: 1 } },
-          { new: true, session }
-        );
-        if (!product) {
-          console.warn(`Product ${item.productId} not found during cart cleanup`);
-        }
-      }
+      await StockService.releaseCart({ cartId: cart._id, status: "expired", session });
 
       const deletedCart = await Cart.findOneAndDelete(
         { _id: cartId, version: currentVersion },
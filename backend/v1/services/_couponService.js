@@ -0,0 +1,324 @@
+import mongoose from "mongoose";
+import { Coupon } from "../models/index.js";
+
+const CONSTANTS = {
+  TYPE_PERCENTAGE: "percentage",
+  COUPON_FIELDS: [
+    "code",
+    "description",
+    "type",
+    "value",
+    "maxDiscount",
+    "minOrderValue",
+    "applicableProducts",
+    "applicableCategories",
+    "usageLimit",
+    "perUserLimit",
+    "startsAt",
+    "expiresAt",
+    "isActive",
+  ],
+};
+
+const ERROR_MESSAGES = {
+  INVALID_COUPON_ID: "Invalid coupon ID",
+  COUPON_CODE_REQUIRED: "A coupon code is required.",
+  COUPON_NOT_FOUND: "Coupon not found.",
+  COUPON_INACTIVE: "This coupon is not active.",
+  COUPON_NOT_STARTED: "This coupon is not valid yet.",
+  COUPON_EXPIRED: "This coupon has expired.",
+  COUPON_USAGE_LIMIT_REACHED: "This coupon has reached its usage limit.",
+  COUPON_USER_LIMIT_REACHED: "You have already used this coupon the maximum number of times.",
+  COUPON_MIN_ORDER_NOT_MET: "Order subtotal is below the coupon minimum",
+  COUPON_NOT_APPLICABLE: "This coupon does not apply to any items in your cart.",
+  CODE_IN_USE: "A coupon with this code already exists.",
+  CONCURRENCY_CONFLICT: "Coupon was modified by another request. Please retry.",
+};
+
+/**
+ * Rounds an amount to two decimal places.
+ * @param {number} amount - Amount to round.
+ * @returns {number} Rounded amount.
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class CouponService {
+  /**
+   * Works out what a coupon takes off a set of line items, checking that it can be used.
+   * The discount is spread across the eligible lines in proportion to their value.
+   * @param {Object} coupon - Coupon document or plain object.
+   * @param {Object} options - Discount data (items, userId).
+   * @param {Array} options.items - Line items (productId, variantId, category, price, quantity).
+   * @param {string} [options.userId] - Customer ID; per-user limits are skipped for guests.
+   * @returns {Object} Total discount and the discount on each eligible line.
+   * @throws {Error} If the coupon is inactive, outside its dates, used up, or does not apply.
+   */
+  static calculateDiscount(coupon, { items, userId }) {
+    const now = new Date();
+    if (!coupon.isActive) {
+      throw new Error(ERROR_MESSAGES.COUPON_INACTIVE);
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_STARTED);
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw new Error(ERROR_MESSAGES.COUPON_EXPIRED);
+    }
+    if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usedCount >= coupon.usageLimit) {
+      throw new Error(ERROR_MESSAGES.COUPON_USAGE_LIMIT_REACHED);
+    }
+    if (userId && coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+      const userRedemptions = coupon.redemptions.filter((redemption) => redemption.userId.toString() === userId.toString());
+      if (userRedemptions.length >= coupon.perUserLimit) {
+        throw new Error(ERROR_MESSAGES.COUPON_USER_LIMIT_REACHED);
+      }
+    }
+
+    const subtotal = roundAmount(items.reduce((total, item) => total + item.price * item.quantity, 0));
+    if (subtotal < (coupon.minOrderValue || 0)) {
+      throw new Error(`${ERROR_MESSAGES.COUPON_MIN_ORDER_NOT_MET}: ${coupon.minOrderValue}`);
+    }
+
+    const productIds = (coupon.applicableProducts || []).map((productId) => productId.toString());
+    const categories = coupon.applicableCategories || [];
+    const restricted = productIds.length > 0 || categories.length > 0;
+    const eligibleItems = items.filter(
+      (item) =>
+        !restricted ||
+        productIds.includes(item.productId.toString()) ||
+        (item.category && categories.includes(item.category.toLowerCase()))
+    );
+    const eligibleSubtotal = roundAmount(eligibleItems.reduce((total, item) => total + item.price * item.quantity, 0));
+    if (eligibleSubtotal <= 0) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_APPLICABLE);
+    }
+
+    let discount =
+      coupon.type === CONSTANTS.TYPE_PERCENTAGE ? (eligibleSubtotal * coupon.value) / 100 : coupon.value;
+    if (coupon.type === CONSTANTS.TYPE_PERCENTAGE && coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+    // The last line takes the rounding remainder so the line discounts add up to the total
+    let allocated = 0;
+    const lines = eligibleItems.map((item, index) => {
+      const lineTotal = item.price * item.quantity;
+      const lineDiscount =
+        index === eligibleItems.length - 1
+          ? roundAmount(discount - allocated)
+          : roundAmount((discount * lineTotal) / eligibleSubtotal);
+      allocated = roundAmount(allocated + lineDiscount);
+      return {
+        productId: item.productId.toString(),
+        variantId: item.variantId ? item.variantId.toString() : null,
+        discount: lineDiscount,
+      };
+    });
+
+    return { subtotal, discount, lines };
+  }
+
+  /**
+   * Finds an active coupon by its code.
+   * @param {string} code - Coupon code, in any case.
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Object>} Coupon document.
+   * @throws {Error} If the code is missing or no coupon matches.
+   */
+  static async findByCode(code, session = null) {
+    if (typeof code !== "string" || !code.trim()) {
+      throw new Error(ERROR_MESSAGES.COUPON_CODE_REQUIRED);
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() }).session(session);
+    if (!coupon) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_FOUND);
+    }
+    return coupon;
+  }
+
+  /**
+   * Redeems a coupon for an order inside the caller's transaction.
+   * The usage count is bumped with a version check, so concurrent checkouts cannot exceed the limits.
+   * @param {Object} options - Redemption data (couponId, userId, orderId, items, session).
+   * @returns {Promise<Object>} Coupon summary for the order and the discount on each line.
+   * @throws {Error} If the coupon is missing, no longer applies, or was changed concurrently.
+   */
+  static async redeemCoupon({ couponId, userId, orderId, items, session }) {
+    const coupon = await Coupon.findById(couponId).session(session);
+    if (!coupon) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_FOUND);
+    }
+
+    const { discount, lines } = this.calculateDiscount(coupon, { items, userId });
+    const updatedCoupon = await Coupon.findOneAndUpdate(
+      { _id: coupon._id, version: coupon.version },
+      {
+        $inc: { usedCount: 1, version: 1 },
+        $push: { redemptions: { userId, orderId, discount, redeemedAt: new Date() } },
+      },
+      { new: true, session }
+    );
+    if (!updatedCoupon) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+
+    return {
+      coupon: { couponId: coupon._id, code: coupon.code, discount },
+      lines,
+    };
+  }
+
+  /**
+   * Gives back a coupon redemption when its order is cancelled.
+   * @param {Object} options - Release data (couponId, orderId, session).
+   */
+  static async releaseRedemption({ couponId, orderId, session }) {
+    await Coupon.updateOne(
+      { _id: couponId, "redemptions.orderId": orderId },
+      {
+        $inc: { usedCount: -1, version: 1 },
+        $pull: { redemptions: { orderId } },
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Picks the editable fields from coupon input.
+   * @param {Object} data - Raw input.
+   * @returns {Object} Coupon fields.
+   */
+  static pickCouponFields(data = {}) {
+    const fields = {};
+    for (const field of CONSTANTS.COUPON_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+
+  /**
+   * Creates a coupon.
+   * @param {Object} data - Coupon data.
+   * @returns {Object} Created coupon.
+   * @throws {Error} If the code is taken or validation fails.
+   */
+  static async createCoupon(data) {
+    try {
+      return await Coupon.create({ ...this.pickCouponFields(data), version: 0 });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new Error(ERROR_MESSAGES.CODE_IN_USE);
+      }
+      throw new Error(`Failed to create coupon: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves all coupons with pagination, optionally only active ones.
+   * @param {Object} options - Query options (page, limit, active).
+   * @returns {Object} Coupons and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getCoupons({ page, limit, active }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = active === undefined ? {} : { isActive: active === "true" };
+      const [totalItems, coupons] = await Promise.all([
+        Coupon.countDocuments(query),
+        Coupon.find(query).select("-redemptions").sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        coupons,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve coupons: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single coupon with its redemptions.
+   * @param {string} id - Coupon ID.
+   * @returns {Object} Coupon.
+   * @throws {Error} If the ID is invalid or the coupon is not found.
+   */
+  static async getCoupon(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_COUPON_ID);
+    }
+
+    const coupon = await Coupon.findById(id).lean();
+    if (!coupon) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_FOUND);
+    }
+    return coupon;
+  }
+
+  /**
+   * Updates a coupon. Usage counts and redemptions cannot be edited.
+   * @param {string} id - Coupon ID.
+   * @param {Object} data - Update data.
+   * @returns {Object} Updated coupon.
+   * @throws {Error} If the ID is invalid, the coupon is not found, the code is taken, or validation fails.
+   */
+  static async updateCoupon(id, data) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_COUPON_ID);
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_FOUND);
+    }
+
+    // Validate the merged coupon so rules spanning fields (e.g. percentage <= 100) still hold
+    const fields = this.pickCouponFields(data);
+    coupon.set(fields);
+    try {
+      await coupon.validate();
+    } catch (err) {
+      throw new Error(`Failed to update coupon: ${err.message}`);
+    }
+
+    try {
+      const updatedCoupon = await Coupon.findOneAndUpdate(
+        { _id: id, version: coupon.version },
+        { $set: fields, $inc: { version: 1 } },
+        { new: true, runValidators: true }
+      );
+      if (!updatedCoupon) {
+        throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+      }
+      return updatedCoupon;
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new Error(ERROR_MESSAGES.CODE_IN_USE);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Deletes a coupon. Orders keep the code and discount they were placed with.
+   * @param {string} id - Coupon ID.
+   * @throws {Error} If the ID is invalid or the coupon is not found.
+   */
+  static async deleteCoupon(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_COUPON_ID);
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(id);
+    if (!coupon) {
+      throw new Error(ERROR_MESSAGES.COUPON_NOT_FOUND);
+    }
+  }
+}
@@ -1,12 +1,33 @@
 import mongoose from "mongoose";
-import { Order, StoreCredit, Product, Cart } from "../models/index.js";
+import { Order, StoreCredit, Product, Cart, Shipping, Payment } from "../models/index.js";
+import { normalizeAddress, validateAddress } from "../models/_address.js";
 import { CartService } from "./_cartService.js";
+import { PaymentService } from "./_paymentService.js";
+import { ShippingService } from "./_shippingService.js";
+import { UserService } from "./_userService.js";
+import { CouponService } from "./_couponService.js";
+import { PromotionService } from "./_promotionService.js";
+import { TaxService } from "./_taxService.js";
+import { StockService } from "./_stockService.js";
+import { lineKey } from "../utils/index.js";
+import { logger } from "../config/_logger.js";
 const CONSTANTS = {
   STORE_CREDIT_EXPIRY_DAYS: 3 * 30,
-  FIXED_SHIPPING_FEE: 2,
-  VALID_ORDER_STATUSES: ["pending", "processing", "shipped", "delivered", "cancelled"],
-  ORDER_STATUSES_FOR_INCOME: ["pending", "processing", "shipped", "delivered"],
+  DEFAULT_CURRENCY: (process.env.DEFAULT_CURRENCY || "ngn").toLowerCase(),
+  VALID_ORDER_STATUSES: ["pending", "paid", "processing", "shipped", "delivered", "cancelled"],
+  ORDER_STATUSES_FOR_INCOME: ["pending", "paid", "processing", "shipped", "delivered"],
   CART_TIMEOUT_MINUTES: 30,
+  REFUNDABLE_ORDER_STATUSES: ["paid", "processing", "shipped", "delivered"],
+  REFUND_METHODS: ["card", "store_credit"],
+  REFUND_METHOD_CARD: "card",
+  REFUND_METHOD_STORE_CREDIT: "store_credit",
+  REFUND_STATUS_PROCESSED: "processed",
+  REFUND_STATUS_PENDING: "pending",
+  REFUND_STATUS_FAILED: "failed",
+  RETRYABLE_REFUND_STATUSES: ["pending", "failed"],
+  PAYMENT_STATUS_UNPAID: "unpaid",
+  DEFAULT_CANCELLATION_WINDOW_HOURS: 24,
+  CANCELLATION_REASON_CODES: ["changed_mind", "ordered_by_mistake", "found_better_price", "delivery_too_slow", "other"],
 };
 
 const ERROR_MESSAGES = {
@@ -14,30 +35,55 @@ const ERROR_MESSAGES = {
   CART_EMPTY: "Your cart is empty.",
   CART_EXPIRED: "Cart has expired and been cleared.",
   PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_NOT_FOUND: "Variant not found",
   ORDER_NOT_FOUND: "Order not found.",
   INVALID_STATUS: "Invalid status provided.",
+  USE_CANCEL_ENDPOINT: "Orders can only be cancelled through the cancel endpoint.",
   ALREADY_CANCELLED: "Order is already cancelled.",
+  INVALID_TRANSITION: "Invalid status transition",
+  INVALID_ORDER_ID: "Invalid order ID",
+  INVALID_ADDRESS: "Invalid address",
+  FORBIDDEN: "You are not allowed to view this order.",
+  CANCEL_FORBIDDEN: "You can only cancel your own orders.",
+  CANCELLATION_WINDOW_EXPIRED: "The cancellation window for this order has passed.",
+  INVALID_CANCELLATION_REASON: "Invalid cancellation reason code.",
   CONCURRENCY_CONFLICT: "Order or cart was modified by another request. Please retry.",
+  ORDER_NOT_REFUNDABLE: "Only paid orders can be refunded.",
+  INVALID_REFUND_METHOD: "Refund method must be either card or store_credit.",
+  INVALID_REFUND_ITEMS: "Refund items must be a non-empty array of productId and quantity.",
+  REFUND_ITEM_NOT_IN_ORDER: "Refund item is not part of this order",
+  REFUND_QUANTITY_EXCEEDED: "Refund quantity exceeds the quantity left to refund",
+  NOTHING_TO_REFUND: "Nothing left to refund on this order.",
+  INVALID_REFUND_ID: "Invalid refund ID",
+  REFUND_NOT_FOUND: "Refund not found.",
+  REFUND_NOT_RETRYABLE: "Only pending or failed card refunds can be retried.",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
 export class OrderService {
   /**
    * Creates a new order from the user's cart.
-   * @param {Object} options - Order data (userId, address).
+   * The shipping address is either given inline or picked from the user's address book by addressId;
+   * with neither, the default saved address is used.
+   * @param {Object} options - Order data (userId, address, addressId).
    * @returns {Object} Created order and applied credit.
    * @throws {Error} If validation fails, cart is empty, or transaction fails.
    */
-  static async createOrder({ userId, address }) {
+  static async createOrder({ userId, address: inlineAddress, addressId }) {
+    const address =
+      addressId || !inlineAddress ? await UserService.resolveOrderAddress(userId, addressId) : inlineAddress;
     if (!address) {
       throw new Error(ERROR_MESSAGES.ADDRESS_REQUIRED);
     }
+    if (address === inlineAddress) {
+      this.checkAddress(address);
+    }
 
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
       const cart = await Cart.findOne({ userId })
-        .populate("products.productId", "name price stock image")
+        .populate("products.productId", "name price stock image category weight variants")
         .session(session);
       if (!cart || cart.products.length === 0) {
         throw new Error(ERROR_MESSAGES.CART_EMPTY);
@@ -50,23 +96,78 @@ export class OrderService {
         throw new Error(ERROR_MESSAGES.CART_EXPIRED);
       }
 
-      let orderTotal = 0;
+      // Variant lines take the variant's price and image where it has its own
       const orderedProducts = cart.products.map((cartItem) => {
         const product = cartItem.productId;
         if (!product) {
           throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${cartItem.productId}`);
         }
-        orderTotal += product.price * cartItem.quantity;
-        return { productId: cartItem.productId._id, quantity: cartItem.quantity };
+        const variant = Product.findVariant(product, cartItem.variantId);
+        if (cartItem.variantId && !variant) {
+          throw new Error(`${ERROR_MESSAGES.VARIANT_NOT_FOUND}: ${cartItem.variantId}`);
+        }
+        return {
+          productId: product._id,
+          variantId: variant ? variant._id : null,
+          sku: variant ? variant.sku : null,
+          options: variant ? variant.options : undefined,
+          quantity: cartItem.quantity,
+          name: product.name,
+          price: variant?.price ?? product.price,
+          image: variant?.image || product.image,
+          category: product.category,
+        };
       });
 
-      let payableAmount = orderTotal + CONSTANTS.FIXED_SHIPPING_FEE;
+      // Automatic promotions first, then the coupon on what is left, matching the cart's pricing
+      let pricing = await PromotionService.applyPromotions(orderedProducts, session);
+
+      // Redeem the cart's coupon in the same transaction, so the usage count only moves if the order is placed
+      const orderId = new mongoose.Types.ObjectId();
+      let coupon = null;
+      if (cart.couponId) {
+        const redemption = await CouponService.redeemCoupon({
+          couponId: cart.couponId,
+          userId,
+          orderId,
+          items: PromotionService.discountedItems(orderedProducts, pricing),
+          session,
+        });
+        coupon = redemption.coupon;
+        pricing = PromotionService.withCoupon(pricing, { code: coupon.code, discount: coupon.discount }, redemption.lines);
+      }
+
+      // Free shipping is judged on what the customer pays for the items, after promotions and the coupon
+      const shippingQuote = await ShippingService.getQuote({
+        address,
+        items: orderedProducts.map((item, index) => ({
+          price: item.price,
+          weight: cart.products[index].productId.weight,
+          quantity: item.quantity,
+        })),
+        discount: pricing.discount,
+        session,
+      });
+
+      // The cart's reservations become committed stock, so the order only goes through if the units are there
+      await StockService.commitCart({ cartId: cart._id, orderId, userId, items: orderedProducts, session });
+
+      const tax = await TaxService.calculateTax({ address, items: orderedProducts, pricing, session });
+      orderedProducts.forEach((item, index) => {
+        item.discount = pricing.lines[index].discount;
+        item.promotions = pricing.lines[index].promotions;
+        item.taxRate = tax.lines[index].rate;
+        item.tax = tax.lines[index].tax;
+      });
+      const totals = TaxService.buildTotals({ pricing, tax, shippingFee: shippingQuote.shippingFee });
+
+      let payableAmount = totals.total;
       let creditToApply = 0;
 
       const storeCredit = await StoreCredit.findOne({ userId }).session(session);
       if (storeCredit && storeCredit.amount > 0 && storeCredit.expiryDate > now) {
         creditToApply = Math.min(storeCredit.amount, payableAmount);
-        payableAmount -= creditToApply;
+        payableAmount = Math.round((payableAmount - creditToApply) * 100) / 100;
 
         await StoreCredit.findOneAndUpdate(
           { userId, version: storeCredit.version },
@@ -79,11 +180,23 @@ export class OrderService {
       }
 
       const newOrder = new Order({
+        _id: orderId,
         userId,
         products: orderedProducts,
         amount: payableAmount,
+        subtotal: totals.subtotal,
+        shippingFee: totals.shipping,
+        discount: totals.discount,
+        tax: totals.tax,
+        taxMode: totals.taxMode,
+        total: totals.total,
+        promotions: pricing.promotions,
+        coupon,
+        creditApplied: creditToApply,
+        currency: CONSTANTS.DEFAULT_CURRENCY,
         address,
         status: "pending",
+        statusHistory: [{ from: null, status: "pending", changedBy: userId }],
         version: 0,
       });
 
@@ -92,7 +205,7 @@ export class OrderService {
       const currentCartVersion = cart.version;
       const updatedCart = await Cart.findOneAndUpdate(
         { _id: cart._id, version: currentCartVersion },
-        { products: [], lastUpdated: new Date(), $inc: { version: 1 } },
+        { products: [], couponId: null, lastUpdated: new Date(), $inc: { version: 1 } },
         { new: true, session }
       );
       if (!updatedCart) {
@@ -110,7 +223,23 @@ export class OrderService {
   }
 
   /**
-   * Retrieves all orders with pagination.
+   * Normalizes an inline shipping address and checks it against its country's rules,
+   * so bad input is rejected before any stock or credit is touched.
+   * @param {Object} address - Shipping address, normalized in place.
+   * @throws {Error} If the address is not an object or fails validation.
+   */
+  static checkAddress(address) {
+    if (typeof address !== "object" || Array.isArray(address)) {
+      throw new Error(`${ERROR_MESSAGES.INVALID_ADDRESS}: address must be an object`);
+    }
+    const errors = validateAddress(normalizeAddress(address));
+    if (Object.keys(errors).length > 0) {
+      throw new Error(`${ERROR_MESSAGES.INVALID_ADDRESS}: ${Object.values(errors).join(", ")}`);
+    }
+  }
+
+  /**
+   * Retrieves all orders with pagination. Lines of older orders without a snapshot show the current product.
    * @param {Object} options - Pagination options (page, limit).
    * @returns {Object} Orders and pagination data.
    * @throws {Error} If query fails.
@@ -121,12 +250,12 @@ export class OrderService {
       const [totalItems, orders] = await Promise.all([
         Order.countDocuments(),
         Order.find()
-          .populate("products.productId", "name price stock image")
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
           .lean(),
       ]);
+      await this.fillLineSnapshots(orders);
 
       return {
         orders,
@@ -143,7 +272,37 @@ export class OrderService {
   }
 
   /**
-   * Retrieves orders for a specific user.
+   * Fills in the name, price and image of order lines placed before lines captured them,
+   * from the current product. Lines with a snapshot are left as they were ordered.
+   * @param {Array} orders - Lean orders.
+   * @returns {Promise<Array>} The same orders, with every line's details filled in where the product still exists.
+   */
+  static async fillLineSnapshots(orders) {
+    const unsnapshotted = orders
+      .flatMap((order) => order.products)
+      .filter((item) => item.name === undefined || item.price === undefined);
+    if (unsnapshotted.length === 0) {
+      return orders;
+    }
+
+    const products = await Product.find({ _id: { $in: unsnapshotted.map((item) => item.productId) } })
+      .select("name price image category variants")
+      .lean();
+    const byId = Object.fromEntries(products.map((product) => [product._id.toString(), product]));
+    for (const item of unsnapshotted) {
+      const product = byId[item.productId.toString()];
+      if (!product) continue;
+      const variant = Product.findVariant(product, item.variantId);
+      item.name ??= product.name;
+      item.price ??= variant?.price ?? product.price;
+      item.image ??= variant?.image || product.image;
+      item.category ??= product.category;
+    }
+    return orders;
+  }
+
+  /**
+   * Retrieves orders for a specific user. Lines of older orders without a snapshot show the current product.
    * @param {Object} options - Query options (userId, page, limit).
    * @returns {Object} Orders and pagination data.
    * @throws {Error} If query fails.
@@ -154,12 +313,12 @@ export class OrderService {
       const [totalItems, orders] = await Promise.all([
         Order.countDocuments({ userId }),
         Order.find({ userId })
-          .populate("products.productId", "name price stock image")
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
           .lean(),
       ]);
+      await this.fillLineSnapshots(orders);
 
       return {
         orders,
@@ -176,15 +335,62 @@ export class OrderService {
   }
 
   /**
-   * Updates the status of an order.
-   * @param {Object} options - Order data (orderId, status).
+   * Retrieves a single order with its products, shipping record and payment status.
+   * Only the order owner or an admin may view it.
+   * @param {Object} options - Query options (orderId, userId, isAdmin).
+   * @returns {Object} Order, shipping record, credit applied, payment status and latest payment.
+   * @throws {Error} If the ID is invalid, the order is not found, or the user may not view it.
+   */
+  static async getOrderById({ orderId, userId, isAdmin = false }) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+
+    const order = await Order.findById(orderId)
+      .populate("products.productId", "name stock image")
+      .lean();
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+    if (!isAdmin && order.userId.toString() !== userId) {
+      throw new Error(ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    try {
+      const [shipping, payment] = await Promise.all([
+        Shipping.findOne({ orderId }).lean(),
+        Payment.findOne({ orderId })
+          .select("provider reference amount currency status refundedAmount paidAt createdAt")
+          .sort({ createdAt: -1 })
+          .lean(),
+      ]);
+
+      return {
+        order,
+        shipping: shipping || null,
+        creditApplied: order.creditApplied || 0,
+        paymentStatus: payment ? payment.status : CONSTANTS.PAYMENT_STATUS_UNPAID,
+        payment: payment || null,
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve order: ${err.message}`);
+    }
+  }
+
+  /**
+   * Updates the status of an order, enforcing allowed transitions and recording history.
+   * Cancelling goes through cancelOrderAndIssueStoreCredit, which also restocks and refunds the customer.
+   * @param {Object} options - Order data (orderId, status, changedBy, note).
    * @returns {Object} Updated order.
-   * @throws {Error} If validation fails, order not found, or transaction fails.
+   * @throws {Error} If validation fails, the transition is not allowed, order not found, or transaction fails.
    */
-  static async updateOrderStatus({ orderId, status }) {
+  static async updateOrderStatus({ orderId, status, changedBy, note }) {
     if (!CONSTANTS.VALID_ORDER_STATUSES.includes(status)) {
       throw new Error(ERROR_MESSAGES.INVALID_STATUS);
     }
+    if (status === "cancelled") {
+      throw new Error(ERROR_MESSAGES.USE_CANCEL_ENDPOINT);
+    }
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -193,11 +399,18 @@ export class OrderService {
       if (!order) {
         throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
       }
+      if (!Order.canTransition(order.status, status)) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_TRANSITION}: ${order.status} -> ${status}`);
+      }
 
       const currentVersion = order.version;
       const updatedOrder = await Order.findOneAndUpdate(
         { _id: orderId, version: currentVersion },
-        { status, $inc: { version: 1 } },
+        {
+          status,
+          $push: { statusHistory: { from: order.status, status, changedBy, note } },
+          $inc: { version: 1 },
+        },
         { new: true, session }
       );
       if (!updatedOrder) {
@@ -215,86 +428,499 @@ export class OrderService {
   }
 
   /**
-   * Cancels an order and issues store credit.
-   * @param {Object} options - Order data (orderId).
-   * @returns {Object} Cancelled order ID and store credit.
-   * @throws {Error} If order not found, already cancelled, or transaction fails.
+   * Cancels an order, returns its committed items to on-hand stock and refunds what was paid.
+   * Customers may only cancel their own orders before shipping and within the
+   * cancellation window (ORDER_CANCELLATION_WINDOW_HOURS); admins may cancel any unshipped order.
+   * The amount captured by a successful payment (nothing for unpaid orders, whatever their status) is
+   * refunded by card or as store credit, through the same refund flow as refundOrder; any store credit
+   * applied to the order at checkout is always credited back.
+   * @param {Object} options - Order data (orderId, changedBy, isAdmin, reasonCode, note, method).
+   * @param {string} [options.method] - Refund method for the amount paid, "store_credit" by default or "card".
+   * @returns {Object} Cancelled order ID, store credit, and the card refund if one was made.
+   * @throws {Error} If order not found, not owned by the customer, already cancelled, already shipped,
+   * outside the cancellation window, there is no card payment to refund, or transaction fails.
    */
-  static async cancelOrderAndIssueStoreCredit({ orderId }) {
+  static async cancelOrderAndIssueStoreCredit({
+    orderId,
+    changedBy,
+    isAdmin = false,
+    reasonCode,
+    note,
+    method = CONSTANTS.REFUND_METHOD_STORE_CREDIT,
+  }) {
+    if (reasonCode !== undefined && !CONSTANTS.CANCELLATION_REASON_CODES.includes(reasonCode)) {
+      throw new Error(ERROR_MESSAGES.INVALID_CANCELLATION_REASON);
+    }
+    if (!CONSTANTS.REFUND_METHODS.includes(method)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REFUND_METHOD);
+    }
+
     const session = await mongoose.startSession();
     session.startTransaction();
+    let result;
     try {
       const order = await Order.findById(orderId).session(session);
       if (!order) {
         throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
       }
+      if (!isAdmin && order.userId.toString() !== changedBy) {
+        throw new Error(ERROR_MESSAGES.CANCEL_FORBIDDEN);
+      }
       if (order.status === "cancelled") {
         throw new Error(ERROR_MESSAGES.ALREADY_CANCELLED);
       }
-
-      if (order.status === "pending") {
-        for (const item of order.products) {
-          const product = await Product.findOneAndUpdate(
-            { _id: item.productId, version: { $gte: 0 } },
-            { $inc: { stock: item.quantity, version: 1 } },
-            { new: true, session }
-          );
-          if (!product) {
-            console.warn(`Product ${item.productId} not found during cancellation`);
-          }
+      if (!Order.canTransition(order.status, "cancelled")) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_TRANSITION}: ${order.status} -> cancelled`);
+      }
+      if (!isAdmin) {
+        const windowHours = Number(process.env.ORDER_CANCELLATION_WINDOW_HOURS) || CONSTANTS.DEFAULT_CANCELLATION_WINDOW_HOURS;
+        if (Date.now() - order.createdAt.getTime() > windowHours * 60 * 60 * 1000) {
+          throw new Error(ERROR_MESSAGES.CANCELLATION_WINDOW_EXPIRED);
         }
       }
 
-      let storeCredit = await StoreCredit.findOne({ userId: order.userId }).session(session);
-      const newExpiryDate = new Date(Date.now() + CONSTANTS.STORE_CREDIT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+      // Units refunded earlier were restocked by their refund
+      const refundedQuantities = this.refundedQuantities(order);
+      for (const item of order.products) {
+        const quantity = item.quantity - (refundedQuantities[lineKey(item)] || 0);
+        if (quantity <= 0) continue;
+        const restocked = await StockService.restock({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity,
+          reason: "cancel",
+          referenceId: order._id,
+          actor: changedBy,
+          session,
+        });
+        if (!restocked) {
+          console.warn(`Product ${item.productId} not found during cancellation`);
+        }
+      }
 
-      if (!storeCredit) {
-        storeCredit = new StoreCredit({
-          userId: order.userId,
-          amount: order.amount,
-          expiryDate: newExpiryDate,
-          version: 0,
+      // Only money actually captured is paid back; an order moved on by hand without payment gets nothing
+      const payment = await PaymentService.findSuccessfulPayment({ orderId: order._id, session });
+      const paidAmount = payment
+        ? Math.round((Math.min(order.amount, payment.amount) - (order.refundedAmount || 0)) * 100) / 100
+        : 0;
+      let currentOrderVersion = order.version;
+      let refund = null;
+      if (paidAmount > 0) {
+        // Every line was restocked above, so the refund only records the payout
+        const refunded = await this.applyRefund({
+          orderId,
+          method,
+          reason: note || "Order cancelled",
+          adminId: changedBy,
+          restock: false,
+          session,
         });
-      } else {
-        storeCredit = await StoreCredit.findOneAndUpdate(
-          { userId: order.userId, version: storeCredit.version },
-          {
-            $inc: { amount: order.amount, version: 1 },
-            $set: { expiryDate: newExpiryDate },
-          },
-          { new: true, session }
-        );
+        currentOrderVersion = refunded.order.version;
+        refund = refunded.refund;
       }
-      await storeCredit.save({ session });
 
-      const currentOrderVersion = order.version;
+      const creditAmount = Math.round((order.creditApplied || 0) * 100) / 100;
+      const storeCredit = creditAmount > 0
+        ? await this.issueStoreCredit({ userId: order.userId, amount: creditAmount, session })
+        : await StoreCredit.findOne({ userId: order.userId }).session(session);
+
       const updatedOrder = await Order.findOneAndUpdate(
         { _id: orderId, version: currentOrderVersion },
-        { status: "cancelled", $inc: { version: 1 } },
+        {
+          status: "cancelled",
+          cancellation: { reasonCode, reason: note, cancelledBy: changedBy, cancelledAt: new Date() },
+          $push: { statusHistory: { from: order.status, status: "cancelled", changedBy, note } },
+          $inc: { version: 1 },
+        },
         { new: true, session }
       );
       if (!updatedOrder) {
         throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
       }
 
+      await Shipping.updateMany(
+        { orderId, status: "pending" },
+        { status: "cancelled", $inc: { version: 1 } },
+        { session }
+      );
+
+      await StockService.releaseOrder({ orderId: order._id, session });
+
+      // A cancelled order gives its coupon use back
+      if (order.coupon?.couponId) {
+        await CouponService.releaseRedemption({ couponId: order.coupon.couponId, orderId: order._id, session });
+      }
+
+      await session.commitTransaction();
+      result = { orderId, storeCredit, refund };
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+
+    if (result.refund?.method !== CONSTANTS.REFUND_METHOD_CARD) {
+      return result;
+    }
+    // The order is cancelled either way; a refund the provider rejects stays failed for an admin to retry
+    try {
+      ({ refund: result.refund } = await this.settleRefund({ orderId, refund: result.refund }));
+    } catch (err) {
+      result.refund.status = CONSTANTS.REFUND_STATUS_FAILED;
+    }
+    return result;
+  }
+
+  /**
+   * Retrieves the status history of an order.
+   * @param {Object} options - Query options (orderId, userId, isAdmin).
+   * @returns {Object} Order ID, current status, and status history.
+   * @throws {Error} If the ID is invalid, or the order is not found or not visible to the user.
+   */
+  static async getOrderHistory({ orderId, userId, isAdmin = false }) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+
+    try {
+      const query = isAdmin ? { _id: orderId } : { _id: orderId, userId };
+      const order = await Order.findOne(query)
+        .select("status statusHistory")
+        .populate("statusHistory.changedBy", "username")
+        .lean();
+      if (!order) {
+        throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+      }
+
+      return { orderId: order._id, status: order.status, statusHistory: order.statusHistory || [] };
+    } catch (err) {
+      throw new Error(err.message === ERROR_MESSAGES.ORDER_NOT_FOUND ? err.message : `Failed to retrieve order history: ${err.message}`);
+    }
+  }
+
+  /**
+   * Adds store credit to a user's balance and extends its expiry.
+   * @param {Object} options - Credit data (userId, amount, session).
+   * @returns {Object} Updated store credit.
+   * @throws {Error} If the credit record was modified concurrently.
+   */
+  static async issueStoreCredit({ userId, amount, session }) {
+    const storeCredit = await StoreCredit.findOne({ userId }).session(session);
+    const newExpiryDate = new Date(Date.now() + CONSTANTS.STORE_CREDIT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    if (!storeCredit) {
+      const newStoreCredit = new StoreCredit({
+        userId,
+        amount,
+        expiryDate: newExpiryDate,
+        version: 0,
+      });
+      await newStoreCredit.save({ session });
+      return newStoreCredit;
+    }
+
+    const updatedStoreCredit = await StoreCredit.findOneAndUpdate(
+      { userId, version: storeCredit.version },
+      {
+        $inc: { amount, version: 1 },
+        $set: { expiryDate: newExpiryDate },
+      },
+      { new: true, session }
+    );
+    if (!updatedStoreCredit) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return updatedStoreCredit;
+  }
+
+  /**
+   * Totals the units already refunded on each line of an order.
+   * @param {Object} order - Order document.
+   * @returns {Object} Refunded quantity by line key (product and variant).
+   */
+  static refundedQuantities(order) {
+    const quantities = {};
+    for (const refund of order.refunds || []) {
+      for (const item of refund.items) {
+        const key = lineKey(item);
+        quantities[key] = (quantities[key] || 0) + item.quantity;
+      }
+    }
+    return quantities;
+  }
+
+  /**
+   * Works out which line items a refund covers and what each is worth.
+   * Without requested items, every quantity not yet refunded is included.
+   * Items are valued at the price captured on the order; older orders without
+   * a price snapshot fall back to the current product price.
+   * @param {Object} order - Order document.
+   * @param {Array} [items] - Requested items (productId, variantId for variant lines, quantity).
+   * @param {Object} session - Mongoose session.
+   * @returns {Promise<Array>} Refund items (productId, variantId, quantity, amount).
+   * @throws {Error} If an item is not in the order or exceeds the refundable quantity.
+   */
+  static async buildRefundItems(order, items, session) {
+    const refundedQuantities = this.refundedQuantities(order);
+
+    // Lines are told apart by product and variant
+    const orderLines = {};
+    const remainingQuantities = {};
+    const prices = {};
+    for (const item of order.products) {
+      const key = lineKey(item);
+      orderLines[key] = { productId: item.productId.toString(), variantId: item.variantId ? item.variantId.toString() : null };
+      remainingQuantities[key] = item.quantity - (refundedQuantities[key] || 0);
+      if (item.price !== undefined && item.price !== null) {
+        prices[key] = item.price;
+      }
+    }
+
+    let requestedItems;
+    if (items === undefined) {
+      requestedItems = Object.entries(remainingQuantities)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([key, quantity]) => ({ ...orderLines[key], key, quantity }));
+    } else {
+      const seen = new Set();
+      requestedItems = items.map((item) => {
+        if (!item?.productId || !Number.isInteger(item.quantity) || item.quantity < 1) {
+          throw new Error(ERROR_MESSAGES.INVALID_REFUND_ITEMS);
+        }
+        const key = lineKey(item);
+        if (seen.has(key)) {
+          throw new Error(ERROR_MESSAGES.INVALID_REFUND_ITEMS);
+        }
+        seen.add(key);
+        if (remainingQuantities[key] === undefined) {
+          throw new Error(`${ERROR_MESSAGES.REFUND_ITEM_NOT_IN_ORDER}: ${key}`);
+        }
+        if (item.quantity > remainingQuantities[key]) {
+          throw new Error(`${ERROR_MESSAGES.REFUND_QUANTITY_EXCEEDED}: ${key}`);
+        }
+        return { ...orderLines[key], key, quantity: item.quantity };
+      });
+    }
+
+    const unpricedItems = requestedItems.filter((item) => prices[item.key] === undefined);
+    if (unpricedItems.length > 0) {
+      const products = await Product.find({ _id: { $in: unpricedItems.map((item) => item.productId) } })
+        .select("price")
+        .session(session)
+        .lean();
+      const productPrices = Object.fromEntries(products.map((product) => [product._id.toString(), product.price]));
+      for (const item of unpricedItems) {
+        prices[item.key] = productPrices[item.productId];
+      }
+    }
+
+    // Spread each line's discount and added tax over its units, so partial refunds return what was actually paid
+    const unitAdjustments = {};
+    for (const item of order.products) {
+      const addedTax = order.taxMode === "exclusive" ? item.tax || 0 : 0;
+      unitAdjustments[lineKey(item)] = (addedTax - (item.discount || 0)) / item.quantity;
+    }
+
+    return requestedItems.map((item) => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      amount: Math.round(((prices[item.key] || 0) + (unitAdjustments[item.key] || 0)) * item.quantity * 100) / 100,
+    }));
+  }
+
+  /**
+   * Refunds some or all line items of a paid order, by card or as store credit.
+   * Refunded quantities are returned to stock and the refund is recorded on the order;
+   * card refunds are sent to the provider once the record is committed.
+   * @param {Object} options - Refund data (orderId, items, method, reason, adminId).
+   * @returns {Object} Updated order and the recorded refund.
+   * @throws {Error} If validation fails, nothing is refundable, the provider rejects it, or the transaction fails.
+   */
+  static async refundOrder({ orderId, items, method, reason, adminId }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let result;
+    try {
+      result = await this.applyRefund({ orderId, items, method, reason, adminId, session });
       await session.commitTransaction();
-      return { orderId, storeCredit };
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
     } finally {
       session.endSession();
     }
+
+    return result.refund.method === CONSTANTS.REFUND_METHOD_CARD
+      ? this.settleRefund({ orderId, refund: result.refund })
+      : result;
+  }
+
+  /**
+   * Applies a refund inside the caller's transaction: checks there is a successful payment to refund,
+   * issues store credit for store credit refunds, restocks the refunded quantities (unless the caller
+   * restocks them itself) and records the refund on the order. Refunds never exceed what the payment captured.
+   * Card refunds are recorded as pending and must be passed to settleRefund after the transaction
+   * commits, so the provider is never asked to pay out a refund that was rolled back.
+   * @param {Object} options - Refund data (orderId, items, method, reason, adminId, restock, session).
+   * @returns {Object} Updated order and the recorded refund.
+   * @throws {Error} If validation fails, nothing is refundable, the order was never paid, or the order changed concurrently.
+   */
+  static async applyRefund({ orderId, items, method, reason, adminId, restock = true, session }) {
+    if (!CONSTANTS.REFUND_METHODS.includes(method)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REFUND_METHOD);
+    }
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REFUND_ITEMS);
+    }
+
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+    if (!CONSTANTS.REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_REFUNDABLE);
+    }
+
+    // Either method only pays back what a successful payment captured
+    const payment = await PaymentService.findRefundablePayment({ orderId: order._id, session });
+    const remainingAmount =
+      Math.round((Math.min(order.amount, payment.amount) - (order.refundedAmount || 0)) * 100) / 100;
+    const refundItems = await this.buildRefundItems(order, items, session);
+    if (remainingAmount <= 0 || refundItems.length === 0) {
+      throw new Error(ERROR_MESSAGES.NOTHING_TO_REFUND);
+    }
+
+    const itemsTotal = refundItems.reduce((total, item) => total + item.amount, 0);
+    const refundAmount = items === undefined ? remainingAmount : Math.min(itemsTotal, remainingAmount);
+
+    let refundStatus = CONSTANTS.REFUND_STATUS_PROCESSED;
+    if (method === CONSTANTS.REFUND_METHOD_CARD) {
+      refundStatus = CONSTANTS.REFUND_STATUS_PENDING;
+    } else {
+      await this.issueStoreCredit({ userId: order.userId, amount: refundAmount, session });
+    }
+
+    if (restock) {
+      for (const item of refundItems) {
+        const restocked = await StockService.restock({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          reason: "return",
+          referenceId: order._id,
+          actor: adminId,
+          session,
+        });
+        if (!restocked) {
+          logger.warn(`Product ${item.productId} not found during refund of order ${order._id}`);
+        }
+      }
+    }
+
+    // The refund ID doubles as the provider idempotency key
+    const refundId = new mongoose.Types.ObjectId();
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: orderId, version: order.version },
+      {
+        $push: {
+          refunds: {
+            _id: refundId,
+            items: refundItems,
+            amount: refundAmount,
+            method,
+            status: refundStatus,
+            reason,
+            refundedBy: adminId,
+          },
+        },
+        $inc: { refundedAmount: refundAmount, version: 1 },
+      },
+      { new: true, session }
+    );
+    if (!updatedOrder) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+
+    return { order: updatedOrder, refund: updatedOrder.refunds.id(refundId) };
+  }
+
+  /**
+   * Sends a committed card refund to the payment provider and records the outcome on the order.
+   * The refund ID is the provider idempotency key, so settling the same refund twice pays out once.
+   * @param {Object} options - Settlement data (orderId, refund).
+   * @returns {Object} Updated order and the settled refund.
+   * @throws {Error} If the provider rejects the refund; the refund is then marked failed.
+   */
+  static async settleRefund({ orderId, refund }) {
+    try {
+      const providerRefund = await PaymentService.refundPayment({
+        orderId,
+        amount: refund.amount,
+        idempotencyKey: refund._id.toString(),
+      });
+      const updatedOrder = await Order.findOneAndUpdate(
+        { _id: orderId },
+        {
+          $set: {
+            "refunds.$[refund].status": providerRefund.status,
+            "refunds.$[refund].providerReference": providerRefund.reference,
+          },
+        },
+        { new: true, arrayFilters: [{ "refund._id": refund._id }] }
+      );
+      return { order: updatedOrder, refund: updatedOrder.refunds.id(refund._id) };
+    } catch (err) {
+      logger.error(`Card refund ${refund._id} for order ${orderId} failed: ${err.message}`);
+      await Order.updateOne(
+        { _id: orderId },
+        { $set: { "refunds.$[refund].status": CONSTANTS.REFUND_STATUS_FAILED } },
+        { arrayFilters: [{ "refund._id": refund._id, "refund.status": CONSTANTS.REFUND_STATUS_PENDING }] }
+      );
+      throw new Error(err.message);
+    }
+  }
+
+  /**
+   * Sends a pending or failed card refund to the payment provider again.
+   * @param {Object} options - Retry data (orderId, refundId).
+   * @returns {Object} Updated order and the settled refund.
+   * @throws {Error} If an ID is invalid, the refund is missing or not retryable, or the provider rejects it.
+   */
+  static async retryRefund({ orderId, refundId }) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+    if (!mongoose.Types.ObjectId.isValid(refundId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REFUND_ID);
+    }
+
+    const order = await Order.findById(orderId).select("refunds");
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+    const refund = order.refunds.id(refundId);
+    if (!refund) {
+      throw new Error(ERROR_MESSAGES.REFUND_NOT_FOUND);
+    }
+    if (refund.method !== CONSTANTS.REFUND_METHOD_CARD || !CONSTANTS.RETRYABLE_REFUND_STATUSES.includes(refund.status)) {
+      throw new Error(ERROR_MESSAGES.REFUND_NOT_RETRYABLE);
+    }
+
+    return this.settleRefund({ orderId: order._id, refund });
   }
 
   /**
    * Calculates total income from orders and store credit.
+   * Product sales are totalled from the prices captured on each order line,
+   * so later catalogue price changes do not alter past figures.
    * @returns {Object} Income data.
    * @throws {Error} If aggregation fails.
    */
   static async getIncome() {
     try {
-      const [activeOrdersResult, allOrdersResult, storeCreditResult] = await Promise.all([
+      const [activeOrdersResult, allOrdersResult, storeCreditResult, cardRefundsResult, categorySalesResult] = await Promise.all([
         Order.aggregate([
           { $match: { status: { $in: CONSTANTS.ORDER_STATUSES_FOR_INCOME } } },
           { $group: { _id: null, total: { $sum: "$amount" } } },
@@ -304,14 +930,40 @@ export class OrderService {
           { $match: { expiryDate: { $gt: new Date() } } },
           { $group: { _id: null, total: { $sum: "$amount" } } },
         ]),
+        Order.aggregate([
+          { $unwind: "$refunds" },
+          { $match: { "refunds.method": CONSTANTS.REFUND_METHOD_CARD, "refunds.status": { $ne: "failed" } } },
+          // Refunds of cancelled orders are already left out of the active order income
+          {
+            $group: {
+              _id: { $in: ["$status", CONSTANTS.ORDER_STATUSES_FOR_INCOME] },
+              total: { $sum: "$refunds.amount" },
+            },
+          },
+        ]),
+        Order.aggregate([
+          { $match: { status: { $in: CONSTANTS.ORDER_STATUSES_FOR_INCOME } } },
+          { $unwind: "$products" },
+          { $match: { "products.price": { $exists: true } } },
+          {
+            $group: {
+              _id: { $ifNull: ["$products.category", "uncategorized"] },
+              total: { $sum: { $multiply: ["$products.price", "$products.quantity"] } },
+            },
+          },
+        ]),
       ]);
 
       const activeOrderIncome = activeOrdersResult.length ? activeOrdersResult[0].total : 0;
       const totalOrderValue = allOrdersResult.length ? allOrdersResult[0].total : 0;
       const totalStoreCredit = storeCreditResult.length ? storeCreditResult[0].total : 0;
+      const activeCardRefunds = cardRefundsResult.find((result) => result._id === true)?.total || 0;
+      const cancelledCardRefunds = cardRefundsResult.find((result) => result._id === false)?.total || 0;
+      const cardRefunds = activeCardRefunds + cancelledCardRefunds;
+      const salesByCategory = Object.fromEntries(categorySalesResult.map((result) => [result._id, result.total]));
 
-      const redeemedStoreCredit = totalOrderValue - activeOrderIncome - totalStoreCredit;
-      const totalIncome = activeOrderIncome + (redeemedStoreCredit > 0 ? redeemedStoreCredit : 0);
+      const redeemedStoreCredit = totalOrderValue - activeOrderIncome - cancelledCardRefunds - totalStoreCredit;
+      const totalIncome = activeOrderIncome - activeCardRefunds + (redeemedStoreCredit > 0 ? redeemedStoreCredit : 0);
 
       return {
         totalIncome,
@@ -319,6 +971,8 @@ export class OrderService {
           activeOrderIncome,
           redeemedStoreCredit: redeemedStoreCredit > 0 ? redeemedStoreCredit : 0,
           issuedStoreCredit: totalStoreCredit,
+          cardRefunds,
+          salesByCategory,
         },
       };
     } catch (err) {
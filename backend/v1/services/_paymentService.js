@@ -1,82 +1,259 @@
 import mongoose from "mongoose";
-import https from "https";
-import { Order, Shipping } from "../models/index.js";
+import { Order, Shipping, Payment } from "../models/index.js";
 import { v4 as uuidv4 } from "uuid";
+import { logger } from "../config/_logger.js";
+import { getPaymentProvider } from "./providers/index.js";
 
 const STATUS_PENDING = "pending";
 const STATUS_PAID = "paid";
+const STATUS_CANCELLED = "cancelled";
 const CARRIER_DHL = "DHL";
 const TIME_ESTIMATED_DELIVERY_HOURS = 24;
 const CENTS_MULTIPLIER = 100;
 const NEGATIVE_ONE = -1;
-const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || "ngn";
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "ngn").toLowerCase();
+const PAYMENT_STATUS = {
+  PENDING: "pending",
+  SUCCESS: "success",
+  FAILED: "failed",
+  ABANDONED: "abandoned",
+};
+const EVENT_CHARGE_SUCCESS = "charge.success";
+const EVENT_CHARGE_FAILED = "charge.failed";
+const WEBHOOK_EVENTS = [EVENT_CHARGE_SUCCESS, EVENT_CHARGE_FAILED];
+const CONFIRM_OUTCOMES = {
+  CONFIRMED: "confirmed",
+  DUPLICATE: "duplicate",
+  RECORDED: "recorded",
+  REFUNDED: "refunded",
+  REFUND_FAILED: "refund_failed",
+};
 
 const ERROR_MESSAGES = {
   NO_ORDERS: "No pending orders found for this user.",
+  INVALID_ORDER_ID: "Invalid order ID",
+  ORDER_NOT_FOUND: "Order not found.",
+  ORDER_CANCELLED: "Cancelled orders cannot be paid.",
+  ORDER_ALREADY_PAID: "Order has already been paid.",
   PAYMENT_FAILED: "Payment initialization failed",
+  CURRENCY_NOT_SUPPORTED: "Payments must be made in the store currency.",
   PROCESSING_FAILED: "Payment processing failed",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+  REFERENCE_REQUIRED: "Payment reference is required.",
+  PAYMENT_NOT_FOUND: "No order found for this payment reference.",
+  VERIFICATION_FAILED: "Payment verification failed",
+  PAYMENT_MISMATCH: "Payment amount or currency does not match the order.",
+  NO_SUCCESSFUL_PAYMENT: "No successful payment found for this order.",
+  REFUND_FAILED: "Refund request failed",
+  CONCURRENCY_CONFLICT: "Order was modified by another request. Please retry.",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
 export class PaymentService {
   /**
-   * Initializes a payment for a user's pending order and creates a shipment.
-   * @param {Object} options - Payment data (userId, email, currency).
-   * @returns {Object} Order, Paystack response, and shipment data.
-   * @throws {Error} If no orders found, payment fails, or transaction fails.
+   * Loads the order a user wants to pay and checks that it can still be paid.
+   * Falls back to the user's latest pending order when no order ID is given.
+   * @param {Object} options - Lookup data (userId, orderId, session).
+   * @returns {Promise<Object>} Payable order document.
+   * @throws {Error} If the order is missing, belongs to someone else, or is not pending.
    */
-  static async createPayment({ userId, email, currency = DEFAULT_CURRENCY }) {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const order = await Order.findOne({ userId, status: STATUS_PENDING })
+  static async findPayableOrder({ userId, orderId, session }) {
+    if (!orderId) {
+      const latestOrder = await Order.findOne({ userId, status: STATUS_PENDING })
         .sort({ createdAt: NEGATIVE_ONE })
         .session(session);
-      if (!order) {
+      if (!latestOrder) {
         throw new Error(ERROR_MESSAGES.NO_ORDERS);
       }
+      return latestOrder;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId }).session(session);
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+    if (order.status === STATUS_CANCELLED) {
+      throw new Error(ERROR_MESSAGES.ORDER_CANCELLED);
+    }
+    if (order.status !== STATUS_PENDING) {
+      throw new Error(ERROR_MESSAGES.ORDER_ALREADY_PAID);
+    }
+    return order;
+  }
+
+  /**
+   * Initializes a payment for one of the user's pending orders with the configured provider.
+   * The order stays pending until the payment is confirmed by the webhook or verification.
+   * Payments are always taken in the store currency the order was priced in.
+   * @param {Object} options - Payment data (userId, orderId, email, currency).
+   * @returns {Object} Order, payment record, and checkout data.
+   * @throws {Error} If the currency is not the store currency, the order is not payable, payment fails, or transaction fails.
+   */
+  static async createPayment({ userId, orderId, email, currency }) {
+    if (currency !== undefined && String(currency).toLowerCase() !== DEFAULT_CURRENCY) {
+      throw new Error(ERROR_MESSAGES.CURRENCY_NOT_SUPPORTED);
+    }
 
-      const params = JSON.stringify({
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const order = await this.findPayableOrder({ userId, orderId, session });
+      const provider = getPaymentProvider();
+
+      const transaction = await provider.initialize({
         email: email || `${userId}@example.com`,
-        amount: Math.round(order.amount * CENTS_MULTIPLIER),
-        currency: currency.toLowerCase(),
+        amount: order.amount,
+        currency: DEFAULT_CURRENCY,
+        metadata: { orderId: order._id.toString() },
+      });
+
+      order.paymentReference = transaction.reference;
+      await order.save({ session });
+
+      const payment = new Payment({
+        orderId: order._id,
+        userId,
+        provider: provider.name,
+        reference: transaction.reference,
+        accessCode: transaction.accessCode,
+        amount: order.amount,
+        currency: DEFAULT_CURRENCY,
+        status: PAYMENT_STATUS.PENDING,
+        providerResponse: transaction.raw,
       });
+      await payment.save({ session });
 
-      const options = {
-        hostname: "api.paystack.co",
-        port: 443,
-        path: "/transaction/initialize",
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-          "Content-Type": "application/json",
+      await session.commitTransaction();
+
+      return {
+        order,
+        payment,
+        checkout: {
+          provider: provider.name,
+          authorization_url: transaction.authorizationUrl,
+          access_code: transaction.accessCode,
+          reference: transaction.reference,
         },
       };
+    } catch (err) {
+      await session.abortTransaction();
+      const knownErrors = [
+        ERROR_MESSAGES.NO_ORDERS,
+        ERROR_MESSAGES.INVALID_ORDER_ID,
+        ERROR_MESSAGES.ORDER_NOT_FOUND,
+        ERROR_MESSAGES.ORDER_CANCELLED,
+        ERROR_MESSAGES.ORDER_ALREADY_PAID,
+        ERROR_MESSAGES.PAYMENT_FAILED,
+      ];
+      throw new Error(knownErrors.includes(err.message) ? err.message : `${ERROR_MESSAGES.PROCESSING_FAILED}: ${err.message}`);
+    } finally {
+      session.endSession();
+    }
+  }
 
-      const paystackResponse = await new Promise((resolve, reject) => {
-        const paystackReq = https.request(options, (paystackRes) => {
-          let data = "";
-          paystackRes.on("data", (chunk) => {
-            data += chunk;
-          });
-          paystackRes.on("end", () => {
-            resolve(JSON.parse(data));
-          });
-        }).on("error", (error) => {
-          reject(error);
-        });
-
-        paystackReq.write(params);
-        paystackReq.end();
-      });
+  /**
+   * Checks that a charge reported by the provider covers the stored order amount in the store currency.
+   * @param {Object} order - Order document.
+   * @param {Object} charge - Charge data (amount in major units, currency).
+   * @returns {boolean} True if the charge matches the order.
+   */
+  static isMatchingCharge(order, { amount, currency }) {
+    return (
+      typeof amount === "number" &&
+      Math.round(amount * CENTS_MULTIPLIER) === Math.round(order.amount * CENTS_MULTIPLIER) &&
+      (currency || "").toLowerCase() === DEFAULT_CURRENCY
+    );
+  }
+
+  /**
+   * Records a non-successful provider status on a pending payment.
+   * @param {string} reference - Provider transaction reference.
+   * @param {string} status - New payment status (failed, abandoned).
+   * @param {Object} payload - Raw provider payload.
+   * @returns {Promise<Object|null>} Updated payment, or null if it was not pending.
+   */
+  static async markPaymentUnsuccessful(reference, status, payload) {
+    return Payment.findOneAndUpdate(
+      { reference, status: PAYMENT_STATUS.PENDING },
+      { status, providerResponse: payload },
+      { new: true }
+    );
+  }
 
-      if (!paystackResponse.status || !paystackResponse.data || !paystackResponse.data.authorization_url) {
-        throw new Error(ERROR_MESSAGES.PAYMENT_FAILED);
+  /**
+   * Moves a pending order to paid, marks its payment successful and creates its shipment.
+   * A charge for an order that is no longer pending is still recorded: it is refunded if the
+   * order was cancelled or already paid through another reference, and kept otherwise.
+   * Repeated confirmations of the same payment change nothing.
+   * @param {Object} options - Confirmation data (reference, amount, currency, payload).
+   * @returns {Object} Order, whether this call changed it, and the outcome (confirmed, duplicate,
+   * recorded, refunded, refund_failed).
+   * @throws {Error} If the order is missing, the charge does not match, or the transaction fails.
+   */
+  static async confirmPayment({ reference, amount, currency, payload }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Orders keep only their latest reference, so earlier payment attempts are resolved through their Payment
+      const payment = await Payment.findOne({ reference }).select("orderId status").session(session);
+      const order = payment ? await Order.findById(payment.orderId).session(session) : null;
+      if (!order) {
+        throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
       }
 
-      order.status = STATUS_PAID;
-      await order.save({ session });
+      if (payment.status === PAYMENT_STATUS.SUCCESS) {
+        await session.abortTransaction();
+        return { order, updated: false, outcome: CONFIRM_OUTCOMES.DUPLICATE };
+      }
+
+      if (order.status !== STATUS_PENDING) {
+        // The provider has taken the money either way, so the charge is recorded before deciding what to do with it
+        const capturedPayment = await Payment.findOneAndUpdate(
+          { reference, status: { $ne: PAYMENT_STATUS.SUCCESS } },
+          { status: PAYMENT_STATUS.SUCCESS, paidAt: new Date(), providerResponse: payload },
+          { new: true, session }
+        );
+        if (!capturedPayment) {
+          await session.abortTransaction();
+          return { order, updated: false, outcome: CONFIRM_OUTCOMES.DUPLICATE };
+        }
+        const otherPayment =
+          order.status === STATUS_CANCELLED
+            ? null
+            : await Payment.findOne({ orderId: order._id, status: PAYMENT_STATUS.SUCCESS, reference: { $ne: reference } }).session(session);
+        await session.commitTransaction();
+
+        // An order moved on by hand before its payment arrived keeps the payment
+        if (order.status !== STATUS_CANCELLED && !otherPayment) {
+          logger.warn(`Payment ${reference} arrived after order ${order._id} was moved to ${order.status}; keeping it`);
+          return { order, updated: false, outcome: CONFIRM_OUTCOMES.RECORDED };
+        }
+
+        const outcome = await this.refundUnpayableCharge({ payment: capturedPayment, order });
+        return { order, updated: false, outcome };
+      }
+
+      if (!this.isMatchingCharge(order, { amount, currency })) {
+        throw new Error(ERROR_MESSAGES.PAYMENT_MISMATCH);
+      }
+
+      const paidOrder = await Order.findOneAndUpdate(
+        { _id: order._id, version: order.version, status: STATUS_PENDING },
+        {
+          status: STATUS_PAID,
+          $push: { statusHistory: { from: STATUS_PENDING, status: STATUS_PAID, note: `Payment ${reference} confirmed` } },
+          $inc: { version: 1 },
+        },
+        { new: true, session }
+      );
+      if (!paidOrder) {
+        // The order changed since it was read; failing lets the provider retry and the charge be handled then
+        throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+      }
 
       const estimatedDeliveryDate = new Date();
       estimatedDeliveryDate.setHours(estimatedDeliveryDate.getHours() + TIME_ESTIMATED_DELIVERY_HOURS);
@@ -87,26 +264,247 @@ export class PaymentService {
         trackingNumber,
         carrier: CARRIER_DHL,
         estimatedDeliveryDate,
+        trackingEvents: [{ status: "pending", description: "Shipment created", source: "system" }],
       });
 
       await newShipment.save({ session });
 
+      await Payment.findOneAndUpdate(
+        { reference },
+        { status: PAYMENT_STATUS.SUCCESS, paidAt: new Date(), providerResponse: payload },
+        { session }
+      );
+
       await session.commitTransaction();
+      return { order: paidOrder, updated: true, outcome: CONFIRM_OUTCOMES.CONFIRMED };
+    } catch (err) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Processes a signed webhook event from the configured provider.
+   * A charge.success event marks the order paid and creates its shipment, or records and
+   * refunds a charge the order can no longer take; repeated or unknown events are
+   * acknowledged without changing anything.
+   * @param {Object} options - Webhook request data (headers, rawBody, body).
+   * @returns {Object} Event name, whether it was applied, the confirmation outcome, and the order ID if known.
+   * @throws {Error} If the signature is invalid or the transaction fails.
+   */
+  static async handleWebhook({ headers, rawBody, body }) {
+    const provider = getPaymentProvider();
+    const { event, reference, amount, currency, raw } = provider.parseWebhook({ headers, rawBody, body });
+    if (!WEBHOOK_EVENTS.includes(event) || !reference) {
+      return { event, handled: false };
+    }
+
+    if (event === EVENT_CHARGE_FAILED) {
+      logger.warn(`${provider.name} charge failed for reference ${reference}`);
+      const payment = await this.markPaymentUnsuccessful(reference, PAYMENT_STATUS.FAILED, raw);
+      return { event, handled: Boolean(payment), orderId: payment?.orderId };
+    }
+
+    try {
+      const { order, outcome } = await this.confirmPayment({ reference, amount, currency, payload: raw });
+      if (outcome === CONFIRM_OUTCOMES.DUPLICATE) {
+        logger.info(`Ignoring duplicate ${event} for order ${order._id}`);
+      }
+      return { event, handled: outcome !== CONFIRM_OUTCOMES.DUPLICATE, outcome, orderId: order._id };
+    } catch (err) {
+      if (err.message === ERROR_MESSAGES.PAYMENT_NOT_FOUND || err.message === ERROR_MESSAGES.PAYMENT_MISMATCH) {
+        logger.error(`${provider.name} webhook for reference ${reference} rejected: ${err.message}`);
+        return { event, handled: false };
+      }
+      throw new Error(`${ERROR_MESSAGES.PROCESSING_FAILED}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Verifies a transaction with its provider and reconciles the matching order.
+   * @param {Object} options - Verification data (reference, userId, isAdmin).
+   * @returns {Object} Reconciled order, provider transaction status, and the confirmation outcome once paid.
+   * @throws {Error} If the reference is unknown, verification fails, or the charge does not match the order.
+   */
+  static async verifyPayment({ reference, userId, isAdmin = false }) {
+    if (!reference) {
+      throw new Error(ERROR_MESSAGES.REFERENCE_REQUIRED);
+    }
+
+    const query = isAdmin ? { reference } : { reference, userId };
+    const payment = await Payment.findOne(query).select("orderId provider").lean();
+    const order = payment ? await Order.findById(payment.orderId).lean() : null;
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    const transaction = await provider.verify(reference);
+
+    const { status: transactionStatus, amount, currency } = transaction;
+    if (!this.isMatchingCharge(order, { amount, currency })) {
+      throw new Error(ERROR_MESSAGES.PAYMENT_MISMATCH);
+    }
+
+    if (transactionStatus !== PAYMENT_STATUS.SUCCESS) {
+      if (transactionStatus === PAYMENT_STATUS.FAILED || transactionStatus === PAYMENT_STATUS.ABANDONED) {
+        await this.markPaymentUnsuccessful(reference, transactionStatus, transaction.raw);
+      }
+      return { order, transactionStatus };
+    }
+
+    const { order: reconciledOrder, outcome } = await this.confirmPayment({
+      reference,
+      amount,
+      currency,
+      payload: transaction.raw,
+    });
+    return { order: reconciledOrder, transactionStatus, outcome };
+  }
+
+  /**
+   * Loads the successful payment of an order, if it has one.
+   * @param {Object} options - Lookup data (orderId, session).
+   * @returns {Promise<Object|null>} Payment document, or null if the order was never paid.
+   */
+  static async findSuccessfulPayment({ orderId, session = null }) {
+    return Payment.findOne({ orderId, status: PAYMENT_STATUS.SUCCESS }).session(session);
+  }
+
+  /**
+   * Loads the successful payment of an order, which card refunds are paid back through.
+   * @param {Object} options - Lookup data (orderId, session).
+   * @returns {Promise<Object>} Payment document.
+   * @throws {Error} If the order has no successful payment.
+   */
+  static async findRefundablePayment({ orderId, session }) {
+    const payment = await this.findSuccessfulPayment({ orderId, session });
+    if (!payment) {
+      throw new Error(ERROR_MESSAGES.NO_SUCCESSFUL_PAYMENT);
+    }
+    return payment;
+  }
+
+  /**
+   * Refunds part or all of an order's successful payment through the provider that took it.
+   * The idempotency key is passed to the provider and counted once on the payment, so the
+   * same refund can be retried safely.
+   * @param {Object} options - Refund data (orderId, amount in major units, idempotencyKey).
+   * @returns {Object} Provider refund reference, refund status, and raw payload.
+   * @throws {Error} If the order has no successful payment or the provider rejects the refund.
+   */
+  static async refundPayment({ orderId, amount, idempotencyKey }) {
+    const payment = await this.findRefundablePayment({ orderId });
+    return this.refundCapturedPayment({ payment, amount, idempotencyKey });
+  }
+
+  /**
+   * Refunds part or all of a specific successful payment through the provider that took it.
+   * @param {Object} options - Refund data (payment document, amount in major units, idempotencyKey).
+   * @returns {Object} Provider refund reference, refund status, and raw payload.
+   * @throws {Error} If the provider rejects the refund.
+   */
+  static async refundCapturedPayment({ payment, amount, idempotencyKey }) {
+    const provider = getPaymentProvider(payment.provider);
+    const refund = await provider.refund({ reference: payment.reference, amount, idempotencyKey });
+
+    await Payment.updateOne(
+      { _id: payment._id, refundKeys: { $ne: idempotencyKey } },
+      { $inc: { refundedAmount: amount }, $push: { refundKeys: idempotencyKey } }
+    );
+
+    return { reference: refund.reference, status: refund.status, payload: refund.raw };
+  }
+
+  /**
+   * Sends back a charge taken for an order that cannot use it (cancelled, or already paid).
+   * If the provider refuses, the payment is flagged so an admin can refund it by hand.
+   * @param {Object} options - Refund data (payment document, order).
+   * @returns {Promise<string>} Confirmation outcome (refunded or refund_failed).
+   */
+  static async refundUnpayableCharge({ payment, order }) {
+    const amount = Math.round((payment.amount - (payment.refundedAmount || 0)) * CENTS_MULTIPLIER) / CENTS_MULTIPLIER;
+    try {
+      await this.refundCapturedPayment({ payment, amount, idempotencyKey: `unpayable-${payment.reference}` });
+      logger.warn(`Refunded payment ${payment.reference} taken for ${order.status} order ${order._id}`);
+      return CONFIRM_OUTCOMES.REFUNDED;
+    } catch (err) {
+      logger.error(`Payment ${payment.reference} for ${order.status} order ${order._id} needs a manual refund: ${err.message}`);
+      await Payment.updateOne(
+        { _id: payment._id },
+        { flagReason: `Taken for ${order.status} order; automatic refund failed: ${err.message}` }
+      );
+      return CONFIRM_OUTCOMES.REFUND_FAILED;
+    }
+  }
+
+  /**
+   * Retrieves all payments with pagination.
+   * @param {Object} options - Pagination options (page, limit).
+   * @returns {Object} Payments and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getAllPayments({ page, limit }) {
+    try {
+      const skip = (page - 1) * limit;
+      const [totalItems, payments] = await Promise.all([
+        Payment.countDocuments(),
+        Payment.find()
+          .sort({ createdAt: NEGATIVE_ONE })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+      ]);
 
       return {
-        order,
-        paystack: {
-          authorization_url: paystackResponse.data.authorization_url,
-          access_code: paystackResponse.data.access_code,
-          reference: paystackResponse.data.reference,
+        payments,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
         },
-        shipment: newShipment,
       };
     } catch (err) {
-      await session.abortTransaction();
-      throw new Error(err.message === ERROR_MESSAGES.NO_ORDERS || err.message === ERROR_MESSAGES.PAYMENT_FAILED ? err.message : `${ERROR_MESSAGES.PROCESSING_FAILED}: ${err.message}`);
-    } finally {
-      session.endSession();
+      throw new Error(`Failed to retrieve payments: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves payments for a specific user.
+   * Raw provider payloads are left out of customer responses.
+   * @param {Object} options - Query options (userId, page, limit).
+   * @returns {Object} Payments and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getUserPayments({ userId, page, limit }) {
+    try {
+      const skip = (page - 1) * limit;
+      const [totalItems, payments] = await Promise.all([
+        Payment.countDocuments({ userId }),
+        Payment.find({ userId })
+          .select("-providerResponse -accessCode")
+          .sort({ createdAt: NEGATIVE_ONE })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+      ]);
+
+      return {
+        payments,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve user payments: ${err.message}`);
     }
   }
 }
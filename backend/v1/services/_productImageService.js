@@ -0,0 +1,298 @@
+import mongoose from "mongoose";
+import sharp from "sharp";
+import { Product } from "../models/index.js";
+import storage from "../config/_storage.js";
+import { imageQueue } from "../jobs/queues/_imageQueue.js";
+import { logger } from "../config/_logger.js";
+
+const CONSTANTS = {
+  MAX_IMAGES: 20,
+  DEFAULT_THUMBNAIL_WIDTH: 300,
+  THUMBNAIL_QUALITY: 80,
+  // Formats sharp reports, with the content type and extension they are stored under
+  FORMATS: {
+    jpeg: { contentType: "image/jpeg", extension: "jpg" },
+    png: { contentType: "image/png", extension: "png" },
+    gif: { contentType: "image/gif", extension: "gif" },
+    webp: { contentType: "image/webp", extension: "webp" },
+  },
+  THUMBNAIL_JOB: "generateThumbnail",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PRODUCT_ID: "Invalid product ID format",
+  INVALID_IMAGE_ID: "Invalid image ID format",
+  PRODUCT_NOT_FOUND: "Product doesn't exist",
+  IMAGE_NOT_FOUND: "Image doesn't exist",
+  NO_FILES: "At least one image file is required.",
+  INVALID_IMAGE: "File is not a valid JPEG, PNG, GIF or WebP image",
+  TOO_MANY_IMAGES: `A product can have at most ${CONSTANTS.MAX_IMAGES} images.`,
+  INVALID_IMAGE_LIST: "Images must list every image of the product exactly once, with at most one primary.",
+  CONCURRENCY_CONFLICT: "Product was modified by another request. Please retry.",
+};
+
+/**
+ * Reads the alt text given for an uploaded file: a single string for all files, or one per file.
+ * @param {string|Array} alt - Alt text from the multipart form.
+ * @param {number} index - Position of the file in the upload.
+ * @returns {string} Alt text.
+ */
+const altFor = (alt, index) => (Array.isArray(alt) ? alt[index] : alt) || "";
+
+export class ProductImageService {
+  /**
+   * Loads a product for an image change.
+   * @param {string} id - Product ID.
+   * @returns {Promise<Object>} Product document.
+   * @throws {Error} If the ID is invalid or the product is not found.
+   */
+  static async loadProduct(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+    }
+    return product;
+  }
+
+  /**
+   * Saves a product's changed images, with its primary image URL in step.
+   * Without any images the product image goes back to the URL it had before its first upload.
+   * @param {Object} product - Product document with its images changed in memory.
+   * @returns {Promise<Object>} Updated product.
+   * @throws {Error} If validation fails or the product changed meanwhile.
+   */
+  static async saveImages(product) {
+    await product.validate(["images"]);
+
+    const primary = product.images.find((image) => image.isPrimary);
+    const currentVersion = product.version || 0;
+    const updatedProduct = await Product.findOneAndUpdate(
+      { _id: product._id, version: currentVersion },
+      {
+        $set: {
+          images: product.images,
+          image: primary ? primary.url : product.externalImage || null,
+          externalImage: product.externalImage || null,
+          version: currentVersion + 1,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updatedProduct) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return updatedProduct;
+  }
+
+  /**
+   * Queues thumbnail generation for a product image. A failure to queue is logged, not thrown,
+   * since the image is usable without its thumbnail.
+   * @param {string} productId - Product ID.
+   * @param {string} imageId - Image ID.
+   */
+  static async queueThumbnail(productId, imageId) {
+    try {
+      await imageQueue.add(CONSTANTS.THUMBNAIL_JOB, { productId: productId.toString(), imageId: imageId.toString() });
+    } catch (err) {
+      logger.error(`Failed to queue thumbnail for image ${imageId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Stores uploaded images and appends them to a product's images, in upload order.
+   * The first image a product gets becomes its primary image. Thumbnails are generated in the background.
+   * @param {string} id - Product ID.
+   * @param {Array} files - Uploaded files (buffer, originalname) from the upload middleware.
+   * @param {Object} [options] - Upload options.
+   * @param {string|Array} [options.alt] - Alt text for all files, or one per file.
+   * @returns {Promise<Object>} Updated product.
+   * @throws {Error} If the ID is invalid, the product is missing, a file is not a supported image, or there are too many images.
+   */
+  static async uploadImages(id, files, { alt } = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error(ERROR_MESSAGES.NO_FILES);
+    }
+
+    const product = await this.loadProduct(id);
+    if (product.images.length + files.length > CONSTANTS.MAX_IMAGES) {
+      throw new Error(ERROR_MESSAGES.TOO_MANY_IMAGES);
+    }
+
+    // Trust the file contents rather than the client's content type
+    const uploads = [];
+    for (const [index, file] of files.entries()) {
+      let metadata;
+      try {
+        metadata = await sharp(file.buffer).metadata();
+      } catch (err) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_IMAGE}: ${file.originalname}`);
+      }
+      const format = CONSTANTS.FORMATS[metadata.format];
+      if (!format) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_IMAGE}: ${file.originalname}`);
+      }
+
+      const imageId = new mongoose.Types.ObjectId();
+      uploads.push({
+        file,
+        image: {
+          _id: imageId,
+          key: `products/${product._id}/${imageId}.${format.extension}`,
+          alt: altFor(alt, index),
+          contentType: format.contentType,
+          width: metadata.width,
+          height: metadata.height,
+        },
+      });
+    }
+
+    const saved = [];
+    try {
+      for (const { file, image } of uploads) {
+        await storage.save(image.key, file.buffer, image.contentType);
+        saved.push(image.key);
+      }
+
+      // Until the first upload the product image is one set by URL; keep it for when the uploads are gone
+      if (product.images.length === 0) {
+        product.externalImage = product.image;
+      }
+      const hasPrimary = product.images.some((image) => image.isPrimary);
+      uploads.forEach(({ image }, index) => {
+        product.images.push({ ...image, url: storage.url(image.key), isPrimary: !hasPrimary && index === 0 });
+      });
+      const updatedProduct = await this.saveImages(product);
+
+      for (const { image } of uploads) {
+        await this.queueThumbnail(product._id, image._id);
+      }
+      return updatedProduct;
+    } catch (err) {
+      // Files of an upload that was not recorded would never be cleaned up otherwise
+      await Promise.all(saved.map((key) => storage.delete(key).catch(() => {})));
+      throw new Error(err.message);
+    }
+  }
+
+  /**
+   * Reorders a product's images and updates their alt text and primary flag.
+   * @param {string} id - Product ID.
+   * @param {Array} images - Every image of the product in the new order (_id, alt, isPrimary).
+   *   When none is marked primary, the current primary image stays primary.
+   * @returns {Promise<Object>} Updated product.
+   * @throws {Error} If the ID is invalid, the product is missing, or the list does not match the product's images.
+   */
+  static async updateImages(id, images) {
+    const product = await this.loadProduct(id);
+
+    const current = new Map(product.images.map((image) => [image._id.toString(), image]));
+    if (!Array.isArray(images)) {
+      throw new Error(ERROR_MESSAGES.INVALID_IMAGE_LIST);
+    }
+    const ids = images.map((image) => image?._id?.toString());
+    if (
+      ids.length !== current.size ||
+      new Set(ids).size !== ids.length ||
+      !ids.every((imageId) => current.has(imageId)) ||
+      images.filter((image) => image.isPrimary === true).length > 1
+    ) {
+      throw new Error(ERROR_MESSAGES.INVALID_IMAGE_LIST);
+    }
+
+    const primaryChanged = images.some((image) => image.isPrimary === true);
+    const reordered = images.map((entry) => {
+      const image = current.get(entry._id.toString()).toObject();
+      if (entry.alt !== undefined) image.alt = entry.alt;
+      if (primaryChanged) image.isPrimary = entry.isPrimary === true;
+      return image;
+    });
+    product.images = reordered;
+
+    return this.saveImages(product);
+  }
+
+  /**
+   * Deletes a product image and its stored files. Deleting the primary image promotes the next one;
+   * deleting the last image restores the image URL the product had before its first upload.
+   * @param {string} id - Product ID.
+   * @param {string} imageId - Image ID.
+   * @returns {Promise<Object>} Updated product.
+   * @throws {Error} If an ID is invalid or the product or image is missing.
+   */
+  static async deleteImage(id, imageId) {
+    if (!mongoose.Types.ObjectId.isValid(imageId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_IMAGE_ID);
+    }
+
+    const product = await this.loadProduct(id);
+    const image = product.images.id(imageId);
+    if (!image) {
+      throw new Error(ERROR_MESSAGES.IMAGE_NOT_FOUND);
+    }
+
+    const removed = image.toObject();
+    product.images.pull(image._id);
+    if (removed.isPrimary && product.images.length > 0) {
+      product.images[0].isPrimary = true;
+    }
+    const updatedProduct = await this.saveImages(product);
+
+    await this.deleteFiles([removed]);
+    return updatedProduct;
+  }
+
+  /**
+   * Deletes the stored files (original and thumbnail) of images no longer on a product.
+   * Failures are logged rather than thrown, since at worst they leave an orphaned file behind.
+   * @param {Array} images - Removed images.
+   */
+  static async deleteFiles(images = []) {
+    for (const key of images.flatMap((image) => [image.key, image.thumbnailKey]).filter(Boolean)) {
+      try {
+        await storage.delete(key);
+      } catch (err) {
+        logger.error(`Failed to delete stored image ${key}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Generates a WebP thumbnail for a product image and records it on the image. Run by the image worker.
+   * An image deleted before its thumbnail is ready is skipped.
+   * @param {Object} options - Job data (productId, imageId).
+   * @returns {Promise<string|null>} Thumbnail URL, or null if the image no longer exists.
+   */
+  static async generateThumbnail({ productId, imageId }) {
+    const product = await Product.findOne({ _id: productId, "images._id": imageId }).select("images").lean();
+    const image = product?.images.find((entry) => entry._id.toString() === imageId.toString());
+    if (!image) {
+      return null;
+    }
+
+    const width = Number(process.env.THUMBNAIL_WIDTH) || CONSTANTS.DEFAULT_THUMBNAIL_WIDTH;
+    const original = await storage.read(image.key);
+    const thumbnail = await sharp(original, { animated: false })
+      .rotate() // Respect EXIF orientation
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: CONSTANTS.THUMBNAIL_QUALITY })
+      .toBuffer();
+
+    const thumbnailKey = `products/${productId}/${imageId}-thumb-${width}.webp`;
+    await storage.save(thumbnailKey, thumbnail, "image/webp");
+
+    const thumbnailUrl = storage.url(thumbnailKey);
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, "images._id": imageId },
+      { $set: { "images.$.thumbnailUrl": thumbnailUrl, "images.$.thumbnailKey": thumbnailKey } }
+    );
+    if (!updated) {
+      await storage.delete(thumbnailKey);
+      return null;
+    }
+    return thumbnailUrl;
+  }
+}
@@ -1,17 +1,66 @@
 import mongoose from "mongoose";
 import { Product } from "../models/index.js";
+import { StockService } from "./_stockService.js";
+import { ProductImageService } from "./_productImageService.js";
 
 const DEFAULT_SORT_FIELD = "createdAt";
 const SORT_DESC = -1;
 const SORT_ASC = 1;
 const NEW_PRODUCTS_LIMIT = 5;
+const VARIANT_FIELDS = ["sku", "options", "price", "stock", "image", "isActive"];
 const ERROR_MESSAGES = {
   INVALID_PRODUCT_ID: "Invalid product ID format",
+  INVALID_VARIANT_ID: "Invalid variant ID format",
   PRODUCT_NOT_FOUND: "Product doesn't exist",
+  VARIANT_NOT_FOUND: "Variant doesn't exist",
+  SKU_IN_USE: "A variant with this SKU already exists.",
+  VARIANT_RESERVED: "Variant has units reserved in carts and cannot be deleted.",
+  PRODUCT_RESERVED: "Product has units reserved in carts; add variants once they are released.",
+  STOCK_BELOW_RESERVED: "Stock cannot be set below the units reserved in carts.",
   CONCURRENCY_CONFLICT: "Product was modified by another request. Please retry.",
   SERVER_ERROR: "Something went wrong, please try again",
 };
 
+/**
+ * Works out on-hand stock less reserved units.
+ * @param {Object} counts - Product or variant.
+ * @returns {number} Available units.
+ */
+const availableStock = (counts) => Math.max((counts.stock || 0) - (counts.reserved || 0), 0);
+
+/**
+ * Adds the available count to a lean product and each of its variants.
+ * @param {Object} product - Lean product.
+ * @returns {Object} Product with available.
+ */
+const withAvailability = (product) => ({
+  ...product,
+  available: availableStock(product),
+  ...(product.variants && {
+    variants: product.variants.map((variant) => ({ ...variant, available: availableStock(variant) })),
+  }),
+});
+
+/**
+ * Picks the editable fields from variant input. Reserved units are only moved by cart reservations.
+ * @param {Object} data - Raw input.
+ * @returns {Object} Variant fields.
+ */
+const pickVariantFields = (data = {}) => {
+  const fields = {};
+  for (const field of VARIANT_FIELDS) {
+    if (data[field] !== undefined) fields[field] = data[field];
+  }
+  return fields;
+};
+
+/**
+ * Checks whether a save failed on the unique variant SKU index.
+ * @param {Error} err - Error thrown by Mongoose.
+ * @returns {boolean} Whether the SKU is already taken.
+ */
+const isDuplicateSku = (err) => err.code === 11000 && Object.keys(err.keyPattern || {}).includes("variants.sku");
+
 export class ProductService {
   /**
    * Retrieves all products with pagination, filtering, and sorting.
@@ -49,7 +98,7 @@ export class ProductService {
       ]);
 
       return {
-        products,
+        products: products.map(withAvailability),
         pagination: {
           page,
           limit: qNew ? limitOverride : limit,
@@ -78,48 +127,68 @@ export class ProductService {
       if (!product) {
         throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
       }
-      return product;
+      return withAvailability(product);
     } catch (err) {
       throw new Error(err.message === ERROR_MESSAGES.PRODUCT_NOT_FOUND ? err.message : `Failed to retrieve product: ${err.message}`);
     }
   }
 
   /**
-   * Creates a new product.
+   * Creates a new product, recording its opening stock in the stock ledger.
+   * A product created with variants takes its stock from theirs.
    * @param {Object} data - Product data.
+   * @param {string} [actorId] - Admin creating the product.
    * @returns {Object} Created product.
    * @throws {Error} If creation fails.
    */
-  static async createProduct(data) {
+  static async createProduct(data, actorId = null) {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
+      // Reserved units are only moved by cart reservations, and uploaded images by ProductImageService
+      const { reserved, images, variants = [], ...fields } = data;
+      const variantFields = variants.map((variant) => ({ ...pickVariantFields(variant), reserved: 0 }));
       const newProduct = new Product({
-        ...data,
-        stock: data.stock || 0,
+        ...fields,
+        variants: variantFields,
+        stock: variantFields.length > 0 ? variantFields.reduce((total, variant) => total + (variant.stock || 0), 0) : data.stock || 0,
+        reserved: 0,
         version: 0,
       });
 
       const savedProduct = await newProduct.save({ session });
+      const stockHolders = savedProduct.variants.length > 0 ? savedProduct.variants.map((variant) => variant._id) : [null];
+      for (const variantId of stockHolders) {
+        await StockService.recordStockEdit({
+          product: savedProduct,
+          variantId,
+          previousStock: 0,
+          actor: actorId,
+          note: "Opening stock",
+          session,
+        });
+      }
 
       await session.commitTransaction();
       return savedProduct;
     } catch (err) {
       await session.abortTransaction();
-      throw new Error(`Failed to create product: ${err.message}`);
+      throw new Error(isDuplicateSku(err) ? ERROR_MESSAGES.SKU_IN_USE : `Failed to create product: ${err.message}`);
     } finally {
       session.endSession();
     }
   }
 
   /**
-   * Updates an existing product.
+   * Updates an existing product. A changed stock level is recorded in the stock ledger.
+   * Variants are managed through their own methods, and a product with variants takes its stock from them.
    * @param {string} id - Product ID.
    * @param {Object} data - Update data.
+   * @param {string} [actorId] - Admin making the change.
    * @returns {Object} Updated product.
-   * @throws {Error} If ID is invalid, product not found, or update fails.
+   * @throws {Error} If ID is invalid, product not found, stock is below the reserved units, or update fails.
    */
-  static async updateProduct(id, data) {
+  static async updateProduct(id, data, actorId = null) {
     if (!mongoose.Types.ObjectId.isValid(id)) {
       throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
     }
@@ -133,15 +202,230 @@ export class ProductService {
       }
 
       const currentVersion = product.version || 0;
+      const { reserved, images, variants, ...fields } = data;
+      if (product.variants.length > 0) {
+        delete fields.stock;
+      }
+      // The version check below keeps reserved from changing between this check and the update
+      if (fields.stock !== undefined && fields.stock < (product.reserved || 0)) {
+        throw new Error(ERROR_MESSAGES.STOCK_BELOW_RESERVED);
+      }
+      // The primary uploaded image decides the product image
+      if (product.images.length > 0) {
+        delete fields.image;
+      }
       const updatedProduct = await Product.findOneAndUpdate(
         { _id: id, version: currentVersion },
-        { $set: { ...data, version: currentVersion + 1 } },
+        { $set: { ...fields, version: currentVersion + 1 } },
         { new: true, runValidators: true, session }
       );
 
       if (!updatedProduct) {
         throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
       }
+      await StockService.recordStockEdit({
+        product: updatedProduct,
+        previousStock: product.stock,
+        actor: actorId,
+        note: "Product update",
+        session,
+      });
+
+      await session.commitTransaction();
+      return updatedProduct;
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Loads a product for a variant change and checks the IDs.
+   * @param {string} id - Product ID.
+   * @param {string} [variantId] - Variant ID, when changing an existing variant.
+   * @param {Object} session - Mongoose session.
+   * @returns {Promise<Object>} Product document and the variant, if one was asked for.
+   * @throws {Error} If an ID is invalid or the product or variant is not found.
+   */
+  static async loadVariant(id, variantId, session) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+    if (variantId !== undefined && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_VARIANT_ID);
+    }
+
+    const product = await Product.findById(id).session(session);
+    if (!product) {
+      throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+    }
+    const variant = variantId !== undefined ? product.variants.id(variantId) : null;
+    if (variantId !== undefined && !variant) {
+      throw new Error(ERROR_MESSAGES.VARIANT_NOT_FOUND);
+    }
+    return { product, variant };
+  }
+
+  /**
+   * Saves a product's changed variants, keeping its stock the total of theirs.
+   * Reservation changes bump the version too, so a concurrent cart cannot be overwritten.
+   * @param {Object} product - Product document with its variants changed in memory.
+   * @param {Object} session - Mongoose session.
+   * @returns {Promise<Object>} Updated product.
+   * @throws {Error} If validation fails, the SKU is taken, or the product changed meanwhile.
+   */
+  static async saveVariants(product, session) {
+    await product.validate(["variants"]);
+
+    const currentVersion = product.version || 0;
+    try {
+      const updatedProduct = await Product.findOneAndUpdate(
+        { _id: product._id, version: currentVersion },
+        {
+          $set: {
+            variants: product.variants,
+            stock: product.variants.reduce((total, variant) => total + (variant.stock || 0), 0),
+            version: currentVersion + 1,
+          },
+        },
+        { new: true, runValidators: true, session }
+      );
+      if (!updatedProduct) {
+        throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+      }
+      return updatedProduct;
+    } catch (err) {
+      throw isDuplicateSku(err) ? new Error(ERROR_MESSAGES.SKU_IN_USE) : err;
+    }
+  }
+
+  /**
+   * Adds a variant to a product, recording its opening stock in the stock ledger.
+   * Adding the first variant replaces the product's own stock with the variant's.
+   * @param {string} id - Product ID.
+   * @param {Object} data - Variant data (sku, options, price, stock, image, isActive).
+   * @param {string} [actorId] - Admin making the change.
+   * @returns {Object} Updated product.
+   * @throws {Error} If an ID is invalid, the product is missing, units are reserved against the product itself, or validation fails.
+   */
+  static async addVariant(id, data, actorId = null) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { product } = await this.loadVariant(id, undefined, session);
+      const firstVariant = product.variants.length === 0;
+      if (firstVariant && product.reserved > 0) {
+        throw new Error(ERROR_MESSAGES.PRODUCT_RESERVED);
+      }
+
+      const previousStock = product.stock;
+      product.variants.push({ ...pickVariantFields(data), reserved: 0 });
+      const variantId = product.variants[product.variants.length - 1]._id;
+      const updatedProduct = await this.saveVariants(product, session);
+
+      if (firstVariant && previousStock > 0) {
+        await StockService.recordMovement({
+          product: updatedProduct,
+          delta: -previousStock,
+          reason: "manual_adjust",
+          actor: actorId,
+          note: "Stock moved to variants",
+          session,
+        });
+      }
+      await StockService.recordStockEdit({
+        product: updatedProduct,
+        variantId,
+        previousStock: 0,
+        actor: actorId,
+        note: "Opening stock",
+        session,
+      });
+
+      await session.commitTransaction();
+      return updatedProduct;
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Updates a product variant. A changed stock level is recorded in the stock ledger.
+   * @param {string} id - Product ID.
+   * @param {string} variantId - Variant ID.
+   * @param {Object} data - Update data.
+   * @param {string} [actorId] - Admin making the change.
+   * @returns {Object} Updated product.
+   * @throws {Error} If an ID is invalid, the product or variant is missing, stock is below the reserved units, or validation fails.
+   */
+  static async updateVariant(id, variantId, data, actorId = null) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { product, variant } = await this.loadVariant(id, variantId, session);
+      const previousStock = variant.stock;
+      variant.set(pickVariantFields(data));
+      if (variant.stock < (variant.reserved || 0)) {
+        throw new Error(ERROR_MESSAGES.STOCK_BELOW_RESERVED);
+      }
+      const updatedProduct = await this.saveVariants(product, session);
+
+      await StockService.recordStockEdit({
+        product: updatedProduct,
+        variantId: variant._id,
+        previousStock,
+        actor: actorId,
+        note: "Variant update",
+        session,
+      });
+
+      await session.commitTransaction();
+      return updatedProduct;
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Deletes a product variant, writing its remaining stock off in the stock ledger.
+   * @param {string} id - Product ID.
+   * @param {string} variantId - Variant ID.
+   * @param {string} [actorId] - Admin making the change.
+   * @returns {Object} Updated product.
+   * @throws {Error} If an ID is invalid, the product or variant is missing, or units are reserved in carts.
+   */
+  static async deleteVariant(id, variantId, actorId = null) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { product, variant } = await this.loadVariant(id, variantId, session);
+      if (variant.reserved > 0) {
+        throw new Error(ERROR_MESSAGES.VARIANT_RESERVED);
+      }
+
+      const removedStock = variant.stock;
+      product.variants.pull(variant._id);
+      const updatedProduct = await this.saveVariants(product, session);
+
+      if (removedStock > 0) {
+        await StockService.recordMovement({
+          product: updatedProduct,
+          variantId: variant._id,
+          delta: -removedStock,
+          reason: "manual_adjust",
+          actor: actorId,
+          note: "Variant deleted",
+          session,
+        });
+      }
 
       await session.commitTransaction();
       return updatedProduct;
@@ -154,7 +438,7 @@ export class ProductService {
   }
 
   /**
-   * Deletes a product.
+   * Deletes a product and its uploaded image files.
    * @param {string} id - Product ID.
    * @throws {Error} If ID is invalid, product not found, or deletion fails.
    */
@@ -181,6 +465,7 @@ export class ProductService {
       }
 
       await session.commitTransaction();
+      await ProductImageService.deleteFiles(deletedProduct.images);
     } catch (err) {
       await session.abortTransaction();
       throw new Error(err.message);
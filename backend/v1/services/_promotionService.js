@@ -0,0 +1,372 @@
+import mongoose from "mongoose";
+import { Promotion } from "../models/index.js";
+import { lineKey } from "../utils/index.js";
+
+const CONSTANTS = {
+  TYPE_PERCENTAGE_OFF: "percentage_off",
+  TYPE_BUY_X_GET_Y: "buy_x_get_y",
+  TYPE_SPEND_TIER: "spend_tier",
+  TIER_PERCENTAGE: "percentage",
+  PROMOTION_FIELDS: [
+    "name",
+    "description",
+    "type",
+    "value",
+    "buyQuantity",
+    "getQuantity",
+    "tierType",
+    "tiers",
+    "applicableProducts",
+    "applicableCategories",
+    "priority",
+    "startsAt",
+    "endsAt",
+    "isActive",
+  ],
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PROMOTION_ID: "Invalid promotion ID",
+  PROMOTION_NOT_FOUND: "Promotion not found.",
+  CONCURRENCY_CONFLICT: "Promotion was modified by another request. Please retry.",
+};
+
+/**
+ * Rounds an amount to two decimal places.
+ * @param {number} amount - Amount to round.
+ * @returns {number} Rounded amount.
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class PromotionService {
+  /**
+   * Retrieves the promotions running now, highest priority first.
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Array>} Active promotions.
+   */
+  static async getActivePromotions(session = null) {
+    const now = new Date();
+    return Promotion.find({
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      ],
+    })
+      .sort({ priority: -1, createdAt: 1 })
+      .session(session)
+      .lean();
+  }
+
+  /**
+   * Checks whether a line item is covered by a promotion's product or category restrictions.
+   * @param {Object} promotion - Promotion.
+   * @param {Object} item - Line item (productId, category).
+   * @returns {boolean} True if the promotion applies to the item.
+   */
+  static isEligible(promotion, item) {
+    const productIds = (promotion.applicableProducts || []).map((productId) => productId.toString());
+    const categories = promotion.applicableCategories || [];
+    if (productIds.length === 0 && categories.length === 0) {
+      return true;
+    }
+    return (
+      productIds.includes(item.productId.toString()) ||
+      Boolean(item.category && categories.includes(item.category.toLowerCase()))
+    );
+  }
+
+  /**
+   * Works out what one promotion takes off each eligible line.
+   * @param {Object} promotion - Promotion.
+   * @param {Array} lines - Priced lines (productId, category, price, quantity, remaining).
+   * @returns {Array<number>} Discount per line, in the same order as the lines.
+   */
+  static discountsFor(promotion, lines) {
+    const discounts = lines.map(() => 0);
+    const eligible = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => line.remaining > 0 && this.isEligible(promotion, line));
+    if (eligible.length === 0) {
+      return discounts;
+    }
+
+    if (promotion.type === CONSTANTS.TYPE_PERCENTAGE_OFF) {
+      for (const { line, index } of eligible) {
+        discounts[index] = roundAmount((line.remaining * promotion.value) / 100);
+      }
+    } else if (promotion.type === CONSTANTS.TYPE_BUY_X_GET_Y) {
+      // Expand into single units, dearest first, so the cheapest units in each group are the free ones
+      const units = eligible
+        .flatMap(({ line, index }) => Array.from({ length: line.quantity }, () => ({ index, price: line.price })))
+        .sort((a, b) => b.price - a.price);
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+      // A free unit is worth no more than what earlier promotions left on its line
+      for (const unit of units.slice(units.length - freeUnits)) {
+        discounts[unit.index] = roundAmount(Math.min(discounts[unit.index] + unit.price, lines[unit.index].remaining));
+      }
+    } else if (promotion.type === CONSTANTS.TYPE_SPEND_TIER) {
+      const eligibleSubtotal = roundAmount(eligible.reduce((total, { line }) => total + line.remaining, 0));
+      const tier = [...promotion.tiers]
+        .sort((a, b) => b.minSpend - a.minSpend)
+        .find((entry) => eligibleSubtotal >= entry.minSpend);
+      if (!tier) {
+        return discounts;
+      }
+
+      const discount = roundAmount(
+        Math.min(
+          promotion.tierType === CONSTANTS.TIER_PERCENTAGE ? (eligibleSubtotal * tier.value) / 100 : tier.value,
+          eligibleSubtotal
+        )
+      );
+      // Spread over the eligible lines by value; the last line takes the rounding remainder
+      let allocated = 0;
+      eligible.forEach(({ line, index }, position) => {
+        discounts[index] =
+          position === eligible.length - 1
+            ? roundAmount(discount - allocated)
+            : roundAmount((discount * line.remaining) / eligibleSubtotal);
+        allocated = roundAmount(allocated + discounts[index]);
+      });
+    }
+
+    return discounts;
+  }
+
+  /**
+   * Applies every running promotion to a set of line items, highest priority first.
+   * Each promotion works on what is left of a line after earlier ones, so a line never goes below zero.
+   * @param {Array} items - Line items (productId, variantId, category, price, quantity).
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Object>} Subtotal, per-line discounts with the promotions behind them, promotion totals, discount and total.
+   */
+  static async applyPromotions(items, session = null) {
+    const promotions = await this.getActivePromotions(session);
+    return this.evaluate(promotions, items);
+  }
+
+  /**
+   * Applies the given promotions to a set of line items.
+   * @param {Array} promotions - Promotions, in the order to apply them.
+   * @param {Array} items - Line items (productId, category, price, quantity).
+   * @returns {Object} Pricing breakdown.
+   */
+  static evaluate(promotions, items) {
+    const lines = items.map((item) => ({
+      productId: item.productId.toString(),
+      variantId: item.variantId ? item.variantId.toString() : null,
+      category: item.category,
+      price: item.price,
+      quantity: item.quantity,
+      lineTotal: roundAmount(item.price * item.quantity),
+      remaining: roundAmount(item.price * item.quantity),
+      promotions: [],
+    }));
+    const applied = [];
+
+    for (const promotion of promotions) {
+      const discounts = this.discountsFor(promotion, lines);
+      let promotionTotal = 0;
+      discounts.forEach((amount, index) => {
+        const discount = roundAmount(Math.min(amount, lines[index].remaining));
+        if (discount <= 0) return;
+        lines[index].remaining = roundAmount(lines[index].remaining - discount);
+        lines[index].promotions.push({ promotionId: promotion._id, name: promotion.name, discount });
+        promotionTotal = roundAmount(promotionTotal + discount);
+      });
+      if (promotionTotal > 0) {
+        applied.push({ promotionId: promotion._id, name: promotion.name, discount: promotionTotal });
+      }
+    }
+
+    const subtotal = roundAmount(lines.reduce((total, line) => total + line.lineTotal, 0));
+    const discount = roundAmount(applied.reduce((total, promotion) => total + promotion.discount, 0));
+    return {
+      subtotal,
+      lines: lines.map((line) => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        lineTotal: line.lineTotal,
+        discount: roundAmount(line.lineTotal - line.remaining),
+        total: line.remaining,
+        promotions: line.promotions,
+      })),
+      promotions: applied,
+      discount,
+      total: roundAmount(subtotal - discount),
+    };
+  }
+
+  /**
+   * Reprices line items net of their promotion discounts, e.g. before a coupon is worked out.
+   * @param {Array} items - Line items (productId, category, price, quantity).
+   * @param {Object} pricing - Result of applyPromotions for the same items.
+   * @returns {Array} Line items with the discounted unit price.
+   */
+  static discountedItems(items, pricing) {
+    return items.map((item, index) => ({
+      ...item,
+      price: pricing.lines[index].total / item.quantity,
+    }));
+  }
+
+  /**
+   * Adds a coupon's per-line discounts on top of a promotion pricing breakdown.
+   * @param {Object} pricing - Result of applyPromotions.
+   * @param {Object} coupon - Coupon summary (code, discount, and error if it no longer applies).
+   * @param {Array} [couponLines] - Coupon discount per line (productId, variantId, discount).
+   * @returns {Object} Pricing breakdown including the coupon.
+   */
+  static withCoupon(pricing, coupon, couponLines = []) {
+    const couponDiscounts = Object.fromEntries(couponLines.map((line) => [lineKey(line), line.discount]));
+    const discount = roundAmount(pricing.discount + (coupon.discount || 0));
+    return {
+      ...pricing,
+      lines: pricing.lines.map((line) => {
+        const couponDiscount = couponDiscounts[lineKey(line)] || 0;
+        return {
+          ...line,
+          couponDiscount,
+          discount: roundAmount(line.discount + couponDiscount),
+          total: roundAmount(line.total - couponDiscount),
+        };
+      }),
+      coupon,
+      discount,
+      total: roundAmount(pricing.subtotal - discount),
+    };
+  }
+
+  /**
+   * Picks the editable fields from promotion input.
+   * @param {Object} data - Raw input.
+   * @returns {Object} Promotion fields.
+   */
+  static pickPromotionFields(data = {}) {
+    const fields = {};
+    for (const field of CONSTANTS.PROMOTION_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    if (Array.isArray(fields.tiers)) {
+      fields.tiers = [...fields.tiers].sort((a, b) => a.minSpend - b.minSpend);
+    }
+    return fields;
+  }
+
+  /**
+   * Creates a promotion.
+   * @param {Object} data - Promotion data.
+   * @returns {Object} Created promotion.
+   * @throws {Error} If validation fails.
+   */
+  static async createPromotion(data) {
+    try {
+      return await Promotion.create({ ...this.pickPromotionFields(data), version: 0 });
+    } catch (err) {
+      throw new Error(`Failed to create promotion: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves all promotions with pagination, optionally only active ones.
+   * @param {Object} options - Query options (page, limit, active).
+   * @returns {Object} Promotions and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getPromotions({ page, limit, active }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = active === undefined ? {} : { isActive: active === "true" };
+      const [totalItems, promotions] = await Promise.all([
+        Promotion.countDocuments(query),
+        Promotion.find(query).sort({ priority: -1, createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        promotions,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve promotions: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single promotion.
+   * @param {string} id - Promotion ID.
+   * @returns {Object} Promotion.
+   * @throws {Error} If the ID is invalid or the promotion is not found.
+   */
+  static async getPromotion(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PROMOTION_ID);
+    }
+
+    const promotion = await Promotion.findById(id).lean();
+    if (!promotion) {
+      throw new Error(ERROR_MESSAGES.PROMOTION_NOT_FOUND);
+    }
+    return promotion;
+  }
+
+  /**
+   * Updates a promotion.
+   * @param {string} id - Promotion ID.
+   * @param {Object} data - Update data.
+   * @returns {Object} Updated promotion.
+   * @throws {Error} If the ID is invalid, the promotion is not found, or validation fails.
+   */
+  static async updatePromotion(id, data) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PROMOTION_ID);
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      throw new Error(ERROR_MESSAGES.PROMOTION_NOT_FOUND);
+    }
+
+    // Validate the merged promotion so type-specific required fields still hold
+    const fields = this.pickPromotionFields(data);
+    promotion.set(fields);
+    try {
+      await promotion.validate();
+    } catch (err) {
+      throw new Error(`Failed to update promotion: ${err.message}`);
+    }
+
+    const updatedPromotion = await Promotion.findOneAndUpdate(
+      { _id: id, version: promotion.version },
+      { $set: fields, $inc: { version: 1 } },
+      { new: true }
+    );
+    if (!updatedPromotion) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return updatedPromotion;
+  }
+
+  /**
+   * Deletes a promotion. Orders keep the promotion discounts they were placed with.
+   * @param {string} id - Promotion ID.
+   * @throws {Error} If the ID is invalid or the promotion is not found.
+   */
+  static async deletePromotion(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PROMOTION_ID);
+    }
+
+    const promotion = await Promotion.findByIdAndDelete(id);
+    if (!promotion) {
+      throw new Error(ERROR_MESSAGES.PROMOTION_NOT_FOUND);
+    }
+  }
+}
@@ -0,0 +1,364 @@
+import mongoose from "mongoose";
+import { Order, Return, User } from "../models/index.js";
+import { OrderService } from "./_orderService.js";
+import { emailQueue } from "../jobs/queues/_emailQueue.js";
+import { generateReturnEmail, lineKey } from "../utils/index.js";
+import { logger } from "../config/_logger.js";
+
+const CONSTANTS = {
+  DEFAULT_RETURN_WINDOW_DAYS: 14,
+  RETURNABLE_ORDER_STATUS: "delivered",
+  REFUND_METHODS: ["card", "store_credit"],
+  DEFAULT_REFUND_METHOD: "store_credit",
+  REFUND_METHOD_CARD: "card",
+  REFUND_STATUS_FAILED: "failed",
+  OPEN_RETURN_STATUSES: ["requested", "approved"],
+  STATUS_REQUESTED: "requested",
+  STATUS_APPROVED: "approved",
+  STATUS_REJECTED: "rejected",
+  STATUS_RECEIVED: "received",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_ORDER_ID: "Invalid order ID",
+  INVALID_RETURN_ID: "Invalid return ID",
+  ORDER_NOT_FOUND: "Order not found.",
+  RETURN_NOT_FOUND: "Return not found.",
+  ORDER_NOT_DELIVERED: "Only delivered orders can be returned.",
+  RETURN_WINDOW_EXPIRED: "The return window for this order has passed.",
+  REASON_REQUIRED: "A reason for the return is required.",
+  INVALID_REFUND_METHOD: "Refund method must be either card or store_credit.",
+  INVALID_RETURN_ITEMS: "Return items must be a non-empty array of productId and quantity.",
+  RETURN_ITEM_NOT_IN_ORDER: "Return item is not part of this order",
+  RETURN_QUANTITY_EXCEEDED: "Return quantity exceeds the quantity left to return",
+  RETURN_NOT_PENDING: "Only requested returns can be approved or rejected.",
+  RETURN_NOT_APPROVED: "Only approved returns can be marked as received.",
+  CONCURRENCY_CONFLICT: "Return was modified by another request. Please retry.",
+};
+
+export class ReturnService {
+  /**
+   * Works out when an order was delivered from its status history.
+   * @param {Object} order - Order document.
+   * @returns {Date} Delivery date, or the last update for orders without history.
+   */
+  static getDeliveredAt(order) {
+    const deliveredEntry = (order.statusHistory || [])
+      .filter((entry) => entry.status === CONSTANTS.RETURNABLE_ORDER_STATUS)
+      .pop();
+    return deliveredEntry ? deliveredEntry.changedAt : order.updatedAt;
+  }
+
+  /**
+   * Queues an email telling the customer about their return's current status.
+   * Failures are logged and never interrupt the return flow.
+   * @param {Object} returnRequest - Return document.
+   * @param {Object} [refund] - Refund recorded for a received return.
+   * @returns {Promise<void>}
+   */
+  static async notifyCustomer(returnRequest, refund = null) {
+    try {
+      const user = await User.findById(returnRequest.userId).select("email").lean();
+      if (!user?.email) {
+        logger.warn(`No email address found for return ${returnRequest._id}`);
+        return;
+      }
+      await emailQueue.add("sendEmail", generateReturnEmail(user.email, returnRequest, refund));
+    } catch (err) {
+      logger.error(`Failed to queue return email for ${returnRequest._id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Creates a return request for items from a delivered order.
+   * Quantities are limited to what was ordered, less anything refunded or already in an open return.
+   * @param {Object} options - Return data (userId, orderId, items, reason, refundMethod).
+   * @returns {Object} Created return.
+   * @throws {Error} If validation fails, the order is not returnable, or the return window has passed.
+   */
+  static async createReturn({ userId, orderId, items, reason, refundMethod = CONSTANTS.DEFAULT_REFUND_METHOD }) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      throw new Error(ERROR_MESSAGES.REASON_REQUIRED);
+    }
+    if (!CONSTANTS.REFUND_METHODS.includes(refundMethod)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REFUND_METHOD);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETURN_ITEMS);
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId }).lean();
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+    if (order.status !== CONSTANTS.RETURNABLE_ORDER_STATUS) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_DELIVERED);
+    }
+
+    const windowDays = Number(process.env.RETURN_WINDOW_DAYS) || CONSTANTS.DEFAULT_RETURN_WINDOW_DAYS;
+    const deliveredAt = new Date(this.getDeliveredAt(order));
+    if (Date.now() - deliveredAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+      throw new Error(ERROR_MESSAGES.RETURN_WINDOW_EXPIRED);
+    }
+
+    // Lines are told apart by product and variant
+    const remainingQuantities = {};
+    const lines = {};
+    for (const item of order.products) {
+      const key = lineKey(item);
+      remainingQuantities[key] = (remainingQuantities[key] || 0) + item.quantity;
+      lines[key] = {
+        productId: item.productId.toString(),
+        variantId: item.variantId ? item.variantId.toString() : null,
+        name: item.name,
+      };
+    }
+    for (const refund of order.refunds || []) {
+      for (const item of refund.items) {
+        remainingQuantities[lineKey(item)] -= item.quantity;
+      }
+    }
+    const openReturns = await Return.find({ orderId, status: { $in: CONSTANTS.OPEN_RETURN_STATUSES } })
+      .select("items")
+      .lean();
+    for (const openReturn of openReturns) {
+      for (const item of openReturn.items) {
+        remainingQuantities[lineKey(item)] -= item.quantity;
+      }
+    }
+
+    const seen = new Set();
+    const returnItems = items.map((item) => {
+      if (!item?.productId || !Number.isInteger(item.quantity) || item.quantity < 1) {
+        throw new Error(ERROR_MESSAGES.INVALID_RETURN_ITEMS);
+      }
+      const key = lineKey(item);
+      if (seen.has(key)) {
+        throw new Error(ERROR_MESSAGES.INVALID_RETURN_ITEMS);
+      }
+      seen.add(key);
+      if (remainingQuantities[key] === undefined) {
+        throw new Error(`${ERROR_MESSAGES.RETURN_ITEM_NOT_IN_ORDER}: ${key}`);
+      }
+      if (item.quantity > remainingQuantities[key]) {
+        throw new Error(`${ERROR_MESSAGES.RETURN_QUANTITY_EXCEEDED}: ${key}`);
+      }
+      return { ...lines[key], quantity: item.quantity };
+    });
+
+    const returnRequest = await Return.create({
+      orderId,
+      userId,
+      items: returnItems,
+      reason: reason.trim(),
+      refundMethod,
+      status: CONSTANTS.STATUS_REQUESTED,
+      version: 0,
+    });
+
+    await this.notifyCustomer(returnRequest);
+    return returnRequest;
+  }
+
+  /**
+   * Retrieves returns for a specific user.
+   * @param {Object} options - Query options (userId, page, limit).
+   * @returns {Object} Returns and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getUserReturns({ userId, page, limit }) {
+    try {
+      const skip = (page - 1) * limit;
+      const [totalItems, returns] = await Promise.all([
+        Return.countDocuments({ userId }),
+        Return.find({ userId }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        returns,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve user returns: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves all returns, optionally filtered by status.
+   * @param {Object} options - Query options (page, limit, status).
+   * @returns {Object} Returns and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getAllReturns({ page, limit, status }) {
+    try {
+      const query = status ? { status } : {};
+      const skip = (page - 1) * limit;
+      const [totalItems, returns] = await Promise.all([
+        Return.countDocuments(query),
+        Return.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        returns,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve returns: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single return for its owner or an admin.
+   * @param {Object} options - Query options (returnId, userId, isAdmin).
+   * @returns {Object} Return document.
+   * @throws {Error} If the ID is invalid or the return is not found.
+   */
+  static async getReturnById({ returnId, userId, isAdmin = false }) {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETURN_ID);
+    }
+
+    const query = isAdmin ? { _id: returnId } : { _id: returnId, userId };
+    const returnRequest = await Return.findOne(query).lean();
+    if (!returnRequest) {
+      throw new Error(ERROR_MESSAGES.RETURN_NOT_FOUND);
+    }
+    return returnRequest;
+  }
+
+  /**
+   * Approves or rejects a requested return.
+   * @param {Object} options - Review data (returnId, adminId, approve, note).
+   * @returns {Object} Updated return.
+   * @throws {Error} If the return is not found, no longer requested, or changed concurrently.
+   */
+  static async reviewReturn({ returnId, adminId, approve, note }) {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETURN_ID);
+    }
+
+    const returnRequest = await Return.findById(returnId);
+    if (!returnRequest) {
+      throw new Error(ERROR_MESSAGES.RETURN_NOT_FOUND);
+    }
+    if (returnRequest.status !== CONSTANTS.STATUS_REQUESTED) {
+      throw new Error(ERROR_MESSAGES.RETURN_NOT_PENDING);
+    }
+
+    const updatedReturn = await Return.findOneAndUpdate(
+      { _id: returnId, version: returnRequest.version, status: CONSTANTS.STATUS_REQUESTED },
+      {
+        status: approve ? CONSTANTS.STATUS_APPROVED : CONSTANTS.STATUS_REJECTED,
+        adminNote: note,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        $inc: { version: 1 },
+      },
+      { new: true }
+    );
+    if (!updatedReturn) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+
+    await this.notifyCustomer(updatedReturn);
+    return updatedReturn;
+  }
+
+  /**
+   * Marks an approved return as received, restocking the items and refunding the customer
+   * by their chosen method through the order refund flow. Card refunds are sent to the
+   * provider once the receipt is committed; one the provider rejects stays failed on the
+   * order for an admin to retry, and the return is still received.
+   * @param {Object} options - Receipt data (returnId, adminId, note).
+   * @returns {Object} Updated return and the refund recorded on the order, with its status.
+   * @throws {Error} If the return is not approved, nothing can be refunded, or the transaction fails.
+   */
+  static async receiveReturn({ returnId, adminId, note }) {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETURN_ID);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let updatedReturn;
+    let refund;
+    try {
+      // Claim the return before refunding, so two concurrent receipts cannot both refund it
+      const returnRequest = await Return.findOneAndUpdate(
+        { _id: returnId, status: CONSTANTS.STATUS_APPROVED },
+        {
+          status: CONSTANTS.STATUS_RECEIVED,
+          receivedAt: new Date(),
+          ...(note !== undefined && { adminNote: note }),
+          $inc: { version: 1 },
+        },
+        { new: true, session }
+      );
+      if (!returnRequest) {
+        const exists = await Return.exists({ _id: returnId }).session(session);
+        throw new Error(exists ? ERROR_MESSAGES.RETURN_NOT_APPROVED : ERROR_MESSAGES.RETURN_NOT_FOUND);
+      }
+
+      ({ refund } = await OrderService.applyRefund({
+        orderId: returnRequest.orderId,
+        items: returnRequest.items.map((item) => ({
+          productId: item.productId.toString(),
+          variantId: item.variantId ? item.variantId.toString() : null,
+          quantity: item.quantity,
+        })),
+        method: returnRequest.refundMethod,
+        reason: `Return ${returnRequest._id}: ${returnRequest.reason}`,
+        adminId,
+        session,
+      }));
+
+      updatedReturn = await Return.findOneAndUpdate(
+        { _id: returnId, version: returnRequest.version },
+        { refundAmount: refund.amount, $inc: { version: 1 } },
+        { new: true, session }
+      );
+      if (!updatedReturn) {
+        throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+      }
+
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+
+    if (refund.method === CONSTANTS.REFUND_METHOD_CARD) {
+      // The items are back either way; a refund the provider rejects stays failed for an admin to retry
+      try {
+        ({ refund } = await OrderService.settleRefund({ orderId: updatedReturn.orderId, refund }));
+      } catch (err) {
+        refund.status = CONSTANTS.REFUND_STATUS_FAILED;
+      }
+      if (refund.providerReference) {
+        updatedReturn = await Return.findOneAndUpdate(
+          { _id: returnId },
+          { refundReference: refund.providerReference, $inc: { version: 1 } },
+          { new: true }
+        );
+      }
+    }
+
+    await this.notifyCustomer(updatedReturn, refund);
+    return { return: updatedReturn, refund };
+  }
+}
@@ -0,0 +1,410 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { Order, Shipping } from "../models/index.js";
+
+const CONSTANTS = {
+  SHIPMENT_STATUSES: ["pending", "shipped", "in-transit", "delivered", "cancelled"],
+  STATUS_DELIVERED: "delivered",
+  // Order status each shipment status implies; pending and cancelled shipments leave the order alone.
+  ORDER_STATUS_FOR_SHIPMENT: {
+    shipped: "shipped",
+    "in-transit": "shipped",
+    delivered: "delivered",
+  },
+  // Forward path an order takes through fulfilment, used to fill in skipped steps.
+  ORDER_FULFILMENT_FLOW: ["pending", "paid", "processing", "shipped", "delivered"],
+  DUPLICATE_KEY_ERROR: 11000,
+  SOURCE_ADMIN: "admin",
+  SOURCE_CARRIER: "carrier",
+  CARRIER_SIGNATURE_HEADER: "x-carrier-signature",
+};
+
+const ERROR_MESSAGES = {
+  INVALID_SHIPMENT_ID: "Invalid shipment ID",
+  INVALID_ORDER_ID: "Invalid order ID",
+  SHIPMENT_NOT_FOUND: "Shipment not found.",
+  ORDER_NOT_FOUND: "Order not found.",
+  INVALID_STATUS: "Invalid shipment status provided.",
+  INVALID_TRANSITION: "Invalid shipment status transition",
+  ORDER_NOT_SHIPPABLE: "Order cannot move to the shipment's status",
+  NO_UPDATES: "Provide a carrier, tracking number or estimated delivery date to update.",
+  INVALID_DATE: "Invalid date provided.",
+  TRACKING_NUMBER_IN_USE: "Tracking number is already in use.",
+  CONCURRENCY_CONFLICT: "Shipment or order was modified by another request. Please retry.",
+  DESCRIPTION_REQUIRED: "An event description is required.",
+  TRACKING_NUMBER_REQUIRED: "Tracking number is required.",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+};
+
+export class ShipmentService {
+  /**
+   * Retrieves all shipments, optionally filtered by status.
+   * @param {Object} options - Query options (page, limit, status).
+   * @returns {Object} Shipments and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getAllShipments({ page, limit, status }) {
+    try {
+      const query = status ? { status } : {};
+      const skip = (page - 1) * limit;
+      const [totalItems, shipments] = await Promise.all([
+        Shipping.countDocuments(query),
+        Shipping.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        shipments,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve shipments: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single shipment.
+   * @param {string} shipmentId - Shipment ID.
+   * @returns {Object} Shipment document.
+   * @throws {Error} If the ID is invalid or the shipment is not found.
+   */
+  static async getShipmentById(shipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(shipmentId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SHIPMENT_ID);
+    }
+
+    const shipment = await Shipping.findById(shipmentId).lean();
+    if (!shipment) {
+      throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+    }
+    return shipment;
+  }
+
+  /**
+   * Retrieves the shipment for an order, for the order owner or an admin.
+   * @param {Object} options - Query options (orderId, userId, isAdmin).
+   * @returns {Object} Shipment document.
+   * @throws {Error} If the ID is invalid, or the order or its shipment is not found.
+   */
+  static async getShipmentForOrder({ orderId, userId, isAdmin = false }) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ORDER_ID);
+    }
+
+    const query = isAdmin ? { _id: orderId } : { _id: orderId, userId };
+    const order = await Order.exists(query);
+    if (!order) {
+      throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    }
+
+    const shipment = await Shipping.findOne({ orderId }).sort({ createdAt: -1 }).lean();
+    if (!shipment) {
+      throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+    }
+    return shipment;
+  }
+
+  /**
+   * Updates a shipment's carrier, tracking number or estimated delivery date.
+   * @param {Object} options - Update data (shipmentId, carrier, trackingNumber, estimatedDeliveryDate).
+   * @returns {Object} Updated shipment.
+   * @throws {Error} If validation fails, the tracking number is taken, or the shipment is not found.
+   */
+  static async updateShipment({ shipmentId, carrier, trackingNumber, estimatedDeliveryDate }) {
+    if (!mongoose.Types.ObjectId.isValid(shipmentId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SHIPMENT_ID);
+    }
+
+    const updates = {};
+    if (carrier !== undefined) updates.carrier = String(carrier).trim();
+    if (trackingNumber !== undefined) updates.trackingNumber = String(trackingNumber).trim();
+    if (estimatedDeliveryDate !== undefined) {
+      const date = new Date(estimatedDeliveryDate);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(ERROR_MESSAGES.INVALID_DATE);
+      }
+      updates.estimatedDeliveryDate = date;
+    }
+    if (Object.keys(updates).length === 0 || updates.carrier === "" || updates.trackingNumber === "") {
+      throw new Error(ERROR_MESSAGES.NO_UPDATES);
+    }
+
+    try {
+      const shipment = await Shipping.findByIdAndUpdate(
+        shipmentId,
+        { ...updates, $inc: { version: 1 } },
+        { new: true, runValidators: true }
+      );
+      if (!shipment) {
+        throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+      }
+      return shipment;
+    } catch (err) {
+      if (err.code === CONSTANTS.DUPLICATE_KEY_ERROR) {
+        throw new Error(ERROR_MESSAGES.TRACKING_NUMBER_IN_USE);
+      }
+      throw new Error(err.message);
+    }
+  }
+
+  /**
+   * Works out the order statuses needed to bring an order in line with a shipment,
+   * filling in skipped fulfilment steps (e.g. paid -> processing -> shipped).
+   * @param {string} current - Current order status.
+   * @param {string} target - Order status the shipment implies.
+   * @returns {Array<string>} Statuses to move through, empty if the order is already there.
+   * @throws {Error} If any step is not an allowed order transition.
+   */
+  static getOrderStatusPath(current, target) {
+    const flow = CONSTANTS.ORDER_FULFILMENT_FLOW;
+    const currentIndex = flow.indexOf(current);
+    const targetIndex = flow.indexOf(target);
+    if (currentIndex >= targetIndex && currentIndex !== -1) {
+      return [];
+    }
+
+    const path = [];
+    let from = current;
+    for (const status of flow.slice(Math.max(currentIndex, 0) + 1, targetIndex + 1)) {
+      if (status === "paid") continue;
+      if (!Order.canTransition(from, status)) {
+        throw new Error(`${ERROR_MESSAGES.ORDER_NOT_SHIPPABLE}: ${from} -> ${status}`);
+      }
+      path.push(status);
+      from = status;
+    }
+    return path;
+  }
+
+  /**
+   * Moves a shipment to a new status, records a tracking event and updates the matching order.
+   * Delivered shipments record their actual delivery date.
+   * @param {Object} options - Status data (shipmentId, status, actualDeliveryDate, adminId, note, event).
+   * @param {Object} [options.event] - Extra tracking event details (location, occurredAt, source).
+   * @returns {Object} Updated shipment and order.
+   * @throws {Error} If the transition is not allowed for the shipment or its order, or the transaction fails.
+   */
+  static async updateShipmentStatus({ shipmentId, status, actualDeliveryDate, adminId, note, event = {} }) {
+    if (!mongoose.Types.ObjectId.isValid(shipmentId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SHIPMENT_ID);
+    }
+    if (!CONSTANTS.SHIPMENT_STATUSES.includes(status)) {
+      throw new Error(ERROR_MESSAGES.INVALID_STATUS);
+    }
+
+    let deliveredAt;
+    if (status === CONSTANTS.STATUS_DELIVERED) {
+      deliveredAt = actualDeliveryDate ? new Date(actualDeliveryDate) : new Date();
+      if (Number.isNaN(deliveredAt.getTime())) {
+        throw new Error(ERROR_MESSAGES.INVALID_DATE);
+      }
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const shipment = await Shipping.findById(shipmentId).session(session);
+      if (!shipment) {
+        throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+      }
+      if (!Shipping.canTransition(shipment.status, status)) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_TRANSITION}: ${shipment.status} -> ${status}`);
+      }
+
+      const trackingEvent = {
+        status,
+        description: note || `Shipment ${status}`,
+        location: event.location,
+        occurredAt: event.occurredAt || deliveredAt || new Date(),
+        source: event.source || CONSTANTS.SOURCE_ADMIN,
+      };
+      const updatedShipment = await Shipping.findOneAndUpdate(
+        { _id: shipmentId, version: shipment.version },
+        {
+          status,
+          ...(deliveredAt && { actualDeliveryDate: deliveredAt }),
+          $push: { trackingEvents: trackingEvent },
+          $inc: { version: 1 },
+        },
+        { new: true, session }
+      );
+      if (!updatedShipment) {
+        throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+      }
+
+      let order = await Order.findById(shipment.orderId).session(session);
+      if (!order) {
+        throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+      }
+
+      const targetOrderStatus = CONSTANTS.ORDER_STATUS_FOR_SHIPMENT[status];
+      if (targetOrderStatus) {
+        const path = this.getOrderStatusPath(order.status, targetOrderStatus);
+        if (path.length > 0) {
+          const historyNote = note || `Shipment ${updatedShipment.trackingNumber} is ${status}`;
+          const statusHistory = [];
+          let from = order.status;
+          for (const step of path) {
+            statusHistory.push({ from, status: step, changedBy: adminId, note: historyNote });
+            from = step;
+          }
+
+          order = await Order.findOneAndUpdate(
+            { _id: order._id, version: order.version },
+            {
+              status: targetOrderStatus,
+              $push: { statusHistory: { $each: statusHistory } },
+              $inc: { version: 1 },
+            },
+            { new: true, session }
+          );
+          if (!order) {
+            throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+          }
+        }
+      }
+
+      await session.commitTransaction();
+      return { shipment: updatedShipment, order };
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Adds a tracking event to a shipment. Events that carry a new status also move
+   * the shipment (and its order) through the usual status rules.
+   * @param {Object} options - Event data (shipmentId or trackingNumber, status, description, location, occurredAt, source, actorId).
+   * @returns {Object} Updated shipment.
+   * @throws {Error} If validation fails, the shipment is not found, or the status change is not allowed.
+   */
+  static async addTrackingEvent({ shipmentId, trackingNumber, status, description, location, occurredAt, source = CONSTANTS.SOURCE_ADMIN, actorId }) {
+    if (shipmentId !== undefined && !mongoose.Types.ObjectId.isValid(shipmentId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SHIPMENT_ID);
+    }
+    if (!description || typeof description !== "string" || !description.trim()) {
+      throw new Error(ERROR_MESSAGES.DESCRIPTION_REQUIRED);
+    }
+    if (status !== undefined && !CONSTANTS.SHIPMENT_STATUSES.includes(status)) {
+      throw new Error(ERROR_MESSAGES.INVALID_STATUS);
+    }
+
+    let eventDate = new Date();
+    if (occurredAt !== undefined) {
+      eventDate = new Date(occurredAt);
+      if (Number.isNaN(eventDate.getTime())) {
+        throw new Error(ERROR_MESSAGES.INVALID_DATE);
+      }
+    }
+
+    const query = shipmentId !== undefined ? { _id: shipmentId } : { trackingNumber };
+    const shipment = await Shipping.findOne(query).select("status").lean();
+    if (!shipment) {
+      throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+    }
+
+    if (status && status !== shipment.status) {
+      const { shipment: updatedShipment } = await this.updateShipmentStatus({
+        shipmentId: shipment._id,
+        status,
+        actualDeliveryDate: status === CONSTANTS.STATUS_DELIVERED ? eventDate : undefined,
+        adminId: actorId,
+        note: description.trim(),
+        event: { location, occurredAt: eventDate, source },
+      });
+      return updatedShipment;
+    }
+
+    const updatedShipment = await Shipping.findByIdAndUpdate(
+      shipment._id,
+      {
+        $push: {
+          trackingEvents: { status, description: description.trim(), location, occurredAt: eventDate, source },
+        },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    );
+    if (!updatedShipment) {
+      throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+    }
+    return updatedShipment;
+  }
+
+  /**
+   * Records a tracking event pushed by a carrier.
+   * The raw body must be signed with HMAC-SHA256 using CARRIER_WEBHOOK_SECRET,
+   * sent hex-encoded in the x-carrier-signature header.
+   * @param {Object} options - Webhook data (headers, rawBody, body).
+   * @returns {Object} Updated shipment.
+   * @throws {Error} If the signature is invalid or the event cannot be recorded.
+   */
+  static async handleCarrierWebhook({ headers, rawBody, body }) {
+    const secret = process.env.CARRIER_WEBHOOK_SECRET;
+    const signature = headers[CONSTANTS.CARRIER_SIGNATURE_HEADER];
+    if (!secret || !signature || !rawBody) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    const { trackingNumber, status, description, location, occurredAt } = body || {};
+    if (!trackingNumber) {
+      throw new Error(ERROR_MESSAGES.TRACKING_NUMBER_REQUIRED);
+    }
+
+    return this.addTrackingEvent({
+      trackingNumber: String(trackingNumber),
+      status,
+      description,
+      location,
+      occurredAt,
+      source: CONSTANTS.SOURCE_CARRIER,
+    });
+  }
+
+  /**
+   * Looks up a shipment by tracking number for public tracking.
+   * Only delivery details and the event timeline are returned, never order or customer data.
+   * @param {string} trackingNumber - Tracking number.
+   * @returns {Object} Tracking status, delivery dates and events in chronological order.
+   * @throws {Error} If the shipment is not found.
+   */
+  static async trackShipment(trackingNumber) {
+    if (!trackingNumber || !trackingNumber.trim()) {
+      throw new Error(ERROR_MESSAGES.TRACKING_NUMBER_REQUIRED);
+    }
+
+    const shipment = await Shipping.findOne({ trackingNumber: trackingNumber.trim() })
+      .select("trackingNumber carrier status estimatedDeliveryDate actualDeliveryDate trackingEvents")
+      .lean();
+    if (!shipment) {
+      throw new Error(ERROR_MESSAGES.SHIPMENT_NOT_FOUND);
+    }
+
+    const events = (shipment.trackingEvents || [])
+      .map(({ status, description, location, occurredAt }) => ({ status, description, location, occurredAt }))
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    return {
+      trackingNumber: shipment.trackingNumber,
+      carrier: shipment.carrier,
+      status: shipment.status,
+      estimatedDeliveryDate: shipment.estimatedDeliveryDate || null,
+      actualDeliveryDate: shipment.actualDeliveryDate || null,
+      events,
+    };
+  }
+}
@@ -0,0 +1,281 @@
+import mongoose from "mongoose";
+import { ShippingRate, Product, Cart } from "../models/index.js";
+import { normalizeCountry } from "../models/_address.js";
+import { PromotionService } from "./_promotionService.js";
+
+const CONSTANTS = {
+  // Flat fee used when no shipping zone matches the destination
+  FALLBACK_SHIPPING_FEE: 2,
+  RATE_FIELDS: ["name", "country", "states", "brackets", "additionalFeePerKg", "freeShippingThreshold", "isActive"],
+};
+
+const ERROR_MESSAGES = {
+  INVALID_RATE_ID: "Invalid shipping rate ID",
+  RATE_NOT_FOUND: "Shipping rate not found.",
+  INVALID_ITEMS: "Items must be a non-empty array of productId and quantity.",
+  PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_NOT_FOUND: "Variant not found",
+  CART_EMPTY: "Your cart is empty.",
+  CONCURRENCY_CONFLICT: "Shipping rate was modified by another request. Please retry.",
+};
+
+export class ShippingService {
+  /**
+   * Finds the shipping zone for a destination.
+   * A zone listing the address's state wins over a country-wide zone.
+   * @param {Object} address - Destination address (state, country).
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Object|null>} Matching shipping rate, or null if none applies.
+   */
+  static async findRate(address = {}, session = null) {
+    const country = normalizeCountry(address.country);
+    const state = (address.state || "").trim().toLowerCase();
+
+    const rates = await ShippingRate.find({ country, isActive: true }).session(session).lean();
+    return (
+      rates.find((rate) => state && rate.states.includes(state)) ||
+      rates.find((rate) => rate.states.length === 0) ||
+      null
+    );
+  }
+
+  /**
+   * Works out the fee a shipping rate charges for a parcel.
+   * @param {Object} rate - Shipping rate.
+   * @param {number} weight - Total parcel weight in kg.
+   * @param {number} subtotal - Order subtotal after discounts, used for the free-shipping threshold.
+   * @returns {Object} Fee and whether free shipping applied.
+   */
+  static calculateFee(rate, weight, subtotal) {
+    if (rate.freeShippingThreshold !== null && rate.freeShippingThreshold !== undefined && subtotal >= rate.freeShippingThreshold) {
+      return { fee: 0, freeShipping: true };
+    }
+
+    const brackets = [...rate.brackets].sort((a, b) => a.maxWeight - b.maxWeight);
+    const bracket = brackets.find((entry) => weight <= entry.maxWeight);
+    if (bracket) {
+      return { fee: bracket.fee, freeShipping: false };
+    }
+
+    const heaviest = brackets[brackets.length - 1];
+    const extraKg = Math.ceil(weight - heaviest.maxWeight);
+    return { fee: heaviest.fee + extraKg * (rate.additionalFeePerKg || 0), freeShipping: false };
+  }
+
+  /**
+   * Quotes shipping for items whose price and weight are already known.
+   * The free-shipping threshold is checked against the subtotal less the given discount.
+   * Falls back to a flat fee when no zone covers the destination.
+   * @param {Object} options - Quote data (address, items, discount, session).
+   * @param {Array} options.items - Line items (price, weight, quantity).
+   * @param {number} [options.discount] - Promotion and coupon discounts on the items.
+   * @returns {Promise<Object>} Zone, total weight, subtotal, shipping fee and free-shipping flag.
+   */
+  static async getQuote({ address, items, discount = 0, session = null }) {
+    const subtotal = Math.round(items.reduce((total, item) => total + item.price * item.quantity, 0) * 100) / 100;
+    const discountedSubtotal = Math.round((subtotal - discount) * 100) / 100;
+    const totalWeight = Math.round(items.reduce((total, item) => total + (item.weight || 0) * item.quantity, 0) * 1000) / 1000;
+
+    const rate = await this.findRate(address, session);
+    if (!rate) {
+      return {
+        zone: null,
+        totalWeight,
+        subtotal,
+        shippingFee: CONSTANTS.FALLBACK_SHIPPING_FEE,
+        freeShipping: false,
+      };
+    }
+
+    const { fee, freeShipping } = this.calculateFee(rate, totalWeight, discountedSubtotal);
+    return {
+      zone: { id: rate._id, name: rate.name },
+      totalWeight,
+      subtotal,
+      shippingFee: fee,
+      freeShipping,
+    };
+  }
+
+  /**
+   * Quotes shipping for a destination, using the given items or else the caller's cart.
+   * Variant lines are priced at the variant's price where it has its own, as in the cart, and
+   * running promotions count towards the free-shipping threshold; a cart's coupon does not.
+   * @param {Object} options - Quote data (address, items, userId, guestId).
+   * @param {Array} [options.items] - Line items (productId, variantId for variant lines, quantity).
+   * @returns {Promise<Object>} Shipping quote.
+   * @throws {Error} If items are invalid, a product or variant is missing, or the cart is empty.
+   */
+  static async quote({ address, items, userId, guestId }) {
+    let lines = items;
+    if (lines === undefined) {
+      const query = userId ? { userId } : guestId ? { guestId } : null;
+      const cart = query ? await Cart.findOne(query).lean() : null;
+      if (!cart || cart.products.length === 0) {
+        throw new Error(ERROR_MESSAGES.CART_EMPTY);
+      }
+      lines = cart.products;
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error(ERROR_MESSAGES.INVALID_ITEMS);
+    }
+    for (const line of lines) {
+      if (
+        !mongoose.Types.ObjectId.isValid(line?.productId) ||
+        (line.variantId && !mongoose.Types.ObjectId.isValid(line.variantId)) ||
+        !Number.isInteger(line.quantity) ||
+        line.quantity < 1
+      ) {
+        throw new Error(ERROR_MESSAGES.INVALID_ITEMS);
+      }
+    }
+
+    const products = await Product.find({ _id: { $in: lines.map((line) => line.productId) } })
+      .select("price weight category variants")
+      .lean();
+    const productsById = Object.fromEntries(products.map((product) => [product._id.toString(), product]));
+
+    const pricedItems = lines.map((line) => {
+      const product = productsById[line.productId.toString()];
+      if (!product) {
+        throw new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${line.productId}`);
+      }
+      const variant = Product.findVariant(product, line.variantId);
+      if (line.variantId && !variant) {
+        throw new Error(`${ERROR_MESSAGES.VARIANT_NOT_FOUND}: ${line.variantId}`);
+      }
+      return {
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        category: product.category,
+        price: variant?.price ?? product.price,
+        weight: product.weight,
+        quantity: line.quantity,
+      };
+    });
+
+    const { discount } = await PromotionService.applyPromotions(pricedItems);
+    return this.getQuote({ address, items: pricedItems, discount });
+  }
+
+  /**
+   * Picks the editable fields from shipping rate input.
+   * @param {Object} data - Raw input.
+   * @returns {Object} Rate fields, with brackets sorted by weight.
+   */
+  static pickRateFields(data = {}) {
+    const fields = {};
+    for (const field of CONSTANTS.RATE_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    if (Array.isArray(fields.brackets)) {
+      fields.brackets = [...fields.brackets].sort((a, b) => a.maxWeight - b.maxWeight);
+    }
+    return fields;
+  }
+
+  /**
+   * Creates a shipping rate.
+   * @param {Object} data - Rate data.
+   * @returns {Object} Created rate.
+   * @throws {Error} If validation fails.
+   */
+  static async createRate(data) {
+    try {
+      return await ShippingRate.create({ ...this.pickRateFields(data), version: 0 });
+    } catch (err) {
+      throw new Error(`Failed to create shipping rate: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves all shipping rates with pagination.
+   * @param {Object} options - Pagination options (page, limit).
+   * @returns {Object} Rates and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getRates({ page, limit }) {
+    try {
+      const skip = (page - 1) * limit;
+      const [totalItems, rates] = await Promise.all([
+        ShippingRate.countDocuments(),
+        ShippingRate.find().sort({ country: 1, name: 1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        rates,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve shipping rates: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single shipping rate.
+   * @param {string} id - Rate ID.
+   * @returns {Object} Shipping rate.
+   * @throws {Error} If the ID is invalid or the rate is not found.
+   */
+  static async getRate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await ShippingRate.findById(id).lean();
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+    return rate;
+  }
+
+  /**
+   * Updates a shipping rate.
+   * @param {string} id - Rate ID.
+   * @param {Object} data - Update data.
+   * @returns {Object} Updated rate.
+   * @throws {Error} If the ID is invalid, the rate is not found, or validation fails.
+   */
+  static async updateRate(id, data) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await ShippingRate.findById(id);
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+
+    const updatedRate = await ShippingRate.findOneAndUpdate(
+      { _id: id, version: rate.version },
+      { $set: this.pickRateFields(data), $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updatedRate) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return updatedRate;
+  }
+
+  /**
+   * Deletes a shipping rate.
+   * @param {string} id - Rate ID.
+   * @throws {Error} If the ID is invalid or the rate is not found.
+   */
+  static async deleteRate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await ShippingRate.findByIdAndDelete(id);
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+  }
+}
@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import { Product, StockSubscription, User } from "../models/index.js";
+import { emailQueue } from "../jobs/queues/_emailQueue.js";
+import { generateLowStockDigestEmail, generateBackInStockEmail } from "../utils/index.js";
+import { logger } from "../config/_logger.js";
+
+const CONSTANTS = {
+  STATUS_PENDING: "pending",
+  STATUS_NOTIFIED: "notified",
+  LOW_STOCK_FIELDS: "name stock reserved lowStockThreshold variants",
+};
+
+// A product's threshold applies to its total and to each active variant
+const LOW_STOCK_THRESHOLD = { $ifNull: ["$lowStockThreshold", 0] };
+const LOW_STOCK_FILTER = {
+  $expr: {
+    $or: [
+      { $lte: ["$stock", LOW_STOCK_THRESHOLD] },
+      {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: { $ifNull: ["$variants", []] },
+              as: "variant",
+              in: {
+                $and: [{ $ne: ["$$variant.isActive", false] }, { $lte: ["$$variant.stock", LOW_STOCK_THRESHOLD] }],
+              },
+            },
+          },
+        ],
+      },
+    ],
+  },
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PRODUCT_ID: "Invalid product ID",
+  INVALID_VARIANT_ID: "Invalid variant ID",
+  PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_NOT_FOUND: "Variant not found",
+  USER_NOT_FOUND: "User not found",
+  PRODUCT_IN_STOCK: "This product is in stock; add it to your cart instead.",
+  SUBSCRIPTION_NOT_FOUND: "You are not subscribed to this product.",
+};
+
+/**
+ * Works out the units of a product or variant that can still be bought.
+ * Product totals include every variant, so a product is available when any variant is.
+ * @param {Object} item - Lean product or variant.
+ * @returns {number} On-hand stock less reserved units.
+ */
+const availableStock = (item) => Math.max((item.stock || 0) - (item.reserved || 0), 0);
+
+/**
+ * Works out what a subscription is waiting for: one variant, or any stock of the product.
+ * @param {Object} product - Lean product with its variants.
+ * @param {string} [variantId] - Subscribed variant.
+ * @returns {number} Units that can be bought; 0 for a missing or inactive variant.
+ */
+const subscribedStock = (product, variantId) => {
+  if (!variantId) {
+    return availableStock(product);
+  }
+  const variant = Product.findVariant(product, variantId);
+  return variant && variant.isActive !== false ? availableStock(variant) : 0;
+};
+
+export class StockAlertService {
+  /**
+   * Subscribes a customer to a back-in-stock email for a sold-out product, or one sold-out variant of it.
+   * Subscribing again while a subscription is pending returns the existing one.
+   * @param {Object} options - Subscription data (productId, variantId, userId).
+   * @returns {Promise<Object>} Pending subscription.
+   * @throws {Error} If an ID is invalid, the product, variant or user is missing, or it is in stock.
+   */
+  static async subscribe({ productId, variantId = null, userId }) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_VARIANT_ID);
+    }
+
+    const product = await Product.findById(productId).select("stock reserved variants").lean();
+    if (!product) {
+      throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+    }
+    if (variantId && !Product.findVariant(product, variantId)) {
+      throw new Error(ERROR_MESSAGES.VARIANT_NOT_FOUND);
+    }
+    if (subscribedStock(product, variantId) > 0) {
+      throw new Error(ERROR_MESSAGES.PRODUCT_IN_STOCK);
+    }
+
+    const user = await User.findById(userId).select("email").lean();
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    return StockSubscription.findOneAndUpdate(
+      { productId, variantId: variantId || null, userId, status: CONSTANTS.STATUS_PENDING },
+      {
+        $set: { email: user.email },
+        $setOnInsert: { productId, variantId: variantId || null, userId, status: CONSTANTS.STATUS_PENDING },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Cancels a customer's pending back-in-stock subscription for a product or one of its variants.
+   * @param {Object} options - Subscription data (productId, variantId, userId).
+   * @throws {Error} If an ID is invalid or there is no pending subscription.
+   */
+  static async unsubscribe({ productId, variantId = null, userId }) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_VARIANT_ID);
+    }
+
+    const subscription = await StockSubscription.findOneAndDelete({
+      productId,
+      variantId: variantId || null,
+      userId,
+      status: CONSTANTS.STATUS_PENDING,
+    });
+    if (!subscription) {
+      throw new Error(ERROR_MESSAGES.SUBSCRIPTION_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Lists products whose on-hand stock, or the on-hand stock of any active variant, is at or
+   * below their low-stock threshold, emptiest first. Each product lists its low variants.
+   * @returns {Promise<Array>} Low-stock products with their lowVariants (sku, stock, reserved).
+   */
+  static async getLowStockProducts() {
+    const products = await Product.find(LOW_STOCK_FILTER)
+      .select(CONSTANTS.LOW_STOCK_FIELDS)
+      .sort({ stock: 1, name: 1 })
+      .lean();
+    return products.map(({ variants = [], ...product }) => ({
+      ...product,
+      lowVariants: variants
+        .filter((variant) => variant.isActive !== false && (variant.stock || 0) <= (product.lowStockThreshold || 0))
+        .map(({ _id, sku, stock, reserved }) => ({ _id, sku, stock, reserved })),
+    }));
+  }
+
+  /**
+   * Queues a low-stock digest email to every admin. Nothing is sent when all products are above threshold.
+   * @returns {Promise<number>} Number of low-stock products in the digest.
+   */
+  static async sendLowStockDigest() {
+    const products = await this.getLowStockProducts();
+    if (products.length === 0) {
+      return 0;
+    }
+
+    const admins = await User.find({ isAdmin: true }).select("email").lean();
+    for (const admin of admins) {
+      if (!admin.email) continue;
+      try {
+        await emailQueue.add("sendEmail", generateLowStockDigestEmail(admin.email, products));
+      } catch (err) {
+        logger.error(`Failed to queue low-stock digest for ${admin.email}: ${err.message}`);
+      }
+    }
+    return products.length;
+  }
+
+  /**
+   * Emails customers whose subscribed products or variants can be bought again.
+   * Each subscription is claimed as notified before its email is queued, so concurrent runs send it
+   * only once; if queueing fails the claim is undone and the next run tries again.
+   * @returns {Promise<number>} Number of customers notified.
+   */
+  static async notifyBackInStock() {
+    const productIds = await StockSubscription.distinct("productId", { status: CONSTANTS.STATUS_PENDING });
+    if (productIds.length === 0) {
+      return 0;
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select("name price stock reserved variants").lean();
+    let notified = 0;
+    for (const product of products.filter((entry) => availableStock(entry) > 0)) {
+      const subscriptions = await StockSubscription.find({ productId: product._id, status: CONSTANTS.STATUS_PENDING }).lean();
+      for (const subscription of subscriptions) {
+        if (subscribedStock(product, subscription.variantId) === 0) continue;
+
+        const claimed = await StockSubscription.findOneAndUpdate(
+          { _id: subscription._id, status: CONSTANTS.STATUS_PENDING },
+          { status: CONSTANTS.STATUS_NOTIFIED, notifiedAt: new Date() }
+        );
+        if (!claimed) continue;
+
+        try {
+          const variant = Product.findVariant(product, subscription.variantId);
+          await emailQueue.add("sendEmail", generateBackInStockEmail(subscription.email, product, variant));
+          notified += 1;
+        } catch (err) {
+          logger.error(`Failed to queue back-in-stock email for ${subscription._id}: ${err.message}`);
+          await StockSubscription.updateOne(
+            { _id: subscription._id, status: CONSTANTS.STATUS_NOTIFIED },
+            { status: CONSTANTS.STATUS_PENDING, notifiedAt: null }
+          );
+        }
+      }
+    }
+    return notified;
+  }
+}
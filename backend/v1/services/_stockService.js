@@ -0,0 +1,620 @@
+import mongoose from "mongoose";
+import { Product, StockReservation, StockMovement } from "../models/index.js";
+import { STOCK_MOVEMENT_REASONS } from "../models/_stockMovement.js";
+import { lineKey } from "../utils/index.js";
+import { logger } from "../config/_logger.js";
+
+const CONSTANTS = {
+  // How long a cart line holds stock after the cart was last changed
+  DEFAULT_RESERVATION_TTL_MINUTES: 30,
+  STATUS_ACTIVE: "active",
+  STATUS_COMMITTED: "committed",
+  STATUS_RELEASED: "released",
+  STATUS_EXPIRED: "expired",
+  RESERVATION_STATUSES: ["active", "committed", "released", "expired"],
+  AFFECTS_ON_HAND: "on_hand",
+  AFFECTS_RESERVED: "reserved",
+  MAX_NOTE_LENGTH: 500,
+};
+
+const ERROR_MESSAGES = {
+  INSUFFICIENT_STOCK: "Insufficient stock for product",
+  PRODUCT_NOT_FOUND: "Product not found",
+  VARIANT_REQUIRED: "Choose a variant for product",
+  VARIANT_NOT_FOUND: "Variant not found",
+  INVALID_PRODUCT_ID: "Invalid product ID",
+  INVALID_VARIANT_ID: "Invalid variant ID",
+  INVALID_STATUS: "Status must be one of: active, committed, released, expired",
+  INVALID_REASON: "Reason must be one of: cart_add, cart_remove, order, cancel, return, manual_adjust, expiry",
+  INVALID_DELTA: "Delta must be a non-zero whole number.",
+  NOTE_REQUIRED: "A reason is required for manual stock adjustments.",
+  STOCK_BELOW_RESERVED: "Adjustment would take stock below zero or below the units reserved in carts.",
+};
+
+/**
+ * Builds the filter that finds the stock a line draws on: a product without variants, or one active variant.
+ * @param {string} productId - Product ID.
+ * @param {string} [variantId] - Variant ID, for products with variants.
+ * @returns {Object} Query filter.
+ */
+const stockFilter = (productId, variantId) =>
+  variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, isActive: { $ne: false } } } }
+    : { _id: productId, "variants.0": { $exists: false } };
+
+/**
+ * Builds the expression for the units a line can still draw: on-hand less reserved, of the variant if any.
+ * @param {string} [variantId] - Variant ID.
+ * @returns {Object} Aggregation expression.
+ */
+const availableExpr = (variantId) =>
+  variantId
+    ? {
+        $let: {
+          vars: {
+            variant: {
+              $arrayElemAt: [
+                { $filter: { input: "$variants", cond: { $eq: ["$$this._id", new mongoose.Types.ObjectId(variantId.toString())] } } },
+                0,
+              ],
+            },
+          },
+          in: { $subtract: ["$$variant.stock", { $ifNull: ["$$variant.reserved", 0] }] },
+        },
+      }
+    : { $subtract: ["$stock", { $ifNull: ["$reserved", 0] }] };
+
+/**
+ * Builds an increment of stock counts. Variant changes move the product totals too,
+ * so a product's stock and reserved always add up its variants.
+ * @param {string} [variantId] - Variant ID.
+ * @param {Object} changes - Increments by field (stock, reserved).
+ * @returns {Object} Update and the array filters it needs.
+ */
+const stockIncrement = (variantId, changes) => {
+  const inc = { version: 1 };
+  for (const [field, value] of Object.entries(changes)) {
+    inc[field] = value;
+    if (variantId) inc[`variants.$[variant].${field}`] = value;
+  }
+  return { update: { $inc: inc }, arrayFilters: variantId ? [{ "variant._id": variantId }] : undefined };
+};
+
+export class StockService {
+  /**
+   * Returns when a reservation made now expires, from STOCK_RESERVATION_TTL_MINUTES (default 30).
+   * @returns {Date} Expiry time.
+   */
+  static reservationExpiry() {
+    const minutes = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || CONSTANTS.DEFAULT_RESERVATION_TTL_MINUTES;
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Appends an entry to the stock ledger.
+   * @param {Object} options - Movement data (product, variantId, delta, affects, reason, referenceId, actor, note, session).
+   * @param {Object} options.product - Product after the change, for the balance snapshot.
+   * @returns {Promise<Object>} Recorded movement.
+   */
+  static async recordMovement({
+    product,
+    variantId = null,
+    delta,
+    affects = CONSTANTS.AFFECTS_ON_HAND,
+    reason,
+    referenceId = null,
+    actor = null,
+    note,
+    session,
+  }) {
+    const counts = Product.findVariant(product, variantId) || product;
+    const [movement] = await StockMovement.create(
+      [
+        {
+          productId: product._id,
+          variantId,
+          delta,
+          affects,
+          reason,
+          referenceId,
+          actor,
+          note,
+          stockAfter: counts.stock,
+          reservedAfter: counts.reserved || 0,
+        },
+      ],
+      { session }
+    );
+    return movement;
+  }
+
+  /**
+   * Works out why a line could not draw on stock.
+   * @param {string} productId - Product ID.
+   * @param {string} [variantId] - Variant ID.
+   * @param {Object} session - Mongoose session.
+   * @returns {Promise<Error>} Product or variant missing, variant required, or insufficient stock.
+   */
+  static async stockError(productId, variantId, session) {
+    const product = await Product.findById(productId).select("name variants").session(session).lean();
+    if (!product) {
+      return new Error(`${ERROR_MESSAGES.PRODUCT_NOT_FOUND}: ${productId}`);
+    }
+    if (!variantId && product.variants?.length > 0) {
+      return new Error(`${ERROR_MESSAGES.VARIANT_REQUIRED}: ${product.name}`);
+    }
+    const variant = Product.findVariant(product, variantId);
+    if (variantId && (!variant || variant.isActive === false)) {
+      return new Error(`${ERROR_MESSAGES.VARIANT_NOT_FOUND}: ${variantId}`);
+    }
+    return new Error(`${ERROR_MESSAGES.INSUFFICIENT_STOCK}: ${variant ? `${product.name} (${variant.sku})` : product.name}`);
+  }
+
+  /**
+   * Moves units between a product's available and reserved counts and records it as a cart movement.
+   * Reserving only succeeds while on-hand stock less existing reservations covers the extra units.
+   * @param {Object} options - Change data (productId, variantId, change, cartId, actor, session).
+   * @param {number} options.change - Units to reserve (positive) or give back (negative).
+   * @throws {Error} If the product or variant is missing, a variant is required, or there is not enough available stock.
+   */
+  static async adjustReserved({ productId, variantId = null, change, cartId, actor = null, session }) {
+    const query =
+      change > 0
+        ? { ...stockFilter(productId, variantId), $expr: { $gte: [availableExpr(variantId), change] } }
+        : stockFilter(productId, variantId);
+    const { update, arrayFilters } = stockIncrement(variantId, { reserved: change });
+    const product = await Product.findOneAndUpdate(query, update, { new: true, arrayFilters, session });
+    if (product) {
+      await this.recordMovement({
+        product,
+        variantId,
+        delta: change,
+        affects: CONSTANTS.AFFECTS_RESERVED,
+        reason: change > 0 ? "cart_add" : "cart_remove",
+        referenceId: cartId,
+        actor,
+        session,
+      });
+      return;
+    }
+
+    throw await this.stockError(productId, variantId, session);
+  }
+
+  /**
+   * Ends an active reservation and gives its units back to available stock.
+   * The status is claimed first, so a reservation is never given back twice.
+   * @param {Object} reservation - Active reservation.
+   * @param {string} status - Final status ("released" or "expired").
+   * @param {Object} session - Mongoose session.
+   * @returns {Promise<boolean>} Whether this call released it.
+   */
+  static async releaseReservation(reservation, status, session) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: CONSTANTS.STATUS_ACTIVE },
+      { status, $inc: { version: 1 } },
+      { session }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    // A product or variant deleted since the reservation was made has nothing to give back
+    const { update, arrayFilters } = stockIncrement(claimed.variantId, { reserved: -claimed.quantity });
+    const product = await Product.findOneAndUpdate(
+      claimed.variantId
+        ? { _id: claimed.productId, "variants._id": claimed.variantId, reserved: { $gte: claimed.quantity } }
+        : { _id: claimed.productId, reserved: { $gte: claimed.quantity } },
+      update,
+      { new: true, arrayFilters, session }
+    );
+    if (product) {
+      const expired = status === CONSTANTS.STATUS_EXPIRED;
+      await this.recordMovement({
+        product,
+        variantId: claimed.variantId,
+        delta: -claimed.quantity,
+        affects: CONSTANTS.AFFECTS_RESERVED,
+        reason: expired ? "expiry" : "cart_remove",
+        referenceId: claimed.cartId,
+        actor: expired ? null : claimed.userId,
+        session,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Makes a cart's active reservations match its lines and restarts their expiry.
+   * Lines no longer in the cart are released; new or larger lines reserve the extra units.
+   * @param {Object} options - Cart data (cartId, userId, guestId, products, session).
+   * @param {Array} options.products - Cart lines (productId, variantId, quantity).
+   * @throws {Error} If a product or variant is missing or does not have enough available stock.
+   */
+  static async syncCart({ cartId, userId = null, guestId = null, products, session }) {
+    const wanted = new Map();
+    for (const item of products) {
+      const key = lineKey(item);
+      const line = wanted.get(key) || { productId: item.productId, variantId: item.variantId || null, quantity: 0 };
+      line.quantity += item.quantity;
+      wanted.set(key, line);
+    }
+
+    const reservations = await StockReservation.find({ cartId, status: CONSTANTS.STATUS_ACTIVE }).session(session);
+    const expiresAt = this.reservationExpiry();
+
+    for (const reservation of reservations) {
+      const key = lineKey(reservation);
+      if (!wanted.has(key)) {
+        await this.releaseReservation(reservation, CONSTANTS.STATUS_RELEASED, session);
+        continue;
+      }
+
+      const { quantity } = wanted.get(key);
+      wanted.delete(key);
+      if (quantity !== reservation.quantity) {
+        await this.adjustReserved({
+          productId: reservation.productId,
+          variantId: reservation.variantId,
+          change: quantity - reservation.quantity,
+          cartId,
+          actor: userId,
+          session,
+        });
+      }
+      await StockReservation.updateOne(
+        { _id: reservation._id },
+        { quantity, expiresAt, $inc: { version: 1 } },
+        { session }
+      );
+    }
+
+    for (const { productId, variantId, quantity } of wanted.values()) {
+      await this.adjustReserved({ productId, variantId, change: quantity, cartId, actor: userId, session });
+      await StockReservation.create(
+        [{ productId, variantId, cartId, userId, guestId: userId ? null : guestId, quantity, expiresAt, version: 0 }],
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Releases every active reservation held by a cart.
+   * @param {Object} options - Release data (cartId, status, session).
+   * @param {string} [options.status] - Final status, "released" by default or "expired" for timed-out carts.
+   */
+  static async releaseCart({ cartId, status = CONSTANTS.STATUS_RELEASED, session }) {
+    const reservations = await StockReservation.find({ cartId, status: CONSTANTS.STATUS_ACTIVE }).session(session);
+    for (const reservation of reservations) {
+      await this.releaseReservation(reservation, status, session);
+    }
+  }
+
+  /**
+   * Turns a cart's reservations into committed stock for an order, inside the checkout transaction.
+   * Each line takes its units out of on-hand stock; a line whose reservation has lapsed is
+   * taken from available stock instead, so checkout still works if enough is left.
+   * @param {Object} options - Commit data (cartId, orderId, userId, items, session).
+   * @param {Array} options.items - Ordered lines (productId, variantId, quantity).
+   * @throws {Error} If a product or variant does not have enough stock for its line.
+   */
+  static async commitCart({ cartId, orderId, userId, items, session }) {
+    const reservations = await StockReservation.find({ cartId, status: CONSTANTS.STATUS_ACTIVE }).session(session);
+    const byLine = Object.fromEntries(reservations.map((reservation) => [lineKey(reservation), reservation]));
+
+    for (const item of items) {
+      const variantId = item.variantId || null;
+      const reservation = byLine[lineKey(item)];
+      const held = reservation ? reservation.quantity : 0;
+
+      // Units held for this cart count towards what it can take
+      const { update, arrayFilters } = stockIncrement(variantId, { stock: -item.quantity, reserved: -held });
+      const product = await Product.findOneAndUpdate(
+        {
+          ...stockFilter(item.productId, variantId),
+          $expr: { $gte: [{ $add: [availableExpr(variantId), held] }, item.quantity] },
+        },
+        update,
+        { new: true, arrayFilters, session }
+      );
+      if (!product) {
+        throw await this.stockError(item.productId, variantId, session);
+      }
+      await this.recordMovement({
+        product,
+        variantId,
+        delta: -item.quantity,
+        reason: "order",
+        referenceId: orderId,
+        actor: userId,
+        session,
+      });
+      if (held > 0) {
+        await this.recordMovement({
+          product,
+          variantId,
+          delta: -held,
+          affects: CONSTANTS.AFFECTS_RESERVED,
+          reason: "order",
+          referenceId: orderId,
+          actor: userId,
+          session,
+        });
+      }
+
+      if (reservation) {
+        await StockReservation.updateOne(
+          { _id: reservation._id, status: CONSTANTS.STATUS_ACTIVE },
+          { status: CONSTANTS.STATUS_COMMITTED, orderId, $inc: { version: 1 } },
+          { session }
+        );
+        delete byLine[lineKey(item)];
+      }
+    }
+
+    // Anything left over is no longer in the cart
+    for (const reservation of Object.values(byLine)) {
+      await this.releaseReservation(reservation, CONSTANTS.STATUS_RELEASED, session);
+    }
+  }
+
+  /**
+   * Returns units to on-hand stock, e.g. for a cancelled or refunded order, and records why.
+   * @param {Object} options - Restock data (productId, variantId, quantity, reason, referenceId, actor, session).
+   * @returns {Promise<boolean>} Whether the product (and variant) still exists to take the units back.
+   */
+  static async restock({ productId, variantId = null, quantity, reason, referenceId, actor = null, session }) {
+    const { update, arrayFilters } = stockIncrement(variantId, { stock: quantity });
+    const product = await Product.findOneAndUpdate(
+      variantId ? { _id: productId, "variants._id": variantId } : { _id: productId },
+      update,
+      { new: true, arrayFilters, session }
+    );
+    if (!product) {
+      return false;
+    }
+
+    await this.recordMovement({ product, variantId, delta: quantity, reason, referenceId, actor, session });
+    return true;
+  }
+
+  /**
+   * Records a change to on-hand stock made by editing the product or one of its variants directly.
+   * @param {Object} options - Change data (product, variantId, previousStock, actor, note, session).
+   * @param {Object} options.product - Product after the edit.
+   */
+  static async recordStockEdit({ product, variantId = null, previousStock, actor = null, note, session }) {
+    const counts = Product.findVariant(product, variantId) || product;
+    const delta = counts.stock - (previousStock || 0);
+    if (delta === 0) return;
+
+    await this.recordMovement({
+      product,
+      variantId,
+      delta,
+      reason: "manual_adjust",
+      referenceId: product._id,
+      actor,
+      note,
+      session,
+    });
+  }
+
+  /**
+   * Adjusts a product's or variant's on-hand stock by hand, e.g. after a stock count or for damaged goods.
+   * Products with variants are adjusted one variant at a time, and stock can only be written off
+   * down to the units still reserved in carts.
+   * @param {Object} options - Adjustment data (productId, variantId, delta, note, actor).
+   * @param {number} options.delta - Units to add (positive) or write off (negative).
+   * @param {string} options.note - Why the stock is being adjusted.
+   * @returns {Promise<Object>} Updated product and the recorded movement.
+   * @throws {Error} If the input is invalid, the product or variant is missing, or stock would go below what is reserved.
+   */
+  static async adjustStock({ productId, variantId = null, delta, note, actor }) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_VARIANT_ID);
+    }
+    if (!Number.isInteger(delta) || delta === 0) {
+      throw new Error(ERROR_MESSAGES.INVALID_DELTA);
+    }
+    if (typeof note !== "string" || !note.trim()) {
+      throw new Error(ERROR_MESSAGES.NOTE_REQUIRED);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { update, arrayFilters } = stockIncrement(variantId, { stock: delta });
+      const product = await Product.findOneAndUpdate(
+        {
+          ...(variantId ? { _id: productId, "variants._id": variantId } : { _id: productId, "variants.0": { $exists: false } }),
+          ...(delta < 0 && { $expr: { $gte: [availableExpr(variantId), -delta] } }),
+        },
+        update,
+        { new: true, arrayFilters, session }
+      );
+      if (!product) {
+        const existing = await Product.findById(productId).select("variants").session(session).lean();
+        if (!existing) {
+          throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+        }
+        if (!variantId && existing.variants?.length > 0) {
+          throw new Error(ERROR_MESSAGES.VARIANT_REQUIRED);
+        }
+        if (variantId && !Product.findVariant(existing, variantId)) {
+          throw new Error(ERROR_MESSAGES.VARIANT_NOT_FOUND);
+        }
+        throw new Error(ERROR_MESSAGES.STOCK_BELOW_RESERVED);
+      }
+
+      const movement = await this.recordMovement({
+        product,
+        variantId,
+        delta,
+        reason: "manual_adjust",
+        referenceId: product._id,
+        actor,
+        note: note.trim().slice(0, CONSTANTS.MAX_NOTE_LENGTH),
+        session,
+      });
+
+      await session.commitTransaction();
+      return { product, movement };
+    } catch (err) {
+      await session.abortTransaction();
+      throw new Error(err.message);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Retrieves a product's stock movements with pagination, newest first, optionally for one variant.
+   * @param {Object} options - Query options (productId, variantId, page, limit, reason).
+   * @returns {Object} Product stock counts (with each variant's), movements and pagination data.
+   * @throws {Error} If the product ID, variant ID or reason is invalid, the product is missing, or the query fails.
+   */
+  static async getStockHistory({ productId, variantId, page, limit, reason }) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+    if (variantId !== undefined && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_VARIANT_ID);
+    }
+    if (reason !== undefined && !STOCK_MOVEMENT_REASONS.includes(reason)) {
+      throw new Error(ERROR_MESSAGES.INVALID_REASON);
+    }
+
+    const product = await Product.findById(productId).select("name stock reserved variants").lean();
+    if (!product) {
+      throw new Error(ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+    }
+
+    try {
+      const skip = (page - 1) * limit;
+      const query = { productId };
+      if (variantId) query.variantId = variantId;
+      if (reason) query.reason = reason;
+      const [totalItems, movements] = await Promise.all([
+        StockMovement.countDocuments(query),
+        StockMovement.find(query)
+          .populate("actor", "username email")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+      ]);
+
+      return {
+        stock: {
+          onHand: product.stock,
+          reserved: product.reserved || 0,
+          available: Math.max(product.stock - (product.reserved || 0), 0),
+          variants: (product.variants || []).map((variant) => ({
+            variantId: variant._id,
+            sku: variant.sku,
+            onHand: variant.stock,
+            reserved: variant.reserved || 0,
+            available: Math.max(variant.stock - (variant.reserved || 0), 0),
+          })),
+        },
+        movements,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve stock history: ${err.message}`);
+    }
+  }
+
+  /**
+   * Marks the reservations committed to an order as released when it is cancelled.
+   * The cancelled units themselves go back to on-hand stock with the order's items.
+   * @param {Object} options - Release data (orderId, session).
+   */
+  static async releaseOrder({ orderId, session }) {
+    await StockReservation.updateMany(
+      { orderId, status: CONSTANTS.STATUS_COMMITTED },
+      { status: CONSTANTS.STATUS_RELEASED, $inc: { version: 1 } },
+      { session }
+    );
+  }
+
+  /**
+   * Releases active reservations that have passed their expiry, each in its own transaction.
+   * A reservation that fails to release is logged and left for the next sweep.
+   * @returns {Promise<number>} Number of reservations released.
+   */
+  static async releaseExpired() {
+    const expired = await StockReservation.find({
+      status: CONSTANTS.STATUS_ACTIVE,
+      expiresAt: { $lte: new Date() },
+    }).lean();
+
+    let released = 0;
+    for (const reservation of expired) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        if (await this.releaseReservation(reservation, CONSTANTS.STATUS_EXPIRED, session)) {
+          released += 1;
+        }
+        await session.commitTransaction();
+      } catch (err) {
+        await session.abortTransaction();
+        logger.error(`Failed to release expired reservation ${reservation._id}: ${err.message}`);
+      } finally {
+        session.endSession();
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Retrieves stock reservations with pagination, active ones by default.
+   * @param {Object} options - Query options (page, limit, status, productId).
+   * @returns {Object} Reservations and pagination data.
+   * @throws {Error} If the status or product ID is invalid, or the query fails.
+   */
+  static async getReservations({ page, limit, status = CONSTANTS.STATUS_ACTIVE, productId }) {
+    if (!CONSTANTS.RESERVATION_STATUSES.includes(status)) {
+      throw new Error(ERROR_MESSAGES.INVALID_STATUS);
+    }
+    if (productId !== undefined && !mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_PRODUCT_ID);
+    }
+
+    try {
+      const skip = (page - 1) * limit;
+      const query = productId ? { status, productId } : { status };
+      const [totalItems, reservations] = await Promise.all([
+        StockReservation.countDocuments(query),
+        StockReservation.find(query)
+          .populate("productId", "name stock reserved")
+          .sort({ expiresAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+      ]);
+
+      return {
+        reservations,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve stock reservations: ${err.message}`);
+    }
+  }
+}
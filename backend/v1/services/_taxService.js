@@ -0,0 +1,243 @@
+import mongoose from "mongoose";
+import { TaxRate } from "../models/index.js";
+import { normalizeCountry } from "../models/_address.js";
+
+const CONSTANTS = {
+  MODE_INCLUSIVE: "inclusive",
+  MODE_EXCLUSIVE: "exclusive",
+  // Nigerian VAT applies even before any rate is configured; configured rates take precedence
+  DEFAULT_RATES: [{ name: "VAT", country: "nigeria", state: null, category: null, rate: 7.5 }],
+  RATE_FIELDS: ["name", "country", "state", "category", "rate", "isActive"],
+};
+
+const ERROR_MESSAGES = {
+  INVALID_RATE_ID: "Invalid tax rate ID",
+  RATE_NOT_FOUND: "Tax rate not found.",
+  CONCURRENCY_CONFLICT: "Tax rate was modified by another request. Please retry.",
+};
+
+/**
+ * Rounds an amount to two decimal places.
+ * @param {number} amount - Amount to round.
+ * @returns {number} Rounded amount.
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class TaxService {
+  /**
+   * Returns whether catalogue prices already include tax, from TAX_PRICE_MODE (default exclusive).
+   * @returns {string} "inclusive" or "exclusive".
+   */
+  static getPriceMode() {
+    return process.env.TAX_PRICE_MODE === CONSTANTS.MODE_INCLUSIVE ? CONSTANTS.MODE_INCLUSIVE : CONSTANTS.MODE_EXCLUSIVE;
+  }
+
+  /**
+   * Retrieves the tax rates that could apply in a country, configured rates first, then built-in defaults.
+   * @param {string} country - Country key from normalizeCountry.
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Array>} Candidate rates.
+   */
+  static async findRates(country, session = null) {
+    const configured = await TaxRate.find({ country, isActive: true }).session(session).lean();
+    const defaults = CONSTANTS.DEFAULT_RATES.filter((rate) => rate.country === country);
+    return [...configured, ...defaults];
+  }
+
+  /**
+   * Picks the most specific rate for a state and category.
+   * State and category beat state alone, which beats category alone, which beats country-wide.
+   * @param {Array} rates - Candidate rates, configured before defaults.
+   * @param {string} state - Lower-case state.
+   * @param {string} [category] - Product category.
+   * @returns {Object|null} Matching rate, or null if none applies.
+   */
+  static matchRate(rates, state, category) {
+    const lineCategory = (category || "").toLowerCase();
+    let best = null;
+    let bestScore = -1;
+    for (const rate of rates) {
+      if (rate.state && rate.state !== state) continue;
+      if (rate.category && rate.category !== lineCategory) continue;
+      const score = (rate.state ? 2 : 0) + (rate.category ? 1 : 0);
+      // Strictly greater, so a configured rate beats a default with the same specificity
+      if (score > bestScore) {
+        best = rate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Works out the tax on each line after discounts.
+   * In exclusive mode tax is added on top of the line total; in inclusive mode it is the share already in it.
+   * @param {Object} options - Tax data (address, items, pricing, session).
+   * @param {Array} options.items - Line items (productId, category, quantity).
+   * @param {Object} options.pricing - Pricing breakdown for the same items (from PromotionService).
+   * @returns {Promise<Object>} Price mode, tax per line with its rate, and total tax.
+   */
+  static async calculateTax({ address = {}, items, pricing, session = null }) {
+    const mode = this.getPriceMode();
+    const country = normalizeCountry(address.country);
+    const state = (address.state || "").trim().toLowerCase();
+    const rates = await this.findRates(country, session);
+
+    const lines = items.map((item, index) => {
+      const rate = this.matchRate(rates, state, item.category);
+      const percent = rate ? rate.rate : 0;
+      const base = pricing.lines[index].total;
+      const tax =
+        mode === CONSTANTS.MODE_INCLUSIVE
+          ? roundAmount(base - base / (1 + percent / 100))
+          : roundAmount((base * percent) / 100);
+      return {
+        productId: item.productId.toString(),
+        variantId: item.variantId ? item.variantId.toString() : null,
+        name: rate ? rate.name : null,
+        rate: percent,
+        tax,
+      };
+    });
+
+    return {
+      mode,
+      lines,
+      tax: roundAmount(lines.reduce((total, line) => total + line.tax, 0)),
+    };
+  }
+
+  /**
+   * Builds the totals shown on carts and stored on orders.
+   * @param {Object} options - Totals data (pricing, tax, shippingFee).
+   * @returns {Object} Subtotal, discount, tax, price mode, shipping and total.
+   */
+  static buildTotals({ pricing, tax, shippingFee }) {
+    const taxAdded = tax.mode === CONSTANTS.MODE_EXCLUSIVE ? tax.tax : 0;
+    return {
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      tax: tax.tax,
+      taxMode: tax.mode,
+      shipping: shippingFee,
+      total: roundAmount(pricing.subtotal - pricing.discount + taxAdded + shippingFee),
+    };
+  }
+
+  /**
+   * Picks the editable fields from tax rate input.
+   * @param {Object} data - Raw input.
+   * @returns {Object} Rate fields.
+   */
+  static pickRateFields(data = {}) {
+    const fields = {};
+    for (const field of CONSTANTS.RATE_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+
+  /**
+   * Creates a tax rate.
+   * @param {Object} data - Rate data.
+   * @returns {Object} Created rate.
+   * @throws {Error} If validation fails.
+   */
+  static async createRate(data) {
+    try {
+      return await TaxRate.create({ ...this.pickRateFields(data), version: 0 });
+    } catch (err) {
+      throw new Error(`Failed to create tax rate: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves all tax rates with pagination.
+   * @param {Object} options - Pagination options (page, limit).
+   * @returns {Object} Rates and pagination data.
+   * @throws {Error} If query fails.
+   */
+  static async getRates({ page, limit }) {
+    try {
+      const skip = (page - 1) * limit;
+      const [totalItems, rates] = await Promise.all([
+        TaxRate.countDocuments(),
+        TaxRate.find().sort({ country: 1, state: 1, category: 1 }).skip(skip).limit(limit).lean(),
+      ]);
+
+      return {
+        rates,
+        pagination: {
+          page,
+          limit,
+          totalItems,
+          totalPages: Math.ceil(totalItems / limit),
+        },
+      };
+    } catch (err) {
+      throw new Error(`Failed to retrieve tax rates: ${err.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a single tax rate.
+   * @param {string} id - Rate ID.
+   * @returns {Object} Tax rate.
+   * @throws {Error} If the ID is invalid or the rate is not found.
+   */
+  static async getRate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await TaxRate.findById(id).lean();
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+    return rate;
+  }
+
+  /**
+   * Updates a tax rate.
+   * @param {string} id - Rate ID.
+   * @param {Object} data - Update data.
+   * @returns {Object} Updated rate.
+   * @throws {Error} If the ID is invalid, the rate is not found, or validation fails.
+   */
+  static async updateRate(id, data) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await TaxRate.findById(id);
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+
+    const updatedRate = await TaxRate.findOneAndUpdate(
+      { _id: id, version: rate.version },
+      { $set: this.pickRateFields(data), $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updatedRate) {
+      throw new Error(ERROR_MESSAGES.CONCURRENCY_CONFLICT);
+    }
+    return updatedRate;
+  }
+
+  /**
+   * Deletes a tax rate.
+   * @param {string} id - Rate ID.
+   * @throws {Error} If the ID is invalid or the rate is not found.
+   */
+  static async deleteRate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(ERROR_MESSAGES.INVALID_RATE_ID);
+    }
+
+    const rate = await TaxRate.findByIdAndDelete(id);
+    if (!rate) {
+      throw new Error(ERROR_MESSAGES.RATE_NOT_FOUND);
+    }
+  }
+}
@@ -1,9 +1,21 @@
 import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
 import { User } from "../models/index.js";
+import { ADDRESS_FIELDS } from "../models/_address.js";
 
 const SORT_DEFAULT = "createdAt";
 const ORDER_DESC = "desc";
 const PASSWORD_FIELD = "-password";
+const MAX_ADDRESSES = 10;
+const ADDRESS_KEYS = ["label", ...Object.keys(ADDRESS_FIELDS)];
+
+const ERROR_MESSAGES = {
+  USER_NOT_FOUND: "User not found",
+  INVALID_ADDRESS_ID: "Invalid address ID",
+  ADDRESS_NOT_FOUND: "Address not found",
+  ADDRESS_LIMIT_REACHED: `You can save at most ${MAX_ADDRESSES} addresses.`,
+  INVALID_ADDRESS: "Invalid address",
+};
 
 export class UserService {
   /**
@@ -125,4 +137,181 @@ export class UserService {
       throw new Error(err.message === "User not found" ? err.message : `Failed to delete user: ${err.message}`);
     }
   }
+
+  /**
+   * Picks the editable fields from address input.
+   * @param {Object} data - Raw input.
+   * @returns {Object} Address fields.
+   */
+  static pickAddressFields(data = {}) {
+    const fields = {};
+    for (const field of ADDRESS_KEYS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+
+  /**
+   * Loads a user document for address book changes.
+   * @param {string} userId - User ID.
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Object>} User document.
+   * @throws {Error} If the user is not found.
+   */
+  static async findAddressBook(userId, session = null) {
+    const user = await User.findById(userId).select("addresses").session(session);
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    return user;
+  }
+
+  /**
+   * Finds an address in a user's address book.
+   * @param {Object} user - User document.
+   * @param {string} addressId - Address ID.
+   * @returns {Object} Address subdocument.
+   * @throws {Error} If the ID is invalid or the address is not found.
+   */
+  static findAddress(user, addressId) {
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_ADDRESS_ID);
+    }
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      throw new Error(ERROR_MESSAGES.ADDRESS_NOT_FOUND);
+    }
+    return address;
+  }
+
+  /**
+   * Makes one address the default and clears the flag on the others.
+   * @param {Object} user - User document.
+   * @param {Object} address - Address subdocument to make default.
+   */
+  static setDefaultAddress(user, address) {
+    for (const entry of user.addresses) {
+      entry.isDefault = entry._id.equals(address._id);
+    }
+  }
+
+  /**
+   * Saves address book changes, reporting schema validation failures as invalid input.
+   * @param {Object} user - User document.
+   * @returns {Promise<Array>} Saved addresses.
+   * @throws {Error} If validation fails.
+   */
+  static async saveAddressBook(user) {
+    try {
+      await user.save({ validateModifiedOnly: true });
+      return user.addresses;
+    } catch (err) {
+      if (err instanceof mongoose.Error.ValidationError) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_ADDRESS}: ${err.message}`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Retrieves a user's saved addresses, default first.
+   * @param {string} userId - User ID.
+   * @returns {Promise<Array>} Saved addresses.
+   * @throws {Error} If the user is not found.
+   */
+  static async getAddresses(userId) {
+    const user = await User.findById(userId).select("addresses").lean();
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    return [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  }
+
+  /**
+   * Saves a new address. The first address saved becomes the default.
+   * @param {string} userId - User ID.
+   * @param {Object} data - Address data, with an optional isDefault flag.
+   * @returns {Promise<Object>} Saved address.
+   * @throws {Error} If the user is not found, the book is full, or validation fails.
+   */
+  static async addAddress(userId, data = {}) {
+    const user = await this.findAddressBook(userId);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw new Error(ERROR_MESSAGES.ADDRESS_LIMIT_REACHED);
+    }
+
+    user.addresses.push(this.pickAddressFields(data));
+    const address = user.addresses[user.addresses.length - 1];
+    if (data.isDefault === true || user.addresses.length === 1) {
+      this.setDefaultAddress(user, address);
+    }
+
+    await this.saveAddressBook(user);
+    return address;
+  }
+
+  /**
+   * Updates a saved address.
+   * @param {string} userId - User ID.
+   * @param {string} addressId - Address ID.
+   * @param {Object} data - Fields to update, with an optional isDefault flag.
+   * @returns {Promise<Object>} Updated address.
+   * @throws {Error} If the user or address is not found, or validation fails.
+   */
+  static async updateAddress(userId, addressId, data = {}) {
+    const user = await this.findAddressBook(userId);
+    const address = this.findAddress(user, addressId);
+
+    address.set(this.pickAddressFields(data));
+    if (data.isDefault === true) {
+      this.setDefaultAddress(user, address);
+    }
+
+    await this.saveAddressBook(user);
+    return address;
+  }
+
+  /**
+   * Deletes a saved address. If it was the default, the oldest remaining address takes over.
+   * @param {string} userId - User ID.
+   * @param {string} addressId - Address ID.
+   * @throws {Error} If the user or address is not found.
+   */
+  static async deleteAddress(userId, addressId) {
+    const user = await this.findAddressBook(userId);
+    const address = this.findAddress(user, addressId);
+    const wasDefault = address.isDefault;
+
+    address.deleteOne();
+    if (wasDefault && user.addresses.length > 0) {
+      this.setDefaultAddress(user, user.addresses[0]);
+    }
+
+    await this.saveAddressBook(user);
+  }
+
+  /**
+   * Resolves a saved address into the shape stored on an order.
+   * Without an addressId, the user's default address is used.
+   * @param {string} userId - User ID.
+   * @param {string} [addressId] - Address ID.
+   * @param {Object} [session] - Mongoose session.
+   * @returns {Promise<Object|null>} Address fields, or null if no addressId was given and there is no default.
+   * @throws {Error} If the user or address is not found.
+   */
+  static async resolveOrderAddress(userId, addressId, session = null) {
+    const user = await this.findAddressBook(userId, session);
+    const address = addressId
+      ? this.findAddress(user, addressId)
+      : user.addresses.find((entry) => entry.isDefault);
+    if (!address) {
+      return null;
+    }
+
+    const fields = {};
+    for (const field of Object.keys(ADDRESS_FIELDS)) {
+      fields[field] = address[field];
+    }
+    return fields;
+  }
 }
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+
+const PROVIDER_NAME = "mock";
+const MOCK_CHECKOUT_URL = process.env.MOCK_CHECKOUT_URL || "http://localhost:3000/mock-checkout";
+const SIGNATURE_HEADER = "x-mock-signature";
+const SIGNATURE_ALGORITHM = "sha256";
+const STATUS_SUCCESS = "success";
+const REFUND_STATUS_PROCESSED = "processed";
+
+const ERROR_MESSAGES = {
+  VERIFICATION_FAILED: "Payment verification failed",
+  REFUND_FAILED: "Refund request failed",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+  SECRET_MISSING: "MOCK_PAYMENT_SECRET must be set to use the mock payment provider",
+};
+
+// In-process transaction store; references are derived from the order so runs are repeatable.
+// The run tag keeps references unique across restarts against the same database.
+const RUN_TAG = Date.now().toString(36);
+const transactions = new Map();
+const refunds = new Map();
+
+export class MockProvider {
+  static name = PROVIDER_NAME;
+
+  /**
+   * Records a transaction and returns a fake checkout URL.
+   * Transactions succeed by default; use setStatus to simulate other outcomes.
+   * @param {Object} options - Transaction data (email, amount in major units, currency, metadata).
+   * @returns {Promise<Object>} Reference, checkout URL, access code, and raw payload.
+   */
+  static async initialize({ email, amount, currency, metadata = {} }) {
+    const prefix = `mock_${RUN_TAG}_${metadata.orderId || "order"}_`;
+    const attempt = [...transactions.keys()].filter((key) => key.startsWith(prefix)).length + 1;
+    const reference = `${prefix}${attempt}`;
+    const raw = { reference, email, amount, currency, metadata, status: STATUS_SUCCESS };
+    transactions.set(reference, raw);
+
+    return {
+      reference,
+      authorizationUrl: `${MOCK_CHECKOUT_URL}/${reference}`,
+      accessCode: `access_${reference}`,
+      raw,
+    };
+  }
+
+  /**
+   * Returns the stored outcome of a mock transaction.
+   * @param {string} reference - Transaction reference.
+   * @returns {Promise<Object>} Status, amount in major units, currency, and raw payload.
+   * @throws {Error} If the reference was never initialized.
+   */
+  static async verify(reference) {
+    const transaction = transactions.get(reference);
+    if (!transaction) {
+      throw new Error(ERROR_MESSAGES.VERIFICATION_FAILED);
+    }
+
+    return {
+      reference,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      raw: transaction,
+    };
+  }
+
+  /**
+   * Records a refund against a mock transaction. Repeating an idempotency key returns the first refund.
+   * @param {Object} options - Refund data (reference, amount in major units, idempotencyKey).
+   * @returns {Promise<Object>} Refund reference, status, and raw payload.
+   * @throws {Error} If the transaction does not exist.
+   */
+  static async refund({ reference, amount, idempotencyKey }) {
+    if (!transactions.has(reference)) {
+      throw new Error(`${ERROR_MESSAGES.REFUND_FAILED}: unknown transaction ${reference}`);
+    }
+
+    const key = idempotencyKey || `mock_refund_${refunds.size + 1}`;
+    if (!refunds.has(key)) {
+      refunds.set(key, { id: `mock_refund_${refunds.size + 1}`, transaction: reference, amount, status: REFUND_STATUS_PROCESSED });
+    }
+    const raw = refunds.get(key);
+    return { reference: raw.id, status: raw.status, raw };
+  }
+
+  /**
+   * Verifies the x-mock-signature header and normalizes the event.
+   * Mock webhook bodies use the same shape as Paystack, with amounts in major units.
+   * @param {Object} options - Webhook request data (headers, rawBody, body).
+   * @returns {Object} Event name, reference, amount, currency, and raw payload.
+   * @throws {Error} If the signature is missing or does not match.
+   */
+  static parseWebhook({ headers, rawBody, body }) {
+    const signature = headers?.[SIGNATURE_HEADER];
+    if (!signature || !rawBody) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    return {
+      event: body?.event,
+      reference: body?.data?.reference,
+      amount: body?.data?.amount,
+      currency: body?.data?.currency,
+      raw: body?.data,
+    };
+  }
+
+  /**
+   * Signs a webhook body the way parseWebhook expects.
+   * @param {Buffer|string} rawBody - Webhook body.
+   * @returns {string} Hex signature for the x-mock-signature header.
+   * @throws {Error} If MOCK_PAYMENT_SECRET is not set.
+   */
+  static sign(rawBody) {
+    const secret = process.env.MOCK_PAYMENT_SECRET;
+    if (!secret) {
+      throw new Error(ERROR_MESSAGES.SECRET_MISSING);
+    }
+    return crypto.createHmac(SIGNATURE_ALGORITHM, secret).update(rawBody).digest("hex");
+  }
+
+  /**
+   * Overrides the outcome of a mock transaction (e.g., failed or abandoned).
+   * @param {string} reference - Transaction reference.
+   * @param {string} status - Status reported by verify.
+   */
+  static setStatus(reference, status) {
+    const transaction = transactions.get(reference);
+    if (transaction) {
+      transaction.status = status;
+    }
+  }
+
+  /**
+   * Clears all mock transactions and refunds.
+   */
+  static reset() {
+    transactions.clear();
+    refunds.clear();
+  }
+}
+
+export default MockProvider;
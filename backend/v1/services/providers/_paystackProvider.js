@@ -0,0 +1,180 @@
+import https from "https";
+import crypto from "crypto";
+
+const PROVIDER_NAME = "paystack";
+const PAYSTACK_HOSTNAME = "api.paystack.co";
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+const SIGNATURE_HEADER = "x-paystack-signature";
+const SIGNATURE_ALGORITHM = "sha512";
+const CENTS_MULTIPLIER = 100;
+const REFUND_STATUS_PROCESSED = "processed";
+const REFUND_STATUS_PENDING = "pending";
+
+const ERROR_MESSAGES = {
+  PAYMENT_FAILED: "Payment initialization failed",
+  VERIFICATION_FAILED: "Payment verification failed",
+  REFUND_FAILED: "Refund request failed",
+  INVALID_SIGNATURE: "Invalid webhook signature",
+};
+
+export class PaystackProvider {
+  static name = PROVIDER_NAME;
+
+  /**
+   * Sends a request to the Paystack API.
+   * @param {string} method - HTTP method.
+   * @param {string} path - API path (e.g., /transaction/initialize).
+   * @param {Object} [payload] - JSON body to send.
+   * @returns {Promise<Object>} Parsed Paystack response.
+   */
+  static request(method, path, payload) {
+    const options = {
+      hostname: PAYSTACK_HOSTNAME,
+      port: 443,
+      path,
+      method,
+      headers: {
+        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+        "Content-Type": "application/json",
+      },
+    };
+
+    return new Promise((resolve, reject) => {
+      const paystackReq = https.request(options, (paystackRes) => {
+        let data = "";
+        paystackRes.on("data", (chunk) => {
+          data += chunk;
+        });
+        paystackRes.on("end", () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }).on("error", (error) => {
+        reject(error);
+      });
+
+      if (payload) {
+        paystackReq.write(JSON.stringify(payload));
+      }
+      paystackReq.end();
+    });
+  }
+
+  /**
+   * Starts a Paystack transaction.
+   * @param {Object} options - Transaction data (email, amount in major units, currency, metadata).
+   * @returns {Promise<Object>} Reference, checkout URL, access code, and raw payload.
+   * @throws {Error} If Paystack does not return a checkout URL.
+   */
+  static async initialize({ email, amount, currency, metadata }) {
+    const response = await this.request("POST", "/transaction/initialize", {
+      email,
+      amount: Math.round(amount * CENTS_MULTIPLIER),
+      currency,
+      metadata,
+    });
+    if (!response.status || !response.data || !response.data.authorization_url) {
+      throw new Error(ERROR_MESSAGES.PAYMENT_FAILED);
+    }
+
+    return {
+      reference: response.data.reference,
+      authorizationUrl: response.data.authorization_url,
+      accessCode: response.data.access_code,
+      raw: response.data,
+    };
+  }
+
+  /**
+   * Looks up a transaction on Paystack.
+   * @param {string} reference - Transaction reference.
+   * @returns {Promise<Object>} Status, amount in major units, currency, and raw payload.
+   * @throws {Error} If Paystack cannot verify the transaction.
+   */
+  static async verify(reference) {
+    const response = await this.request("GET", `/transaction/verify/${encodeURIComponent(reference)}`);
+    if (!response.status || !response.data) {
+      throw new Error(ERROR_MESSAGES.VERIFICATION_FAILED);
+    }
+
+    return {
+      reference,
+      status: response.data.status,
+      amount: response.data.amount / CENTS_MULTIPLIER,
+      currency: response.data.currency,
+      raw: response.data,
+    };
+  }
+
+  /**
+   * Normalizes a Paystack refund record.
+   * @param {Object} data - Refund data from Paystack.
+   * @returns {Object} Refund reference, status (processed or pending), and raw payload.
+   */
+  static toRefund(data) {
+    return {
+      reference: data.id?.toString(),
+      status: data.status === REFUND_STATUS_PROCESSED ? REFUND_STATUS_PROCESSED : REFUND_STATUS_PENDING,
+      raw: data,
+    };
+  }
+
+  /**
+   * Refunds part or all of a Paystack transaction.
+   * The idempotency key is stored as the refund's merchant note; a refund already carrying it
+   * is returned instead of creating another, so a retried refund is only paid out once.
+   * @param {Object} options - Refund data (reference, amount in major units, idempotencyKey).
+   * @returns {Promise<Object>} Refund reference, status (processed or pending), and raw payload.
+   * @throws {Error} If Paystack rejects the refund.
+   */
+  static async refund({ reference, amount, idempotencyKey }) {
+    const existing = await this.request("GET", `/refund?reference=${encodeURIComponent(reference)}`);
+    const previous = (existing.data || []).find((refund) => refund.merchant_note === idempotencyKey);
+    if (previous) {
+      return this.toRefund(previous);
+    }
+
+    const response = await this.request("POST", "/refund", {
+      transaction: reference,
+      amount: Math.round(amount * CENTS_MULTIPLIER),
+      merchant_note: idempotencyKey,
+    });
+    if (!response.status || !response.data) {
+      throw new Error(`${ERROR_MESSAGES.REFUND_FAILED}: ${response.message || "no response data"}`);
+    }
+
+    return this.toRefund(response.data);
+  }
+
+  /**
+   * Verifies the x-paystack-signature header and normalizes the event.
+   * @param {Object} options - Webhook request data (headers, rawBody, body).
+   * @returns {Object} Event name, reference, amount in major units, currency, and raw payload.
+   * @throws {Error} If the signature is missing or does not match.
+   */
+  static parseWebhook({ headers, rawBody, body }) {
+    const signature = headers?.[SIGNATURE_HEADER];
+    if (!signature || !rawBody || !PAYSTACK_SECRET_KEY) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    const expected = Buffer.from(crypto.createHmac(SIGNATURE_ALGORITHM, PAYSTACK_SECRET_KEY).update(rawBody).digest("hex"));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error(ERROR_MESSAGES.INVALID_SIGNATURE);
+    }
+
+    return {
+      event: body?.event,
+      reference: body?.data?.reference,
+      amount: typeof body?.data?.amount === "number" ? body.data.amount / CENTS_MULTIPLIER : undefined,
+      currency: body?.data?.currency,
+      raw: body?.data,
+    };
+  }
+}
+
+export default PaystackProvider;
@@ -0,0 +1,46 @@
+import PaystackProvider from "./_paystackProvider.js";
+import MockProvider from "./_mockProvider.js";
+
+/**
+ * A payment provider exposes the same static methods so PaymentService can stay provider-agnostic.
+ * Amounts are always in major units (e.g., naira, not kobo).
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Provider name stored on Payment records.
+ * @property {function({email: string, amount: number, currency: string, metadata: Object}): Promise<Object>} initialize
+ *   Starts a transaction and resolves with { reference, authorizationUrl, accessCode, raw }.
+ * @property {function(string): Promise<Object>} verify
+ *   Resolves with { reference, status, amount, currency, raw } for a transaction reference.
+ * @property {function({reference: string, amount: number, idempotencyKey: string}): Promise<Object>} refund
+ *   Refunds a transaction and resolves with { reference, status, raw }. A repeated idempotency key
+ *   resolves with the refund it first created rather than refunding again.
+ * @property {function({headers: Object, rawBody: Buffer, body: Object}): Object} parseWebhook
+ *   Verifies a webhook signature and returns { event, reference, amount, currency, raw }.
+ */
+
+const DEFAULT_PROVIDER = "paystack";
+const ENV_PRODUCTION = "production";
+
+const providers = {
+  [PaystackProvider.name]: PaystackProvider,
+  [MockProvider.name]: MockProvider,
+};
+
+/**
+ * Resolves a payment provider by name, defaulting to the PAYMENT_PROVIDER env var.
+ * The mock provider is refused in production, where it would let anyone mark orders paid.
+ * @param {string} [name] - Provider name (paystack, mock).
+ * @returns {PaymentProvider} Provider implementation.
+ * @throws {Error} If no provider is registered under that name, or the mock provider is used in production.
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER) => {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (provider === MockProvider && process.env.NODE_ENV === ENV_PRODUCTION) {
+    throw new Error(`The ${MockProvider.name} payment provider cannot be used in production`);
+  }
+  return provider;
+};
+
+export { getPaymentProvider, PaystackProvider, MockProvider };
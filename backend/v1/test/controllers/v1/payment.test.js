@@ -0,0 +1,275 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+process.env.PAYMENT_PROVIDER = "mock";
+process.env.MOCK_PAYMENT_SECRET = "test_mock_secret";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_jwt_secret";
+
+/**
+ * Builds a stand-in for a Mongoose query that resolves to a fixed result.
+ * @param {*} result - Value the query resolves to.
+ * @returns {Object} Chainable, awaitable query.
+ */
+const fakeQuery = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(typeof result === "function" ? result() : result).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("Payments: checkout -> webhook -> verify (mock provider)", () => {
+  let app;
+  let redisClient;
+  let Order;
+  let Payment;
+  let Shipping;
+  let MockProvider;
+  let getPaymentProvider;
+  let state;
+  let token;
+
+  before(async () => {
+    ({ default: app } = await import("../../../app.js"));
+    ({ default: redisClient } = await import("../../../config/_redis.js"));
+    ({ Order, Payment, Shipping } = await import("../../../models/index.js"));
+    ({ MockProvider, getPaymentProvider } = await import("../../../services/providers/index.js"));
+  });
+
+  beforeEach(() => {
+    const userId = new mongoose.Types.ObjectId();
+    token = jwt.sign({ id: userId.toString(), isAdmin: false }, process.env.JWT_SECRET);
+    state = {
+      order: new Order({
+        userId,
+        products: [{ productId: new mongoose.Types.ObjectId(), quantity: 2, price: 2500 }],
+        amount: 5000,
+        address: { street: "1 Test Road", city: "Lagos", state: "Lagos", country: "NG", postalCode: "100001" },
+      }),
+      payments: [],
+      shipments: [],
+    };
+
+    // Authentication only needs the token blacklist lookup from Redis
+    sinon.stub(redisClient, "isOpen").get(() => true);
+    sinon.stub(redisClient, "get").resolves(null);
+
+    sinon.stub(mongoose, "startSession").resolves({
+      startTransaction: () => {},
+      commitTransaction: async () => {},
+      abortTransaction: async () => {},
+      inTransaction: () => true,
+      endSession: () => {},
+    });
+
+    sinon.stub(Order, "findOne").callsFake((filter) =>
+      fakeQuery(() =>
+        filter.paymentReference && filter.paymentReference !== state.order.paymentReference ? null : state.order
+      )
+    );
+    sinon.stub(Order, "findById").callsFake(() => fakeQuery(state.order));
+    sinon.stub(Order, "findOneAndUpdate").callsFake((filter, update) =>
+      fakeQuery(() => {
+        if (filter.status && filter.status !== state.order.status) {
+          return null;
+        }
+        state.order.status = update.status;
+        state.order.version += 1;
+        return state.order;
+      })
+    );
+    sinon.stub(Order.prototype, "save").callsFake(async function () {
+      return this;
+    });
+
+    sinon.stub(Payment.prototype, "save").callsFake(async function () {
+      state.payments.push(this);
+      return this;
+    });
+    sinon.stub(Payment, "findOne").callsFake((filter) =>
+      fakeQuery(() =>
+        state.payments.find(
+          (payment) =>
+            payment.reference === filter.reference && (!filter.userId || payment.userId.toString() === filter.userId)
+        ) || null
+      )
+    );
+    sinon.stub(Payment, "findOneAndUpdate").callsFake((filter, update) =>
+      fakeQuery(() => {
+        const payment = state.payments.find((entry) => entry.reference === filter.reference);
+        if (payment) Object.assign(payment, update);
+        return payment || null;
+      })
+    );
+
+    sinon.stub(Shipping.prototype, "save").callsFake(async function () {
+      state.shipments.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    MockProvider.reset();
+  });
+
+  /**
+   * Starts a mock checkout for the test order.
+   * @returns {Promise<Object>} Supertest response.
+   */
+  const checkout = () =>
+    request(app)
+      .post("/api/payments")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ orderId: state.order._id.toString(), currency: "NGN" });
+
+  /**
+   * Sends a webhook event, signed with the mock secret unless a signature is given.
+   * @param {Object} body - Webhook body.
+   * @param {string} [signature] - Signature header to send instead.
+   * @returns {Promise<Object>} Supertest response.
+   */
+  const sendWebhook = (body, signature) => {
+    const rawBody = JSON.stringify(body);
+    return request(app)
+      .post("/api/payments/webhook")
+      .set("Content-Type", "application/json")
+      .set("x-mock-signature", signature ?? MockProvider.sign(rawBody))
+      .send(rawBody);
+  };
+
+  it("marks the order paid from a signed webhook and reports it as verified", async () => {
+    const checkoutRes = await checkout();
+    expect(checkoutRes.status).to.equal(200);
+    const { reference } = checkoutRes.body.checkout;
+    expect(reference).to.be.a("string");
+    expect(state.payments).to.have.lengthOf(1);
+    expect(state.payments[0].status).to.equal("pending");
+
+    const webhookRes = await sendWebhook({ event: "charge.success", data: { reference, amount: 5000, currency: "ngn" } });
+    expect(webhookRes.status).to.equal(200);
+    expect(webhookRes.body.handled).to.equal(true);
+    expect(state.order.status).to.equal("paid");
+    expect(state.payments[0].status).to.equal("success");
+    expect(state.shipments).to.have.lengthOf(1);
+
+    const verifyRes = await request(app)
+      .get(`/api/payments/verify/${reference}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(verifyRes.status).to.equal(200);
+    expect(verifyRes.body.message).to.equal("Payment verified successfully");
+    expect(verifyRes.body.order.status).to.equal("paid");
+    expect(verifyRes.body.transactionStatus).to.equal("success");
+    expect(state.shipments).to.have.lengthOf(1);
+  });
+
+  it("refuses to take a payment in a currency other than the store's", async () => {
+    state.order.currency = "ngn";
+    const checkoutRes = await request(app)
+      .post("/api/payments")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ orderId: state.order._id.toString(), currency: "usd" });
+    expect(checkoutRes.status).to.equal(400);
+    expect(checkoutRes.body.message).to.equal("Payments must be made in the store currency.");
+    expect(state.order.currency).to.equal("ngn");
+    expect(state.payments).to.have.lengthOf(0);
+
+    const { reference } = (await checkout()).body.checkout;
+    const webhookRes = await sendWebhook({ event: "charge.success", data: { reference, amount: 5000, currency: "usd" } });
+    expect(webhookRes.body.handled).to.equal(false);
+    expect(state.order.status).to.equal("pending");
+  });
+
+  it("ignores a repeated charge.success webhook", async () => {
+    const { reference } = (await checkout()).body.checkout;
+    const body = { event: "charge.success", data: { reference, amount: 5000, currency: "ngn" } };
+
+    await sendWebhook(body);
+    const repeatRes = await sendWebhook(body);
+    expect(repeatRes.status).to.equal(200);
+    expect(repeatRes.body.handled).to.equal(false);
+    expect(state.shipments).to.have.lengthOf(1);
+  });
+
+  it("confirms a payment made with an earlier checkout reference", async () => {
+    const { reference: firstReference } = (await checkout()).body.checkout;
+    await checkout();
+    expect(state.order.paymentReference).to.not.equal(firstReference);
+
+    const webhookRes = await sendWebhook({
+      event: "charge.success",
+      data: { reference: firstReference, amount: 5000, currency: "ngn" },
+    });
+    expect(webhookRes.body.handled).to.equal(true);
+    expect(state.order.status).to.equal("paid");
+  });
+
+  it("records and refunds a charge that arrives after the order was cancelled", async () => {
+    const { reference } = (await checkout()).body.checkout;
+    state.order.status = "cancelled";
+    const refundUpdate = sinon.stub(Payment, "updateOne").resolves({});
+
+    const webhookRes = await sendWebhook({ event: "charge.success", data: { reference, amount: 5000, currency: "ngn" } });
+    expect(webhookRes.body).to.include({ handled: true, outcome: "refunded" });
+    expect(state.payments[0].status).to.equal("success");
+    expect(refundUpdate.firstCall.args[1].$inc.refundedAmount).to.equal(5000);
+    expect(state.order.status).to.equal("cancelled");
+    expect(state.shipments).to.have.lengthOf(0);
+  });
+
+  it("flags a late charge for an admin when its refund fails", async () => {
+    const { reference } = (await checkout()).body.checkout;
+    state.order.status = "cancelled";
+    sinon.stub(MockProvider, "refund").rejects(new Error("Refund request failed"));
+    const flag = sinon.stub(Payment, "updateOne").resolves({});
+
+    const webhookRes = await sendWebhook({ event: "charge.success", data: { reference, amount: 5000, currency: "ngn" } });
+    expect(webhookRes.body).to.include({ handled: true, outcome: "refund_failed" });
+    expect(flag.firstCall.args[1].flagReason).to.contain("Refund request failed");
+  });
+
+  it("rejects a webhook with a bad signature", async () => {
+    const { reference } = (await checkout()).body.checkout;
+    const webhookRes = await sendWebhook(
+      { event: "charge.success", data: { reference, amount: 5000, currency: "ngn" } },
+      "0".repeat(64)
+    );
+    expect(webhookRes.status).to.equal(401);
+    expect(state.order.status).to.equal("pending");
+  });
+
+  it("leaves the order pending when the charge does not match it", async () => {
+    const { reference } = (await checkout()).body.checkout;
+    const webhookRes = await sendWebhook({ event: "charge.success", data: { reference, amount: 50, currency: "ngn" } });
+    expect(webhookRes.status).to.equal(200);
+    expect(webhookRes.body.handled).to.equal(false);
+    expect(state.order.status).to.equal("pending");
+  });
+
+  it("does not sign webhooks without MOCK_PAYMENT_SECRET", () => {
+    const secret = process.env.MOCK_PAYMENT_SECRET;
+    delete process.env.MOCK_PAYMENT_SECRET;
+    try {
+      expect(() => MockProvider.sign("{}")).to.throw("MOCK_PAYMENT_SECRET");
+    } finally {
+      process.env.MOCK_PAYMENT_SECRET = secret;
+    }
+  });
+
+  it("refuses the mock provider in production", () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      expect(() => getPaymentProvider("mock")).to.throw("cannot be used in production");
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
@@ -0,0 +1,208 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Coupon } from "../../../models/index.js";
+import { CouponService } from "../../../services/_couponService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a plain coupon that applies to everything, with overrides.
+ * @param {Object} [overrides] - Coupon fields to change.
+ * @returns {Object} Coupon.
+ */
+const buildCoupon = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: "SAVE10",
+  type: "percentage",
+  value: 10,
+  maxDiscount: null,
+  minOrderValue: 0,
+  applicableProducts: [],
+  applicableCategories: [],
+  usageLimit: null,
+  perUserLimit: null,
+  usedCount: 0,
+  redemptions: [],
+  isActive: true,
+  version: 0,
+  ...overrides,
+});
+
+/**
+ * Builds a cart line.
+ * @param {number} price - Unit price.
+ * @param {number} [quantity] - Units.
+ * @param {string} [category] - Product category.
+ * @returns {Object} Line item.
+ */
+const buildItem = (price, quantity = 1, category = "books") => ({
+  productId: new mongoose.Types.ObjectId(),
+  variantId: null,
+  category,
+  price,
+  quantity,
+});
+
+describe("CouponService", () => {
+  describe("calculateDiscount", () => {
+    it("takes a percentage off the eligible subtotal", () => {
+      const { subtotal, discount } = CouponService.calculateDiscount(buildCoupon(), {
+        items: [buildItem(40, 2), buildItem(20)],
+      });
+      expect(subtotal).to.equal(100);
+      expect(discount).to.equal(10);
+    });
+
+    it("caps a percentage discount at maxDiscount", () => {
+      const { discount } = CouponService.calculateDiscount(buildCoupon({ value: 50, maxDiscount: 15 }), {
+        items: [buildItem(100)],
+      });
+      expect(discount).to.equal(15);
+    });
+
+    it("never takes a fixed discount past the eligible subtotal", () => {
+      const { discount } = CouponService.calculateDiscount(buildCoupon({ type: "fixed", value: 30 }), {
+        items: [buildItem(12)],
+      });
+      expect(discount).to.equal(12);
+    });
+
+    it("spreads the discount across lines and gives the rounding remainder to the last line", () => {
+      const { discount, lines } = CouponService.calculateDiscount(buildCoupon({ type: "fixed", value: 10 }), {
+        items: [buildItem(10), buildItem(10), buildItem(10)],
+      });
+      expect(lines.map((line) => line.discount)).to.deep.equal([3.33, 3.33, 3.34]);
+      expect(lines.reduce((total, line) => total + line.discount, 0)).to.be.closeTo(discount, 0.001);
+    });
+
+    it("only discounts lines in the coupon's products or categories", () => {
+      const book = buildItem(50, 1, "Books");
+      const shirt = buildItem(50, 1, "clothing");
+      const { discount, lines } = CouponService.calculateDiscount(
+        buildCoupon({ value: 20, applicableCategories: ["books"] }),
+        { items: [book, shirt] }
+      );
+      expect(discount).to.equal(10);
+      expect(lines).to.have.lengthOf(1);
+      expect(lines[0].productId).to.equal(book.productId.toString());
+    });
+
+    it("rejects a cart with no eligible lines", () => {
+      const coupon = buildCoupon({ applicableProducts: [new mongoose.Types.ObjectId()] });
+      expect(() => CouponService.calculateDiscount(coupon, { items: [buildItem(50)] })).to.throw(
+        "This coupon does not apply to any items in your cart."
+      );
+    });
+
+    it("rejects a subtotal below the minimum order value", () => {
+      expect(() =>
+        CouponService.calculateDiscount(buildCoupon({ minOrderValue: 100 }), { items: [buildItem(99.99)] })
+      ).to.throw("Order subtotal is below the coupon minimum: 100");
+    });
+
+    it("rejects an inactive coupon", () => {
+      expect(() => CouponService.calculateDiscount(buildCoupon({ isActive: false }), { items: [buildItem(10)] })).to.throw(
+        "This coupon is not active."
+      );
+    });
+
+    it("only applies between startsAt and expiresAt", () => {
+      const items = [buildItem(10)];
+      expect(() =>
+        CouponService.calculateDiscount(buildCoupon({ startsAt: new Date(Date.now() + DAY_MS) }), { items })
+      ).to.throw("This coupon is not valid yet.");
+      expect(() =>
+        CouponService.calculateDiscount(buildCoupon({ expiresAt: new Date(Date.now() - 1) }), { items })
+      ).to.throw("This coupon has expired.");
+
+      const { discount } = CouponService.calculateDiscount(
+        buildCoupon({ startsAt: new Date(Date.now() - DAY_MS), expiresAt: new Date(Date.now() + DAY_MS) }),
+        { items }
+      );
+      expect(discount).to.equal(1);
+    });
+
+    it("rejects a coupon that has reached its global usage limit", () => {
+      expect(() =>
+        CouponService.calculateDiscount(buildCoupon({ usageLimit: 5, usedCount: 5 }), { items: [buildItem(10)] })
+      ).to.throw("This coupon has reached its usage limit.");
+    });
+
+    it("enforces the per-user limit for customers but not for guests", () => {
+      const userId = new mongoose.Types.ObjectId();
+      const coupon = buildCoupon({
+        perUserLimit: 1,
+        usedCount: 1,
+        redemptions: [{ userId, orderId: new mongoose.Types.ObjectId(), discount: 1 }],
+      });
+      const items = [buildItem(10)];
+
+      expect(() => CouponService.calculateDiscount(coupon, { items, userId: userId.toString() })).to.throw(
+        "You have already used this coupon the maximum number of times."
+      );
+      expect(CouponService.calculateDiscount(coupon, { items, userId: new mongoose.Types.ObjectId() }).discount).to.equal(1);
+      expect(CouponService.calculateDiscount(coupon, { items }).discount).to.equal(1);
+    });
+  });
+
+  describe("redeemCoupon", () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("records the redemption with a version check", async () => {
+      const coupon = buildCoupon({ version: 3 });
+      const userId = new mongoose.Types.ObjectId();
+      const orderId = new mongoose.Types.ObjectId();
+      sinon.stub(Coupon, "findById").returns({ session: () => Promise.resolve(coupon) });
+      const update = sinon.stub(Coupon, "findOneAndUpdate").resolves({ ...coupon, version: 4 });
+
+      const result = await CouponService.redeemCoupon({ couponId: coupon._id, userId, orderId, items: [buildItem(50)] });
+
+      expect(result.coupon).to.deep.include({ code: "SAVE10", discount: 5 });
+      const [filter, changes] = update.firstCall.args;
+      expect(filter).to.deep.equal({ _id: coupon._id, version: 3 });
+      expect(changes.$inc).to.deep.equal({ usedCount: 1, version: 1 });
+      expect(changes.$push.redemptions).to.include({ userId, orderId, discount: 5 });
+    });
+
+    it("fails when the coupon changed since it was read", async () => {
+      sinon.stub(Coupon, "findById").returns({ session: () => Promise.resolve(buildCoupon()) });
+      sinon.stub(Coupon, "findOneAndUpdate").resolves(null);
+
+      let error;
+      try {
+        await CouponService.redeemCoupon({
+          couponId: new mongoose.Types.ObjectId(),
+          userId: new mongoose.Types.ObjectId(),
+          orderId: new mongoose.Types.ObjectId(),
+          items: [buildItem(50)],
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.equal("Coupon was modified by another request. Please retry.");
+    });
+  });
+
+  describe("releaseRedemption", () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("removes the order's redemption and gives the use back, only if the order redeemed it", async () => {
+      const couponId = new mongoose.Types.ObjectId();
+      const orderId = new mongoose.Types.ObjectId();
+      const session = {};
+      const update = sinon.stub(Coupon, "updateOne").resolves({ modifiedCount: 1 });
+
+      await CouponService.releaseRedemption({ couponId, orderId, session });
+
+      const [filter, changes, options] = update.firstCall.args;
+      expect(filter).to.deep.equal({ _id: couponId, "redemptions.orderId": orderId });
+      expect(changes).to.deep.equal({ $inc: { usedCount: -1, version: 1 }, $pull: { redemptions: { orderId } } });
+      expect(options.session).to.equal(session);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Order, Shipping, StoreCredit } from "../../../models/index.js";
+import { OrderService } from "../../../services/_orderService.js";
+import { PaymentService } from "../../../services/_paymentService.js";
+import { StockService } from "../../../services/_stockService.js";
+
+/**
+ * Builds a stand-in for a Mongoose query that resolves to a fixed result.
+ * @param {*} result - Value the query resolves to.
+ * @returns {Object} Chainable, awaitable query.
+ */
+const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(typeof result === "function" ? result() : result).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("OrderService cancellation", () => {
+  let order;
+
+  beforeEach(() => {
+    order = new Order({
+      userId: new mongoose.Types.ObjectId(),
+      products: [{ productId: new mongoose.Types.ObjectId(), quantity: 2, price: 25, name: "Mug" }],
+      amount: 50,
+      address: { street: "1 Test Road", city: "Lagos", state: "Lagos", country: "NG", postalCode: "100001" },
+      status: "processing",
+      version: 0,
+    });
+    order.createdAt = new Date();
+
+    sinon.stub(mongoose, "startSession").resolves({
+      startTransaction: () => {},
+      commitTransaction: async () => {},
+      abortTransaction: async () => {},
+      endSession: () => {},
+    });
+    sinon.stub(Order, "findById").callsFake(() => fakeQuery(order));
+    sinon.stub(Order, "findOneAndUpdate").callsFake((filter, update) =>
+      fakeQuery(() => {
+        if (update.$push?.refunds) {
+          order.refunds.push(update.$push.refunds);
+          order.refundedAmount = (order.refundedAmount || 0) + update.$inc.refundedAmount;
+        }
+        if (update.status) order.status = update.status;
+        order.version += 1;
+        return order;
+      })
+    );
+    sinon.stub(Shipping, "updateMany").callsFake(() => fakeQuery({}));
+    sinon.stub(StoreCredit, "findOne").callsFake(() => fakeQuery(null));
+    sinon.stub(StockService, "restock").resolves(true);
+    sinon.stub(StockService, "releaseOrder").resolves();
+    sinon.stub(OrderService, "issueStoreCredit").callsFake(async ({ amount }) => ({ amount }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Cancels the test order as its owner.
+   * @param {Object} [options] - Extra cancellation options.
+   * @returns {Promise<Object>} Cancellation result.
+   */
+  const cancel = (options = {}) =>
+    OrderService.cancelOrderAndIssueStoreCredit({ orderId: order._id, changedBy: order.userId.toString(), ...options });
+
+  it("gives no credit for an unpaid order that was moved to processing by hand", async () => {
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves(null);
+
+    const result = await cancel();
+
+    expect(result.refund).to.equal(null);
+    expect(OrderService.issueStoreCredit.called).to.equal(false);
+    expect(order.status).to.equal("cancelled");
+    expect(order.refunds).to.have.lengthOf(0);
+  });
+
+  it("only credits back store credit applied at checkout when nothing was paid", async () => {
+    order.creditApplied = 5;
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves(null);
+
+    await cancel();
+
+    expect(OrderService.issueStoreCredit.calledOnce).to.equal(true);
+    expect(OrderService.issueStoreCredit.firstCall.args[0].amount).to.equal(5);
+  });
+
+  it("refunds the captured amount as store credit for a paid order", async () => {
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves({ amount: 50 });
+    sinon.stub(PaymentService, "findRefundablePayment").resolves({ amount: 50 });
+
+    const result = await cancel();
+
+    expect(result.refund).to.include({ amount: 50, method: "store_credit" });
+    expect(OrderService.issueStoreCredit.firstCall.args[0].amount).to.equal(50);
+  });
+
+  it("only restocks the units a partial refund has not already restocked", async () => {
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves({ amount: 50 });
+    sinon.stub(PaymentService, "findRefundablePayment").resolves({ amount: 50 });
+    const [line] = order.products;
+
+    await OrderService.applyRefund({
+      orderId: order._id,
+      items: [{ productId: line.productId.toString(), quantity: 1 }],
+      method: "store_credit",
+      session: null,
+    });
+    expect(StockService.restock.firstCall.args[0]).to.include({ quantity: 1, reason: "return" });
+
+    const result = await cancel();
+
+    expect(StockService.restock.callCount).to.equal(2);
+    expect(StockService.restock.secondCall.args[0]).to.include({ quantity: 1, reason: "cancel" });
+    expect(result.refund.amount).to.equal(25);
+  });
+});
+
+describe("OrderService refunds", () => {
+  let order;
+
+  beforeEach(() => {
+    order = new Order({
+      userId: new mongoose.Types.ObjectId(),
+      products: [{ productId: new mongoose.Types.ObjectId(), quantity: 2, price: 25, name: "Mug" }],
+      amount: 50,
+      address: { street: "1 Test Road", city: "Lagos", state: "Lagos", country: "NG", postalCode: "100001" },
+      status: "processing",
+      version: 0,
+    });
+    sinon.stub(Order, "findById").callsFake(() => fakeQuery(order));
+    sinon.stub(Order, "findOneAndUpdate").callsFake((filter, update) =>
+      fakeQuery(() => {
+        order.refunds.push(update.$push.refunds);
+        order.refundedAmount = (order.refundedAmount || 0) + update.$inc.refundedAmount;
+        return order;
+      })
+    );
+    sinon.stub(StockService, "restock").resolves(true);
+    sinon.stub(OrderService, "issueStoreCredit").resolves({});
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it("refuses a store credit refund for an order that was never paid", async () => {
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves(null);
+
+    let error;
+    try {
+      await OrderService.applyRefund({ orderId: order._id, method: "store_credit", session: null });
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal("No successful payment found for this order.");
+    expect(OrderService.issueStoreCredit.called).to.equal(false);
+  });
+
+  it("caps a refund at the amount the payment captured", async () => {
+    sinon.stub(PaymentService, "findSuccessfulPayment").resolves({ amount: 30 });
+
+    const { refund } = await OrderService.applyRefund({ orderId: order._id, method: "store_credit", session: null });
+
+    expect(refund.amount).to.equal(30);
+    expect(OrderService.issueStoreCredit.firstCall.args[0].amount).to.equal(30);
+  });
+});
@@ -0,0 +1,36 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Product } from "../../../models/index.js";
+import storage from "../../../config/_storage.js";
+import { ProductImageService } from "../../../services/_productImageService.js";
+
+describe("ProductImageService", () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("deleteImage", () => {
+    it("restores the external image URL once the last upload is deleted", async () => {
+      const imageId = new mongoose.Types.ObjectId();
+      const product = new Product({
+        name: "Mug",
+        price: 10,
+        image: "https://cdn.example.com/uploads/mug.jpg",
+        externalImage: "https://images.example.com/mug.png",
+        images: [{ _id: imageId, url: "https://cdn.example.com/uploads/mug.jpg", key: "products/mug.jpg", isPrimary: true }],
+        version: 2,
+      });
+      sinon.stub(Product, "findById").resolves(product);
+      const update = sinon.stub(Product, "findOneAndUpdate").callsFake(async (filter, changes) => changes.$set);
+      sinon.stub(storage, "delete").resolves();
+
+      const updated = await ProductImageService.deleteImage(product._id.toString(), imageId.toString());
+
+      expect(update.firstCall.args[0]).to.deep.equal({ _id: product._id, version: 2 });
+      expect(updated.image).to.equal("https://images.example.com/mug.png");
+      expect(updated.images).to.have.lengthOf(0);
+      expect(storage.delete.calledWith("products/mug.jpg")).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Promotion } from "../../../models/index.js";
+import { PromotionService } from "../../../services/_promotionService.js";
+
+/**
+ * Builds a promotion that applies to everything, with overrides.
+ * @param {Object} overrides - Promotion fields (type and its settings at least).
+ * @returns {Object} Promotion.
+ */
+const buildPromotion = (overrides) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Promotion",
+  applicableProducts: [],
+  applicableCategories: [],
+  ...overrides,
+});
+
+/**
+ * Builds a cart line.
+ * @param {number} price - Unit price.
+ * @param {number} [quantity] - Units.
+ * @param {string} [category] - Product category.
+ * @returns {Object} Line item.
+ */
+const buildItem = (price, quantity = 1, category = "books") => ({
+  productId: new mongoose.Types.ObjectId(),
+  variantId: null,
+  category,
+  price,
+  quantity,
+});
+
+describe("PromotionService", () => {
+  describe("buy X get Y", () => {
+    const buyTwoGetOne = buildPromotion({ type: "buy_x_get_y", buyQuantity: 2, getQuantity: 1 });
+
+    it("gives the cheapest unit of each full group away", () => {
+      const result = PromotionService.evaluate([buyTwoGetOne], [buildItem(30), buildItem(20), buildItem(10)]);
+      expect(result.lines.map((line) => line.discount)).to.deep.equal([0, 0, 10]);
+      expect(result.discount).to.equal(10);
+      expect(result.total).to.equal(50);
+    });
+
+    it("counts units across lines and ignores an incomplete group", () => {
+      const result = PromotionService.evaluate([buyTwoGetOne], [buildItem(25, 4), buildItem(5)]);
+      // Five units make one group of three; the leftover two units pay full price
+      expect(result.lines.map((line) => line.discount)).to.deep.equal([0, 5]);
+    });
+
+    it("makes several units of one line free when there are several groups", () => {
+      const result = PromotionService.evaluate([buyTwoGetOne], [buildItem(10, 6)]);
+      expect(result.lines[0].discount).to.equal(20);
+    });
+
+    it("only counts eligible units", () => {
+      const promotion = { ...buyTwoGetOne, applicableCategories: ["books"] };
+      const result = PromotionService.evaluate([promotion], [buildItem(10, 2, "books"), buildItem(1, 1, "clothing")]);
+      expect(result.discount).to.equal(0);
+    });
+  });
+
+  describe("spend tiers", () => {
+    const tiers = [
+      { minSpend: 50, value: 5 },
+      { minSpend: 200, value: 15 },
+      { minSpend: 100, value: 10 },
+    ];
+
+    it("picks the highest tier the eligible subtotal reaches", () => {
+      const promotion = buildPromotion({ type: "spend_tier", tierType: "percentage", tiers });
+      expect(PromotionService.evaluate([promotion], [buildItem(150)]).discount).to.equal(15);
+      expect(PromotionService.evaluate([promotion], [buildItem(250)]).discount).to.equal(37.5);
+      expect(PromotionService.evaluate([promotion], [buildItem(49.99)]).discount).to.equal(0);
+    });
+
+    it("caps a fixed tier at the eligible subtotal and spreads it across lines", () => {
+      const promotion = buildPromotion({ type: "spend_tier", tierType: "fixed", tiers: [{ minSpend: 0, value: 10 }] });
+      const result = PromotionService.evaluate([promotion], [buildItem(1), buildItem(2), buildItem(3)]);
+      expect(result.discount).to.equal(6);
+      expect(result.total).to.equal(0);
+
+      const spread = PromotionService.evaluate([promotion], [buildItem(20), buildItem(20), buildItem(20)]);
+      expect(spread.lines.map((line) => line.discount)).to.deep.equal([3.33, 3.33, 3.34]);
+    });
+  });
+
+  describe("evaluate", () => {
+    it("applies promotions in order, each to what the earlier ones left", () => {
+      const halfOff = buildPromotion({ name: "Half off", type: "percentage_off", value: 50 });
+      const tier = buildPromotion({
+        name: "Spend 40",
+        type: "spend_tier",
+        tierType: "fixed",
+        tiers: [{ minSpend: 40, value: 10 }],
+      });
+
+      const result = PromotionService.evaluate([halfOff, tier], [buildItem(100)]);
+      // The tier sees the 50 left after half off
+      expect(result.promotions.map((promotion) => [promotion.name, promotion.discount])).to.deep.equal([
+        ["Half off", 50],
+        ["Spend 40", 10],
+      ]);
+      expect(result.lines[0].promotions).to.have.lengthOf(2);
+      expect(result.total).to.equal(40);
+    });
+
+    it("takes a stacked percentage off what the earlier promotion left", () => {
+      const promotions = [
+        buildPromotion({ type: "percentage_off", value: 50 }),
+        buildPromotion({ type: "percentage_off", value: 50 }),
+      ];
+      const result = PromotionService.evaluate(promotions, [buildItem(40)]);
+      expect(result.promotions.map((promotion) => promotion.discount)).to.deep.equal([20, 10]);
+      expect(result.lines[0].total).to.equal(10);
+    });
+
+    it("caps a free unit at what earlier promotions left on its line", () => {
+      const halfOff = buildPromotion({ type: "percentage_off", value: 50 });
+      const buyOneGetOne = buildPromotion({ type: "buy_x_get_y", buyQuantity: 1, getQuantity: 1 });
+      const result = PromotionService.evaluate([halfOff, buyOneGetOne], [buildItem(30), buildItem(10)]);
+      // Half off leaves 5 on the cheaper line, so giving its unit away takes 5, not 10
+      expect(result.lines.map((line) => line.total)).to.deep.equal([15, 0]);
+      expect(result.promotions[1].discount).to.equal(5);
+    });
+
+    it("leaves out promotions that took nothing off", () => {
+      const promotion = buildPromotion({ type: "percentage_off", value: 10, applicableCategories: ["toys"] });
+      const result = PromotionService.evaluate([promotion], [buildItem(10)]);
+      expect(result.promotions).to.deep.equal([]);
+      expect(result.total).to.equal(10);
+    });
+  });
+
+  describe("applyPromotions", () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("only looks up running promotions, highest priority first", async () => {
+      const query = {
+        sort: sinon.stub().returnsThis(),
+        session: sinon.stub().returnsThis(),
+        lean: sinon.stub().resolves([buildPromotion({ type: "percentage_off", value: 10 })]),
+      };
+      const find = sinon.stub(Promotion, "find").returns(query);
+
+      const result = await PromotionService.applyPromotions([buildItem(30)]);
+
+      const [filter] = find.firstCall.args;
+      expect(filter.isActive).to.equal(true);
+      expect(filter.$and).to.have.lengthOf(2);
+      expect(query.sort.firstCall.args[0]).to.deep.equal({ priority: -1, createdAt: 1 });
+      expect(result.discount).to.equal(3);
+    });
+  });
+});
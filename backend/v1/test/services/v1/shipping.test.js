@@ -0,0 +1,32 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { ShippingService } from "../../../services/_shippingService.js";
+
+describe("ShippingService", () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("getQuote", () => {
+    const rate = {
+      _id: "rate",
+      name: "Lagos",
+      brackets: [{ maxWeight: 5, fee: 10 }],
+      additionalFeePerKg: 2,
+      freeShippingThreshold: 100,
+    };
+    const items = [{ price: 60, weight: 1, quantity: 2 }];
+
+    it("ships free when the subtotal after discounts reaches the threshold", async () => {
+      sinon.stub(ShippingService, "findRate").resolves(rate);
+      const quote = await ShippingService.getQuote({ address: {}, items, discount: 20 });
+      expect(quote).to.include({ subtotal: 120, shippingFee: 0, freeShipping: true });
+    });
+
+    it("charges shipping when discounts take the subtotal below the threshold", async () => {
+      sinon.stub(ShippingService, "findRate").resolves(rate);
+      const quote = await ShippingService.getQuote({ address: {}, items, discount: 20.01 });
+      expect(quote).to.include({ shippingFee: 10, freeShipping: false });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Product, StockReservation, StockMovement } from "../../../models/index.js";
+import { StockService } from "../../../services/_stockService.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Builds a stand-in for a Mongoose query that resolves to a fixed result.
+ * @param {*} result - Value the query resolves to.
+ * @returns {Object} Chainable, awaitable query.
+ */
+const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(typeof result === "function" ? result() : result).then(resolve, reject),
+  };
+  return query;
+};
+
+/**
+ * Builds an active reservation of a product without variants.
+ * @param {Object} [overrides] - Reservation fields to change.
+ * @returns {Object} Reservation.
+ */
+const buildReservation = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  productId: new mongoose.Types.ObjectId(),
+  variantId: null,
+  cartId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  quantity: 2,
+  status: "active",
+  ...overrides,
+});
+
+describe("StockService reservations", () => {
+  let session;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      endSession: sinon.stub(),
+    };
+    sinon.stub(mongoose, "startSession").resolves(session);
+    sinon.stub(StockMovement, "create").callsFake(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("reservationExpiry", () => {
+    let ttl;
+
+    beforeEach(() => {
+      ttl = process.env.STOCK_RESERVATION_TTL_MINUTES;
+      sinon.useFakeTimers(new Date("2026-01-01T12:00:00Z"));
+    });
+
+    afterEach(() => {
+      if (ttl === undefined) {
+        delete process.env.STOCK_RESERVATION_TTL_MINUTES;
+      } else {
+        process.env.STOCK_RESERVATION_TTL_MINUTES = ttl;
+      }
+    });
+
+    it("holds stock for 30 minutes by default", () => {
+      delete process.env.STOCK_RESERVATION_TTL_MINUTES;
+      expect(StockService.reservationExpiry().getTime()).to.equal(Date.now() + 30 * MINUTE_MS);
+    });
+
+    it("reads the hold time from STOCK_RESERVATION_TTL_MINUTES", () => {
+      process.env.STOCK_RESERVATION_TTL_MINUTES = "5";
+      expect(StockService.reservationExpiry().getTime()).to.equal(Date.now() + 5 * MINUTE_MS);
+    });
+  });
+
+  describe("releaseExpired", () => {
+    it("gives expired reservations back to available stock and records them as expiry", async () => {
+      const reservation = buildReservation();
+      const find = sinon.stub(StockReservation, "find").returns(fakeQuery([reservation]));
+      const claim = sinon.stub(StockReservation, "findOneAndUpdate").callsFake(() => fakeQuery(reservation));
+      const release = sinon
+        .stub(Product, "findOneAndUpdate")
+        .callsFake(() => fakeQuery({ _id: reservation.productId, stock: 10, reserved: 0, variants: [] }));
+
+      const released = await StockService.releaseExpired();
+
+      expect(released).to.equal(1);
+      expect(find.firstCall.args[0].status).to.equal("active");
+      expect(find.firstCall.args[0].expiresAt.$lte).to.be.instanceOf(Date);
+      expect(claim.firstCall.args[0]).to.deep.equal({ _id: reservation._id, status: "active" });
+      expect(claim.firstCall.args[1].status).to.equal("expired");
+      expect(release.firstCall.args[1].$inc).to.deep.equal({ version: 1, reserved: -2 });
+
+      const [[movement]] = StockMovement.create.firstCall.args;
+      expect(movement).to.include({ delta: -2, affects: "reserved", reason: "expiry", actor: null, reservedAfter: 0 });
+      expect(session.commitTransaction.calledOnce).to.equal(true);
+    });
+
+    it("does not count a reservation that was released in the meantime", async () => {
+      sinon.stub(StockReservation, "find").returns(fakeQuery([buildReservation()]));
+      sinon.stub(StockReservation, "findOneAndUpdate").callsFake(() => fakeQuery(null));
+      const release = sinon.stub(Product, "findOneAndUpdate");
+
+      expect(await StockService.releaseExpired()).to.equal(0);
+      expect(release.called).to.equal(false);
+    });
+
+    it("carries on with the rest when one reservation fails to release", async () => {
+      const failing = buildReservation();
+      const reservations = [failing, buildReservation(), buildReservation()];
+      sinon.stub(StockReservation, "find").returns(fakeQuery(reservations));
+      sinon
+        .stub(StockReservation, "findOneAndUpdate")
+        .callsFake((filter) => fakeQuery(reservations.find((reservation) => reservation._id === filter._id)));
+      sinon.stub(Product, "findOneAndUpdate").callsFake((filter) =>
+        fakeQuery(() => {
+          if (filter._id === failing.productId) {
+            throw new Error("Write conflict");
+          }
+          return { _id: filter._id, stock: 5, reserved: 0, variants: [] };
+        })
+      );
+
+      expect(await StockService.releaseExpired()).to.equal(2);
+      expect(session.abortTransaction.calledOnce).to.equal(true);
+      expect(session.commitTransaction.calledTwice).to.equal(true);
+      expect(session.endSession.callCount).to.equal(3);
+    });
+  });
+
+  describe("syncCart", () => {
+    it("resizes, adds and releases reservations to match the cart and restarts their expiry", async () => {
+      const cartId = new mongoose.Types.ObjectId();
+      const userId = new mongoose.Types.ObjectId();
+      const kept = buildReservation({ cartId, quantity: 2 });
+      const dropped = buildReservation({ cartId, quantity: 1 });
+      const addedProductId = new mongoose.Types.ObjectId();
+
+      sinon.stub(StockReservation, "find").returns(fakeQuery([kept, dropped]));
+      const claim = sinon.stub(StockReservation, "findOneAndUpdate").callsFake(() => fakeQuery(dropped));
+      const update = sinon.stub(StockReservation, "updateOne").resolves({});
+      const create = sinon.stub(StockReservation, "create").resolves([]);
+      const stock = sinon
+        .stub(Product, "findOneAndUpdate")
+        .callsFake((filter) => fakeQuery({ _id: filter._id, stock: 10, reserved: 3, variants: [] }));
+
+      await StockService.syncCart({
+        cartId,
+        userId,
+        products: [
+          { productId: kept.productId, quantity: 3 },
+          { productId: addedProductId, quantity: 1 },
+        ],
+        session,
+      });
+
+      // The dropped line is released in full
+      expect(claim.firstCall.args[0]._id).to.equal(dropped._id);
+      const releaseCall = stock.getCalls().find((call) => call.args[0]._id === dropped.productId);
+      expect(releaseCall.args[1].$inc.reserved).to.equal(-1);
+
+      // The kept line reserves one more unit, only if that unit is available
+      const resizeCall = stock.getCalls().find((call) => call.args[0]._id === kept.productId);
+      expect(resizeCall.args[0].$expr).to.exist;
+      expect(resizeCall.args[1].$inc.reserved).to.equal(1);
+      const [, resized] = update.firstCall.args;
+      expect(resized.quantity).to.equal(3);
+      expect(resized.expiresAt.getTime()).to.be.greaterThan(Date.now());
+
+      // The new line reserves its units and gets a reservation of its own
+      const [[created]] = create.firstCall.args;
+      expect(created).to.include({ productId: addedProductId, cartId, userId, guestId: null, quantity: 1 });
+      expect(created.expiresAt.getTime()).to.equal(resized.expiresAt.getTime());
+    });
+
+    it("refuses to reserve more than is available", async () => {
+      const product = { _id: new mongoose.Types.ObjectId(), name: "Desk Lamp", variants: [] };
+      sinon.stub(StockReservation, "find").returns(fakeQuery([]));
+      sinon.stub(Product, "findOneAndUpdate").callsFake(() => fakeQuery(null));
+      sinon.stub(Product, "findById").callsFake(() => fakeQuery(product));
+      const create = sinon.stub(StockReservation, "create").resolves([]);
+
+      let error;
+      try {
+        await StockService.syncCart({
+          cartId: new mongoose.Types.ObjectId(),
+          products: [{ productId: product._id, quantity: 5 }],
+          session,
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.equal("Insufficient stock for product: Desk Lamp");
+      expect(create.called).to.equal(false);
+    });
+  });
+
+  describe("commitCart", () => {
+    it("takes ordered units out of on-hand stock and records the reserved units it uses up", async () => {
+      const cartId = new mongoose.Types.ObjectId();
+      const orderId = new mongoose.Types.ObjectId();
+      const userId = new mongoose.Types.ObjectId();
+      const reservation = buildReservation({ cartId, quantity: 2 });
+
+      sinon.stub(StockReservation, "find").returns(fakeQuery([reservation]));
+      const commit = sinon.stub(StockReservation, "updateOne").resolves({});
+      const stock = sinon
+        .stub(Product, "findOneAndUpdate")
+        .callsFake((filter) => fakeQuery({ _id: filter._id, stock: 8, reserved: 0, variants: [] }));
+
+      await StockService.commitCart({
+        cartId,
+        orderId,
+        userId,
+        items: [{ productId: reservation.productId, quantity: 2 }],
+        session,
+      });
+
+      expect(stock.firstCall.args[1].$inc).to.deep.equal({ version: 1, stock: -2, reserved: -2 });
+      const movements = StockMovement.create.getCalls().map((call) => call.args[0][0]);
+      expect(movements.map(({ delta, affects, reason }) => ({ delta, affects, reason }))).to.deep.equal([
+        { delta: -2, affects: "on_hand", reason: "order" },
+        { delta: -2, affects: "reserved", reason: "order" },
+      ]);
+      expect(commit.firstCall.args[1]).to.include({ status: "committed", orderId });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { Product } from "../../../models/index.js";
+import { StockAlertService } from "../../../services/_stockAlertService.js";
+
+describe("StockAlertService", () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("getLowStockProducts", () => {
+    it("checks each active variant against the product threshold and lists the low ones", async () => {
+      const low = { _id: new mongoose.Types.ObjectId(), sku: "MUG-RED", stock: 2, reserved: 1, isActive: true };
+      const stocked = { _id: new mongoose.Types.ObjectId(), sku: "MUG-BLUE", stock: 40, reserved: 0, isActive: true };
+      const retired = { _id: new mongoose.Types.ObjectId(), sku: "MUG-OLD", stock: 0, reserved: 0, isActive: false };
+      const query = {
+        select: sinon.stub().returnsThis(),
+        sort: sinon.stub().returnsThis(),
+        lean: sinon.stub().resolves([
+          {
+            _id: new mongoose.Types.ObjectId(),
+            name: "Mug",
+            stock: 42,
+            reserved: 1,
+            lowStockThreshold: 5,
+            variants: [low, stocked, retired],
+          },
+        ]),
+      };
+      const find = sinon.stub(Product, "find").returns(query);
+
+      const [product] = await StockAlertService.getLowStockProducts();
+
+      // The product total is well above its threshold, so only the variant check can match it
+      const [filter] = find.firstCall.args;
+      expect(filter.$expr.$or).to.have.lengthOf(2);
+      expect(product.lowVariants).to.deep.equal([{ _id: low._id, sku: "MUG-RED", stock: 2, reserved: 1 }]);
+      expect(product).to.not.have.property("variants");
+    });
+  });
+});
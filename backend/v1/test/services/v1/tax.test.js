@@ -0,0 +1,129 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import mongoose from "mongoose";
+import { TaxRate } from "../../../models/index.js";
+import { TaxService } from "../../../services/_taxService.js";
+
+/**
+ * Builds a cart line and its pricing line.
+ * @param {number} total - Line total after discounts.
+ * @param {string} [category] - Product category.
+ * @returns {Object} Line item and pricing line.
+ */
+const buildLine = (total, category = "books") => ({
+  item: { productId: new mongoose.Types.ObjectId(), variantId: null, category, quantity: 1 },
+  pricing: { total },
+});
+
+/**
+ * Works out the tax on some lines for an address.
+ * @param {Array} lines - Lines from buildLine.
+ * @param {Object} [address] - Shipping address.
+ * @returns {Promise<Object>} Tax breakdown.
+ */
+const taxFor = (lines, address = { country: "NG", state: "Lagos" }) =>
+  TaxService.calculateTax({
+    address,
+    items: lines.map((line) => line.item),
+    pricing: { lines: lines.map((line) => line.pricing) },
+  });
+
+describe("TaxService", () => {
+  let priceMode;
+  let configuredRates;
+
+  beforeEach(() => {
+    priceMode = process.env.TAX_PRICE_MODE;
+    configuredRates = [];
+    sinon.stub(TaxRate, "find").callsFake((filter) => ({
+      session: () => ({
+        lean: async () => configuredRates.filter((rate) => rate.country === filter.country && rate.isActive),
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (priceMode === undefined) {
+      delete process.env.TAX_PRICE_MODE;
+    } else {
+      process.env.TAX_PRICE_MODE = priceMode;
+    }
+  });
+
+  describe("calculateTax", () => {
+    it("adds tax on top of the line total when prices exclude it", async () => {
+      delete process.env.TAX_PRICE_MODE;
+      const tax = await taxFor([buildLine(100), buildLine(33.33)]);
+      expect(tax.mode).to.equal("exclusive");
+      expect(tax.lines.map((line) => line.tax)).to.deep.equal([7.5, 2.5]);
+      expect(tax.tax).to.equal(10);
+    });
+
+    it("takes the tax share out of the line total when prices include it", async () => {
+      process.env.TAX_PRICE_MODE = "inclusive";
+      const tax = await taxFor([buildLine(107.5)]);
+      expect(tax.mode).to.equal("inclusive");
+      expect(tax.lines[0]).to.include({ name: "VAT", rate: 7.5, tax: 7.5 });
+    });
+
+    it("charges nothing where no rate applies", async () => {
+      const tax = await taxFor([buildLine(100)], { country: "Ghana", state: "Accra" });
+      expect(tax.lines[0]).to.include({ name: null, rate: 0, tax: 0 });
+      expect(tax.tax).to.equal(0);
+    });
+
+    it("looks up rates by canonical country name", async () => {
+      configuredRates = [{ name: "GH VAT", country: "ghana", state: null, category: null, rate: 15, isActive: true }];
+      const tax = await taxFor([buildLine(10)], { country: "GH", state: "Accra" });
+      expect(TaxRate.find.firstCall.args[0]).to.deep.equal({ country: "ghana", isActive: true });
+      expect(tax.tax).to.equal(1.5);
+    });
+  });
+
+  describe("matchRate", () => {
+    const countryWide = { name: "Country", state: null, category: null, rate: 5 };
+    const category = { name: "Category", state: null, category: "books", rate: 4 };
+    const state = { name: "State", state: "lagos", category: null, rate: 3 };
+    const stateAndCategory = { name: "State and category", state: "lagos", category: "books", rate: 2 };
+    const rates = [countryWide, category, state, stateAndCategory];
+
+    it("prefers state and category, then state, then category, then country-wide", () => {
+      expect(TaxService.matchRate(rates, "lagos", "Books")).to.equal(stateAndCategory);
+      expect(TaxService.matchRate(rates, "lagos", "clothing")).to.equal(state);
+      expect(TaxService.matchRate(rates, "abuja", "books")).to.equal(category);
+      expect(TaxService.matchRate(rates, "abuja", "clothing")).to.equal(countryWide);
+    });
+
+    it("returns null when no rate applies", () => {
+      expect(TaxService.matchRate([state], "abuja", "books")).to.equal(null);
+    });
+
+    it("lets a configured rate beat a default of the same specificity", () => {
+      const configured = { name: "Configured", state: null, category: null, rate: 10 };
+      expect(TaxService.matchRate([configured, countryWide], "lagos", "books")).to.equal(configured);
+    });
+  });
+
+  describe("buildTotals", () => {
+    const pricing = { subtotal: 200, discount: 20 };
+
+    it("adds exclusive tax to the total", () => {
+      const totals = TaxService.buildTotals({ pricing, tax: { mode: "exclusive", tax: 13.5 }, shippingFee: 10 });
+      expect(totals).to.deep.equal({
+        subtotal: 200,
+        discount: 20,
+        tax: 13.5,
+        taxMode: "exclusive",
+        shipping: 10,
+        total: 203.5,
+      });
+    });
+
+    it("reports inclusive tax without adding it again", () => {
+      const totals = TaxService.buildTotals({ pricing, tax: { mode: "inclusive", tax: 12.56 }, shippingFee: 10 });
+      expect(totals.tax).to.equal(12.56);
+      expect(totals.total).to.equal(190);
+    });
+  });
+});
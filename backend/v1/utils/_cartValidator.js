@@ -1,6 +1,9 @@
+import { lineKey } from "./_lineKey.js";
+
 /**
  * Validates an array of cart products.
- * @param {Array} products - Array of products with productId and quantity
+ * Each line is a product, or a product variant when variantId is given.
+ * @param {Array} products - Array of products with productId, optional variantId and quantity
  * @returns {Object} - { valid: boolean, message?: string }
  */
 export function validateCartProducts(products) {
@@ -31,12 +34,12 @@ export function validateCartProducts(products) {
     return { valid: false, message: `A cart cannot have more than ${MAX_PRODUCTS} products.` };
   }
 
-  // Check for duplicate products
+  // Check for duplicate products (the same product in different variants is allowed)
   const productIds = products.map((p, index) => {
     if (!p.productId) {
       return { invalid: true, index };
     }
-    return p.productId.toString();
+    return lineKey(p);
   });
 
   const invalidId = productIds.find((p) => p.invalid);
@@ -57,6 +60,10 @@ export function validateCartProducts(products) {
     // Validate productId as a 24-character hexadecimal string
     const isValidId =
       typeof p.productId === "string" && /^[0-9a-fA-F]{24}$/.test(p.productId);
+    const isValidVariantId =
+      p.variantId === undefined ||
+      p.variantId === null ||
+      (typeof p.variantId === "string" && /^[0-9a-fA-F]{24}$/.test(p.variantId));
 
     const isValidQuantity =
       typeof p.quantity === "number" &&
@@ -64,13 +71,13 @@ export function validateCartProducts(products) {
       p.quantity >= MIN_QUANTITY &&
       p.quantity > 0;
 
-    return !isValidId || !isValidQuantity;
+    return !isValidId || !isValidVariantId || !isValidQuantity;
   });
 
   if (invalidProduct !== -1) {
     return {
       valid: false,
-      message: `Invalid product at index ${invalidProduct}: productId or quantity is invalid.`,
+      message: `Invalid product at index ${invalidProduct}: productId, variantId or quantity is invalid.`,
     };
   }
 
@@ -0,0 +1,10 @@
+/**
+ * Builds the key that identifies a cart or order line.
+ * Lines for different variants of the same product are kept apart.
+ * @param {Object} item - Line with productId and optional variantId
+ * @returns {string} "productId" or "productId:variantId"
+ */
+export function lineKey(item) {
+  const productId = (item.productId?._id || item.productId).toString();
+  return item.variantId ? `${productId}:${item.variantId.toString()}` : productId;
+}
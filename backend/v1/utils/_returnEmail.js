@@ -0,0 +1,58 @@
+/**
+ * Email subjects and opening lines for each return status.
+ */
+const RETURN_EMAIL_CONTENT = {
+    requested: {
+        subject: 'Return Request Received',
+        intro: 'We have received your return request and will review it shortly.'
+    },
+    approved: {
+        subject: 'Return Request Approved',
+        intro: 'Your return request has been approved. Please send the items back to us.'
+    },
+    rejected: {
+        subject: 'Return Request Rejected',
+        intro: 'Unfortunately, your return request has been rejected.'
+    },
+    received: {
+        subject: 'Return Received and Refunded',
+        intro: 'We have received your returned items and issued your refund.'
+    }
+};
+
+/**
+ * Generates an email job for a change in a return's status.
+ * @param {string} to - Customer email address
+ * @param {Object} returnRequest - Return document (status, items, orderId, adminNote, refundAmount, refundMethod)
+ * @param {Object} [refund] - Refund recorded for a received return (status)
+ * @returns {Object} Email job data with to, subject and text properties
+ */
+const generateReturnEmail = (to, returnRequest, refund = null) => {
+    const content = RETURN_EMAIL_CONTENT[returnRequest.status];
+    const lines = [
+        content.intro,
+        '',
+        `Return ID: ${returnRequest._id}`,
+        `Order ID: ${returnRequest.orderId}`,
+        'Items:',
+        ...returnRequest.items.map((item) => `- ${item.name || item.productId} x ${item.quantity}`)
+    ];
+    if (returnRequest.adminNote) {
+        lines.push('', `Note: ${returnRequest.adminNote}`);
+    }
+    if (returnRequest.status === 'received') {
+        const method = returnRequest.refundMethod === 'card' ? 'your card' : 'store credit';
+        lines.push('', `Refund: ${returnRequest.refundAmount} to ${method}`);
+        if (refund?.status === 'failed') {
+            lines.push('Your card refund is delayed; we will send it again shortly.');
+        }
+    }
+
+    return {
+        to,
+        subject: content.subject,
+        text: lines.join('\n')
+    };
+};
+
+export default generateReturnEmail;
@@ -0,0 +1,51 @@
+/**
+ * Generates the admin digest email listing products at or below their low-stock threshold.
+ * @param {string} to - Admin email address
+ * @param {Array} products - Low-stock products (name, stock, reserved, lowStockThreshold, lowVariants)
+ * @returns {Object} Email job data with to, subject and text properties
+ */
+const generateLowStockDigestEmail = (to, products) => {
+    const lines = [
+        `${products.length} product(s) are at or below their low-stock threshold:`,
+        '',
+        ...products.flatMap((product) => [
+            `- ${product.name} (${product._id}): ${product.stock} on hand, ${product.reserved || 0} reserved, threshold ${product.lowStockThreshold}`,
+            ...(product.lowVariants || []).map((variant) =>
+                `    - ${variant.sku}: ${variant.stock} on hand, ${variant.reserved || 0} reserved`
+            )
+        ]),
+        '',
+        'Products with 0 on hand are sold out.'
+    ];
+
+    return {
+        to,
+        subject: `Low stock digest: ${products.length} product(s) need restocking`,
+        text: lines.join('\n')
+    };
+};
+
+/**
+ * Generates the email telling a customer a product they subscribed to is back in stock.
+ * @param {string} to - Customer email address
+ * @param {Object} product - Product document (name, price)
+ * @param {Object} [variant] - Subscribed variant (sku, price), if any
+ * @returns {Object} Email job data with to, subject and text properties
+ */
+const generateBackInStockEmail = (to, product, variant = null) => {
+    const name = variant ? `${product.name} (${variant.sku})` : product.name;
+    return {
+        to,
+        subject: `Back in stock: ${name}`,
+        text: [
+            `Good news! ${name} is back in stock.`,
+            '',
+            `Price: ${variant?.price ?? product.price}`,
+            `Product ID: ${product._id}`,
+            '',
+            'Stock is limited, so add it to your cart soon.'
+        ].join('\n')
+    };
+};
+
+export { generateLowStockDigestEmail, generateBackInStockEmail };
@@ -1,9 +1,16 @@
 import responseHandler from "./_responseHandler.js";
 import generatePasswordResetEmail from "./_emailMessage.js";
+import generateReturnEmail from "./_returnEmail.js";
+import { generateLowStockDigestEmail, generateBackInStockEmail } from "./_stockEmail.js";
 import { validateCartProducts } from "./_cartValidator.js";
+import { lineKey } from "./_lineKey.js";
 
 export {
     responseHandler,
     generatePasswordResetEmail,
-    validateCartProducts
+    generateReturnEmail,
+    generateLowStockDigestEmail,
+    generateBackInStockEmail,
+    validateCartProducts,
+    lineKey
 };